@@ -1,11 +1,12 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { ethers } from 'ethers';
 import WalletConnect from './components/WalletConnect';
 import Dashboard from './components/Dashboard';
 import Toast from './components/Toast';
 import LoadingSpinner from './components/LoadingSpinner';
-import { CONTRACT_ABI, CONTRACT_ADDRESS } from './config/constants';
+import { CONTRACT_ABI, CONTRACT_ADDRESS, CHAIN_ID, HEALTH_CHECK_INTERVAL } from './config/constants';
 import apiService from './services/api';
+import { getIndexerStaleness } from './utils/helpers';
 
 export default function App() {
   const [provider, setProvider] = useState(null);
@@ -15,19 +16,41 @@ export default function App() {
   const [toast, setToast] = useState(null);
   const [isConnecting, setIsConnecting] = useState(false);
   const [apiHealthy, setApiHealthy] = useState(false);
+  const [indexerWarning, setIndexerWarning] = useState(null);
 
-  const showToast = (message, type = 'info') => {
+  // Stable across renders so children can list it as a hook dependency
+  const showToast = useCallback((message, type = 'info') => {
     setToast({ message, type });
     setTimeout(() => setToast(null), 5000);
-  };
+  }, []);
 
-  const checkApiHealth = async () => {
+  // Startup checks also toast when the API is down; periodic re-checks only update the banner
+  const checkApiHealth = async (notify = true) => {
     try {
-      await apiService.getHealth();
+      const readiness = await apiService.getReadiness();
       setApiHealthy(true);
+      setIndexerWarning(getIndexerStaleness(readiness, CHAIN_ID, CONTRACT_ADDRESS));
     } catch (error) {
       setApiHealthy(false);
-      showToast('Indexer API is not available. Some features may not work.', 'warning');
+      setIndexerWarning('Indexer API is not available. Some features may not work.');
+      if (notify) {
+        showToast('Indexer API is not available. Some features may not work.', 'warning');
+      }
+    }
+  };
+
+  // Will data is only served to its testator and beneficiaries, so the indexer needs proof of
+  // the connected account: the wallet signs a Sign-In With Ethereum message once per session
+  const signInToIndexer = async (signer, address) => {
+    try {
+      await apiService.signIn(signer, address);
+    } catch (error) {
+      console.error('Indexer sign-in failed:', error);
+      if (error.code === 'ACTION_REJECTED') {
+        showToast('Signature rejected. Your wills cannot be loaded until you sign in.', 'warning');
+      } else {
+        showToast(`Indexer sign-in failed: ${error.message}`, 'warning');
+      }
     }
   };
 
@@ -56,6 +79,8 @@ export default function App() {
       const network = await provider.getNetwork();
       console.log('Connected to network:', network.name, 'Chain ID:', network.chainId.toString());
 
+      await signInToIndexer(signer, accounts[0]);
+
       setProvider(provider);
       setSigner(signer);
       setContract(contract);
@@ -71,6 +96,7 @@ export default function App() {
   };
 
   const disconnectWallet = () => {
+    apiService.signOut();
     setProvider(null);
     setSigner(null);
     setContract(null);
@@ -79,8 +105,9 @@ export default function App() {
   };
 
   useEffect(() => {
-    // Check API health on startup
+    // Check API health on startup, then keep watching for a stale indexer
     checkApiHealth();
+    const healthTimer = setInterval(() => checkApiHealth(false), HEALTH_CHECK_INTERVAL);
 
     // Check if wallet is already connected
     if (window.ethereum && window.ethereum.selectedAddress) {
@@ -98,6 +125,8 @@ export default function App() {
           const newSigner = await newProvider.getSigner();
           const newContract = new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, newSigner);
 
+          await signInToIndexer(newSigner, accounts[0]);
+
           setProvider(newProvider);
           setSigner(newSigner);
           setContract(newContract);
@@ -113,6 +142,7 @@ export default function App() {
 
     // Cleanup
     return () => {
+      clearInterval(healthTimer);
       if (window.ethereum) {
         window.ethereum.removeAllListeners('accountsChanged');
         window.ethereum.removeAllListeners('chainChanged');
@@ -140,6 +170,11 @@ export default function App() {
   return (
     <div className="min-h-screen bg-gray-50">
       {toast && <Toast {...toast} onClose={() => setToast(null)} />}
+      {indexerWarning && (
+        <div className="bg-yellow-100 border-b border-yellow-300 text-yellow-800 text-sm px-4 py-2 text-center">
+          ⚠️ {indexerWarning}
+        </div>
+      )}
       <Dashboard 
         account={account}
         contract={contract}
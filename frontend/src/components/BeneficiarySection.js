@@ -1,29 +1,24 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { Users, AlertTriangle, Clock, Shield, ChevronDown, ChevronUp, FileText, ExternalLink } from 'lucide-react';
 import apiService from '../services/api';
 import pinataService from '../services/pinataService';
+import ExportWillButton from './ExportWillButton';
+import { canExecuteWill, formatEther } from '../utils/helpers';
 
-const BeneficiarySection = ({ account, contract, beneficiaryWills, showToast, loading, setLoading, refreshData }) => {
+const BeneficiarySection = ({ account, contract, beneficiaryWills, willChange, showToast, loading, setLoading, refreshData }) => {
   const [willDetails, setWillDetails] = useState({});
-  const [willDocuments, setWillDocuments] = useState({});
   const [expandedWill, setExpandedWill] = useState(null);
-  const [loadingDocuments, setLoadingDocuments] = useState({});
 
-  const executeWill = async (testator) => {
+  const executeWill = async (will) => {
     if (!contract) return;
     try {
       setLoading(true);
-      const tx = await contract.executeWill(testator);
+      const tx = await contract.executeWill(will.testator);
       showToast('Executing will...', 'info');
       await tx.wait();
       showToast('Will executed successfully! Funds have been distributed.', 'success');
-      
-      // Refresh data and load documents after execution
-      setTimeout(() => {
-        refreshData();
-        // Reload will details to get updated executed status
-        loadWillDetails(testator.toLowerCase());
-      }, 3000);
+      // Fallback for when the indexer change stream is not connected
+      setTimeout(refreshData, 3000);
     } catch (error) {
       showToast(`Execution failed: ${error.message}`, 'error');
     } finally {
@@ -31,52 +26,15 @@ const BeneficiarySection = ({ account, contract, beneficiaryWills, showToast, lo
     }
   };
 
-  const loadWillDetails = async (willId) => {
+  // Details, vaults and documents of every will come back from a single query
+  const loadWillDetails = useCallback(async () => {
     try {
-      const response = await apiService.getWillDetails(willId);
-      setWillDetails(prev => ({
-        ...prev,
-        [willId]: response.data
-      }));
+      const wills = await apiService.getBeneficiaryOverview(account);
+      setWillDetails(Object.fromEntries(wills.map(will => [will.willId, will])));
     } catch (error) {
       console.error('Failed to load will details:', error);
     }
-  };
-
-  const loadWillDocuments = async (willId) => {
-    // Only load documents if will is executed
-    const details = willDetails[willId];
-    if (!details || !details.executed) return;
-
-    try {
-      setLoadingDocuments(prev => ({ ...prev, [willId]: true }));
-      const response = await apiService.getDocuments(willId);
-      setWillDocuments(prev => ({
-        ...prev,
-        [willId]: response.data.documents || []
-      }));
-    } catch (error) {
-      console.error('Failed to load documents:', error);
-      setWillDocuments(prev => ({
-        ...prev,
-        [willId]: []
-      }));
-    } finally {
-      setLoadingDocuments(prev => ({ ...prev, [willId]: false }));
-    }
-  };
-
-  const canExecuteWill = (will) => {
-    if (will.executed) return false;
-    
-    const details = willDetails[will.willId];
-    if (!details) return false;
-    
-    const now = Math.floor(Date.now() / 1000);
-    const timeSinceLastCheckin = now - (details.lastCheckIn || 0);
-    
-    return timeSinceLastCheckin > details.checkInPeriod;
-  };
+  }, [account]);
 
   const formatTimePeriod = (seconds) => {
     const days = Math.floor(seconds / 86400);
@@ -86,40 +44,35 @@ const BeneficiarySection = ({ account, contract, beneficiaryWills, showToast, lo
   };
 
   const getExecutionStatus = (will) => {
-    if (will.executed) return { status: 'executed', message: 'Will has been executed', color: 'red' };
-    
-    const details = willDetails[will.willId];
-    if (!details) return { status: 'loading', message: 'Loading...', color: 'gray' };
-    
-    const now = Math.floor(Date.now() / 1000);
-    const timeSinceLastCheckin = now - (details.lastCheckIn || 0);
-    const timeUntilExecution = details.checkInPeriod - timeSinceLastCheckin;
-    
-    if (timeUntilExecution <= 0) {
-      return { status: 'executable', message: 'Ready to execute', color: 'orange' };
-    } else {
-      const timeLeft = formatTimePeriod(timeUntilExecution);
-      return { status: 'waiting', message: `Executable in ${timeLeft}`, color: 'green' };
+    switch (will.status) {
+      case 'executed':
+        return { status: 'executed', message: 'Will has been executed', color: 'red' };
+      case 'open-to-beneficiaries':
+        return { status: 'executable', message: 'Ready to execute', color: 'orange' };
+      case 'overdue-guardian-only':
+        return will.isGuardian === 1
+          ? { status: 'executable', message: 'Ready to execute (guardian only)', color: 'orange' }
+          : { status: 'waiting', message: `Guardian window, open to beneficiaries in ${formatTimePeriod(will.disputeEndTime - will.evaluatedAt)}`, color: 'orange' };
+      case 'active':
+        return { status: 'waiting', message: `Check-in due in ${formatTimePeriod(will.checkInDeadline - will.evaluatedAt)}`, color: 'green' };
+      default:
+        return { status: 'loading', message: 'Loading...', color: 'gray' };
     }
   };
 
   useEffect(() => {
-    beneficiaryWills.forEach(will => {
-      if (!willDetails[will.willId]) {
-        loadWillDetails(will.willId);
-      }
-    });
-  }, [beneficiaryWills]);
+    if (beneficiaryWills.length > 0) {
+      loadWillDetails();
+    }
+  }, [beneficiaryWills, loadWillDetails]);
 
-  // Load documents when will details change and will is expanded
+  // Reload as soon as the indexer reports a change to one of the wills (e.g. after execution).
+  // The stream only carries wills of this account, so any will it does not own is one of these
   useEffect(() => {
-    if (expandedWill) {
-      const details = willDetails[expandedWill];
-      if (details && details.executed && !willDocuments[expandedWill]) {
-        loadWillDocuments(expandedWill);
-      }
+    if (willChange && willChange.testator !== account.toLowerCase()) {
+      loadWillDetails();
     }
-  }, [expandedWill, willDetails]);
+  }, [willChange, account, loadWillDetails]);
 
   return (
     <div className="space-y-6">
@@ -138,8 +91,8 @@ const BeneficiarySection = ({ account, contract, beneficiaryWills, showToast, lo
             const details = willDetails[will.willId];
             const executionStatus = getExecutionStatus(will);
             const isExpanded = expandedWill === will.willId;
-            const documents = willDocuments[will.willId] || [];
-            const isLoadingDocs = loadingDocuments[will.willId];
+            const documents = details?.documents || [];
+            const payout = details?.payouts?.find(entry => entry.beneficiary === account.toLowerCase());
             
             return (
               <div key={index} className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
@@ -151,7 +104,7 @@ const BeneficiarySection = ({ account, contract, beneficiaryWills, showToast, lo
                         <h4 className="text-lg font-semibold text-gray-900">
                           Testator: {will.testator}
                         </h4>
-                        {details?.guardian === account && (
+                        {will.isGuardian === 1 && (
                           <span className="text-xs bg-yellow-100 text-yellow-800 px-3 py-1 rounded-full flex items-center font-medium">
                             <Shield className="h-3 w-3 mr-1" />
                             Guardian
@@ -175,9 +128,11 @@ const BeneficiarySection = ({ account, contract, beneficiaryWills, showToast, lo
                         {executionStatus.message}
                       </span>
                       
+                      <ExportWillButton testator={will.testator} showToast={showToast} />
+                      
                       {canExecuteWill(will) && (
                         <button
-                          onClick={() => executeWill(will.testator)}
+                          onClick={() => executeWill(will)}
                           disabled={loading}
                           className="bg-orange-600 text-white px-4 py-2 rounded-lg text-sm hover:bg-orange-700 disabled:opacity-50 flex items-center gap-2 font-medium transition-colors"
                         >
@@ -236,6 +191,14 @@ const BeneficiarySection = ({ account, contract, beneficiaryWills, showToast, lo
                             <p className="text-xs text-gray-600 mb-1">Total Beneficiaries</p>
                             <p className="font-semibold text-gray-900">{details.beneficiaries?.length || 0}</p>
                           </div>
+                          <div className="bg-white p-4 rounded-lg border border-gray-200">
+                            <p className="text-xs text-gray-600 mb-1">Check-in Deadline</p>
+                            <p className="font-semibold text-gray-900">{new Date(details.checkInDeadline * 1000).toLocaleString()}</p>
+                          </div>
+                          <div className="bg-white p-4 rounded-lg border border-gray-200">
+                            <p className="text-xs text-gray-600 mb-1">Dispute Window Ends</p>
+                            <p className="font-semibold text-gray-900">{new Date(details.disputeEndTime * 1000).toLocaleString()}</p>
+                          </div>
                         </div>
                       </div>
                       
@@ -263,8 +226,25 @@ const BeneficiarySection = ({ account, contract, beneficiaryWills, showToast, lo
                         </div>
                       )}
                       
+                      {/* Received Inheritance (recorded by the indexer at execution) */}
+                      {payout && (
+                        <div className="bg-gradient-to-r from-green-50 to-emerald-50 border border-green-200 rounded-lg p-5">
+                          <div className="flex items-center justify-between">
+                            <div>
+                              <p className="text-sm text-green-700 font-medium mb-1">Your Inheritance</p>
+                              <p className="text-xs text-green-600">Paid out at execution for your {payout.share}% share</p>
+                            </div>
+                            <div className="text-right">
+                              <p className="text-2xl font-bold text-green-700">
+                                {formatEther(payout.amount)} ETH
+                              </p>
+                            </div>
+                          </div>
+                        </div>
+                      )}
+
                       {/* Expected Inheritance */}
-                      {details.vaults && details.vaults.length > 0 && (
+                      {!details.executed && details.vaults && details.vaults.length > 0 && (
                         <div className="bg-gradient-to-r from-green-50 to-emerald-50 border border-green-200 rounded-lg p-5">
                           <div className="flex items-center justify-between">
                             <div>
@@ -291,11 +271,7 @@ const BeneficiarySection = ({ account, contract, beneficiaryWills, showToast, lo
                             Testator's Documents ({documents.length})
                           </h5>
                           
-                          {isLoadingDocs ? (
-                            <div className="bg-white rounded-lg border border-gray-200 p-8 text-center">
-                              <p className="text-gray-500">Loading documents...</p>
-                            </div>
-                          ) : documents.length === 0 ? (
+                          {documents.length === 0 ? (
                             <div className="bg-white rounded-lg border border-gray-200 p-8 text-center">
                               <FileText className="mx-auto h-12 w-12 text-gray-400 mb-3" />
                               <p className="text-gray-500">No documents attached to this will</p>
@@ -364,7 +340,7 @@ const BeneficiarySection = ({ account, contract, beneficiaryWills, showToast, lo
                                     </td>
                                     <td className="px-4 py-3 text-sm font-medium text-gray-900">{beneficiary.share}%</td>
                                     <td className="px-4 py-3 text-sm">
-                                      {details.guardian === beneficiary.beneficiary && (
+                                      {beneficiary.isGuardian && (
                                         <span className="inline-flex items-center text-xs bg-yellow-100 text-yellow-800 px-2 py-1 rounded-full">
                                           <Shield className="h-3 w-3 mr-1" />
                                           Guardian
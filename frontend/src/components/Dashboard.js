@@ -1,6 +1,7 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import MyWill from './MyWill';
 import BeneficiarySection from './BeneficiarySection';
+import Statistics from './Statistics';
 import Navbar from './Navbar';
 import Sidebar from './Sidebar';
 import apiService from '../services/api';
@@ -11,8 +12,9 @@ const Dashboard = ({ account, contract, showToast, onDisconnect }) => {
   const [loading, setLoading] = useState(false);
   const [isSidebarOpen, setIsSidebarOpen] = useState(true);
   const [currentView, setCurrentView] = useState('my-will');
+  const [willChange, setWillChange] = useState(null);
 
-  const loadMyWills = async () => {
+  const loadMyWills = useCallback(async () => {
     if (!account) return;
     
     try {
@@ -36,9 +38,9 @@ const Dashboard = ({ account, contract, showToast, onDisconnect }) => {
       // Set empty array on error so UI doesn't break
       setMyWills([]);
     }
-  };
+  }, [account, showToast]);
 
-  const loadBeneficiaryWills = async () => {
+  const loadBeneficiaryWills = useCallback(async () => {
     if (!account) return;
     
     try {
@@ -54,7 +56,7 @@ const Dashboard = ({ account, contract, showToast, onDisconnect }) => {
       // Set empty array on error so UI doesn't break
       setBeneficiaryWills([]);
     }
-  };
+  }, [account, showToast]);
 
   const refreshData = () => {
     loadMyWills();
@@ -67,6 +69,22 @@ const Dashboard = ({ account, contract, showToast, onDisconnect }) => {
     }
   }, [account]);
 
+  // Refresh the affected will as soon as the indexer has applied a change to it
+  useEffect(() => {
+    if (!account) return;
+    
+    const unsubscribe = apiService.subscribeToWillChanges(account, (change) => {
+      if (change.testator === account.toLowerCase()) {
+        loadMyWills();
+      } else {
+        loadBeneficiaryWills();
+      }
+      setWillChange(change);
+    });
+    
+    return unsubscribe;
+  }, [account, loadMyWills, loadBeneficiaryWills]);
+
   const toggleSidebar = () => {
     setIsSidebarOpen(!isSidebarOpen);
   };
@@ -107,6 +125,7 @@ const Dashboard = ({ account, contract, showToast, onDisconnect }) => {
                 account={account}
                 contract={contract}
                 beneficiaryWills={beneficiaryWills}
+                willChange={willChange}
                 showToast={showToast}
                 loading={loading}
                 setLoading={setLoading}
@@ -116,6 +135,19 @@ const Dashboard = ({ account, contract, showToast, onDisconnect }) => {
           </>
         );
       
+      case 'statistics':
+        return (
+          <>
+            <div className="mb-6">
+              <h2 className="text-2xl font-bold text-gray-900">Statistics</h2>
+              <p className="text-gray-600 mt-1">Activity and value locked across all wills on this contract</p>
+            </div>
+            <div className="max-w-8xl">
+              <Statistics showToast={showToast} />
+            </div>
+          </>
+        );
+      
       case 'settings':
         return (
           <>
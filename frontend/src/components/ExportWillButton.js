@@ -0,0 +1,62 @@
+import React, { useState } from 'react';
+import { Download, ChevronDown } from 'lucide-react';
+import apiService from '../services/api';
+import { downloadBlob } from '../utils/helpers';
+import { CHAIN_ID } from '../config/constants';
+
+const EXPORT_FORMATS = [
+  { format: 'json', label: 'JSON' },
+  { format: 'csv', label: 'CSV (spreadsheet)' },
+];
+
+// "Export" action downloading everything the indexer holds about a will: beneficiaries,
+// guardian, periods, vault balances, documents and the full event history
+const ExportWillButton = ({ testator, showToast }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [exporting, setExporting] = useState(false);
+
+  const exportWill = async (format) => {
+    setIsOpen(false);
+    try {
+      setExporting(true);
+      const blob = await apiService.exportWill(testator, format);
+      downloadBlob(blob, `will-${CHAIN_ID}-${testator.toLowerCase()}.${format}`);
+      showToast('Will exported', 'success');
+    } catch (error) {
+      console.error('Failed to export will:', error);
+      showToast(`Export failed: ${error.message}`, 'error');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="relative inline-block">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        disabled={exporting}
+        className="bg-white border border-gray-300 text-gray-700 px-3 py-1 rounded text-sm hover:bg-gray-50 disabled:opacity-50 flex items-center gap-1"
+      >
+        <Download className="h-4 w-4" />
+        {exporting ? 'Exporting...' : 'Export'}
+        <ChevronDown className="h-3 w-3" />
+      </button>
+      
+      {isOpen && (
+        <div className="absolute right-0 mt-1 w-44 bg-white border border-gray-200 rounded-lg shadow-lg z-10">
+          {EXPORT_FORMATS.map(({ format, label }) => (
+            <button
+              key={format}
+              onClick={() => exportWill(format)}
+              className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100 first:rounded-t-lg last:rounded-b-lg"
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportWillButton;
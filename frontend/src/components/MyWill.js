@@ -3,7 +3,9 @@ import { Shield, Clock, Vault, Users, Plus, Trash2, ArrowDownToLine, Send, Edit,
 import { ethers } from 'ethers';
 import apiService from '../services/api';
 import pinataService from '../services/pinataService';
-import { DEFAULT_PERIODS } from '../config/constants';
+import ExportWillButton from './ExportWillButton';
+import { DEFAULT_PERIODS, WILL_STATUS_LABELS, WILL_STATUS_STYLES } from '../config/constants';
+import { formatAddress, formatTimestamp } from '../utils/helpers';
 
 const MyWill = ({ account, contract, myWills, showToast, loading, setLoading, refreshData }) => {
   const [selectedWill, setSelectedWill] = useState(null);
@@ -15,6 +17,8 @@ const MyWill = ({ account, contract, myWills, showToast, loading, setLoading, re
   const [depositAmount, setDepositAmount] = useState('');
   const [withdrawAmount, setWithdrawAmount] = useState('');
   const [documents, setDocuments] = useState([]);
+  const [vaultHistory, setVaultHistory] = useState([]);
+  const [historyRange, setHistoryRange] = useState({ from: '', to: '' });
   const [uploadingFile, setUploadingFile] = useState(false);
   const [selectedDocumentType, setSelectedDocumentType] = useState('property');
   const fileInputRef = useRef(null);
@@ -24,6 +28,9 @@ const MyWill = ({ account, contract, myWills, showToast, loading, setLoading, re
     if (myWills.length > 0 && !selectedWill) {
       console.log('Setting selected will to:', myWills[0]);
       setSelectedWill(myWills[0]);
+    } else if (myWills.length > 0) {
+      // Pick up the refreshed copy so details reload after the indexer reports a change
+      setSelectedWill(myWills.find(will => will.willId === selectedWill.willId) || myWills[0]);
     } else if (myWills.length === 0) {
       console.log('No wills found, clearing selected will');
       setSelectedWill(null);
@@ -34,10 +41,30 @@ const MyWill = ({ account, contract, myWills, showToast, loading, setLoading, re
   useEffect(() => {
     if (selectedWill) {
       loadWillDetails();
-      loadDocuments();
     }
   }, [selectedWill]);
 
+  useEffect(() => {
+    if (!selectedWill) return;
+    
+    const loadVaultHistory = async () => {
+      try {
+        // Date inputs are local calendar days; the range includes the whole "to" day
+        const params = {};
+        if (historyRange.from) params.from = Math.floor(new Date(`${historyRange.from}T00:00:00`).getTime() / 1000);
+        if (historyRange.to) params.to = Math.floor(new Date(`${historyRange.to}T23:59:59`).getTime() / 1000);
+        
+        const response = await apiService.getVaultHistory(selectedWill.testator, params);
+        setVaultHistory(response.data.transactions || []);
+      } catch (error) {
+        console.error('Failed to load vault history:', error);
+        setVaultHistory([]);
+      }
+    };
+    
+    loadVaultHistory();
+  }, [selectedWill, historyRange]);
+
   const loadWillDetails = async () => {
     if (!selectedWill) {
       console.log('No selected will, skipping details load');
@@ -46,16 +73,17 @@ const MyWill = ({ account, contract, myWills, showToast, loading, setLoading, re
     
     try {
       console.log('Loading details for will:', selectedWill.willId);
-      const response = await apiService.getWillDetails(selectedWill.willId);
-      console.log('Will details response:', response);
-      
-      setWillDetails(response.data);
+      const will = await apiService.getWillOverview(selectedWill.testator);
+      console.log('Will overview response:', will);
       
-      const vaultResponse = await apiService.getVaultBalances(selectedWill.willId);
-      console.log('Vault balances response:', vaultResponse);
+      setWillDetails(will);
       
-      const balances = vaultResponse.data.vaults || { locked: '0', flexible: '0' };
+      const balances = { locked: '0', flexible: '0' };
+      (will?.vaults || []).forEach(vault => {
+        balances[vault.vaultType] = vault.balance;
+      });
       setVaultBalances(balances);
+      setDocuments(will?.documents || []);
       
     } catch (error) {
       console.error('Failed to load will details:', error);
@@ -63,19 +91,9 @@ const MyWill = ({ account, contract, myWills, showToast, loading, setLoading, re
     }
   };
 
-  const loadDocuments = async () => {
-    if (!account) return;
-    
-    try {
-      const response = await apiService.getDocuments(account);
-      console.log('Loaded documents from API:', response);
-      setDocuments(response.data.documents || []);
-    } catch (error) {
-      console.error('Failed to load documents:', error);
-      // Fallback to empty array on error
-      setDocuments([]);
-    }
-  };
+  // Fallback for when the indexer change stream is not connected: reload once the
+  // indexer has had time to pick up the transaction
+  const refreshAfterIndexing = () => setTimeout(refreshData, 3000);
 
   const handleFileUpload = async (event) => {
     const file = event.target.files[0];
@@ -118,10 +136,7 @@ const MyWill = ({ account, contract, myWills, showToast, loading, setLoading, re
       if (fileInputRef.current) {
         fileInputRef.current.value = '';
       }
-
-      // Reload documents after indexer processes the event
-      setTimeout(() => loadDocuments(), 3000);
-
+      refreshAfterIndexing();
     } catch (error) {
       console.error('File upload error:', error);
       showToast(`Failed to upload document: ${error.message}`, 'error');
@@ -144,8 +159,7 @@ const MyWill = ({ account, contract, myWills, showToast, loading, setLoading, re
       
       // Optionally unpin from Pinata (requires additional setup)
       // await pinataService.unpinFile(ipfsHash);
-
-      setTimeout(() => loadDocuments(), 3000);
+      refreshAfterIndexing();
     } catch (error) {
       console.error('Remove document error:', error);
       showToast(`Failed to remove document: ${error.message}`, 'error');
@@ -179,12 +193,7 @@ const MyWill = ({ account, contract, myWills, showToast, loading, setLoading, re
       console.log('Transaction confirmed:', receipt);
       
       showToast('Will created successfully!', 'success');
-      
-      setTimeout(async () => {
-        console.log('Refreshing data after will creation...');
-        await refreshData();
-      }, 3000);
-      
+      refreshAfterIndexing();
     } catch (error) {
       console.error('Create will error:', error);
       showToast(`Failed to create will: ${error.message}`, 'error');
@@ -201,10 +210,7 @@ const MyWill = ({ account, contract, myWills, showToast, loading, setLoading, re
       showToast('Processing check-in...', 'info');
       await tx.wait();
       showToast('Check-in completed successfully!', 'success');
-      setTimeout(() => {
-        loadWillDetails();
-        refreshData();
-      }, 2000);
+      refreshAfterIndexing();
     } catch (error) {
       showToast(`Check-in failed: ${error.message}`, 'error');
     } finally {
@@ -232,7 +238,7 @@ const MyWill = ({ account, contract, myWills, showToast, loading, setLoading, re
       await tx.wait();
       showToast('Beneficiary added successfully!', 'success');
       setBeneficiaryForm({ address: '', share: 0, isGuardian: false });
-      setTimeout(() => loadWillDetails(), 2000);
+      refreshAfterIndexing();
     } catch (error) {
       showToast(`Failed to add beneficiary: ${error.message}`, 'error');
     } finally {
@@ -248,7 +254,7 @@ const MyWill = ({ account, contract, myWills, showToast, loading, setLoading, re
       showToast('Removing beneficiary...', 'info');
       await tx.wait();
       showToast('Beneficiary removed successfully!', 'success');
-      setTimeout(() => loadWillDetails(), 2000);
+      refreshAfterIndexing();
     } catch (error) {
       showToast(`Failed to remove beneficiary: ${error.message}`, 'error');
     } finally {
@@ -264,7 +270,7 @@ const MyWill = ({ account, contract, myWills, showToast, loading, setLoading, re
       showToast('Updating beneficiary...', 'info');
       await tx.wait();
       showToast('Beneficiary updated successfully!', 'success');
-      setTimeout(() => loadWillDetails(), 2000);
+      refreshAfterIndexing();
     } catch (error) {
       showToast(`Failed to update beneficiary: ${error.message}`, 'error');
     } finally {
@@ -288,7 +294,7 @@ const MyWill = ({ account, contract, myWills, showToast, loading, setLoading, re
       await tx.wait();
       showToast(`Successfully deposited ${depositAmount} ETH to locked vault!`, 'success');
       setDepositAmount('');
-      setTimeout(() => loadWillDetails(), 2000);
+      refreshAfterIndexing();
     } catch (error) {
       showToast(`Deposit failed: ${error.message}`, 'error');
     } finally {
@@ -312,7 +318,7 @@ const MyWill = ({ account, contract, myWills, showToast, loading, setLoading, re
       await tx.wait();
       showToast(`Successfully deposited ${depositAmount} ETH to flexible vault!`, 'success');
       setDepositAmount('');
-      setTimeout(() => loadWillDetails(), 2000);
+      refreshAfterIndexing();
     } catch (error) {
       showToast(`Deposit failed: ${error.message}`, 'error');
     } finally {
@@ -343,7 +349,7 @@ const MyWill = ({ account, contract, myWills, showToast, loading, setLoading, re
       await tx.wait();
       showToast(`Successfully withdrew ${withdrawAmount} ETH from flexible vault!`, 'success');
       setWithdrawAmount('');
-      setTimeout(() => loadWillDetails(), 2000);
+      refreshAfterIndexing();
     } catch (error) {
       showToast(`Withdrawal failed: ${error.message}`, 'error');
     } finally {
@@ -493,13 +499,22 @@ const MyWill = ({ account, contract, myWills, showToast, loading, setLoading, re
             <div className="bg-gray-50 rounded-lg p-4">
               <div className="flex justify-between items-center mb-2">
                 <span className="text-sm text-gray-600">Status</span>
-                <span className={`px-2 py-1 rounded text-xs ${selectedWill?.executed ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'}`}>
-                  {selectedWill?.executed ? 'Executed' : 'Active'}
-                </span>
+                <div className="flex items-center gap-2">
+                  <span className={`px-2 py-1 rounded text-xs ${WILL_STATUS_STYLES[selectedWill?.status] || 'bg-gray-100 text-gray-800'}`}>
+                    {WILL_STATUS_LABELS[selectedWill?.status] || 'Unknown'}
+                  </span>
+                  {selectedWill && <ExportWillButton testator={selectedWill.testator} showToast={showToast} />}
+                </div>
               </div>
               <div className="text-sm text-gray-600 space-y-1">
                 <p>Check-in Period: {Math.floor(selectedWill?.checkInPeriod / 3600)} hours</p>
                 <p>Last Check-in: {selectedWill?.lastCheckIn ? new Date(selectedWill.lastCheckIn * 1000).toLocaleString() : 'Never'}</p>
+                {selectedWill && !selectedWill.executed && (
+                  <>
+                    <p>Check-in Deadline: {new Date(selectedWill.checkInDeadline * 1000).toLocaleString()}</p>
+                    <p>Dispute Window Ends: {new Date(selectedWill.disputeEndTime * 1000).toLocaleString()}</p>
+                  </>
+                )}
               </div>
               {!selectedWill?.executed && (
                 <button
@@ -622,6 +637,63 @@ const MyWill = ({ account, contract, myWills, showToast, loading, setLoading, re
                   </span>
                 </p>
               </div>
+              
+              {/* Transaction History */}
+              <div className="space-y-2">
+                <div className="flex items-center justify-between">
+                  <p className="text-sm font-medium text-gray-700">Transaction History</p>
+                  <div className="flex items-center gap-2 text-xs">
+                    <input
+                      type="date"
+                      value={historyRange.from}
+                      onChange={(e) => setHistoryRange({ ...historyRange, from: e.target.value })}
+                      className="border rounded px-2 py-1"
+                    />
+                    <span className="text-gray-500">to</span>
+                    <input
+                      type="date"
+                      value={historyRange.to}
+                      onChange={(e) => setHistoryRange({ ...historyRange, to: e.target.value })}
+                      className="border rounded px-2 py-1"
+                    />
+                  </div>
+                </div>
+                
+                {vaultHistory.length === 0 ? (
+                  <p className="text-sm text-gray-500 text-center py-4">No vault transactions in this period</p>
+                ) : (
+                  <div className="overflow-x-auto border rounded-lg">
+                    <table className="min-w-full text-sm">
+                      <thead className="bg-gray-50 text-xs text-gray-600">
+                        <tr>
+                          <th className="px-3 py-2 text-left">Date</th>
+                          <th className="px-3 py-2 text-left">Vault</th>
+                          <th className="px-3 py-2 text-left">Type</th>
+                          <th className="px-3 py-2 text-right">Amount</th>
+                          <th className="px-3 py-2 text-right">Balance</th>
+                          <th className="px-3 py-2 text-left">Tx</th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y">
+                        {vaultHistory.map((transaction) => (
+                          <tr key={`${transaction.txHash}-${transaction.logIndex}`}>
+                            <td className="px-3 py-2 whitespace-nowrap">{formatTimestamp(transaction.blockTimestamp)}</td>
+                            <td className="px-3 py-2 capitalize">{transaction.vaultType}</td>
+                            <td className={`px-3 py-2 ${transaction.transactionType === 'deposit' ? 'text-green-700' : 'text-yellow-700'}`}>
+                              {transaction.transactionType === 'deposit' ? 'Deposit' : 'Withdrawal'}
+                            </td>
+                            <td className="px-3 py-2 text-right">
+                              {transaction.transactionType === 'deposit' ? '+' : '-'}{formatEther(transaction.amount)} ETH
+                            </td>
+                            <td className="px-3 py-2 text-right">{formatEther(transaction.balanceAfter)} ETH</td>
+                            <td className="px-3 py-2 font-mono text-xs" title={transaction.txHash}>{formatAddress(transaction.txHash)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
             </div>
 
             {/* Documents Section */}
@@ -769,9 +841,9 @@ const MyWill = ({ account, contract, myWills, showToast, loading, setLoading, re
                         <label className="flex items-center text-sm">
                           <input
                             type="checkbox"
-                            defaultChecked={willDetails.guardian === beneficiary.beneficiary}
+                            defaultChecked={beneficiary.isGuardian}
                             ref={(input) => {
-                              if (input) input.isGuardian = willDetails.guardian === beneficiary.beneficiary;
+                              if (input) input.isGuardian = beneficiary.isGuardian;
                             }}
                             onChange={(e) => {
                               e.target.isGuardian = e.target.checked;
@@ -805,7 +877,7 @@ const MyWill = ({ account, contract, myWills, showToast, loading, setLoading, re
                         <p className="font-medium text-sm">{beneficiary.beneficiary}</p>
                         <p className="text-sm text-gray-600">
                           {beneficiary.share}% 
-                          {willDetails.guardian === beneficiary.beneficiary && (
+                          {beneficiary.isGuardian && (
                             <span className="ml-2 text-xs bg-yellow-100 text-yellow-800 px-2 py-1 rounded">Guardian</span>
                           )}
                         </p>
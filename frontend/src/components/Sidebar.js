@@ -1,10 +1,11 @@
 import React from 'react';
-import { Home, FileText, Users, Settings } from 'lucide-react';
+import { Home, FileText, Users, TrendingUp, Settings } from 'lucide-react';
 
 const Sidebar = ({ isOpen, currentView, setCurrentView }) => {
   const menuItems = [
     { id: 'my-will', label: 'My Will', icon: FileText },
     { id: 'beneficiary', label: 'As Beneficiary', icon: Users },
+    { id: 'statistics', label: 'Statistics', icon: TrendingUp },
     { id: 'settings', label: 'Settings', icon: Settings },
   ];
 
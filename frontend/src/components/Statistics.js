@@ -0,0 +1,231 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FileText, Users, Shield, Vault, RefreshCw } from 'lucide-react';
+import LoadingSpinner from './LoadingSpinner';
+import apiService from '../services/api';
+import { STATS_HISTORY_RANGES } from '../config/constants';
+import { formatEther } from '../utils/helpers';
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 180;
+const CHART_PADDING = 24;
+
+// Wei strings are exact; charts only need them roughly, in ETH
+const toEther = (wei) => Number(formatEther(wei));
+
+const formatAxisValue = (value) => {
+  if (value >= 1000) return `${(value / 1000).toFixed(1)}k`;
+  return Number.isInteger(value) ? String(value) : value.toFixed(2);
+};
+
+const ChartLegend = ({ series }) => (
+  <div className="flex flex-wrap gap-4 mt-2">
+    {series.map((item) => (
+      <div key={item.key} className="flex items-center text-xs text-gray-600">
+        <span className={`inline-block w-3 h-3 rounded-sm mr-1 ${item.swatch}`} />
+        {item.label}
+      </div>
+    ))}
+  </div>
+);
+
+// First, middle and last day under the plot
+const ChartAxis = ({ buckets, maxValue, x }) => {
+  const labelled = [...new Set([0, Math.floor((buckets.length - 1) / 2), buckets.length - 1])];
+
+  return (
+    <>
+      <line x1={CHART_PADDING} y1={CHART_HEIGHT - CHART_PADDING} x2={CHART_WIDTH} y2={CHART_HEIGHT - CHART_PADDING} className="stroke-gray-300" />
+      <text x={CHART_PADDING - 4} y={10} textAnchor="end" className="fill-gray-500 text-[10px]">{formatAxisValue(maxValue)}</text>
+      <text x={CHART_PADDING - 4} y={CHART_HEIGHT - CHART_PADDING} textAnchor="end" className="fill-gray-500 text-[10px]">0</text>
+      {labelled.map((index) => (
+        <text key={index} x={x(index)} y={CHART_HEIGHT - 6} textAnchor="middle" className="fill-gray-500 text-[10px]">
+          {buckets[index].date}
+        </text>
+      ))}
+    </>
+  );
+};
+
+// One group of bars per day, one bar per series
+const BarChart = ({ buckets, series }) => {
+  const maxValue = Math.max(1, ...buckets.flatMap(bucket => series.map(item => item.value(bucket))));
+  const plotWidth = CHART_WIDTH - CHART_PADDING;
+  const plotHeight = CHART_HEIGHT - 2 * CHART_PADDING;
+  const groupWidth = plotWidth / buckets.length;
+  const barWidth = Math.max(1, (groupWidth * 0.8) / series.length);
+  const x = (index) => CHART_PADDING + groupWidth * (index + 0.5);
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-48">
+        <ChartAxis buckets={buckets} maxValue={maxValue} x={x} />
+        {buckets.map((bucket, index) => series.map((item, seriesIndex) => {
+          const height = (item.value(bucket) / maxValue) * plotHeight;
+          return (
+            <rect
+              key={`${bucket.date}-${item.key}`}
+              x={CHART_PADDING + groupWidth * index + groupWidth * 0.1 + barWidth * seriesIndex}
+              y={CHART_HEIGHT - CHART_PADDING - height}
+              width={barWidth}
+              height={height}
+              className={item.fill}
+            >
+              <title>{`${bucket.date}: ${item.label} ${formatAxisValue(item.value(bucket))}`}</title>
+            </rect>
+          );
+        }))}
+      </svg>
+      <ChartLegend series={series} />
+    </div>
+  );
+};
+
+// One line per series across the days
+const LineChart = ({ buckets, series }) => {
+  const maxValue = Math.max(1e-9, ...buckets.flatMap(bucket => series.map(item => item.value(bucket))));
+  const plotWidth = CHART_WIDTH - CHART_PADDING;
+  const plotHeight = CHART_HEIGHT - 2 * CHART_PADDING;
+  const x = (index) => CHART_PADDING + (buckets.length > 1 ? (plotWidth * index) / (buckets.length - 1) : plotWidth / 2);
+  const y = (value) => CHART_HEIGHT - CHART_PADDING - (value / maxValue) * plotHeight;
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-48">
+        <ChartAxis buckets={buckets} maxValue={maxValue} x={x} />
+        {series.map((item) => (
+          <polyline
+            key={item.key}
+            points={buckets.map((bucket, index) => `${x(index)},${y(item.value(bucket))}`).join(' ')}
+            fill="none"
+            strokeWidth="2"
+            className={item.stroke}
+          />
+        ))}
+      </svg>
+      <ChartLegend series={series} />
+    </div>
+  );
+};
+
+const ChartCard = ({ title, children }) => (
+  <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+    <h3 className="font-semibold text-gray-900 mb-4">{title}</h3>
+    {children}
+  </div>
+);
+
+const StatCard = ({ label, value, icon: Icon }) => (
+  <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+    <div className="flex items-center justify-between mb-2">
+      <p className="text-sm font-medium text-gray-600">{label}</p>
+      <Icon className="h-4 w-4 text-gray-400" />
+    </div>
+    <p className="text-2xl font-bold text-gray-900">{value}</p>
+  </div>
+);
+
+const Statistics = ({ showToast }) => {
+  const [days, setDays] = useState(30);
+  const [stats, setStats] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const loadStatistics = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [statsResponse, historyResponse] = await Promise.all([
+        apiService.getStats(),
+        apiService.getStatsHistory({ days })
+      ]);
+      setStats(statsResponse.data);
+      setHistory(historyResponse.data || []);
+    } catch (error) {
+      console.error('Failed to load statistics:', error);
+      showToast(`Failed to load statistics: ${error.message}`, 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [days, showToast]);
+
+  useEffect(() => {
+    loadStatistics();
+  }, [loadStatistics]);
+
+  if (loading && !stats) {
+    return <LoadingSpinner message="Loading statistics..." />;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div className="flex gap-2">
+          {STATS_HISTORY_RANGES.map((range) => (
+            <button
+              key={range}
+              onClick={() => setDays(range)}
+              className={`px-3 py-1 text-sm rounded-lg ${
+                days === range ? 'bg-blue-600 text-white' : 'bg-white border border-gray-300 text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {range} days
+            </button>
+          ))}
+        </div>
+        <button
+          onClick={loadStatistics}
+          disabled={loading}
+          className="flex items-center text-sm text-gray-600 hover:text-gray-900 disabled:opacity-50"
+        >
+          <RefreshCw className={`h-4 w-4 mr-1 ${loading ? 'animate-spin' : ''}`} />
+          Refresh
+        </button>
+      </div>
+
+      {stats && (
+        <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+          <StatCard label="Active Wills" value={stats.activeWills} icon={FileText} />
+          <StatCard label="Executed Wills" value={stats.executedWills} icon={Users} />
+          <StatCard label="Locked Vaults" value={`${formatEther(stats.totalVaultValue.locked)} ETH`} icon={Shield} />
+          <StatCard label="Flexible Vaults" value={`${formatEther(stats.totalVaultValue.flexible)} ETH`} icon={Vault} />
+        </div>
+      )}
+
+      {history.length > 0 && (
+        <>
+          <ChartCard title="Value Locked (ETH)">
+            <LineChart
+              buckets={history}
+              series={[
+                { key: 'locked', label: 'Locked vaults', stroke: 'stroke-blue-500', swatch: 'bg-blue-500', value: bucket => toEther(bucket.valueLocked.locked) },
+                { key: 'flexible', label: 'Flexible vaults', stroke: 'stroke-green-500', swatch: 'bg-green-500', value: bucket => toEther(bucket.valueLocked.flexible) },
+              ]}
+            />
+          </ChartCard>
+
+          <ChartCard title="Will Activity">
+            <BarChart
+              buckets={history}
+              series={[
+                { key: 'willsCreated', label: 'Wills created', fill: 'fill-blue-500', swatch: 'bg-blue-500', value: bucket => bucket.willsCreated },
+                { key: 'checkIns', label: 'Check-ins', fill: 'fill-green-500', swatch: 'bg-green-500', value: bucket => bucket.checkIns },
+                { key: 'executions', label: 'Executions', fill: 'fill-red-500', swatch: 'bg-red-500', value: bucket => bucket.executions },
+              ]}
+            />
+          </ChartCard>
+
+          <ChartCard title="Deposits and Withdrawals (ETH)">
+            <BarChart
+              buckets={history}
+              series={[
+                { key: 'deposits', label: 'Deposits', fill: 'fill-green-500', swatch: 'bg-green-500', value: bucket => toEther(bucket.deposits.amount) },
+                { key: 'withdrawals', label: 'Withdrawals', fill: 'fill-orange-500', swatch: 'bg-orange-500', value: bucket => toEther(bucket.withdrawals.amount) },
+              ]}
+            />
+          </ChartCard>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Statistics;
@@ -1,5 +1,10 @@
-export const CONTRACT_ADDRESS = '0x5fbdb2315678afecb367f032d93f642f64180aa3';
-export const INDEXER_API = 'http://localhost:3001';
+export const CHAIN_ID = Number(process.env.REACT_APP_CHAIN_ID || 31337);
+export const CONTRACT_ADDRESS = (process.env.REACT_APP_CONTRACT_ADDRESS || '0x5fbdb2315678afecb367f032d93f642f64180aa3').toLowerCase();
+export const INDEXER_API = process.env.REACT_APP_INDEXER_API || 'http://localhost:3001';
+// How often the indexer's readiness is re-checked for the staleness banner (ms)
+export const HEALTH_CHECK_INTERVAL = 30000;
+// Ranges offered on the statistics page (days)
+export const STATS_HISTORY_RANGES = [7, 30, 90, 365];
 
 export const CONTRACT_ABI = [
   'function createWill(uint256 checkInPeriod, uint256 disputePeriod)',
@@ -25,3 +30,18 @@ export const DEFAULT_PERIODS = {
   disputeUnit: 'days',
   disputePeriod: 7 * 86400,
 };
+
+// Will lifecycle statuses computed by the indexer
+export const WILL_STATUS_LABELS = {
+  'active': 'Active',
+  'overdue-guardian-only': 'Overdue (guardian only)',
+  'open-to-beneficiaries': 'Open to beneficiaries',
+  'executed': 'Executed',
+};
+
+export const WILL_STATUS_STYLES = {
+  'active': 'bg-green-100 text-green-800',
+  'overdue-guardian-only': 'bg-yellow-100 text-yellow-800',
+  'open-to-beneficiaries': 'bg-orange-100 text-orange-800',
+  'executed': 'bg-red-100 text-red-800',
+};
@@ -1,13 +1,55 @@
-import { INDEXER_API } from '../config/constants';
+import { ethers } from 'ethers';
+import { INDEXER_API, CHAIN_ID, CONTRACT_ADDRESS } from '../config/constants';
+import { createSiweMessage } from '../utils/helpers';
+
+// Will routes are namespaced by the deployment the app is configured for
+const DEPLOYMENT_PREFIX = `/chains/${CHAIN_ID}/contracts/${CONTRACT_ADDRESS}`;
+
+// Sessions are remembered per address so reloading the page does not ask for a new signature
+const sessionStorageKey = (address) => `indexer-session:${address.toLowerCase()}`;
+
+const SIGN_IN_STATEMENT = 'Sign in to the Decentralized Will indexer to view your wills.';
+
+// Everything the will views show, fetched in a single GraphQL round trip instead of
+// separate details, vaults and documents requests per will
+const WILL_FIELDS = `
+  willId: id
+  testator
+  guardian
+  checkInPeriod
+  disputePeriod
+  lastCheckIn
+  executed
+  totalValue
+  status
+  checkInDeadline
+  disputeEndTime
+  beneficiaries { beneficiary: address share isGuardian }
+  vaults { vaultType balance }
+  documents { ipfsHash fileName documentType uploadedAt }
+  payouts { beneficiary share amount }
+`;
 
 class ApiService {
-  async request(endpoint) {
+  // Sign-In With Ethereum session ({ token, address, chainId, expiresAt }) of the connected account
+  session = null;
+
+  authHeaders() {
+    return this.session ? { Authorization: `Bearer ${this.session.token}` } : {};
+  }
+
+  async request(endpoint, options = {}) {
     try {
       console.log(`Making API request to: ${INDEXER_API}${endpoint}`);
-      const response = await fetch(`${INDEXER_API}${endpoint}`);
+      const response = await fetch(`${INDEXER_API}${endpoint}`, {
+        ...options,
+        headers: { ...this.authHeaders(), ...options.headers }
+      });
       
       if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        // Error bodies say why (e.g. not signed in, or not a party to the will)
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
       }
       
       const data = await response.json();
@@ -30,57 +72,260 @@ class ApiService {
     }
   }
 
+  async graphql(query, variables = {}) {
+    try {
+      const response = await fetch(`${INDEXER_API}${DEPLOYMENT_PREFIX}/graphql`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...this.authHeaders() },
+        body: JSON.stringify({ query, variables })
+      });
+      
+      const result = await response.json();
+      
+      if (result.errors && result.errors.length > 0) {
+        throw new Error(result.errors.map(error => error.message).join('; '));
+      }
+      
+      return result.data;
+    } catch (error) {
+      console.error('GraphQL Error:', error);
+      
+      if (error.name === 'TypeError' && error.message.includes('fetch')) {
+        throw new Error('Cannot connect to indexer API. Make sure it\'s running on http://localhost:3001');
+      }
+      
+      throw error;
+    }
+  }
+
+  // Sign in with the connected wallet: the indexer hands out a nonce, the wallet signs a
+  // Sign-In With Ethereum message containing it, and the indexer answers with a session
+  // token sent with every later request. A stored session still known to the indexer is
+  // reused without asking for another signature.
+  async signIn(signer, address) {
+    const stored = JSON.parse(localStorage.getItem(sessionStorageKey(address)) || 'null');
+    this.session = null;
+    
+    if (stored && stored.expiresAt > Date.now() / 1000) {
+      this.session = stored;
+      try {
+        await this.request('/auth/session');
+        return stored;
+      } catch (error) {
+        this.session = null;
+        localStorage.removeItem(sessionStorageKey(address));
+      }
+    }
+    
+    const { data: { nonce } } = await this.request('/auth/nonce');
+    const message = createSiweMessage({
+      domain: window.location.host,
+      address: ethers.getAddress(address),
+      statement: SIGN_IN_STATEMENT,
+      uri: window.location.origin,
+      chainId: CHAIN_ID,
+      nonce
+    });
+    const signature = await signer.signMessage(message);
+    
+    const { data } = await this.request('/auth/verify', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message, signature })
+    });
+    
+    this.session = data;
+    localStorage.setItem(sessionStorageKey(address), JSON.stringify(data));
+    return data;
+  }
+
+  // End the session on the indexer and forget it locally
+  async signOut() {
+    if (!this.session) return;
+    
+    const { address } = this.session;
+    try {
+      await this.request('/auth/logout', { method: 'POST' });
+    } catch (error) {
+      console.warn('Indexer sign-out failed:', error);
+    } finally {
+      this.session = null;
+      localStorage.removeItem(sessionStorageKey(address));
+    }
+  }
+
   // Health check
   async getHealth() {
     return this.request('/health');
   }
 
+  // Readiness report (chain connection, sync lag, last event time). The indexer answers
+  // 503 with the same report while it is stale, so that is returned rather than thrown
+  async getReadiness() {
+    try {
+      const response = await fetch(`${INDEXER_API}/health/ready`);
+      const data = await response.json();
+      
+      if (!data.data) {
+        throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+      }
+      
+      return data.data;
+    } catch (error) {
+      console.error('Readiness check failed:', error);
+      
+      if (error.name === 'TypeError' && error.message.includes('fetch')) {
+        throw new Error('Cannot connect to indexer API. Make sure it\'s running on http://localhost:3001');
+      }
+      
+      throw error;
+    }
+  }
+
+  // List every will on the deployment. params: status, executed, hasGuardian, documentType,
+  // minBalance, sort (createdAt | lastCheckIn | totalValue), order, limit, cursor
+  async listWills(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return this.request(`${DEPLOYMENT_PREFIX}/wills${query ? `?${query}` : ''}`);
+  }
+
   // Get wills by testator  
   async getWillsByTestator(testator) {
     if (!testator) throw new Error('Testator address is required');
-    return this.request(`/wills/${testator.toLowerCase()}`);
+    return this.request(`${DEPLOYMENT_PREFIX}/wills/${testator.toLowerCase()}`);
   }
 
   // Get wills where user is beneficiary
   async getWillsByBeneficiary(beneficiary) {
     if (!beneficiary) throw new Error('Beneficiary address is required');
-    return this.request(`/wills/beneficiary/${beneficiary.toLowerCase()}`);
+    return this.request(`${DEPLOYMENT_PREFIX}/wills/beneficiary/${beneficiary.toLowerCase()}`);
   }
 
   // Get full will details
-  async getWillDetails(willId) {
-    if (!willId) throw new Error('Will ID is required');
-    return this.request(`/will/${willId.toLowerCase()}`);
+  async getWillDetails(testator) {
+    if (!testator) throw new Error('Testator address is required');
+    return this.request(`${DEPLOYMENT_PREFIX}/will/${testator.toLowerCase()}`);
+  }
+
+  // Get the on-chain event history of a will
+  async getWillEvents(testator) {
+    if (!testator) throw new Error('Testator address is required');
+    return this.request(`${DEPLOYMENT_PREFIX}/will/${testator.toLowerCase()}/events`);
   }
 
   // Get beneficiary wills and shares
   async getBeneficiaryWills(beneficiary) {
     if (!beneficiary) throw new Error('Beneficiary address is required');
-    return this.request(`/beneficiaries/${beneficiary.toLowerCase()}`);
+    return this.request(`${DEPLOYMENT_PREFIX}/beneficiaries/${beneficiary.toLowerCase()}`);
+  }
+
+  // Get what an address inherited from executed wills
+  async getPayouts(beneficiary) {
+    if (!beneficiary) throw new Error('Beneficiary address is required');
+    return this.request(`${DEPLOYMENT_PREFIX}/payouts/${beneficiary.toLowerCase()}`);
+  }
+
+  // Get the payouts of an executed will
+  async getWillPayouts(testator) {
+    if (!testator) throw new Error('Testator address is required');
+    return this.request(`${DEPLOYMENT_PREFIX}/will/${testator.toLowerCase()}/payouts`);
   }
 
   // Get vault balances
-  async getVaultBalances(willId) {
-    if (!willId) throw new Error('Will ID is required');
-    return this.request(`/vaults/${willId.toLowerCase()}`);
+  async getVaultBalances(testator) {
+    if (!testator) throw new Error('Testator address is required');
+    return this.request(`${DEPLOYMENT_PREFIX}/vaults/${testator.toLowerCase()}`);
+  }
+
+  // Get the deposit/withdrawal ledger of a will's vaults. params: vaultType, from, to
+  // (unix seconds or ISO dates), order, limit, cursor
+  async getVaultHistory(testator, params = {}) {
+    if (!testator) throw new Error('Testator address is required');
+    const query = new URLSearchParams(params).toString();
+    return this.request(`${DEPLOYMENT_PREFIX}/vaults/${testator.toLowerCase()}/history${query ? `?${query}` : ''}`);
+  }
+
+  // Download the full export of a will (format: json or csv) as a Blob
+  async exportWill(testator, format = 'json') {
+    if (!testator) throw new Error('Testator address is required');
+    
+    const endpoint = `${DEPLOYMENT_PREFIX}/will/${testator.toLowerCase()}/export?format=${format}`;
+    try {
+      const response = await fetch(`${INDEXER_API}${endpoint}`, { headers: this.authHeaders() });
+      
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+      }
+      
+      return response.blob();
+    } catch (error) {
+      console.error(`API Error for ${endpoint}:`, error);
+      
+      if (error.name === 'TypeError' && error.message.includes('fetch')) {
+        throw new Error('Cannot connect to indexer API. Make sure it\'s running on http://localhost:3001');
+      }
+      
+      throw error;
+    }
   }
 
   // Get all documents for a will
-  async getDocuments(willId) {
-    if (!willId) throw new Error('Will ID is required');
-    return this.request(`/documents/${willId.toLowerCase()}`);
+  async getDocuments(testator) {
+    if (!testator) throw new Error('Testator address is required');
+    return this.request(`${DEPLOYMENT_PREFIX}/documents/${testator.toLowerCase()}`);
   }
 
   // Get specific document by IPFS hash
-  async getDocument(willId, ipfsHash) {
-    if (!willId) throw new Error('Will ID is required');
+  async getDocument(testator, ipfsHash) {
+    if (!testator) throw new Error('Testator address is required');
     if (!ipfsHash) throw new Error('IPFS hash is required');
-    return this.request(`/documents/${willId.toLowerCase()}/${ipfsHash}`);
+    return this.request(`${DEPLOYMENT_PREFIX}/documents/${testator.toLowerCase()}/${ipfsHash}`);
+  }
+
+  // Will with its beneficiaries, vaults and documents (null if none exists)
+  async getWillOverview(testator) {
+    if (!testator) throw new Error('Testator address is required');
+    const data = await this.graphql(
+      `query ($testator: String!) { will(testator: $testator) { ${WILL_FIELDS} } }`,
+      { testator: testator.toLowerCase() }
+    );
+    return data.will;
+  }
+
+  // Every will naming the address as beneficiary, with the same fields as getWillOverview
+  async getBeneficiaryOverview(beneficiary) {
+    if (!beneficiary) throw new Error('Beneficiary address is required');
+    const data = await this.graphql(
+      `query ($beneficiary: String!) { beneficiaryOf(address: $beneficiary) { will { ${WILL_FIELDS} } } }`,
+      { beneficiary: beneficiary.toLowerCase() }
+    );
+    return data.beneficiaryOf.map(entry => entry.will);
   }
 
   // Get statistics
   async getStats() {
-    return this.request('/stats');
+    return this.request(`${DEPLOYMENT_PREFIX}/stats`);
+  }
+
+  // Get daily statistics buckets. params: days, or from/to (unix seconds or ISO dates)
+  async getStatsHistory(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return this.request(`${DEPLOYMENT_PREFIX}/stats/history${query ? `?${query}` : ''}`);
+  }
+
+  // Subscribe to will changes pushed by the indexer (Server-Sent Events) as soon as they
+  // are indexed. Returns a function that closes the stream.
+  subscribeToWillChanges(address, onChange) {
+    if (!address) throw new Error('Address is required');
+    
+    // EventSource cannot send an Authorization header, so the session token goes in the URL
+    const token = this.session ? `&access_token=${encodeURIComponent(this.session.token)}` : '';
+    const source = new EventSource(`${INDEXER_API}${DEPLOYMENT_PREFIX}/stream?address=${address.toLowerCase()}${token}`);
+    source.addEventListener('will-updated', (event) => onChange(JSON.parse(event.data)));
+    source.onerror = () => console.warn('Indexer change stream interrupted, reconnecting...');
+    
+    return () => source.close();
   }
 }
 
@@ -40,14 +40,58 @@ export const formatPeriod = (seconds) => {
   return `${hours} hour${hours > 1 ? 's' : ''}`;
 };
 
-export const canExecuteWill = (will, willDetails) => {
-  if (!will || !willDetails) return false;
-  if (will.executed) return false;
+// Saves a Blob as a file through a temporary link
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoked once the click has started the download
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// Sign-In With Ethereum (EIP-4361) message; `address` must be checksummed and
+// `issuedAt` defaults to now
+export const createSiweMessage = ({ domain, address, statement, uri, chainId, nonce, issuedAt = new Date().toISOString() }) => [
+  `${domain} wants you to sign in with your Ethereum account:`,
+  address,
+  '',
+  statement,
+  '',
+  `URI: ${uri}`,
+  'Version: 1',
+  `Chain ID: ${chainId}`,
+  `Nonce: ${nonce}`,
+  `Issued At: ${issuedAt}`,
+].join('\n');
+
+// Why the indexer's data for this deployment may be out of date, or null when it is current.
+// `readiness` is the report from GET /health/ready
+export const getIndexerStaleness = (readiness, chainId, contractAddress) => {
+  if (readiness.ready) return null;
+  
+  const chain = readiness.chains.find(chain => chain.chainId === chainId);
+  const deployment = chain && chain.deployments.find(deployment => deployment.contractAddress === contractAddress);
   
-  const now = Math.floor(Date.now() / 1000);
-  const timeSinceLastCheckin = now - (willDetails.lastCheckIn || 0);
+  if (chain && !chain.connected) {
+    return 'The indexer has lost its connection to the blockchain. Balances and will statuses may be out of date.';
+  }
+  if (deployment && deployment.lagBlocks > readiness.maxLagBlocks) {
+    return `The indexer is ${deployment.lagBlocks} blocks behind the chain. Balances and will statuses may be out of date.`;
+  }
+  return `The indexer is not fully synced: ${readiness.problems.join('; ')}`;
+};
+
+// `status` is computed by the indexer against the latest block timestamp
+export const canExecuteWill = (will) => {
+  if (!will) return false;
+  if (will.status === 'open-to-beneficiaries') return true;
   
-  return timeSinceLastCheckin > willDetails.checkInPeriod;
+  // During the dispute window only the guardian may execute
+  return will.status === 'overdue-guardian-only' && will.isGuardian === 1;
 };
 
 export const validateBeneficiaryForm = (form, existingBeneficiaries = []) => {
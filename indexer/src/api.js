@@ -1,126 +1,519 @@
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
+const swaggerUi = require('swagger-ui-dist');
+const { getDeployment, getDefaultDeployment, getConfig } = require('./config');
+const { WILL_STATUSES, withLifecycle, getChainTime } = require('./lifecycle');
+const { WEBHOOK_EVENTS, WEBHOOK_DAYS_BEFORE } = require('./watcher');
+const { generateSecret, checkWebhookTarget } = require('./webhooks');
+const { subscribeToChanges } = require('./changes');
+const { createGraphQLHandler } = require('./graphql');
+const { runReconciliation, isReconciling, getLastReconciliation } = require('./reconcile');
+const { register, httpMetrics } = require('./metrics');
+const { getReadiness } = require('./health');
+const { buildWillExport, willExportToCsv } = require('./export');
+const { issueNonce, signIn, signOut, isAdmin, authenticate, willAccessError, addressAccessError, subscriptionAccessError } = require('./auth');
+const { sendError } = require('./errors');
+const { rateLimit } = require('./ratelimit');
+const { DOCS_HTML, getOpenApiDocument, validateResponses, findUndocumentedRoutes } = require('./openapi');
 const {
-    getWillsByTestator,
-    getWillsByBeneficiary,
+    validate,
+    address,
+    ipfsHash,
+    string,
+    boolean,
+    integer,
+    amount,
+    oneOf,
+    listOf,
+    arrayOf,
+    url,
+    time
+} = require('./validation');
+const { logger, withLogContext } = require('./logger');
+const {
+    makeWillId,
+    getSyncStates,
     getWillDetails,
-    getBeneficiaryWills,
     getVaults,
-    getDocuments,
-    getDocumentByHash
+    getDocumentByHash,
+    getDeploymentStats,
+    getStatsHistory,
+    WILL_SORT_KEYS,
+    DOCUMENT_SORT_KEYS,
+    VAULT_TRANSACTION_SORT_KEYS,
+    decodeCursor,
+    queryWills,
+    queryDocuments,
+    queryVaultTransactions,
+    getWillEvents,
+    getPayoutsByBeneficiary,
+    getWillPayouts,
+    createSubscription,
+    getSubscriptions,
+    getSubscription,
+    deleteSubscription,
+    getWebhookDeliveries
 } = require('./db');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+// Keep-alive comment interval for Server-Sent Event streams (ms)
+const SSE_HEARTBEAT_INTERVAL = Number(process.env.SSE_HEARTBEAT_INTERVAL || 15000);
+// Page size for list endpoints (?limit)
+const DEFAULT_PAGE_SIZE = Number(process.env.DEFAULT_PAGE_SIZE || 50);
+const MAX_PAGE_SIZE = Number(process.env.MAX_PAGE_SIZE || 200);
+// Bearer token for the /admin routes; they are disabled while it is unset
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+// Largest accepted JSON request body (bytes, or a size like 16kb)
+const BODY_SIZE_LIMIT = process.env.BODY_SIZE_LIMIT || '16kb';
+// Set when the API runs behind a reverse proxy so rate limits apply to the client's IP
+// from X-Forwarded-For ("true", a hop count or Express' trust proxy addresses)
+const TRUST_PROXY = process.env.TRUST_PROXY;
+// Rate limit tokens taken by expensive routes (every other request takes one)
+const STATS_RATE_LIMIT_COST = 10;
+const GRAPHQL_RATE_LIMIT_COST = 5;
+// Days covered by /stats/history when no range is given, and the most one request may ask for
+const STATS_HISTORY_DEFAULT_DAYS = Number(process.env.STATS_HISTORY_DEFAULT_DAYS || 30);
+const STATS_HISTORY_MAX_DAYS = 366;
+const SECONDS_PER_DAY = 86400;
+// Probes and metric scrapes are never rate limited
+const UNLIMITED_PATHS = ['/health', '/health/live', '/health/ready', '/metrics'];
+
+const log = logger.child({ module: 'api' });
+
+if (TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY === 'true' || TRUST_PROXY);
+}
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(httpMetrics);
 
-// Request logging middleware
+// Request logging middleware: every line logged while serving the request carries its
+// id, taken from the caller's X-Request-Id header when it looks sane
 app.use((req, res, next) => {
-    console.log(`📡 ${req.method} ${req.path} - ${new Date().toISOString()}`);
-    next();
+    const requestId = /^[\w.:-]{1,128}$/.test(req.get('X-Request-Id') || '') ? req.get('X-Request-Id') : crypto.randomUUID();
+    res.set('X-Request-Id', requestId);
+    
+    withLogContext({ requestId }, () => {
+        log.info('Request', { method: req.method, path: req.path });
+        next();
+    });
 });
 
+// Checks JSON responses against the OpenAPI document when OPENAPI_VALIDATE_RESPONSES is on
+app.use(validateResponses);
+
+// Per-IP rate limiting (see ratelimit.js), before any work is done for the request
+const limitRequests = rateLimit();
+app.use((req, res, next) => UNLIMITED_PATHS.includes(req.path) ? next() : limitRequests(req, res, next));
+
+app.use(express.json({ limit: BODY_SIZE_LIMIT }));
+
+// Sign-In With Ethereum sessions (see auth.js): sets req.auth for a valid bearer token
+app.use(authenticate);
+
 // Error handling middleware
 function handleError(res, error, message = 'Internal server error') {
-    console.error('API Error:', error);
-    res.status(500).json({
-        success: false,
-        error: message,
+    log.error(message, { error });
+    sendError(res, 500, 'INTERNAL_ERROR', message, {
         details: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
 }
 
-// Validation helpers
-function isValidAddress(address) {
-    return /^0x[a-fA-F0-9]{40}$/.test(address);
+// The signing secret is only revealed once, when the subscription is created
+function publicSubscription({ secret, ...subscription }) {
+    return subscription;
+}
+
+// Request schemas (see validation.js). Error messages of the original hand-written checks
+// are kept where clients may rely on them.
+const INVALID_WILL_ID = 'Invalid will ID format (should be testator address)';
+const INVALID_TIME_RANGE = 'from and to must be unix timestamps (seconds) or ISO 8601 dates before the year 3000';
+
+const willIdParam = address({ message: INVALID_WILL_ID });
+const testatorParam = address({ message: 'Invalid testator address format' });
+const beneficiaryParam = address({ message: 'Invalid beneficiary address format' });
+
+// ?sort, ?order, ?limit and ?cursor of a list sorted by one of `sortKeys`
+function pageQuery(sortKeys) {
+    return {
+        sort: oneOf(Object.keys(sortKeys), {
+            optional: true,
+            message: `Invalid sort key (expected one of: ${Object.keys(sortKeys).join(', ')})`
+        }),
+        order: oneOf(['asc', 'desc'], { optional: true, message: 'Invalid order (expected asc or desc)' }),
+        limit: integer({ min: 1, max: MAX_PAGE_SIZE, default: DEFAULT_PAGE_SIZE }),
+        cursor: string({ optional: true, maxLength: 1024 })
+    };
+}
+
+// A cursor holds the sort values of the last row plus its unique id
+function checkCursor(sortKeys) {
+    return ({ sort, cursor }) => {
+        if (cursor === undefined) return null;
+
+        const sortKey = sortKeys[sort || Object.keys(sortKeys)[0]];
+        return decodeCursor(cursor, sortKey) ? null : 'Invalid cursor';
+    };
+}
+
+function pageOptions({ sort, order, limit, cursor }) {
+    return { sort, order, limit, cursor };
 }
 
-function isValidIpfsHash(hash) {
-    // Basic IPFS hash validation (CIDv0 and CIDv1)
-    return /^(Qm[1-9A-HJ-NP-Za-km-z]{44}|bafyb[a-z2-7]{50,})$/.test(hash);
+// /stats/history range: `to` defaults to the chain's latest block time (not the wall clock,
+// Anvil may have warped), `from` to `days` days before it
+function statsHistoryRange(deployment, { from, to, days }) {
+    const end = to === undefined ? getChainTime(deployment.chainId) : to;
+    return {
+        from: from === undefined ? end - (days - 1) * SECONDS_PER_DAY : from,
+        to: end
+    };
 }
 
-// Health check endpoint
-app.get('/health', (req, res) => {
+// Every will listing takes the same filters; `params` is its address parameter, if any
+function willListSchema(params) {
+    return {
+        params,
+        query: {
+            ...pageQuery(WILL_SORT_KEYS),
+            executed: boolean({ optional: true }),
+            hasGuardian: boolean({ optional: true }),
+            documentType: string({ optional: true }),
+            minBalance: amount({ optional: true }),
+            status: listOf(WILL_STATUSES, {
+                optional: true,
+                message: `Invalid status filter (expected one of: ${WILL_STATUSES.join(', ')})`
+            })
+        },
+        check: checkCursor(WILL_SORT_KEYS)
+    };
+}
+
+// queryWills options from a validated will listing
+function willListOptions(req) {
+    const { executed, hasGuardian, documentType, minBalance, status } = req.validated;
+    
+    return {
+        ...pageOptions(req.validated),
+        executed,
+        hasGuardian,
+        documentType,
+        minBalance,
+        statuses: status,
+        now: status ? getChainTime(req.deployment.chainId) : undefined
+    };
+}
+
+// Responds with one page of wills, including status/deadlines and the cursor of the next page
+function sendWillPage(req, res, options) {
+    const page = queryWills(req.deployment, options);
+    
+    res.json({
+        success: true,
+        data: withLifecycle(page.items, req.deployment.chainId),
+        count: page.items.length,
+        nextCursor: page.nextCursor
+    });
+}
+
+function requireAdmin(req, res, next) {
+    if (!ADMIN_TOKEN) {
+        return sendError(res, 403, 'FORBIDDEN', 'Admin routes are disabled (ADMIN_TOKEN is not set)');
+    }
+    
+    if (!isAdmin(req)) {
+        return sendError(res, 401, 'UNAUTHORIZED', 'Invalid admin token');
+    }
+    
+    next();
+}
+
+// With AUTH_REQUIRED, only the will's testator and beneficiaries may read the will whose
+// testator is the validated `param`
+function requireWillAccess(param) {
+    return (req, res, next) => {
+        const denied = willAccessError(req, req.deployment, req.validated[param]);
+        
+        if (denied) {
+            return sendError(res, denied.status, denied.code, denied.message);
+        }
+        
+        next();
+    };
+}
+
+// With AUTH_REQUIRED, routes listing data by address only answer for the signed-in address;
+// without a `param` (whole-deployment listings) only the admin token is accepted
+function requireAddressAccess(param) {
+    return (req, res, next) => {
+        const denied = addressAccessError(req, req.deployment, param && req.validated[param]);
+        
+        if (denied) {
+            return sendError(res, denied.status, denied.code, denied.message);
+        }
+        
+        next();
+    };
+}
+
+// Loads the subscription of the validated `id` into req.subscription when the caller may
+// manage it (see subscriptionAccessError)
+function requireSubscriptionAccess(req, res, next) {
+    let denied = subscriptionAccessError(req, req.deployment);
+    if (denied) {
+        return sendError(res, denied.status, denied.code, denied.message);
+    }
+    
+    const subscription = getSubscription(req.deployment, req.validated.id);
+    if (!subscription) {
+        return sendError(res, 404, 'NOT_FOUND', 'Subscription not found');
+    }
+    
+    denied = subscriptionAccessError(req, req.deployment, subscription);
+    if (denied) {
+        return sendError(res, denied.status, denied.code, denied.message);
+    }
+    
+    req.subscription = subscription;
+    next();
+}
+
+// Resolves the deployment a request is scoped to: /chains/:chainId/contracts/:contract/...
+// or, for the un-prefixed routes, the first configured deployment
+function resolveDeployment(req, res, next) {
+    if (req.params.chainId === undefined) {
+        req.deployment = getDefaultDeployment();
+        return next();
+    }
+    
+    const deployment = getDeployment(req.params.chainId, req.params.contract);
+    
+    if (!deployment) {
+        return sendError(res, 404, 'NOT_FOUND', 'Unknown chain or contract deployment');
+    }
+    
+    req.deployment = deployment;
+    next();
+}
+
+// Will routes, mounted once per deployment prefix (see bottom of file)
+const router = express.Router({ mergeParams: true });
+router.use(resolveDeployment);
+
+// GET /health/live - Liveness: the API process is up (also served at /health)
+app.get(['/health', '/health/live'], (req, res) => {
     res.json({
         success: true,
         message: 'Will Management API is running',
+        uptime: Math.floor(process.uptime()),
         timestamp: new Date().toISOString()
     });
 });
 
-// GET /wills/:testator - Get all wills where this address is the testator
-app.get('/wills/:testator', (req, res) => {
+// GET /health/ready - Readiness: chains connected, sync lag, last event time and database
+// writability; 503 with the same report while the indexer is not ready
+app.get('/health/ready', (req, res) => {
     try {
-        const { testator } = req.params;
+        const readiness = getReadiness();
         
-        if (!isValidAddress(testator)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid testator address format'
-            });
+        if (!readiness.ready) {
+            return sendError(res, 503, 'NOT_READY', `Indexer is not ready: ${readiness.problems.join('; ')}`, { data: readiness });
         }
         
-        const wills = getWillsByTestator(testator);
+        res.json({
+            success: true,
+            data: readiness
+        });
+    
+    } catch (error) {
+        handleError(res, error, 'Failed to check readiness');
+    }
+});
+
+// GET /metrics - Prometheus metrics (sync lag, events, errors, latencies, wills and value locked)
+app.get('/metrics', async (req, res) => {
+    try {
+        res.set('Content-Type', register.contentType);
+        res.send(await register.metrics());
+    } catch (error) {
+        handleError(res, error, 'Failed to collect metrics');
+    }
+});
+
+// GET /openapi.json - OpenAPI 3.1 document of this API
+app.get('/openapi.json', (req, res) => {
+    res.json(getOpenApiDocument());
+});
+
+// GET /docs - Swagger UI for the OpenAPI document
+app.get('/docs', (req, res) => {
+    res.type('html').send(DOCS_HTML);
+});
+app.use('/docs', express.static(swaggerUi.getAbsoluteFSPath(), { index: false }));
+
+// GET /deployments - List configured chains/contracts with their sync progress
+app.get('/deployments', (req, res) => {
+    try {
+        const syncStates = getSyncStates();
+        
+        const deployments = getConfig().chains.flatMap(chain =>
+            chain.deployments.map(deployment => {
+                const syncState = syncStates.find(state =>
+                    state.chainId === deployment.chainId &&
+                    state.contractAddress === deployment.contractAddress
+                );
+                
+                return {
+                    chainId: deployment.chainId,
+                    chainName: chain.name,
+                    contractAddress: deployment.contractAddress,
+                    startBlock: deployment.startBlock,
+                    lastIndexedBlock: syncState ? syncState.lastIndexedBlock : null
+                };
+            })
+        );
         
         res.json({
             success: true,
-            data: wills,
-            count: wills.length
+            data: deployments,
+            count: deployments.length
         });
         
     } catch (error) {
-        handleError(res, error, 'Failed to fetch wills by testator');
+        handleError(res, error, 'Failed to fetch deployments');
     }
 });
 
-// GET /wills/beneficiary/:beneficiary - Get all wills where this address is a beneficiary
-app.get('/wills/beneficiary/:beneficiary', (req, res) => {
+// GET /admin/reconcile - Report of the last reconciliation against on-chain state
+app.get('/admin/reconcile', requireAdmin, (req, res) => {
+    res.json({
+        success: true,
+        data: getLastReconciliation(),
+        running: isReconciling()
+    });
+});
+
+// POST /admin/reconcile?repair=true - Compare every indexed will with the contract now,
+// optionally overwriting drifted projections with on-chain state
+app.post('/admin/reconcile', requireAdmin, validate({ query: { repair: boolean({ default: false }) } }), async (req, res) => {
     try {
-        const { beneficiary } = req.params;
-        
-        if (!isValidAddress(beneficiary)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid beneficiary address format'
-            });
+        if (isReconciling()) {
+            return sendError(res, 409, 'CONFLICT', 'A reconciliation is already running');
         }
         
-        const wills = getWillsByBeneficiary(beneficiary);
+        const report = await runReconciliation({ repair: req.validated.repair });
         
         res.json({
             success: true,
-            data: wills,
-            count: wills.length
+            data: report
         });
         
     } catch (error) {
-        handleError(res, error, 'Failed to fetch wills by beneficiary');
+        handleError(res, error, 'Reconciliation failed');
     }
 });
 
-// GET /will/:id - Get full details of a specific will
-app.get('/will/:id', (req, res) => {
+// GET /auth/nonce - A single-use nonce to put in a Sign-In With Ethereum message
+app.get('/auth/nonce', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.json({
+        success: true,
+        data: issueNonce()
+    });
+});
+
+// POST /auth/verify - Exchange a signed Sign-In With Ethereum (EIP-4361) message for a session token
+app.post('/auth/verify', validate({
+    body: {
+        message: string({ maxLength: 4096 }),
+        signature: string({ maxLength: 200 })
+    }
+}), (req, res) => {
     try {
-        const { id } = req.params;
+        const { message, signature } = req.validated;
+        const { session, error } = signIn(message, signature);
         
-        if (!isValidAddress(id)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid will ID format (should be testator address)'
-            });
+        if (error) {
+            return sendError(res, error.status, error.code, error.message);
         }
         
-        const willDetails = getWillDetails(id);
+        res.json({
+            success: true,
+            data: session
+        });
+    
+    } catch (error) {
+        handleError(res, error, 'Failed to sign in');
+    }
+});
+
+// GET /auth/session - The signed-in address of the bearer token
+app.get('/auth/session', (req, res) => {
+    if (!req.auth) {
+        return sendError(res, 401, 'UNAUTHORIZED', 'Not signed in');
+    }
+    
+    res.json({
+        success: true,
+        data: req.auth
+    });
+});
+
+// POST /auth/logout - End the session of the bearer token
+app.post('/auth/logout', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            message: signOut(req) ? 'Signed out' : 'No session to end'
+        });
+    
+    } catch (error) {
+        handleError(res, error, 'Failed to sign out');
+    }
+});
+
+// GET /wills - List every will on the deployment (filters, sorting and cursor pagination)
+router.get('/wills', validate(willListSchema()), requireAddressAccess(), (req, res) => {
+    try {
+        sendWillPage(req, res, willListOptions(req));
+        
+    } catch (error) {
+        handleError(res, error, 'Failed to list wills');
+    }
+});
+
+// GET /wills/:testator - Get all wills where this address is the testator
+router.get('/wills/:testator', validate(willListSchema({ testator: testatorParam })), requireAddressAccess('testator'), (req, res) => {
+    try {
+        sendWillPage(req, res, { ...willListOptions(req), testator: req.validated.testator });
+        
+    } catch (error) {
+        handleError(res, error, 'Failed to fetch wills by testator');
+    }
+});
+
+// GET /wills/beneficiary/:beneficiary - Get all wills where this address is a beneficiary
+router.get('/wills/beneficiary/:beneficiary', validate(willListSchema({ beneficiary: beneficiaryParam })), requireAddressAccess('beneficiary'), (req, res) => {
+    try {
+        sendWillPage(req, res, { ...willListOptions(req), beneficiary: req.validated.beneficiary });
+        
+    } catch (error) {
+        handleError(res, error, 'Failed to fetch wills by beneficiary');
+    }
+});
+
+// GET /will/:id - Get full details of a specific will
+router.get('/will/:id', validate({ params: { id: willIdParam } }), requireWillAccess('id'), (req, res) => {
+    try {
+        const { id } = req.validated;
+        
+        const willDetails = withLifecycle(getWillDetails(makeWillId(req.deployment, id)), req.deployment.chainId);
         
         if (!willDetails) {
-            return res.status(404).json({
-                success: false,
-                error: 'Will not found'
-            });
+            return sendError(res, 404, 'NOT_FOUND', 'Will not found');
         }
         
         res.json({
@@ -133,44 +526,117 @@ app.get('/will/:id', (req, res) => {
     }
 });
 
-// GET /beneficiaries/:beneficiary - Get all wills + shares where this address is listed as beneficiary
-app.get('/beneficiaries/:beneficiary', (req, res) => {
+// GET /will/:id/events - Get the on-chain event history (audit trail) of a will
+router.get('/will/:id/events', validate({ params: { id: willIdParam } }), requireWillAccess('id'), (req, res) => {
     try {
-        const { beneficiary } = req.params;
+        const { id } = req.validated;
         
-        if (!isValidAddress(beneficiary)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid beneficiary address format'
-            });
+        const events = getWillEvents(makeWillId(req.deployment, id));
+        
+        res.json({
+            success: true,
+            data: events,
+            count: events.length
+        });
+        
+    } catch (error) {
+        handleError(res, error, 'Failed to fetch will events');
+    }
+});
+
+// GET /will/:id/payouts - What each beneficiary received when the will was executed
+router.get('/will/:id/payouts', validate({ params: { id: willIdParam } }), requireWillAccess('id'), (req, res) => {
+    try {
+        const { id } = req.validated;
+        
+        const willId = makeWillId(req.deployment, id);
+        const will = getWillDetails(willId);
+        
+        if (!will) {
+            return sendError(res, 404, 'NOT_FOUND', 'Will not found');
         }
         
-        const beneficiaryWills = getBeneficiaryWills(beneficiary);
+        const execution = getWillPayouts(willId);
         
         res.json({
             success: true,
-            data: beneficiaryWills,
-            count: beneficiaryWills.length
+            data: {
+                willId,
+                executed: Boolean(will.executed),
+                ...execution,
+                payouts: execution ? execution.payouts : []
+            }
         });
         
     } catch (error) {
-        handleError(res, error, 'Failed to fetch beneficiary wills');
+        handleError(res, error, 'Failed to fetch will payouts');
     }
 });
 
-// GET /vaults/:willId - Get locked + flexible balances for a will
-app.get('/vaults/:willId', (req, res) => {
+// GET /will/:id/export?format=json|csv - Download everything indexed about a will:
+// configuration, beneficiaries, vault balances, documents, payouts and event history
+router.get('/will/:id/export', validate({
+    params: { id: willIdParam },
+    query: { format: oneOf(['json', 'csv'], { default: 'json', message: 'Invalid format (expected json or csv)' }) }
+}), requireWillAccess('id'), (req, res) => {
     try {
-        const { willId } = req.params;
+        const { id, format } = req.validated;
         
-        if (!isValidAddress(willId)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid will ID format (should be testator address)'
-            });
+        const willExport = buildWillExport(req.deployment, id);
+        
+        if (!willExport) {
+            return sendError(res, 404, 'NOT_FOUND', 'Will not found');
         }
         
-        const vaults = getVaults(willId);
+        res.attachment(`will-${req.deployment.chainId}-${id.toLowerCase()}.${format}`);
+        
+        if (format === 'csv') {
+            res.type('csv').send(willExportToCsv(willExport));
+        } else {
+            res.type('json').send(JSON.stringify(willExport, null, 2));
+        }
+    
+    } catch (error) {
+        handleError(res, error, 'Failed to export will');
+    }
+});
+
+// GET /payouts/:beneficiary - Everything this address inherited from executed wills
+router.get('/payouts/:beneficiary', validate({ params: { beneficiary: beneficiaryParam } }), requireAddressAccess('beneficiary'), (req, res) => {
+    try {
+        const { beneficiary } = req.validated;
+        
+        const payouts = getPayoutsByBeneficiary(req.deployment, beneficiary);
+        const totalReceived = payouts.reduce((sum, payout) => sum + BigInt(payout.amount), 0n);
+        
+        res.json({
+            success: true,
+            data: payouts,
+            count: payouts.length,
+            totalReceived: totalReceived.toString()
+        });
+        
+    } catch (error) {
+        handleError(res, error, 'Failed to fetch payouts');
+    }
+});
+
+// GET /beneficiaries/:beneficiary - Get all wills + shares where this address is listed as beneficiary
+router.get('/beneficiaries/:beneficiary', validate(willListSchema({ beneficiary: beneficiaryParam })), requireAddressAccess('beneficiary'), (req, res) => {
+    try {
+        sendWillPage(req, res, { ...willListOptions(req), beneficiary: req.validated.beneficiary });
+        
+    } catch (error) {
+        handleError(res, error, 'Failed to fetch beneficiary wills');
+    }
+});
+
+// GET /vaults/:willId - Get locked + flexible balances for a will
+router.get('/vaults/:willId', validate({ params: { willId: willIdParam } }), requireWillAccess('willId'), (req, res) => {
+    try {
+        const { willId } = req.validated;
+        
+        const vaults = getVaults(makeWillId(req.deployment, willId));
         
         // Transform array to object for easier consumption
         const vaultBalances = {};
@@ -181,7 +647,7 @@ app.get('/vaults/:willId', (req, res) => {
         res.json({
             success: true,
             data: {
-                willId,
+                willId: makeWillId(req.deployment, willId),
                 vaults: vaultBalances,
                 rawData: vaults
             }
@@ -192,27 +658,63 @@ app.get('/vaults/:willId', (req, res) => {
     }
 });
 
-// GET /documents/:willId - Get all documents for a will
-app.get('/documents/:willId', (req, res) => {
+// GET /vaults/:willId/history - Deposits and withdrawals of a will's vaults
+// (?vaultType, ?from and ?to as unix seconds or ISO dates, sorting and cursor pagination)
+router.get('/vaults/:willId/history', validate({
+    params: { willId: willIdParam },
+    query: {
+        ...pageQuery(VAULT_TRANSACTION_SORT_KEYS),
+        vaultType: oneOf(['locked', 'flexible'], { optional: true, message: 'Invalid vaultType (expected locked or flexible)' }),
+        from: time({ optional: true, message: INVALID_TIME_RANGE }),
+        to: time({ optional: true, message: INVALID_TIME_RANGE })
+    },
+    check: checkCursor(VAULT_TRANSACTION_SORT_KEYS)
+}), requireWillAccess('willId'), (req, res) => {
     try {
-        const { willId } = req.params;
+        const { willId, vaultType, from, to } = req.validated;
+        const page = queryVaultTransactions(makeWillId(req.deployment, willId), {
+            ...pageOptions(req.validated),
+            vaultType,
+            from,
+            to
+        });
         
-        if (!isValidAddress(willId)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid will ID format (should be testator address)'
-            });
-        }
+        res.json({
+            success: true,
+            data: {
+                willId: makeWillId(req.deployment, willId),
+                transactions: page.items,
+                count: page.items.length
+            },
+            nextCursor: page.nextCursor
+        });
         
-        const documents = getDocuments(willId);
+    } catch (error) {
+        handleError(res, error, 'Failed to fetch vault history');
+    }
+});
+
+// GET /documents/:willId - Get the documents of a will (?documentType, sorting and cursor pagination)
+router.get('/documents/:willId', validate({
+    params: { willId: willIdParam },
+    query: {
+        ...pageQuery(DOCUMENT_SORT_KEYS),
+        documentType: string({ optional: true })
+    },
+    check: checkCursor(DOCUMENT_SORT_KEYS)
+}), requireWillAccess('willId'), (req, res) => {
+    try {
+        const { willId, documentType } = req.validated;
+        const page = queryDocuments(makeWillId(req.deployment, willId), { ...pageOptions(req.validated), documentType });
         
         res.json({
             success: true,
             data: {
-                willId,
-                documents,
-                count: documents.length
-            }
+                willId: makeWillId(req.deployment, willId),
+                documents: page.items,
+                count: page.items.length
+            },
+            nextCursor: page.nextCursor
         });
         
     } catch (error) {
@@ -221,102 +723,245 @@ app.get('/documents/:willId', (req, res) => {
 });
 
 // GET /documents/:willId/:ipfsHash - Get specific document details
-app.get('/documents/:willId/:ipfsHash', (req, res) => {
+router.get('/documents/:willId/:ipfsHash', validate({
+    params: {
+        willId: willIdParam,
+        ipfsHash: ipfsHash({ message: 'Invalid IPFS hash format' })
+    }
+}), requireWillAccess('willId'), (req, res) => {
     try {
-        const { willId, ipfsHash } = req.params;
+        const { willId, ipfsHash } = req.validated;
         
-        if (!isValidAddress(willId)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid will ID format (should be testator address)'
-            });
+        const document = getDocumentByHash(makeWillId(req.deployment, willId), ipfsHash);
+        
+        if (!document) {
+            return sendError(res, 404, 'NOT_FOUND', 'Document not found');
         }
         
-        if (!isValidIpfsHash(ipfsHash)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid IPFS hash format'
-            });
+        res.json({
+            success: true,
+            data: document
+        });
+        
+    } catch (error) {
+        handleError(res, error, 'Failed to fetch document');
+    }
+});
+
+// POST/GET /graphql - Wills with their beneficiaries, vaults, documents and events in one query
+router.all('/graphql', rateLimit(GRAPHQL_RATE_LIMIT_COST), createGraphQLHandler());
+
+// GET /stats - Get overall statistics
+router.get('/stats', rateLimit(STATS_RATE_LIMIT_COST), (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: getDeploymentStats(req.deployment)
+        });
+        
+    } catch (error) {
+        handleError(res, error, 'Failed to fetch statistics');
+    }
+});
+
+// GET /stats/history - Daily buckets of wills created, check-ins, executions, deposits,
+// withdrawals and value locked per vault type (?from and ?to as unix seconds or ISO dates;
+// without ?from the last ?days days, STATS_HISTORY_DEFAULT_DAYS by default)
+router.get('/stats/history', rateLimit(STATS_RATE_LIMIT_COST), validate({
+    query: {
+        from: time({ optional: true, message: INVALID_TIME_RANGE }),
+        to: time({ optional: true, message: INVALID_TIME_RANGE }),
+        days: integer({ min: 1, max: STATS_HISTORY_MAX_DAYS, default: STATS_HISTORY_DEFAULT_DAYS })
+    },
+    check: (validated, req) => {
+        const range = statsHistoryRange(req.deployment, validated);
+        if (range.from > range.to) return 'from must not be after to';
+        if (Math.floor(range.to / SECONDS_PER_DAY) - Math.floor(range.from / SECONDS_PER_DAY) >= STATS_HISTORY_MAX_DAYS) {
+            return `History is limited to ${STATS_HISTORY_MAX_DAYS} days per request`;
         }
+        return null;
+    }
+}), (req, res) => {
+    try {
+        const { from, to } = statsHistoryRange(req.deployment, req.validated);
+        const buckets = getStatsHistory(req.deployment, from, to);
         
-        const document = getDocumentByHash(willId, ipfsHash);
+        res.json({
+            success: true,
+            data: buckets,
+            count: buckets.length
+        });
+    
+    } catch (error) {
+        handleError(res, error, 'Failed to fetch statistics history');
+    }
+});
+
+// GET /stream?address=0x... - Server-Sent Events stream of will changes, as soon as the
+// indexer has committed them; without an address every change on the deployment is sent
+router.get('/stream', validate({
+    query: { address: address({ optional: true, message: 'Invalid address format' }) }
+}), requireAddressAccess('address'), (req, res) => {
+    const { chainId, contractAddress } = req.deployment;
+    const watchedAddress = req.validated.address && req.validated.address.toLowerCase();
+    
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.write('retry: 3000\n\n');
+    
+    const unsubscribe = subscribeToChanges(change => {
+        if (change.chainId !== chainId || change.contractAddress !== contractAddress) return;
+        if (watchedAddress && !change.addresses.includes(watchedAddress)) return;
         
-        if (!document) {
-            return res.status(404).json({
-                success: false,
-                error: 'Document not found'
+        res.write(`id: ${change.id}\nevent: will-updated\ndata: ${JSON.stringify(change)}\n\n`);
+    });
+    
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_INTERVAL);
+    
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+// POST /subscriptions - Register a webhook for deadline notifications
+router.post('/subscriptions', validate({
+    body: {
+        url: url({ message: 'Invalid webhook URL (must be http or https)' }),
+        events: arrayOf(WEBHOOK_EVENTS, {
+            default: WEBHOOK_EVENTS,
+            message: `Invalid events (expected a non-empty list of: ${WEBHOOK_EVENTS.join(', ')})`
+        }),
+        address: address({ optional: true, message: 'Invalid address format' }),
+        daysBefore: integer({ min: 0, default: WEBHOOK_DAYS_BEFORE })
+    }
+}), requireAddressAccess('address'), async (req, res) => {
+    try {
+        const { url, events, address, daysBefore } = req.validated;
+        
+        const refused = await checkWebhookTarget(url);
+        if (refused) {
+            return sendError(res, 400, 'VALIDATION_FAILED', refused, {
+                details: [{ location: 'body', field: 'url', message: refused }]
             });
         }
         
+        const subscription = createSubscription(req.deployment, {
+            url,
+            secret: generateSecret(),
+            events,
+            address,
+            daysBefore,
+            since: getChainTime(req.deployment.chainId),
+            owner: req.auth ? req.auth.address : null
+        });
+        
+        res.status(201).json({
+            success: true,
+            data: subscription
+        });
+        
+    } catch (error) {
+        handleError(res, error, 'Failed to create subscription');
+    }
+});
+
+// GET /subscriptions - List the webhook subscriptions of the signed-in account (all of them with the admin token)
+router.get('/subscriptions', (req, res) => {
+    try {
+        const denied = subscriptionAccessError(req, req.deployment);
+        if (denied) {
+            return sendError(res, denied.status, denied.code, denied.message);
+        }
+        
+        const subscriptions = getSubscriptions(req.deployment)
+            .filter(subscription => !subscriptionAccessError(req, req.deployment, subscription))
+            .map(publicSubscription);
+        
         res.json({
             success: true,
-            data: document
+            data: subscriptions,
+            count: subscriptions.length
         });
         
     } catch (error) {
-        handleError(res, error, 'Failed to fetch document');
+        handleError(res, error, 'Failed to fetch subscriptions');
     }
 });
 
-// GET /stats - Get overall statistics
-app.get('/stats', (req, res) => {
+// GET /subscriptions/:id - Get a webhook subscription with its delivery log
+router.get('/subscriptions/:id', validate({ params: { id: integer({ min: 1 }) } }), requireSubscriptionAccess, (req, res) => {
     try {
-        const { getDatabase } = require('./db');
-        const db = getDatabase();
-        
-        const stats = {
-            totalWills: db.prepare('SELECT COUNT(*) as count FROM Wills').get().count,
-            executedWills: db.prepare('SELECT COUNT(*) as count FROM Wills WHERE executed = 1').get().count,
-            activeWills: db.prepare('SELECT COUNT(*) as count FROM Wills WHERE executed = 0').get().count,
-            totalBeneficiaries: db.prepare('SELECT COUNT(DISTINCT beneficiary) as count FROM Beneficiaries').get().count,
-            totalDocuments: db.prepare('SELECT COUNT(*) as count FROM Documents').get().count,
-            totalVaultValue: {
-                locked: db.prepare('SELECT SUM(CAST(balance AS INTEGER)) as total FROM Vaults WHERE vaultType = "locked"').get().total || 0,
-                flexible: db.prepare('SELECT SUM(CAST(balance AS INTEGER)) as total FROM Vaults WHERE vaultType = "flexible"').get().total || 0
-            },
-            documentsByType: db.prepare(`
-                SELECT documentType, COUNT(*) as count 
-                FROM Documents 
-                GROUP BY documentType 
-                ORDER BY count DESC
-            `).all()
-        };
+        const { subscription } = req;
         
         res.json({
             success: true,
-            data: stats
+            data: {
+                ...publicSubscription(subscription),
+                deliveries: getWebhookDeliveries(subscription.id)
+            }
         });
         
     } catch (error) {
-        handleError(res, error, 'Failed to fetch statistics');
+        handleError(res, error, 'Failed to fetch subscription');
     }
 });
 
-// Global error handler
+// DELETE /subscriptions/:id - Remove a webhook subscription and its delivery log
+router.delete('/subscriptions/:id', validate({ params: { id: integer({ min: 1 }) } }), requireSubscriptionAccess, (req, res) => {
+    try {
+        const deleted = deleteSubscription(req.deployment, req.subscription.id);
+        
+        if (!deleted) {
+            return sendError(res, 404, 'NOT_FOUND', 'Subscription not found');
+        }
+        
+        res.json({
+            success: true,
+            message: 'Subscription deleted'
+        });
+        
+    } catch (error) {
+        handleError(res, error, 'Failed to delete subscription');
+    }
+});
+
+// Deployment-scoped routes, plus the un-prefixed routes bound to the default deployment
+app.use('/chains/:chainId/contracts/:contract', router);
+app.use('/', router);
+
+// Anything no route matched
+app.use((req, res) => {
+    sendError(res, 404, 'NOT_FOUND', `No route for ${req.method} ${req.path}`);
+});
+
+// Global error handler; body parser errors are the client's fault
 app.use((error, req, res, next) => {
+    if (error.type === 'entity.too.large') {
+        return sendError(res, 413, 'PAYLOAD_TOO_LARGE', `Request body exceeds ${BODY_SIZE_LIMIT}`);
+    }
+    if (error.type === 'entity.parse.failed') {
+        return sendError(res, 400, 'INVALID_JSON', 'Request body is not valid JSON');
+    }
+    if (error.status >= 400 && error.status < 500) {
+        return sendError(res, error.status, 'BAD_REQUEST', error.message);
+    }
+    
     handleError(res, error, 'Unexpected server error');
 });
 
 function startAPI() {
     const server = app.listen(PORT, () => {
-        console.log(`🚀 Will Management API server running on port ${PORT}`);
-        console.log(`📍 Health check: http://localhost:${PORT}/health`);
+        log.info('API server listening', { port: PORT, health: `http://localhost:${PORT}/health`, docs: `http://localhost:${PORT}/docs` });
     });
     
-    // Graceful shutdown
-    process.on('SIGTERM', () => {
-        console.log('🔄 Shutting down API server...');
-        server.close(() => {
-            console.log('✅ API server closed');
-        });
-    });
-    
-    process.on('SIGINT', () => {
-        console.log('🔄 Shutting down API server...');
-        server.close(() => {
-            console.log('✅ API server closed');
-        });
-    });
+    const undocumented = findUndocumentedRoutes(app);
+    if (undocumented.length > 0) {
+        log.warn('Routes missing from the OpenAPI document', { routes: undocumented });
+    }
     
     return server;
 }
@@ -0,0 +1,311 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { getConfig } = require('./config');
+const { logger } = require('./logger');
+const { makeWillId, createSession, getSession, deleteSession, pruneSessions, isWillParty } = require('./db');
+
+// Sign-In With Ethereum (EIP-4361): the wallet signs a message carrying a nonce from
+// GET /auth/nonce, POST /auth/verify checks it and hands out a bearer session token.
+// Only plain accounts (EOAs, e.g. Anvil's) can sign in; contract wallets (EIP-1271) cannot.
+
+// Will data is only served to its testator and beneficiaries (or the admin token) unless
+// AUTH_REQUIRED=false opens it to anyone
+const AUTH_REQUIRED = process.env.AUTH_REQUIRED !== 'false';
+// Hosts (host[:port]) of the frontends allowed to ask for a signature
+const SIWE_DOMAINS = (process.env.SIWE_DOMAINS || 'localhost:3000').split(',').map(domain => domain.trim()).filter(Boolean);
+// How long a session lasts, unless the signed message expires sooner (seconds)
+const AUTH_SESSION_TTL = Number(process.env.AUTH_SESSION_TTL || 86400);
+// How long a nonce may wait to be signed (seconds)
+const AUTH_NONCE_TTL = Number(process.env.AUTH_NONCE_TTL || 300);
+// Unsigned nonces kept at most; the oldest are dropped first
+const MAX_PENDING_NONCES = 10000;
+// How often expired nonces and sessions are removed (ms)
+const AUTH_SWEEP_INTERVAL = 60000;
+// Same bearer token as the /admin routes; it reads everything
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+
+const SIWE_HEADER = ' wants you to sign in with your Ethereum account:';
+const SIWE_FIELDS = [
+    ['uri', 'URI'],
+    ['version', 'Version'],
+    ['chainId', 'Chain ID'],
+    ['nonce', 'Nonce'],
+    ['issuedAt', 'Issued At'],
+    ['expirationTime', 'Expiration Time'],
+    ['notBefore', 'Not Before'],
+    ['requestId', 'Request ID']
+];
+const SIWE_TIME_FIELDS = ['issuedAt', 'expirationTime', 'notBefore'];
+
+const log = logger.child({ module: 'auth' });
+
+// nonce -> expiry (ms); Map iteration order is insertion order, so the first key is the oldest
+const nonces = new Map();
+
+setInterval(() => {
+    const now = Date.now();
+    for (const [nonce, expiresAt] of nonces) {
+        if (expiresAt <= now) nonces.delete(nonce);
+    }
+    
+    try {
+        pruneSessions(Math.floor(now / 1000));
+    } catch (error) {
+        log.warn('Failed to prune expired sessions', { error });
+    }
+}, AUTH_SWEEP_INTERVAL).unref();
+
+function issueNonce() {
+    if (nonces.size >= MAX_PENDING_NONCES) {
+        nonces.delete(nonces.keys().next().value);
+    }
+    
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const expiresAt = Date.now() + AUTH_NONCE_TTL * 1000;
+    nonces.set(nonce, expiresAt);
+    
+    return { nonce, expiresAt: Math.floor(expiresAt / 1000) };
+}
+
+// A nonce can be used once, whether or not the sign-in succeeds
+function consumeNonce(nonce) {
+    const expiresAt = nonces.get(nonce);
+    nonces.delete(nonce);
+    return expiresAt !== undefined && expiresAt > Date.now();
+}
+
+// Parses the EIP-4361 message format; throws on anything malformed
+function parseSiweMessage(message) {
+    const lines = message.replace(/\r\n/g, '\n').split('\n');
+    const header = lines.shift();
+    
+    if (!header.endsWith(SIWE_HEADER) || header.length === SIWE_HEADER.length) {
+        throw new Error('Not a Sign-In With Ethereum message');
+    }
+    
+    const fields = { domain: header.slice(0, -SIWE_HEADER.length), address: lines.shift() };
+    
+    if (!ethers.isAddress(fields.address) || ethers.getAddress(fields.address) !== fields.address) {
+        throw new Error('Message address must be a checksummed Ethereum address');
+    }
+    
+    const skipBlankLines = () => {
+        while (lines[0] === '') lines.shift();
+    };
+    
+    skipBlankLines();
+    if (lines.length > 0 && !lines[0].startsWith('URI: ')) {
+        fields.statement = lines.shift();
+        skipBlankLines();
+    }
+    
+    for (const [key, label] of SIWE_FIELDS) {
+        if (lines[0] && lines[0].startsWith(`${label}: `)) {
+            fields[key] = lines.shift().slice(label.length + 2);
+        }
+    }
+    
+    if (lines[0] === 'Resources:') {
+        lines.shift();
+        fields.resources = [];
+        while (lines[0] && lines[0].startsWith('- ')) fields.resources.push(lines.shift().slice(2));
+    }
+    
+    const extra = lines.find(line => line !== '');
+    if (extra !== undefined) {
+        throw new Error(`Unexpected line in message: ${extra}`);
+    }
+    
+    for (const [key, label] of SIWE_FIELDS.slice(0, 5)) {
+        if (!fields[key]) throw new Error(`Message is missing ${label}`);
+    }
+    if (fields.version !== '1') {
+        throw new Error(`Unsupported message version ${fields.version}`);
+    }
+    if (!/^[1-9]\d*$/.test(fields.chainId)) {
+        throw new Error('Message Chain ID must be a positive integer');
+    }
+    if (!/^[A-Za-z0-9]{8,}$/.test(fields.nonce)) {
+        throw new Error('Message nonce must be at least 8 alphanumeric characters');
+    }
+    for (const key of SIWE_TIME_FIELDS) {
+        if (fields[key] !== undefined && Number.isNaN(Date.parse(fields[key]))) {
+            throw new Error(`Message ${key} is not an ISO 8601 date`);
+        }
+    }
+    
+    fields.chainId = Number(fields.chainId);
+    return fields;
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function failure(status, code, message) {
+    return { error: { status, code, message } };
+}
+
+// Checks a signed sign-in message and opens a session: { session } or { error: { status, code, message } }
+function signIn(message, signature) {
+    let fields;
+    try {
+        fields = parseSiweMessage(message);
+    } catch (error) {
+        return failure(400, 'BAD_REQUEST', error.message);
+    }
+    
+    if (!consumeNonce(fields.nonce)) {
+        return failure(401, 'UNAUTHORIZED', 'Unknown or expired nonce');
+    }
+    if (!SIWE_DOMAINS.includes(fields.domain)) {
+        return failure(401, 'UNAUTHORIZED', `Sign-in is not accepted for domain ${fields.domain}`);
+    }
+    if (!getConfig().chains.some(chain => chain.chainId === fields.chainId)) {
+        return failure(401, 'UNAUTHORIZED', `Chain ${fields.chainId} is not indexed`);
+    }
+    
+    const now = Date.now();
+    if (fields.expirationTime && Date.parse(fields.expirationTime) <= now) {
+        return failure(401, 'UNAUTHORIZED', 'Sign-in message has expired');
+    }
+    if (fields.notBefore && Date.parse(fields.notBefore) > now) {
+        return failure(401, 'UNAUTHORIZED', 'Sign-in message is not valid yet');
+    }
+    
+    let signer;
+    try {
+        signer = ethers.verifyMessage(message, signature);
+    } catch (error) {
+        return failure(401, 'UNAUTHORIZED', 'Invalid signature');
+    }
+    if (signer !== fields.address) {
+        return failure(401, 'UNAUTHORIZED', 'Signature does not match the message address');
+    }
+    
+    const token = crypto.randomBytes(32).toString('base64url');
+    let expiresAt = Math.floor(now / 1000) + AUTH_SESSION_TTL;
+    if (fields.expirationTime) {
+        expiresAt = Math.min(expiresAt, Math.floor(Date.parse(fields.expirationTime) / 1000));
+    }
+    
+    createSession({ tokenHash: hashToken(token), address: signer, chainId: fields.chainId, domain: fields.domain, expiresAt });
+    log.info('Signed in', { address: signer, chainId: fields.chainId });
+    
+    return {
+        session: { token, address: signer.toLowerCase(), chainId: fields.chainId, expiresAt }
+    };
+}
+
+function bearerToken(req) {
+    const header = req.get('Authorization') || '';
+    if (header.startsWith('Bearer ')) return header.slice(7);
+    
+    // EventSource cannot send headers, so /stream takes the token as a query parameter.
+    // No other route does: URLs end up in logs and browser history.
+    const isStream = req.method === 'GET' && /\/stream\/?$/.test(req.path);
+    return isStream && typeof req.query.access_token === 'string' ? req.query.access_token : null;
+}
+
+function isAdmin(req) {
+    if (!ADMIN_TOKEN) return false;
+    
+    const expected = Buffer.from(`Bearer ${ADMIN_TOKEN}`);
+    const provided = Buffer.from(req.get('Authorization') || '');
+    
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+// Express middleware setting req.auth = { address, chainId, expiresAt } for a valid session
+// token. Requests without one carry on anonymously; routes decide what that allows.
+function authenticate(req, res, next) {
+    const token = bearerToken(req);
+    const session = token && getSession(hashToken(token), Math.floor(Date.now() / 1000));
+    
+    if (session) {
+        req.auth = { address: session.address, chainId: session.chainId, expiresAt: session.expiresAt };
+    }
+    
+    next();
+}
+
+function signOut(req) {
+    const token = bearerToken(req);
+    return Boolean(token) && deleteSession(hashToken(token));
+}
+
+const SIGN_IN_REQUIRED = { status: 401, code: 'UNAUTHORIZED', message: 'Sign in with Ethereum to read will data' };
+const SIGN_IN_TO_SUBSCRIBE = { status: 401, code: 'UNAUTHORIZED', message: 'Sign in with Ethereum to manage webhook subscriptions' };
+
+// null when the request carries a session for the chain of `deployment`: a session is only
+// valid on the chain its sign-in message was signed for
+function sessionError(req, deployment, signInRequired = SIGN_IN_REQUIRED) {
+    if (!req.auth) return signInRequired;
+    
+    if (req.auth.chainId !== deployment.chainId) {
+        return {
+            status: 403,
+            code: 'FORBIDDEN',
+            message: `Signed in on chain ${req.auth.chainId}; sign in on chain ${deployment.chainId} to use its deployments`
+        };
+    }
+    
+    return null;
+}
+
+// null when the caller may read the will of `testator`, else { status, code, message }.
+// A will that does not exist is refused like any other, so its absence is not revealed.
+function willAccessError(req, deployment, testator) {
+    if (!AUTH_REQUIRED || isAdmin(req)) return null;
+    
+    const denied = sessionError(req, deployment);
+    if (denied) return denied;
+    
+    if (!isWillParty(makeWillId(deployment, testator), req.auth.address)) {
+        return { status: 403, code: 'FORBIDDEN', message: 'Only the testator and beneficiaries can read this will' };
+    }
+    
+    return null;
+}
+
+// null when the caller may read data listed by `address` (their own wills, shares and payouts)
+function addressAccessError(req, deployment, address) {
+    if (!AUTH_REQUIRED || isAdmin(req)) return null;
+    
+    const denied = sessionError(req, deployment);
+    if (denied) return denied;
+    
+    if (!address || address.toLowerCase() !== req.auth.address) {
+        return { status: 403, code: 'FORBIDDEN', message: 'Signed-in accounts can only read their own wills' };
+    }
+    
+    return null;
+}
+
+// null when the caller may manage webhook subscriptions, or `subscription` when given:
+// signed-in accounts manage the ones they created, the admin token every one
+function subscriptionAccessError(req, deployment, subscription) {
+    if (!AUTH_REQUIRED || isAdmin(req)) return null;
+    
+    const denied = sessionError(req, deployment, SIGN_IN_TO_SUBSCRIBE);
+    if (denied) return denied;
+    
+    if (subscription && subscription.owner !== req.auth.address) {
+        return { status: 403, code: 'FORBIDDEN', message: 'Signed-in accounts can only manage their own subscriptions' };
+    }
+    
+    return null;
+}
+
+module.exports = {
+    AUTH_REQUIRED,
+    issueNonce,
+    parseSiweMessage,
+    signIn,
+    signOut,
+    isAdmin,
+    authenticate,
+    willAccessError,
+    addressAccessError,
+    subscriptionAccessError
+};
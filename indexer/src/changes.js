@@ -0,0 +1,24 @@
+const { EventEmitter } = require('events');
+
+// In-process feed of committed projection changes, consumed by push subscribers (SSE)
+const changeFeed = new EventEmitter();
+changeFeed.setMaxListeners(0);
+
+let sequence = 0;
+
+// change: { chainId, contractAddress, willId, testator, addresses, events, blockNumber, reason }
+function publishWillChange(change) {
+    sequence += 1;
+    changeFeed.emit('change', { id: sequence, ...change });
+}
+
+// Returns a function that removes the listener again
+function subscribeToChanges(listener) {
+    changeFeed.on('change', listener);
+    return () => changeFeed.off('change', listener);
+}
+
+module.exports = {
+    publishWillChange,
+    subscribeToChanges
+};
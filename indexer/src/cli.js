@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+// quiet: dotenv would otherwise log to stdout and break `dump` output
+require('dotenv').config({ quiet: true });
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { ethers } = require('ethers');
+const { getConfig, getDeployment, getDefaultDeployment } = require('./config');
+const { toHttpUrl, withTimeout } = require('./connection');
+const { startIndexer, stopIndexer, getProvider, getChainStatus, replayEvent } = require('./indexer');
+const { withLifecycle } = require('./lifecycle');
+const { setLogLevel } = require('./logger');
+const {
+    initializeDatabase,
+    makeWillId,
+    getWillDetails,
+    getWillPayouts,
+    getWillEvents,
+    getWillsByDeployment,
+    getSyncStates,
+    getSchemaVersion,
+    rollbackToBlock,
+    rebuildProjections,
+    verifyDatabase,
+    dumpDatabase
+} = require('./db');
+
+// How long `status` waits for a chain to report its head block (ms)
+const STATUS_TIMEOUT = Number(process.env.HEARTBEAT_TIMEOUT || 10000);
+
+const USAGE = `Usage: dwill-indexer <command> [options]
+
+Commands:
+  start                             Run the indexer, watcher, reconciler and API (same as npm start)
+  status                            Print sync progress of every deployment against the chain head
+  reindex --from <block> [--chain <id>]
+                                    Drop events from <block> onwards and index them again from the node
+  rebuild [--chain <id>]            Rebuild wills, vaults, documents and payouts from the stored event log
+                                    (this undoes reconciliation repairs, which are not stored as events)
+  will <testator> [--chain <id> --contract <address>]
+                                    Print everything indexed for one will
+  migrate [--dry-run]               Apply pending schema migrations (every command does this first);
+                                    with --dry-run, run them and roll back instead
+  dump [file]                       Write every table as JSON to file (or stdout)
+  verify                            Check database integrity and projection consistency
+  help                              Show this message
+
+--chain defaults to every configured chain for reindex/rebuild, and to the
+first configured deployment for will.`;
+
+// Chains selected by --chain (all configured chains when omitted)
+function selectChains(chainId) {
+    const { chains } = getConfig();
+    if (chainId === undefined) return chains;
+    
+    const chain = chains.find(chain => chain.chainId === Number(chainId));
+    if (!chain) {
+        throw new Error(`Chain ${chainId} is not configured`);
+    }
+    return [chain];
+}
+
+async function getHeadBlock(chain) {
+    const provider = new ethers.JsonRpcProvider(chain.httpRpcUrl || toHttpUrl(chain.rpcUrl), chain.chainId, { staticNetwork: true });
+    
+    try {
+        return await withTimeout(provider.getBlockNumber(), STATUS_TIMEOUT, 'Head block request');
+    } finally {
+        provider.destroy();
+    }
+}
+
+async function status() {
+    const syncStates = getSyncStates();
+    console.log(`📦 Schema version: ${getSchemaVersion()}`);
+    
+    for (const chain of getConfig().chains) {
+        let head;
+        try {
+            head = await getHeadBlock(chain);
+        } catch (error) {
+            head = null;
+            console.warn(`⚠️ [${chain.name}] Could not reach the node: ${error.message}`);
+        }
+        
+        console.log(`⛓️ ${chain.name} (chainId ${chain.chainId}) head: ${head === null ? 'unknown' : head}, confirmations: ${chain.confirmations}`);
+        
+        for (const deployment of chain.deployments) {
+            const syncState = syncStates.find(state =>
+                state.chainId === deployment.chainId &&
+                state.contractAddress === deployment.contractAddress
+            );
+            const lastIndexedBlock = syncState ? syncState.lastIndexedBlock : null;
+            const behind = head !== null && lastIndexedBlock !== null ? Math.max(head - chain.confirmations - lastIndexedBlock, 0) : null;
+            
+            console.log(`   📋 ${deployment.contractAddress}`);
+            console.log(`      last indexed block: ${lastIndexedBlock === null ? 'never synced' : lastIndexedBlock}${behind === null ? '' : ` (${behind} block(s) behind)`}`);
+            console.log(`      updated: ${syncState ? new Date(syncState.updatedAt * 1000).toISOString() : '-'}`);
+            console.log(`      wills: ${getWillsByDeployment(deployment).length}`);
+        }
+    }
+}
+
+// Runs the indexer until every chain has caught up with its head once, then stops it
+async function syncOnce(chains) {
+    await startIndexer();
+    const unreachable = chains.filter(chain => !getProvider(chain.chainId));
+    const failed = chains
+        .map(chain => ({ chain, error: getChainStatus(chain.chainId).syncError }))
+        .filter(({ chain, error }) => error && !unreachable.includes(chain));
+    stopIndexer();
+    
+    if (unreachable.length > 0) {
+        throw new Error(`Could not connect to ${unreachable.map(chain => chain.name).join(', ')}; the events will be indexed again on the next start`);
+    }
+    if (failed.length > 0) {
+        const reasons = failed.map(({ chain, error }) => `${chain.name}: ${error}`).join('; ');
+        throw new Error(`Sync failed (${reasons}); the remaining events will be indexed again on the next start`);
+    }
+}
+
+async function reindex({ from, chain: chainId }) {
+    const fromBlock = Number(from);
+    if (from === undefined || !Number.isInteger(fromBlock) || fromBlock < 0) {
+        throw new Error('reindex requires --from <block> (a non-negative block number)');
+    }
+    
+    const chains = selectChains(chainId);
+    for (const chain of chains) {
+        rollbackToBlock(chain.chainId, fromBlock - 1, replayEvent);
+    }
+    
+    await syncOnce(chains);
+}
+
+function rebuild({ chain: chainId }) {
+    const chainFilter = chainId === undefined ? null : selectChains(chainId)[0].chainId;
+    rebuildProjections(replayEvent, chainFilter);
+}
+
+function inspectWill(testator, { chain: chainId, contract }) {
+    if (!/^0x[a-fA-F0-9]{40}$/.test(testator || '')) {
+        throw new Error('will requires a testator address');
+    }
+    
+    const deployment = chainId === undefined && contract === undefined
+        ? getDefaultDeployment()
+        : getDeployment(chainId, contract);
+    if (!deployment) {
+        throw new Error('Unknown chain or contract deployment (pass both --chain and --contract)');
+    }
+    
+    const willId = makeWillId(deployment, testator);
+    const will = getWillDetails(willId);
+    if (!will) {
+        throw new Error(`No indexed will ${willId}`);
+    }
+    
+    console.log(JSON.stringify({
+        ...withLifecycle(will, deployment.chainId),
+        execution: getWillPayouts(willId),
+        events: getWillEvents(willId)
+    }, null, 2));
+}
+
+function dump(file) {
+    const json = JSON.stringify(dumpDatabase(), null, 2);
+    
+    if (!file) {
+        process.stdout.write(`${json}\n`);
+        return;
+    }
+    
+    fs.writeFileSync(file, json);
+    console.log(`💾 Database written to ${file}`);
+}
+
+function verify() {
+    const problems = verifyDatabase();
+    
+    if (problems.length === 0) {
+        console.log('✅ Database is consistent');
+        return;
+    }
+    
+    problems.forEach(problem => {
+        console.log(`❌ [${problem.check}]${problem.willId ? ` ${problem.willId}:` : ''} ${problem.detail}`);
+    });
+    console.log(`Found ${problems.length} problem(s)`);
+    process.exitCode = 1;
+}
+
+async function run(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            chain: { type: 'string' },
+            contract: { type: 'string' },
+            from: { type: 'string' },
+            'dry-run': { type: 'boolean' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+    const [command, ...rest] = positionals;
+    
+    if (!command || command === 'help' || values.help) {
+        console.log(USAGE);
+        return;
+    }
+    
+    if (command === 'start') {
+        // Loaded lazily so the other commands do not pull in the API server
+        await require('./main').main();
+        return;
+    }
+    
+    // Only warnings and errors (written to stderr) while `dump` writes JSON to stdout
+    if (command === 'dump' && !rest[0]) {
+        setLogLevel('warn');
+    }
+    
+    if (command === 'migrate') {
+        initializeDatabase({ dryRun: values['dry-run'] });
+        return;
+    }
+    
+    initializeDatabase();
+    
+    switch (command) {
+        case 'status':
+            await status();
+            break;
+        case 'reindex':
+            await reindex(values);
+            break;
+        case 'rebuild':
+            rebuild(values);
+            break;
+        case 'will':
+            inspectWill(rest[0], values);
+            break;
+        case 'dump':
+            dump(rest[0]);
+            break;
+        case 'verify':
+            verify();
+            break;
+        default:
+            throw new Error(`Unknown command "${command}"\n\n${USAGE}`);
+    }
+}
+
+run(process.argv.slice(2)).catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+
+let config;
+
+// Loads the chains and contract deployments to index.
+// INDEXER_CONFIG points to a JSON file (see config.example.json); without it a single
+// chain with a single deployment is built from RPC_URL, CHAIN_ID, CONTRACT_ADDRESS, ...
+function loadConfig() {
+    const configPath = process.env.INDEXER_CONFIG;
+    
+    const raw = configPath
+        ? JSON.parse(fs.readFileSync(path.resolve(configPath), 'utf8'))
+        : {
+            chains: [{
+                chainId: process.env.CHAIN_ID || 31337,
+                name: process.env.CHAIN_NAME || 'anvil',
+                rpcUrl: process.env.RPC_URL || 'ws://localhost:8545',
+                httpRpcUrl: process.env.HTTP_RPC_URL,
+                deployments: [{
+                    address: process.env.CONTRACT_ADDRESS || '0x5FbDB2315678afecb367f032d93F642f64180aa3',
+                    startBlock: process.env.DEPLOYMENT_BLOCK || 0
+                }]
+            }]
+        };
+    
+    if (!Array.isArray(raw.chains) || raw.chains.length === 0) {
+        throw new Error('Indexer config must list at least one chain');
+    }
+    
+    const chains = raw.chains.map(normalizeChain);
+    
+    const chainIds = new Set();
+    for (const chain of chains) {
+        if (chainIds.has(chain.chainId)) {
+            throw new Error(`Chain ${chain.chainId} is configured more than once`);
+        }
+        chainIds.add(chain.chainId);
+    }
+    
+    return { chains };
+}
+
+function normalizeChain(chain) {
+    const chainId = Number(chain.chainId);
+    if (!Number.isInteger(chainId) || chainId <= 0) {
+        throw new Error(`Invalid chainId in indexer config: ${chain.chainId}`);
+    }
+    if (!chain.rpcUrl) {
+        throw new Error(`Chain ${chainId} is missing rpcUrl`);
+    }
+    if (!Array.isArray(chain.deployments) || chain.deployments.length === 0) {
+        throw new Error(`Chain ${chainId} has no contract deployments`);
+    }
+    
+    return {
+        chainId,
+        name: chain.name || `chain-${chainId}`,
+        rpcUrl: chain.rpcUrl,
+        httpRpcUrl: chain.httpRpcUrl || undefined,
+        // Per-chain overrides, falling back to the global env settings
+        confirmations: Number(chain.confirmations ?? process.env.CONFIRMATIONS ?? 0),
+        syncChunkSize: Number(chain.syncChunkSize ?? process.env.SYNC_CHUNK_SIZE ?? 2000),
+        reorgWindow: Number(chain.reorgWindow ?? process.env.REORG_WINDOW ?? 64),
+        deployments: chain.deployments.map(deployment => {
+            if (!/^0x[a-fA-F0-9]{40}$/.test(deployment.address || '')) {
+                throw new Error(`Invalid contract address on chain ${chainId}: ${deployment.address}`);
+            }
+            
+            return {
+                chainId,
+                contractAddress: deployment.address.toLowerCase(),
+                startBlock: Number(deployment.startBlock || 0)
+            };
+        })
+    };
+}
+
+function getConfig() {
+    if (!config) {
+        config = loadConfig();
+    }
+    return config;
+}
+
+function getDeployments() {
+    return getConfig().chains.flatMap(chain => chain.deployments);
+}
+
+function getDeployment(chainId, contractAddress) {
+    return getDeployments().find(deployment =>
+        deployment.chainId === Number(chainId) &&
+        deployment.contractAddress === String(contractAddress).toLowerCase()
+    ) || null;
+}
+
+// The first configured deployment; used by the un-prefixed API routes
+function getDefaultDeployment() {
+    return getDeployments()[0];
+}
+
+module.exports = {
+    getConfig,
+    getDeployments,
+    getDeployment,
+    getDefaultDeployment
+};
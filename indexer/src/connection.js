@@ -0,0 +1,198 @@
+const { ethers } = require('ethers');
+const { logger } = require('./logger');
+
+// Reconnect backoff bounds (ms)
+const RECONNECT_BASE_DELAY = Number(process.env.RECONNECT_BASE_DELAY || 1000);
+const RECONNECT_MAX_DELAY = Number(process.env.RECONNECT_MAX_DELAY || 60000);
+// How often the connection is probed, and how long a probe may take (ms)
+const HEARTBEAT_INTERVAL = Number(process.env.HEARTBEAT_INTERVAL || 15000);
+const HEARTBEAT_TIMEOUT = Number(process.env.HEARTBEAT_TIMEOUT || 10000);
+// Consecutive failed WebSocket attempts before falling back to HTTP polling
+const WS_FALLBACK_ATTEMPTS = Number(process.env.WS_FALLBACK_ATTEMPTS || 3);
+// How often new blocks are polled for over HTTP (ms)
+const POLLING_INTERVAL = Number(process.env.POLLING_INTERVAL || 4000);
+// How often a polling connection checks whether WebSockets are back (ms)
+const WS_RETRY_INTERVAL = Number(process.env.WS_RETRY_INTERVAL || 60000);
+
+function isWebSocketUrl(url) {
+    return /^wss?:\/\//.test(url);
+}
+
+function toHttpUrl(url) {
+    return url.replace(/^ws(s?):\/\//, 'http$1://');
+}
+
+function withTimeout(promise, ms, label) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms);
+    });
+    
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function destroyProvider(provider) {
+    try {
+        provider.removeAllListeners().catch(() => {});
+        provider.destroy();
+    } catch (error) {
+        // The socket may already be closed
+    }
+}
+
+// Supervises a provider connection: detects dropped sockets (close events and
+// heartbeats), reconnects with exponential backoff and falls back to HTTP polling
+// when WebSockets are unavailable. onConnect runs after every (re)connection so
+// the caller can catch up from its persisted cursor; onBlock runs on every new block.
+function createConnection({ url, httpUrl, onConnect, onBlock, log = logger.child({ module: 'connection' }) }) {
+    const pollingUrl = httpUrl || (isWebSocketUrl(url) ? toHttpUrl(url) : url);
+    
+    let provider = null;
+    let mode = null;
+    let attempts = 0;
+    let reconnectTimer = null;
+    let heartbeatTimer = null;
+    let lastWebSocketRetry = 0;
+    let stopped = false;
+    
+    function createWebSocketProvider() {
+        const wsProvider = new ethers.WebSocketProvider(url);
+        
+        wsProvider.websocket.onclose = () => {
+            if (provider === wsProvider) {
+                scheduleReconnect('WebSocket closed');
+            }
+        };
+        wsProvider.websocket.onerror = (error) => {
+            if (provider === wsProvider) {
+                scheduleReconnect(`WebSocket error: ${error.message}`);
+            }
+        };
+        
+        return wsProvider;
+    }
+    
+    function createPollingProvider() {
+        const httpProvider = new ethers.JsonRpcProvider(pollingUrl, undefined, {
+            staticNetwork: true,
+            pollingInterval: POLLING_INTERVAL
+        });
+        httpProvider.pollingInterval = POLLING_INTERVAL;
+        
+        return httpProvider;
+    }
+    
+    // After WS_FALLBACK_ATTEMPTS failures, alternate between HTTP polling and WebSockets
+    function shouldUseWebSocket() {
+        if (!isWebSocketUrl(url)) return false;
+        return attempts < WS_FALLBACK_ATTEMPTS || (attempts - WS_FALLBACK_ATTEMPTS) % 2 === 1;
+    }
+    
+    async function connect() {
+        if (stopped) return;
+        
+        const useWebSocket = shouldUseWebSocket();
+        const candidate = useWebSocket ? createWebSocketProvider() : createPollingProvider();
+        provider = candidate;
+        
+        try {
+            const network = await withTimeout(candidate.getNetwork(), HEARTBEAT_TIMEOUT, 'Connection');
+            if (provider !== candidate) return;
+            
+            mode = useWebSocket ? 'websocket' : 'polling';
+            attempts = 0;
+            lastWebSocketRetry = Date.now();
+            log.info('Connected to network', { network: network.name, networkChainId: network.chainId, mode });
+            
+            candidate.on('block', onBlock);
+            heartbeatTimer = setInterval(heartbeat, HEARTBEAT_INTERVAL);
+            
+            await onConnect(candidate, network);
+        } catch (error) {
+            if (provider === candidate) {
+                scheduleReconnect(error.message);
+            }
+        }
+    }
+    
+    async function heartbeat() {
+        const current = provider;
+        if (!current) return;
+        
+        try {
+            await withTimeout(current.getBlockNumber(), HEARTBEAT_TIMEOUT, 'Heartbeat');
+        } catch (error) {
+            if (provider === current) {
+                scheduleReconnect(error.message);
+            }
+            return;
+        }
+        
+        // While polling, periodically check whether the WebSocket endpoint is back
+        if (mode === 'polling' && isWebSocketUrl(url) && Date.now() - lastWebSocketRetry >= WS_RETRY_INTERVAL) {
+            lastWebSocketRetry = Date.now();
+            const probe = new ethers.WebSocketProvider(url);
+            probe.websocket.onerror = () => {};
+            
+            try {
+                await withTimeout(probe.getNetwork(), HEARTBEAT_TIMEOUT, 'WebSocket probe');
+                log.info('WebSocket endpoint is reachable again, switching back from polling');
+                disconnect();
+                connect();
+            } catch (error) {
+                // Keep polling
+            } finally {
+                destroyProvider(probe);
+            }
+        }
+    }
+    
+    function disconnect() {
+        clearInterval(heartbeatTimer);
+        heartbeatTimer = null;
+        
+        if (provider) {
+            const previous = provider;
+            provider = null;
+            destroyProvider(previous);
+        }
+        mode = null;
+    }
+    
+    function scheduleReconnect(reason) {
+        if (stopped || reconnectTimer) return;
+        
+        disconnect();
+        attempts += 1;
+        
+        const delay = Math.min(RECONNECT_BASE_DELAY * 2 ** (attempts - 1), RECONNECT_MAX_DELAY);
+        const next = shouldUseWebSocket() ? 'WebSocket' : 'HTTP polling';
+        log.warn('Connection lost, reconnecting', { reason, via: next, delayMs: delay, attempt: attempts });
+        
+        reconnectTimer = setTimeout(() => {
+            reconnectTimer = null;
+            connect();
+        }, delay);
+    }
+    
+    function stop() {
+        stopped = true;
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+        disconnect();
+    }
+    
+    return {
+        start: connect,
+        stop,
+        getProvider: () => provider,
+        getMode: () => mode,
+        isConnected: () => mode !== null
+    };
+}
+
+module.exports = {
+    createConnection,
+    toHttpUrl,
+    withTimeout
+};
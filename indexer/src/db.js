@@ -1,93 +1,136 @@
 const Database = require('better-sqlite3');
 const path = require('path');
+const { getDefaultDeployment } = require('./config');
+const { MIGRATIONS } = require('./migrations');
+const { timeQueries } = require('./metrics');
+const { logger, withLogContext } = require('./logger');
+
+const log = logger.child({ module: 'db' });
+
+// SQLite file of the indexer (":memory:" for a throwaway database)
+const DATABASE_PATH = process.env.DATABASE_PATH || path.join(__dirname, '..', 'wills.db');
 
 let db;
 
-function initializeDatabase() {
-    db = new Database(path.join(__dirname, '..', 'wills.db'));
+function initializeDatabase(options = {}) {
+    db = new Database(DATABASE_PATH);
+    
+    // Bring the schema up to date (or, with dryRun, only report what that would do)
+    migrateDatabase(options);
     
     // Enable foreign keys
     db.pragma('foreign_keys = ON');
     
-    // Create tables
-    createTables();
-    
-    console.log('✅ Database initialized successfully');
+    log.info('Database initialized');
 }
 
-function createTables() {
-    // Wills table
-    db.exec(`
-        CREATE TABLE IF NOT EXISTS Wills (
-            willId TEXT PRIMARY KEY,
-            testator TEXT NOT NULL,
-            guardian TEXT,
-            checkInPeriod INTEGER,
-            disputePeriod INTEGER,
-            lastCheckIn INTEGER,
-            executed INTEGER DEFAULT 0,
-            createdAt INTEGER,
-            updatedAt INTEGER
-        )
-    `);
-
-    // Beneficiaries table
-    db.exec(`
-        CREATE TABLE IF NOT EXISTS Beneficiaries (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            willId TEXT NOT NULL,
-            beneficiary TEXT NOT NULL,
-            share INTEGER NOT NULL,
-            UNIQUE (willId, beneficiary),
-            FOREIGN KEY (willId) REFERENCES Wills(willId)
-        )
-    `);
+// Applies the pending migrations from migrations.js in one transaction. With dryRun
+// they run against the real data and are rolled back, so failures show up without
+// touching the database. Returns the applied (or would-be applied) migrations.
+function migrateDatabase({ dryRun = false } = {}) {
+    // Tables are rebuilt while their rows are still referenced, so foreign keys are only
+    // checked once all migrations ran (the pragma cannot change inside a transaction)
+    db.pragma('foreign_keys = OFF');
+    db.exec('BEGIN');
+    
+    let applied;
+    try {
+        applied = applyPendingMigrations(dryRun);
+        db.exec(dryRun ? 'ROLLBACK' : 'COMMIT');
+    } catch (error) {
+        if (db.inTransaction) db.exec('ROLLBACK');
+        throw error;
+    }
+    
+    if (applied.length > 0) {
+        log.info(dryRun ? 'Dry run: migrations succeeded and were rolled back' : 'Applied migrations', { count: applied.length });
+    }
+    return applied;
+}
 
-    // Vaults table
+function applyPendingMigrations(dryRun) {
     db.exec(`
-        CREATE TABLE IF NOT EXISTS Vaults (
-            willId TEXT NOT NULL,
-            vaultType TEXT CHECK(vaultType IN ('locked','flexible')),
-            balance TEXT NOT NULL,
-            PRIMARY KEY (willId, vaultType),
-            FOREIGN KEY (willId) REFERENCES Wills(willId)
+        CREATE TABLE IF NOT EXISTS schema_version (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            appliedAt INTEGER
         )
     `);
+    
+    const currentVersion = getSchemaVersion();
+    const latestVersion = MIGRATIONS[MIGRATIONS.length - 1].version;
+    
+    if (currentVersion > latestVersion) {
+        throw new Error(`Database schema version ${currentVersion} is newer than this indexer supports (${latestVersion})`);
+    }
+    
+    const pending = MIGRATIONS.filter(migration => migration.version > currentVersion);
+    if (pending.length === 0) {
+        log.info('Database schema is up to date', { version: currentVersion });
+        return [];
+    }
+    
+    log.info(dryRun ? 'Dry run: migrating database schema' : 'Migrating database schema', { fromVersion: currentVersion, toVersion: latestVersion });
+    
+    const context = { deployment: getDefaultDeployment() };
+    const now = Math.floor(Date.now() / 1000);
+    const recordStmt = db.prepare('INSERT INTO schema_version (version, name, appliedAt) VALUES (?, ?, ?)');
+    
+    for (const migration of pending) {
+        withLogContext({ migration: migration.version }, () => {
+            log.info('Applying migration', { name: migration.name });
+            migration.up(db, context);
+        });
+        recordStmt.run(migration.version, migration.name, now);
+    }
+    
+    const violations = db.pragma('foreign_key_check');
+    if (violations.length > 0) {
+        throw new Error(`Migration left ${violations.length} row(s) with broken references (first: ${violations[0].table} row ${violations[0].rowid})`);
+    }
+    
+    return pending.map(({ version, name }) => ({ version, name }));
+}
 
-    // Documents table
-    db.exec(`
-        CREATE TABLE IF NOT EXISTS Documents (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            willId TEXT NOT NULL,
-            ipfsHash TEXT NOT NULL,
-            fileName TEXT NOT NULL,
-            documentType TEXT NOT NULL,
-            uploadedAt INTEGER NOT NULL,
-            UNIQUE (willId, ipfsHash),
-            FOREIGN KEY (willId) REFERENCES Wills(willId)
-        )
-    `);
+// Highest applied migration, or 0 for a new (or pre-versioning) database
+function getSchemaVersion() {
+    const result = db.prepare('SELECT MAX(version) as version FROM schema_version').get();
+    return result.version || 0;
+}
 
-    console.log('✅ Database tables created/verified');
+// Wills are namespaced by deployment so the same testator on two contracts/chains does not collide
+function makeWillId(deployment, testator) {
+    return `${deployment.chainId}:${deployment.contractAddress.toLowerCase()}:${testator.toLowerCase()}`;
 }
 
 // Will operations
-function createWill(testator, checkInPeriod, disputePeriod) {
-    const willId = testator.toLowerCase();
+function createWill(deployment, testator, checkInPeriod, disputePeriod, createdAt) {
+    const willId = makeWillId(deployment, testator);
     const now = Math.floor(Date.now() / 1000);
     
     const stmt = db.prepare(`
         INSERT OR REPLACE INTO Wills 
-        (willId, testator, checkInPeriod, disputePeriod, lastCheckIn, createdAt, updatedAt)
-        VALUES (?, ?, ?, ?, ?, ?, ?)
+        (willId, chainId, contractAddress, testator, checkInPeriod, disputePeriod, lastCheckIn, createdAt, updatedAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
     
-    stmt.run(willId, testator.toLowerCase(), checkInPeriod, disputePeriod, now, now, now);
+    stmt.run(
+        willId,
+        deployment.chainId,
+        deployment.contractAddress.toLowerCase(),
+        testator.toLowerCase(),
+        checkInPeriod,
+        disputePeriod,
+        // The contract starts the check-in clock at the creation block
+        createdAt || now,
+        createdAt || now,
+        now
+    );
     
     // Initialize vault balances to 0
     initializeVaults(willId);
     
-    console.log(`📝 Created will for testator: ${testator}`);
+    log.debug('Created will', { willId });
 }
 
 function initializeVaults(willId) {
@@ -100,53 +143,99 @@ function initializeVaults(willId) {
     stmt.run(willId, 'flexible', '0');
 }
 
-function updateLastCheckIn(testator, timestamp) {
+function updateLastCheckIn(deployment, testator, timestamp) {
     const stmt = db.prepare(`
         UPDATE Wills 
         SET lastCheckIn = ?, updatedAt = ?
-        WHERE testator = ?
+        WHERE willId = ?
     `);
     
     const now = Math.floor(Date.now() / 1000);
-    stmt.run(timestamp, now, testator.toLowerCase());
+    stmt.run(timestamp, now, makeWillId(deployment, testator));
     
-    console.log(`⏰ Updated check-in for testator: ${testator}`);
+    log.debug('Updated check-in', { willId: makeWillId(deployment, testator), lastCheckIn: timestamp });
 }
 
-function executeWill(testator) {
+// Mirrors DecentralizedWillManager.executeWill: every beneficiary receives
+// totalFunds * share / 100 (rounded down), the remainder stays in the contract
+// and both vaults are emptied. `event` is the WillExecuted event (see updateVaultBalance).
+function executeWill(deployment, testator, totalFunds, event = null) {
+    const willId = makeWillId(deployment, testator);
     const stmt = db.prepare(`
         UPDATE Wills 
         SET executed = 1, updatedAt = ?
-        WHERE testator = ?
+        WHERE willId = ?
     `);
     
     const now = Math.floor(Date.now() / 1000);
-    stmt.run(now, testator.toLowerCase());
+    stmt.run(now, willId);
+    recordPayouts(willId, BigInt(totalFunds), event);
+    
+    log.debug('Executed will', { willId, totalFunds });
+}
+
+function recordPayouts(willId, totalFunds, event) {
+    const beneficiaries = db.prepare(`
+        SELECT beneficiary, share FROM Beneficiaries
+        WHERE willId = ?
+    `).all(willId);
+    
+    const payoutStmt = db.prepare(`
+        INSERT OR REPLACE INTO Payouts (willId, beneficiary, share, amount)
+        VALUES (?, ?, ?, ?)
+    `);
+    
+    let distributed = 0n;
+    for (const { beneficiary, share } of beneficiaries) {
+        const amount = totalFunds * BigInt(share) / 100n;
+        payoutStmt.run(willId, beneficiary, share, amount.toString());
+        distributed += amount;
+    }
+    
+    db.prepare(`
+        INSERT OR REPLACE INTO WillExecutions
+        (willId, totalFunds, distributed, undistributed, blockNumber, blockTimestamp, txHash)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        willId,
+        totalFunds.toString(),
+        distributed.toString(),
+        (totalFunds - distributed).toString(),
+        event ? event.blockNumber : null,
+        event ? event.blockTimestamp : null,
+        event ? event.txHash.toLowerCase() : null
+    );
+    
+    // The contract zeroes both vaults; the ledger shows the balances leaving as payouts
+    const vaults = db.prepare('SELECT vaultType, balance FROM Vaults WHERE willId = ?').all(willId);
+    for (const vault of vaults) {
+        if (event && vault.balance !== '0') {
+            addVaultTransaction(willId, vault.vaultType, 'payout', vault.balance, '0', event);
+        }
+    }
     
-    console.log(`⚖️ Executed will for testator: ${testator}`);
+    db.prepare(`UPDATE Vaults SET balance = '0' WHERE willId = ?`).run(willId);
+    updateTotalValue(willId);
 }
 
 // Beneficiary operations
-function addBeneficiary(testator, beneficiary, share, isGuardian) {
-    const willId = testator.toLowerCase();
+function addBeneficiary(deployment, testator, beneficiary, share, isGuardian) {
+    const willId = makeWillId(deployment, testator);
     
     const stmt = db.prepare(`
-        INSERT OR REPLACE INTO Beneficiaries (willId, beneficiary, share)
-        VALUES (?, ?, ?)
+        INSERT OR REPLACE INTO Beneficiaries (willId, beneficiary, share, isGuardian)
+        VALUES (?, ?, ?, ?)
     `);
     
-    stmt.run(willId, beneficiary.toLowerCase(), share);
+    stmt.run(willId, beneficiary.toLowerCase(), share, isGuardian ? 1 : 0);
     
-    // Update guardian if applicable
-    if (isGuardian) {
-        updateGuardian(willId, beneficiary);
-    }
+    syncGuardian(willId);
     
-    console.log(`👤 Added beneficiary ${beneficiary} to will ${willId} with share ${share}`);
+    log.debug('Added beneficiary', { willId, beneficiary, share });
 }
 
-function removeBeneficiary(testator, beneficiary) {
-    const willId = testator.toLowerCase();
+function removeBeneficiary(deployment, testator, beneficiary) {
+    const willId = makeWillId(deployment, testator);
     
     const stmt = db.prepare(`
         DELETE FROM Beneficiaries
@@ -155,52 +244,47 @@ function removeBeneficiary(testator, beneficiary) {
     
     stmt.run(willId, beneficiary.toLowerCase());
     
-    // Remove as guardian if applicable
-    const guardianStmt = db.prepare(`
-        UPDATE Wills 
-        SET guardian = NULL, updatedAt = ?
-        WHERE willId = ? AND guardian = ?
-    `);
-    
-    const now = Math.floor(Date.now() / 1000);
-    guardianStmt.run(now, willId, beneficiary.toLowerCase());
+    syncGuardian(willId);
     
-    console.log(`👤 Removed beneficiary ${beneficiary} from will ${willId}`);
+    log.debug('Removed beneficiary', { willId, beneficiary });
 }
 
-function updateBeneficiary(testator, beneficiary, newShare, isGuardian) {
-    const willId = testator.toLowerCase();
+function updateBeneficiary(deployment, testator, beneficiary, newShare, isGuardian) {
+    const willId = makeWillId(deployment, testator);
     
     const stmt = db.prepare(`
         UPDATE Beneficiaries 
-        SET share = ?
+        SET share = ?, isGuardian = ?
         WHERE willId = ? AND beneficiary = ?
     `);
     
-    stmt.run(newShare, willId, beneficiary.toLowerCase());
+    stmt.run(newShare, isGuardian ? 1 : 0, willId, beneficiary.toLowerCase());
     
-    // Update guardian if applicable
-    if (isGuardian) {
-        updateGuardian(willId, beneficiary);
-    }
+    syncGuardian(willId);
     
-    console.log(`👤 Updated beneficiary ${beneficiary} in will ${willId} with new share ${newShare}`);
+    log.debug('Updated beneficiary', { willId, beneficiary, share: newShare });
 }
 
-function updateGuardian(willId, guardian) {
+// The will-level guardian is derived from the beneficiary flags (the contract allows at most one)
+function syncGuardian(willId) {
     const stmt = db.prepare(`
         UPDATE Wills 
-        SET guardian = ?, updatedAt = ?
+        SET guardian = (
+            SELECT beneficiary FROM Beneficiaries
+            WHERE willId = ? AND isGuardian = 1
+            LIMIT 1
+        ), updatedAt = ?
         WHERE willId = ?
     `);
     
     const now = Math.floor(Date.now() / 1000);
-    stmt.run(guardian.toLowerCase(), now, willId);
+    stmt.run(willId, now, willId);
 }
 
-// Vault operations
-function updateVaultBalance(testator, vaultType, amount, isDeposit = true) {
-    const willId = testator.toLowerCase();
+// Vault operations. `event` (txHash, logIndex, blockNumber, blockTimestamp) is the
+// on-chain event behind the change and is recorded in the vault ledger.
+function updateVaultBalance(deployment, testator, vaultType, amount, isDeposit = true, event = null) {
+    const willId = makeWillId(deployment, testator);
     
     // Get current balance
     const selectStmt = db.prepare(`
@@ -225,40 +309,81 @@ function updateVaultBalance(testator, vaultType, amount, isDeposit = true) {
     `);
     
     updateStmt.run(willId, vaultType, finalBalance.toString());
+    updateTotalValue(willId);
+    
+    if (event) {
+        addVaultTransaction(willId, vaultType, isDeposit ? 'deposit' : 'withdrawal', amount, finalBalance.toString(), event);
+    }
     
-    const operation = isDeposit ? 'Deposited' : 'Withdrew';
-    console.log(`💰 ${operation} ${amount} to ${vaultType} vault for testator: ${testator}`);
+    log.debug(isDeposit ? 'Deposited to vault' : 'Withdrew from vault', { willId, vaultType, amount });
 }
 
-// Document operations
-function addDocument(testator, ipfsHash, fileName, documentType, uploadedAt) {
-    const willId = testator.toLowerCase();
-    
+function addVaultTransaction(willId, vaultType, transactionType, amount, balanceAfter, event) {
     const stmt = db.prepare(`
-        INSERT OR REPLACE INTO Documents (willId, ipfsHash, fileName, documentType, uploadedAt)
-        VALUES (?, ?, ?, ?, ?)
+        INSERT OR IGNORE INTO VaultTransactions
+        (willId, vaultType, transactionType, amount, balanceAfter, blockNumber, blockTimestamp, txHash, logIndex)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
     
-    stmt.run(willId, ipfsHash, fileName, documentType, uploadedAt);
+    stmt.run(
+        willId,
+        vaultType,
+        transactionType,
+        amount,
+        balanceAfter,
+        event.blockNumber,
+        event.blockTimestamp,
+        event.txHash.toLowerCase(),
+        event.logIndex
+    );
+}
+
+// Keeps Wills.totalValue (locked + flexible, in wei) in sync for sorting and filtering
+function updateTotalValue(willId) {
+    const balances = db.prepare('SELECT balance FROM Vaults WHERE willId = ?').all(willId);
+    const total = balances.reduce((sum, vault) => sum + BigInt(vault.balance), 0n);
     
-    console.log(`📄 Added document ${fileName} (${ipfsHash}) to will ${willId}`);
+    db.prepare('UPDATE Wills SET totalValue = ? WHERE willId = ?').run(total.toString(), willId);
 }
 
-function removeDocument(testator, ipfsHash) {
-    const willId = testator.toLowerCase();
+// Document operations. Rows mirror the contract's documents array, `position` being the
+// index in it: the same IPFS hash can be added twice, and a removal takes out one copy.
+function addDocument(deployment, testator, ipfsHash, fileName, documentType, uploadedAt) {
+    const willId = makeWillId(deployment, testator);
     
     const stmt = db.prepare(`
-        DELETE FROM Documents
-        WHERE willId = ? AND ipfsHash = ?
+        INSERT INTO Documents (willId, position, ipfsHash, fileName, documentType, uploadedAt)
+        VALUES (?, (SELECT COUNT(*) FROM Documents WHERE willId = ?), ?, ?, ?, ?)
     `);
     
-    const result = stmt.run(willId, ipfsHash);
+    stmt.run(willId, willId, ipfsHash, fileName, documentType, uploadedAt);
+    
+    log.debug('Added document', { willId, ipfsHash, fileName });
+}
+
+// Like the contract: the first copy of the hash is removed and the last document takes its place
+function removeDocument(deployment, testator, ipfsHash) {
+    const willId = makeWillId(deployment, testator);
+    
+    const removed = db.prepare(`
+        SELECT id, position FROM Documents
+        WHERE willId = ? AND ipfsHash = ?
+        ORDER BY position
+        LIMIT 1
+    `).get(willId, ipfsHash);
     
-    if (result.changes > 0) {
-        console.log(`📄 Removed document ${ipfsHash} from will ${willId}`);
-    } else {
-        console.log(`⚠️ Document ${ipfsHash} not found in will ${willId}`);
+    if (!removed) {
+        log.warn('Document not found', { willId, ipfsHash });
+        return;
     }
+    
+    db.prepare('DELETE FROM Documents WHERE id = ?').run(removed.id);
+    db.prepare(`
+        UPDATE Documents SET position = ?
+        WHERE willId = ? AND position = (SELECT MAX(position) FROM Documents WHERE willId = ?) AND position > ?
+    `).run(removed.position, willId, willId, removed.position);
+    
+    log.debug('Removed document', { willId, ipfsHash });
 }
 
 function getDocuments(willId) {
@@ -272,33 +397,47 @@ function getDocuments(willId) {
     return stmt.all(willId.toLowerCase());
 }
 
+// Documents in the order of the contract's array
+function getDocumentsByPosition(willId) {
+    const stmt = db.prepare(`
+        SELECT ipfsHash, fileName, documentType, uploadedAt FROM Documents
+        WHERE willId = ?
+        ORDER BY position
+    `);
+    
+    return stmt.all(willId.toLowerCase());
+}
+
+// The first copy of a hash, the one a removal would take out
 function getDocumentByHash(willId, ipfsHash) {
     const stmt = db.prepare(`
         SELECT * FROM Documents
         WHERE willId = ? AND ipfsHash = ?
+        ORDER BY position
+        LIMIT 1
     `);
     
     return stmt.get(willId.toLowerCase(), ipfsHash);
 }
 
 // Query functions for API
-function getWillsByTestator(testator) {
+function getWillsByTestator(deployment, testator) {
     const stmt = db.prepare(`
         SELECT * FROM Wills
-        WHERE testator = ?
+        WHERE willId = ?
     `);
     
-    return stmt.all(testator.toLowerCase());
+    return stmt.all(makeWillId(deployment, testator));
 }
 
-function getWillsByBeneficiary(beneficiary) {
+function getWillsByBeneficiary(deployment, beneficiary) {
     const stmt = db.prepare(`
-        SELECT w.*, b.share FROM Wills w
+        SELECT w.*, b.share, b.isGuardian FROM Wills w
         JOIN Beneficiaries b ON w.willId = b.willId
-        WHERE b.beneficiary = ?
+        WHERE w.chainId = ? AND w.contractAddress = ? AND b.beneficiary = ?
     `);
     
-    return stmt.all(beneficiary.toLowerCase());
+    return stmt.all(deployment.chainId, deployment.contractAddress.toLowerCase(), beneficiary.toLowerCase());
 }
 
 function getWillDetails(willId) {
@@ -308,7 +447,7 @@ function getWillDetails(willId) {
     `);
     
     const beneficiariesStmt = db.prepare(`
-        SELECT beneficiary, share FROM Beneficiaries
+        SELECT beneficiary, share, isGuardian FROM Beneficiaries
         WHERE willId = ?
     `);
     
@@ -338,14 +477,455 @@ function getWillDetails(willId) {
     };
 }
 
-function getBeneficiaryWills(beneficiary) {
+function getBeneficiaryWills(deployment, beneficiary) {
     const stmt = db.prepare(`
-        SELECT w.willId, w.testator, w.executed, b.share FROM Wills w
+        SELECT w.willId, w.chainId, w.contractAddress, w.testator, w.guardian, w.checkInPeriod, w.disputePeriod,
+               w.lastCheckIn, w.executed, b.share, b.isGuardian
+        FROM Wills w
         JOIN Beneficiaries b ON w.willId = b.willId
-        WHERE b.beneficiary = ?
+        WHERE w.chainId = ? AND w.contractAddress = ? AND b.beneficiary = ?
+    `);
+    
+    return stmt.all(deployment.chainId, deployment.contractAddress.toLowerCase(), beneficiary.toLowerCase());
+}
+
+// Sort keys for will listings. Wei amounts are stored as decimal strings, which order
+// exactly by (length, text) without overflowing SQLite integers.
+// cursorTypes: type of each cursor value, the sort columns followed by the row's unique id
+const WILL_SORT_KEYS = {
+    createdAt: {
+        columns: ['w.createdAt'],
+        values: will => [will.createdAt],
+        cursorTypes: ['number', 'string']
+    },
+    lastCheckIn: {
+        columns: ['w.lastCheckIn'],
+        values: will => [will.lastCheckIn],
+        cursorTypes: ['number', 'string']
+    },
+    totalValue: {
+        columns: ['length(w.totalValue)', 'w.totalValue'],
+        values: will => [will.totalValue.length, will.totalValue],
+        cursorTypes: ['number', 'string', 'string']
+    }
+};
+
+const DOCUMENT_SORT_KEYS = {
+    uploadedAt: {
+        columns: ['d.uploadedAt'],
+        values: document => [document.uploadedAt],
+        cursorTypes: ['number', 'number']
+    }
+};
+
+// Ledger entries are ordered by their position on chain
+const VAULT_TRANSACTION_SORT_KEYS = {
+    blockNumber: {
+        columns: ['t.blockNumber', 't.logIndex'],
+        values: transaction => [transaction.blockNumber, transaction.logIndex],
+        cursorTypes: ['number', 'number', 'number']
+    }
+};
+
+function encodeCursor(values) {
+    return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+function isCursorValue(value, type) {
+    return type === 'number' ? Number.isFinite(value) : typeof value === type;
+}
+
+// The values of a cursor made for `sortKey`, or null when it is malformed or made for another sort
+function decodeCursor(cursor, sortKey) {
+    let values;
+    try {
+        values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+    
+    const valid = Array.isArray(values) &&
+        values.length === sortKey.cursorTypes.length &&
+        values.every((value, index) => isCursorValue(value, sortKey.cursorTypes[index]));
+    return valid ? values : null;
+}
+
+// Builds ORDER BY and keyset (cursor) conditions for a sort key plus a unique tie-breaker column
+function buildPage(sortKey, tieBreaker, { order = 'desc', cursor }) {
+    const columns = [...sortKey.columns, tieBreaker];
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    const page = {
+        orderBy: columns.map(column => `${column} ${direction}`).join(', '),
+        where: null,
+        params: []
+    };
+    
+    if (cursor) {
+        const values = decodeCursor(cursor, sortKey);
+        if (!values) {
+            throw new Error('Invalid cursor');
+        }
+        page.where = `(${columns.join(', ')}) ${direction === 'ASC' ? '>' : '<'} (${columns.map(() => '?').join(', ')})`;
+        page.params = values;
+    }
+    
+    return page;
+}
+
+// Runs a paged query (limit + 1 rows, to know whether there is a next page)
+function runPage(sql, params, limit, cursorValues) {
+    const rows = db.prepare(`${sql} LIMIT ?`).all(...params, limit + 1);
+    const items = rows.slice(0, limit);
+    const last = items[items.length - 1];
+    
+    return {
+        items,
+        nextCursor: rows.length > limit ? encodeCursor(cursorValues(last)) : null
+    };
+}
+
+// Lifecycle status filters; same rules as lifecycle.getWillLifecycle, evaluated at chain time `now`
+const CHECK_IN_DEADLINE = 'w.lastCheckIn + w.checkInPeriod';
+const DISPUTE_END_TIME = `${CHECK_IN_DEADLINE} + w.disputePeriod`;
+
+const WILL_STATUS_CONDITIONS = {
+    'active': now => [`w.executed = 0 AND ${CHECK_IN_DEADLINE} >= ?`, [now]],
+    'overdue-guardian-only': now => [`w.executed = 0 AND ${CHECK_IN_DEADLINE} < ? AND ${DISPUTE_END_TIME} >= ?`, [now, now]],
+    'open-to-beneficiaries': now => [`w.executed = 0 AND ${DISPUTE_END_TIME} < ?`, [now]],
+    'executed': () => ['w.executed = 1', []]
+};
+
+// Lists wills of a deployment with filters, sorting and cursor pagination.
+// options: testator, beneficiary, executed, hasGuardian, documentType, minBalance,
+//          statuses + now (lifecycle filter), sort, order, limit, cursor
+function queryWills(deployment, options = {}) {
+    const sortKey = WILL_SORT_KEYS[options.sort || 'createdAt'];
+    const conditions = ['w.chainId = ?', 'w.contractAddress = ?'];
+    const params = [deployment.chainId, deployment.contractAddress.toLowerCase()];
+    let select = 'w.*';
+    let join = '';
+    
+    if (options.testator) {
+        conditions.push('w.testator = ?');
+        params.push(options.testator.toLowerCase());
+    }
+    if (options.beneficiary) {
+        select += ', b.share, b.isGuardian';
+        join = 'JOIN Beneficiaries b ON b.willId = w.willId AND b.beneficiary = ?';
+        params.unshift(options.beneficiary.toLowerCase());
+    }
+    if (options.executed !== undefined) {
+        conditions.push('w.executed = ?');
+        params.push(options.executed ? 1 : 0);
+    }
+    if (options.hasGuardian !== undefined) {
+        conditions.push(options.hasGuardian ? 'w.guardian IS NOT NULL' : 'w.guardian IS NULL');
+    }
+    if (options.documentType) {
+        conditions.push('EXISTS (SELECT 1 FROM Documents d WHERE d.willId = w.willId AND d.documentType = ?)');
+        params.push(options.documentType);
+    }
+    if (options.minBalance) {
+        conditions.push('(length(w.totalValue), w.totalValue) >= (?, ?)');
+        params.push(options.minBalance.length, options.minBalance);
+    }
+    if (options.statuses) {
+        const clauses = options.statuses.map(status => WILL_STATUS_CONDITIONS[status](options.now));
+        conditions.push(`(${clauses.map(([sql]) => `(${sql})`).join(' OR ')})`);
+        clauses.forEach(([, values]) => params.push(...values));
+    }
+    
+    const page = buildPage(sortKey, 'w.willId', options);
+    if (page.where) {
+        conditions.push(page.where);
+        params.push(...page.params);
+    }
+    
+    const sql = `
+        SELECT ${select} FROM Wills w
+        ${join}
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY ${page.orderBy}
+    `;
+    
+    return runPage(sql, params, options.limit, will => [...sortKey.values(will), will.willId]);
+}
+
+// Lists the documents of a will, optionally filtered by type, newest first by default
+function queryDocuments(willId, options = {}) {
+    const sortKey = DOCUMENT_SORT_KEYS[options.sort || 'uploadedAt'];
+    const conditions = ['d.willId = ?'];
+    const params = [willId.toLowerCase()];
+    
+    if (options.documentType) {
+        conditions.push('d.documentType = ?');
+        params.push(options.documentType);
+    }
+    
+    const page = buildPage(sortKey, 'd.id', options);
+    if (page.where) {
+        conditions.push(page.where);
+        params.push(...page.params);
+    }
+    
+    const sql = `
+        SELECT d.id, d.ipfsHash, d.fileName, d.documentType, d.uploadedAt FROM Documents d
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY ${page.orderBy}
+    `;
+    
+    const result = runPage(sql, params, options.limit, document => [...sortKey.values(document), document.id]);
+    result.items = result.items.map(({ id, ...document }) => document);
+    return result;
+}
+
+// Lists the vault ledger of a will, optionally for one vault and a block time range
+// (from/to in unix seconds, inclusive), newest first by default
+function queryVaultTransactions(willId, options = {}) {
+    const sortKey = VAULT_TRANSACTION_SORT_KEYS[options.sort || 'blockNumber'];
+    const conditions = ['t.willId = ?'];
+    const params = [willId.toLowerCase()];
+    
+    if (options.vaultType) {
+        conditions.push('t.vaultType = ?');
+        params.push(options.vaultType);
+    }
+    if (options.from !== undefined) {
+        conditions.push('t.blockTimestamp >= ?');
+        params.push(options.from);
+    }
+    if (options.to !== undefined) {
+        conditions.push('t.blockTimestamp <= ?');
+        params.push(options.to);
+    }
+    
+    const page = buildPage(sortKey, 't.id', options);
+    if (page.where) {
+        conditions.push(page.where);
+        params.push(...page.params);
+    }
+    
+    const sql = `
+        SELECT t.id, t.vaultType, t.transactionType, t.amount, t.balanceAfter,
+               t.blockNumber, t.blockTimestamp, t.txHash, t.logIndex
+        FROM VaultTransactions t
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY ${page.orderBy}
+    `;
+    
+    const result = runPage(sql, params, options.limit, transaction => [...sortKey.values(transaction), transaction.id]);
+    result.items = result.items.map(({ id, ...transaction }) => transaction);
+    return result;
+}
+
+// Everything the address inherited on a deployment, newest execution first
+function getPayoutsByBeneficiary(deployment, beneficiary) {
+    const stmt = db.prepare(`
+        SELECT p.willId, w.testator, p.share, p.amount, e.blockNumber, e.blockTimestamp AS executedAt, e.txHash
+        FROM Payouts p
+        JOIN Wills w ON w.willId = p.willId
+        LEFT JOIN WillExecutions e ON e.willId = p.willId
+        WHERE w.chainId = ? AND w.contractAddress = ? AND p.beneficiary = ?
+        ORDER BY e.blockNumber DESC
+    `);
+    
+    return stmt.all(deployment.chainId, deployment.contractAddress.toLowerCase(), beneficiary.toLowerCase());
+}
+
+// Execution summary and per-beneficiary payouts of a will; null if it was not executed
+function getWillPayouts(willId) {
+    const execution = db.prepare(`
+        SELECT totalFunds, distributed, undistributed, blockNumber, blockTimestamp AS executedAt, txHash
+        FROM WillExecutions
+        WHERE willId = ?
+    `).get(willId.toLowerCase());
+    
+    if (!execution) return null;
+    
+    const payouts = db.prepare(`
+        SELECT beneficiary, share, amount FROM Payouts
+        WHERE willId = ?
+        ORDER BY share DESC, beneficiary ASC
+    `).all(willId.toLowerCase());
+    
+    return { ...execution, payouts };
+}
+
+// Will counts per deployment and execution state, for the metrics endpoint
+function getWillCounts() {
+    const stmt = db.prepare(`
+        SELECT chainId, contractAddress, executed, COUNT(*) as count FROM Wills
+        GROUP BY chainId, contractAddress, executed
     `);
     
-    return stmt.all(beneficiary.toLowerCase());
+    return stmt.all();
+}
+
+// Vault balances summed per deployment and vault type (wei strings, summed with BigInt)
+function getValueLocked() {
+    const stmt = db.prepare(`
+        SELECT w.chainId, w.contractAddress, v.vaultType, v.balance FROM Vaults v
+        JOIN Wills w ON w.willId = v.willId
+    `);
+    
+    const totals = new Map();
+    for (const row of stmt.all()) {
+        const key = `${row.chainId}|${row.contractAddress}|${row.vaultType}`;
+        const total = totals.get(key) || { chainId: row.chainId, contractAddress: row.contractAddress, vaultType: row.vaultType, balance: 0n };
+        total.balance += BigInt(row.balance);
+        totals.set(key, total);
+    }
+    
+    return [...totals.values()].map(total => ({ ...total, balance: total.balance.toString() }));
+}
+
+// Current totals of a deployment for GET /stats. Balances are wei strings summed with BigInt:
+// SUM(CAST(balance AS INTEGER)) overflows SQLite's 64-bit integers past ~9.2 ether
+function getDeploymentStats(deployment) {
+    const params = [deployment.chainId, deployment.contractAddress.toLowerCase()];
+    
+    // Every statistic is scoped to the deployment through the Wills table
+    const scope = 'w.chainId = ? AND w.contractAddress = ?';
+    
+    const totalVaultValue = { locked: 0n, flexible: 0n };
+    const vaults = db.prepare(`SELECT vaultType, balance FROM Vaults v JOIN Wills w ON w.willId = v.willId WHERE ${scope}`).all(...params);
+    for (const vault of vaults) {
+        totalVaultValue[vault.vaultType] += BigInt(vault.balance);
+    }
+    
+    return {
+        totalWills: db.prepare(`SELECT COUNT(*) as count FROM Wills w WHERE ${scope}`).get(...params).count,
+        executedWills: db.prepare(`SELECT COUNT(*) as count FROM Wills w WHERE ${scope} AND executed = 1`).get(...params).count,
+        activeWills: db.prepare(`SELECT COUNT(*) as count FROM Wills w WHERE ${scope} AND executed = 0`).get(...params).count,
+        totalBeneficiaries: db.prepare(`SELECT COUNT(DISTINCT beneficiary) as count FROM Beneficiaries b JOIN Wills w ON w.willId = b.willId WHERE ${scope}`).get(...params).count,
+        totalDocuments: db.prepare(`SELECT COUNT(*) as count FROM Documents d JOIN Wills w ON w.willId = d.willId WHERE ${scope}`).get(...params).count,
+        totalVaultValue: {
+            locked: totalVaultValue.locked.toString(),
+            flexible: totalVaultValue.flexible.toString()
+        },
+        documentsByType: db.prepare(`
+            SELECT documentType, COUNT(*) as count 
+            FROM Documents d
+            JOIN Wills w ON w.willId = d.willId
+            WHERE ${scope}
+            GROUP BY documentType 
+            ORDER BY count DESC
+        `).all(...params)
+    };
+}
+
+const SECONDS_PER_DAY = 86400;
+
+// Events counted per day by getStatsHistory, and the bucket field each one increments
+const HISTORY_EVENT_COUNTERS = {
+    WillCreated: 'willsCreated',
+    CheckIn: 'checkIns',
+    WillExecuted: 'executions'
+};
+
+// Daily (UTC) activity of a deployment for every day from `from` to `to` (unix seconds):
+// wills created, check-ins, executions, deposits and withdrawals, plus the value locked per
+// vault type at the end of each day. Amounts are wei strings computed with BigInt.
+function getStatsHistory(deployment, from, to) {
+    const params = [deployment.chainId, deployment.contractAddress.toLowerCase()];
+    const firstDay = Math.floor(from / SECONDS_PER_DAY) * SECONDS_PER_DAY;
+    const end = (Math.floor(to / SECONDS_PER_DAY) + 1) * SECONDS_PER_DAY;
+    
+    const buckets = new Map();
+    for (let day = firstDay; day < end; day += SECONDS_PER_DAY) {
+        buckets.set(day, {
+            date: new Date(day * 1000).toISOString().slice(0, 10),
+            timestamp: day,
+            willsCreated: 0,
+            checkIns: 0,
+            executions: 0,
+            deposits: { count: 0, amount: 0n },
+            withdrawals: { count: 0, amount: 0n }
+        });
+    }
+    
+    const events = db.prepare(`
+        SELECT eventName, blockTimestamp FROM Events
+        WHERE chainId = ? AND contractAddress = ?
+        AND eventName IN (${Object.keys(HISTORY_EVENT_COUNTERS).map(() => '?').join(', ')})
+        AND blockTimestamp >= ? AND blockTimestamp < ?
+    `).all(...params, ...Object.keys(HISTORY_EVENT_COUNTERS), firstDay, end);
+    
+    for (const event of events) {
+        const day = Math.floor(event.blockTimestamp / SECONDS_PER_DAY) * SECONDS_PER_DAY;
+        buckets.get(day)[HISTORY_EVENT_COUNTERS[event.eventName]]++;
+    }
+    
+    // Value locked is the balance after the latest ledger entry of every vault, so the
+    // ledger is replayed from the start, not just from `from`
+    const transactions = db.prepare(`
+        SELECT t.willId, t.vaultType, t.transactionType, t.amount, t.balanceAfter, t.blockTimestamp
+        FROM VaultTransactions t
+        JOIN Wills w ON w.willId = t.willId
+        WHERE w.chainId = ? AND w.contractAddress = ? AND t.blockTimestamp < ?
+        ORDER BY t.blockNumber, t.logIndex
+    `).all(...params, end);
+    
+    const balances = new Map();
+    const valueLocked = { locked: 0n, flexible: 0n };
+    let next = 0;
+    
+    return [...buckets.values()].map(bucket => {
+        for (; next < transactions.length && transactions[next].blockTimestamp < bucket.timestamp + SECONDS_PER_DAY; next++) {
+            const transaction = transactions[next];
+            const key = `${transaction.willId}|${transaction.vaultType}`;
+            const balanceAfter = BigInt(transaction.balanceAfter);
+            
+            valueLocked[transaction.vaultType] += balanceAfter - (balances.get(key) || 0n);
+            balances.set(key, balanceAfter);
+            
+            // Entries before the first day only count towards the value locked
+            if (transaction.blockTimestamp < bucket.timestamp) continue;
+            
+            const flow = transaction.transactionType === 'deposit' ? bucket.deposits
+                : transaction.transactionType === 'withdrawal' ? bucket.withdrawals
+                : null;
+            if (flow) {
+                flow.count++;
+                flow.amount += BigInt(transaction.amount);
+            }
+        }
+        
+        return {
+            ...bucket,
+            deposits: { count: bucket.deposits.count, amount: bucket.deposits.amount.toString() },
+            withdrawals: { count: bucket.withdrawals.count, amount: bucket.withdrawals.amount.toString() },
+            valueLocked: { locked: valueLocked.locked.toString(), flexible: valueLocked.flexible.toString() }
+        };
+    });
+}
+
+function getWillsByDeployment(deployment) {
+    const stmt = db.prepare(`
+        SELECT * FROM Wills
+        WHERE chainId = ? AND contractAddress = ?
+    `);
+    
+    return stmt.all(deployment.chainId, deployment.contractAddress.toLowerCase());
+}
+
+// Block timestamp of the WillExecuted event, or null if the will has not been executed
+function getWillExecutedAt(willId) {
+    const stmt = db.prepare(`
+        SELECT MAX(blockTimestamp) as executedAt FROM Events
+        WHERE willId = ? AND eventName = 'WillExecuted'
+    `);
+    
+    return stmt.get(willId.toLowerCase()).executedAt;
+}
+
+function getBeneficiaryAddresses(willId) {
+    const stmt = db.prepare(`
+        SELECT beneficiary FROM Beneficiaries
+        WHERE willId = ?
+    `);
+    
+    return stmt.all(willId.toLowerCase()).map(row => row.beneficiary);
 }
 
 function getVaults(willId) {
@@ -357,12 +937,573 @@ function getVaults(willId) {
     return stmt.all(willId.toLowerCase());
 }
 
+// Batched lookups for the GraphQL loaders: one query for a whole list of wills
+function placeholders(values) {
+    return values.map(() => '?').join(', ');
+}
+
+function getWillsByIds(willIds) {
+    const stmt = db.prepare(`
+        SELECT * FROM Wills
+        WHERE willId IN (${placeholders(willIds)})
+    `);
+    
+    return stmt.all(...willIds);
+}
+
+function getBeneficiariesByWillIds(willIds) {
+    const stmt = db.prepare(`
+        SELECT willId, beneficiary, share, isGuardian FROM Beneficiaries
+        WHERE willId IN (${placeholders(willIds)})
+    `);
+    
+    return stmt.all(...willIds);
+}
+
+function getVaultsByWillIds(willIds) {
+    const stmt = db.prepare(`
+        SELECT willId, vaultType, balance FROM Vaults
+        WHERE willId IN (${placeholders(willIds)})
+    `);
+    
+    return stmt.all(...willIds);
+}
+
+function getDocumentsByWillIds(willIds) {
+    const stmt = db.prepare(`
+        SELECT willId, ipfsHash, fileName, documentType, uploadedAt FROM Documents
+        WHERE willId IN (${placeholders(willIds)})
+        ORDER BY uploadedAt DESC
+    `);
+    
+    return stmt.all(...willIds);
+}
+
+function getPayoutsByWillIds(willIds) {
+    const stmt = db.prepare(`
+        SELECT willId, beneficiary, share, amount FROM Payouts
+        WHERE willId IN (${placeholders(willIds)})
+        ORDER BY share DESC, beneficiary ASC
+    `);
+    
+    return stmt.all(...willIds);
+}
+
+function getEventsByWillIds(willIds) {
+    const stmt = db.prepare(`
+        SELECT willId, chainId, contractAddress, txHash, logIndex, blockNumber, blockHash, blockTimestamp, eventName, args
+        FROM Events
+        WHERE willId IN (${placeholders(willIds)})
+        ORDER BY blockNumber ASC, logIndex ASC
+    `);
+    
+    return stmt.all(...willIds).map(event => ({
+        ...event,
+        args: JSON.parse(event.args)
+    }));
+}
+
+// Overwrites the projections of a will with state read from the contract (see reconcile.js).
+// No event is recorded, so rebuildProjections and rollbackToBlock undo the repair.
+function repairWill(willId, state) {
+    const run = db.transaction(() => {
+        const now = Math.floor(Date.now() / 1000);
+        
+        db.prepare(`
+            UPDATE Wills
+            SET lastCheckIn = ?, checkInPeriod = ?, disputePeriod = ?, executed = ?, updatedAt = ?
+            WHERE willId = ?
+        `).run(state.lastCheckIn, state.checkInPeriod, state.disputePeriod, state.executed ? 1 : 0, now, willId);
+        
+        const vaultStmt = db.prepare(`
+            INSERT OR REPLACE INTO Vaults (willId, vaultType, balance)
+            VALUES (?, ?, ?)
+        `);
+        vaultStmt.run(willId, 'locked', state.lockedVault);
+        vaultStmt.run(willId, 'flexible', state.flexibleVault);
+        updateTotalValue(willId);
+        
+        db.prepare('DELETE FROM Beneficiaries WHERE willId = ?').run(willId);
+        const beneficiaryStmt = db.prepare(`
+            INSERT OR REPLACE INTO Beneficiaries (willId, beneficiary, share, isGuardian)
+            VALUES (?, ?, ?, ?)
+        `);
+        for (const beneficiary of state.beneficiaries) {
+            beneficiaryStmt.run(willId, beneficiary.beneficiary.toLowerCase(), beneficiary.share, beneficiary.isGuardian ? 1 : 0);
+        }
+        syncGuardian(willId);
+        
+        db.prepare('DELETE FROM Documents WHERE willId = ?').run(willId);
+        const documentStmt = db.prepare(`
+            INSERT INTO Documents (willId, position, ipfsHash, fileName, documentType, uploadedAt)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `);
+        state.documents.forEach((document, position) => {
+            documentStmt.run(willId, position, document.ipfsHash, document.fileName, document.documentType, document.uploadedAt);
+        });
+    });
+    
+    run();
+    log.info('Repaired will from on-chain state', { willId });
+}
+
+// Event log operations
+function recordEvent(event) {
+    const stmt = db.prepare(`
+        INSERT OR IGNORE INTO Events 
+        (chainId, contractAddress, txHash, logIndex, blockNumber, blockHash, blockTimestamp, eventName, willId, args, createdAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    
+    const now = Math.floor(Date.now() / 1000);
+    const result = stmt.run(
+        event.chainId,
+        event.contractAddress.toLowerCase(),
+        event.txHash.toLowerCase(),
+        event.logIndex,
+        event.blockNumber,
+        event.blockHash.toLowerCase(),
+        event.blockTimestamp,
+        event.eventName,
+        event.willId,
+        JSON.stringify(event.args),
+        now
+    );
+    
+    return result.changes > 0;
+}
+
+// Records the event and runs its projection update in one transaction.
+// Returns false (and applies nothing) if the event was already recorded.
+function applyEventOnce(event, apply) {
+    const run = db.transaction(() => {
+        if (!recordEvent(event)) {
+            return false;
+        }
+        apply();
+        return true;
+    });
+    
+    return run();
+}
+
+function getWillEvents(willId) {
+    const stmt = db.prepare(`
+        SELECT chainId, contractAddress, txHash, logIndex, blockNumber, blockHash, blockTimestamp, eventName, args
+        FROM Events
+        WHERE willId = ?
+        ORDER BY blockNumber ASC, logIndex ASC
+    `);
+    
+    return stmt.all(willId.toLowerCase()).map(event => ({
+        ...event,
+        args: JSON.parse(event.args)
+    }));
+}
+
+// Block operations
+function saveBlock(chainId, blockNumber, blockHash, timestamp) {
+    const stmt = db.prepare(`
+        INSERT OR REPLACE INTO Blocks (chainId, blockNumber, blockHash, timestamp)
+        VALUES (?, ?, ?, ?)
+    `);
+    
+    stmt.run(chainId, blockNumber, blockHash.toLowerCase(), timestamp);
+}
+
+function getRecentBlocks(chainId, limit) {
+    const stmt = db.prepare(`
+        SELECT blockNumber, blockHash, timestamp FROM Blocks
+        WHERE chainId = ?
+        ORDER BY blockNumber DESC
+        LIMIT ?
+    `);
+    
+    return stmt.all(chainId, limit);
+}
+
+// Timestamp of the most recent indexed block, i.e. the chain's notion of "now"
+function getLatestBlockTimestamp(chainId) {
+    const stmt = db.prepare(`
+        SELECT timestamp FROM Blocks
+        WHERE chainId = ?
+        ORDER BY blockNumber DESC
+        LIMIT 1
+    `);
+    
+    const result = stmt.get(chainId);
+    return result ? result.timestamp : null;
+}
+
+function pruneBlocks(chainId, belowBlock) {
+    const stmt = db.prepare(`
+        DELETE FROM Blocks
+        WHERE chainId = ? AND blockNumber < ?
+    `);
+    
+    stmt.run(chainId, belowBlock);
+}
+
+// Removes every projection row of a will so it can be rebuilt from the event log
+function deleteWillProjections(willId) {
+    db.prepare('DELETE FROM Documents WHERE willId = ?').run(willId);
+    db.prepare('DELETE FROM Payouts WHERE willId = ?').run(willId);
+    db.prepare('DELETE FROM WillExecutions WHERE willId = ?').run(willId);
+    db.prepare('DELETE FROM VaultTransactions WHERE willId = ?').run(willId);
+    db.prepare('DELETE FROM Vaults WHERE willId = ?').run(willId);
+    db.prepare('DELETE FROM Beneficiaries WHERE willId = ?').run(willId);
+    db.prepare('DELETE FROM Wills WHERE willId = ?').run(willId);
+}
+
+// Drops all events of a chain after blockNumber and rebuilds the affected wills from
+// the remaining (canonical) events. Returns the list of rebuilt will IDs.
+function rollbackToBlock(chainId, blockNumber, replayEvent) {
+    const run = db.transaction(() => {
+        const affectedWills = db.prepare(`
+            SELECT DISTINCT willId FROM Events
+            WHERE chainId = ? AND blockNumber > ?
+        `).all(chainId, blockNumber).map(row => row.willId);
+        
+        db.prepare('DELETE FROM Events WHERE chainId = ? AND blockNumber > ?').run(chainId, blockNumber);
+        db.prepare('DELETE FROM Blocks WHERE chainId = ? AND blockNumber > ?').run(chainId, blockNumber);
+        
+        for (const willId of affectedWills) {
+            deleteWillProjections(willId);
+            getWillEvents(willId).forEach(replayEvent);
+        }
+        
+        // Rewind every deployment on this chain that had indexed past the fork point
+        const now = Math.floor(Date.now() / 1000);
+        db.prepare(`
+            UPDATE SyncState
+            SET lastIndexedBlock = ?, updatedAt = ?
+            WHERE chainId = ? AND lastIndexedBlock > ?
+        `).run(blockNumber, now, chainId, blockNumber);
+        
+        return affectedWills;
+    });
+    
+    const affectedWills = run();
+    log.info('Rolled back chain', { chainId, blockNumber, rebuiltWills: affectedWills.length });
+    return affectedWills;
+}
+
+// Drops and replays the projections of every will (or of one chain's wills) from the
+// Events table, without touching the event log or the sync cursors
+function rebuildProjections(replayEvent, chainId = null) {
+    const run = db.transaction(() => {
+        const filter = chainId === null ? '' : 'WHERE chainId = ?';
+        const params = chainId === null ? [] : [chainId];
+        
+        const willIds = db.prepare(`
+            SELECT willId FROM Wills ${filter}
+            UNION
+            SELECT willId FROM Events ${filter}
+        `).all(...params, ...params).map(row => row.willId);
+        
+        for (const willId of willIds) {
+            deleteWillProjections(willId);
+            getWillEvents(willId).forEach(replayEvent);
+        }
+        
+        return willIds;
+    });
+    
+    const willIds = run();
+    log.info('Rebuilt wills from the event log', { count: willIds.length });
+    return willIds;
+}
+
+// Consistency checks over the whole database; returns a list of problems (empty if healthy)
+function verifyDatabase() {
+    const problems = [];
+    
+    const integrity = db.pragma('integrity_check', { simple: true });
+    if (integrity !== 'ok') {
+        problems.push({ check: 'integrity', detail: integrity });
+    }
+    
+    db.pragma('foreign_key_check').forEach(row => {
+        problems.push({ check: 'foreignKey', detail: `${row.table} row ${row.rowid} references missing ${row.parent}` });
+    });
+    
+    const vaultTotals = new Map();
+    db.prepare('SELECT willId, balance FROM Vaults').all().forEach(vault => {
+        vaultTotals.set(vault.willId, (vaultTotals.get(vault.willId) || 0n) + BigInt(vault.balance));
+    });
+    
+    for (const will of db.prepare('SELECT willId, totalValue FROM Wills').all()) {
+        const expected = (vaultTotals.get(will.willId) || 0n).toString();
+        if (will.totalValue !== expected) {
+            problems.push({ check: 'totalValue', willId: will.willId, detail: `totalValue ${will.totalValue}, vaults sum to ${expected}` });
+        }
+    }
+    
+    db.prepare(`
+        SELECT w.willId, w.guardian, (
+            SELECT beneficiary FROM Beneficiaries
+            WHERE willId = w.willId AND isGuardian = 1
+            LIMIT 1
+        ) as flagged
+        FROM Wills w
+    `).all().forEach(row => {
+        if ((row.guardian || null) !== (row.flagged || null)) {
+            problems.push({ check: 'guardian', willId: row.willId, detail: `guardian ${row.guardian}, flagged beneficiary ${row.flagged}` });
+        }
+    });
+    
+    db.prepare(`
+        SELECT willId, SUM(share) as totalShare FROM Beneficiaries
+        GROUP BY willId
+        HAVING totalShare > 100
+    `).all().forEach(row => {
+        problems.push({ check: 'shares', willId: row.willId, detail: `beneficiary shares add up to ${row.totalShare}%` });
+    });
+    
+    // A cursor behind a recorded event means the event would be fetched (and ignored) again,
+    // which is harmless; a missing cursor for a deployment with events is not
+    db.prepare(`
+        SELECT e.chainId, e.contractAddress, MAX(e.blockNumber) as lastEventBlock, s.lastIndexedBlock
+        FROM Events e
+        LEFT JOIN SyncState s ON s.chainId = e.chainId AND s.contractAddress = e.contractAddress
+        GROUP BY e.chainId, e.contractAddress
+    `).all().forEach(row => {
+        if (row.lastIndexedBlock === null || row.lastIndexedBlock < row.lastEventBlock) {
+            problems.push({
+                check: 'syncState',
+                detail: `chain ${row.chainId} contract ${row.contractAddress} has events up to block ${row.lastEventBlock} but its cursor is at ${row.lastIndexedBlock}`
+            });
+        }
+    });
+    
+    return problems;
+}
+
+// Every table as a list of rows, for backups and debugging
+function dumpDatabase() {
+    const tables = db.prepare(`
+        SELECT name FROM sqlite_master
+        WHERE type = 'table' AND name NOT LIKE 'sqlite_%'
+        ORDER BY name
+    `).all().map(row => row.name);
+    
+    return Object.fromEntries(tables.map(table => [table, db.prepare(`SELECT * FROM "${table}"`).all()]));
+}
+
+// Sync state operations
+function getLastIndexedBlock(chainId, contractAddress) {
+    const stmt = db.prepare(`
+        SELECT lastIndexedBlock FROM SyncState
+        WHERE chainId = ? AND contractAddress = ?
+    `);
+    
+    const result = stmt.get(chainId, contractAddress.toLowerCase());
+    return result ? result.lastIndexedBlock : null;
+}
+
+function setLastIndexedBlock(chainId, contractAddress, blockNumber) {
+    const stmt = db.prepare(`
+        INSERT OR REPLACE INTO SyncState (chainId, contractAddress, lastIndexedBlock, updatedAt)
+        VALUES (?, ?, ?, ?)
+    `);
+    
+    const now = Math.floor(Date.now() / 1000);
+    stmt.run(chainId, contractAddress.toLowerCase(), blockNumber, now);
+}
+
+function getSyncStates() {
+    const stmt = db.prepare(`
+        SELECT chainId, contractAddress, lastIndexedBlock, updatedAt FROM SyncState
+    `);
+    
+    return stmt.all();
+}
+
+// Time of the newest event per deployment: its block timestamp and when it was indexed
+function getLastEventTimes() {
+    const stmt = db.prepare(`
+        SELECT chainId, contractAddress, MAX(blockTimestamp) AS lastEventAt, MAX(createdAt) AS lastEventIndexedAt
+        FROM Events
+        GROUP BY chainId, contractAddress
+    `);
+    
+    return stmt.all();
+}
+
+// Whether the database accepts writes, checked by writing a row in a transaction
+// that is always rolled back
+function checkDatabaseWritable() {
+    try {
+        db.exec('BEGIN IMMEDIATE');
+        db.prepare(`INSERT INTO schema_version (version, name, appliedAt) VALUES (-1, 'write check', 0)`).run();
+        return { writable: true };
+    } catch (error) {
+        return { writable: false, error: error.message };
+    } finally {
+        if (db.inTransaction) db.exec('ROLLBACK');
+    }
+}
+
+// Webhook subscription operations
+function parseSubscription(row) {
+    return row && { ...row, events: JSON.parse(row.events) };
+}
+
+function createSubscription(deployment, { url, secret, events, address, daysBefore, since, owner }) {
+    const stmt = db.prepare(`
+        INSERT INTO Subscriptions (chainId, contractAddress, url, secret, events, address, daysBefore, since, owner, createdAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    
+    const now = Math.floor(Date.now() / 1000);
+    const result = stmt.run(
+        deployment.chainId,
+        deployment.contractAddress.toLowerCase(),
+        url,
+        secret,
+        JSON.stringify(events),
+        address ? address.toLowerCase() : null,
+        daysBefore,
+        since,
+        owner ? owner.toLowerCase() : null,
+        now
+    );
+    
+    return getSubscription(deployment, result.lastInsertRowid);
+}
+
+function getSubscriptions(deployment) {
+    const stmt = db.prepare(`
+        SELECT * FROM Subscriptions
+        WHERE chainId = ? AND contractAddress = ?
+        ORDER BY id
+    `);
+    
+    return stmt.all(deployment.chainId, deployment.contractAddress.toLowerCase()).map(parseSubscription);
+}
+
+function getSubscription(deployment, id) {
+    const stmt = db.prepare(`
+        SELECT * FROM Subscriptions
+        WHERE chainId = ? AND contractAddress = ? AND id = ?
+    `);
+    
+    return parseSubscription(stmt.get(deployment.chainId, deployment.contractAddress.toLowerCase(), id));
+}
+
+// Deletes a subscription together with its delivery log; returns false if it did not exist
+function deleteSubscription(deployment, id) {
+    return runInTransaction(() => {
+        if (!getSubscription(deployment, id)) return false;
+        
+        db.prepare('DELETE FROM WebhookDeliveries WHERE subscriptionId = ?').run(id);
+        db.prepare('DELETE FROM Subscriptions WHERE id = ?').run(id);
+        return true;
+    });
+}
+
+// Queues a webhook delivery unless the same notification was already queued; returns true if queued
+function queueWebhookDelivery(subscriptionId, willId, eventType, deadline, payload) {
+    const stmt = db.prepare(`
+        INSERT OR IGNORE INTO WebhookDeliveries
+        (subscriptionId, willId, eventType, deadline, payload, status, attempts, nextAttemptAt, createdAt)
+        VALUES (?, ?, ?, ?, ?, 'pending', 0, ?, ?)
+    `);
+    
+    const now = Math.floor(Date.now() / 1000);
+    return stmt.run(subscriptionId, willId, eventType, deadline, JSON.stringify(payload), now, now).changes > 0;
+}
+
+function getDueWebhookDeliveries(now) {
+    const stmt = db.prepare(`
+        SELECT d.*, s.url, s.secret FROM WebhookDeliveries d
+        JOIN Subscriptions s ON s.id = d.subscriptionId
+        WHERE d.status = 'pending' AND d.nextAttemptAt <= ?
+        ORDER BY d.nextAttemptAt, d.id
+    `);
+    
+    return stmt.all(now);
+}
+
+function recordWebhookAttempt(id, { status, responseStatus, lastError, nextAttemptAt }) {
+    const stmt = db.prepare(`
+        UPDATE WebhookDeliveries
+        SET status = ?, attempts = attempts + 1, responseStatus = ?, lastError = ?, nextAttemptAt = ?,
+            deliveredAt = CASE WHEN ? = 'delivered' THEN ? ELSE deliveredAt END
+        WHERE id = ?
+    `);
+    
+    const now = Math.floor(Date.now() / 1000);
+    stmt.run(status, responseStatus ?? null, lastError ?? null, nextAttemptAt ?? null, status, now, id);
+}
+
+function getWebhookDeliveries(subscriptionId) {
+    const stmt = db.prepare(`
+        SELECT id, willId, eventType, deadline, payload, status, attempts, responseStatus, lastError,
+               nextAttemptAt, createdAt, deliveredAt
+        FROM WebhookDeliveries
+        WHERE subscriptionId = ?
+        ORDER BY id DESC
+    `);
+    
+    return stmt.all(subscriptionId).map(row => ({ ...row, payload: JSON.parse(row.payload) }));
+}
+
+function createSession({ tokenHash, address, chainId, domain, expiresAt }) {
+    const stmt = db.prepare(`
+        INSERT INTO Sessions (tokenHash, address, chainId, domain, createdAt, expiresAt)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    
+    const now = Math.floor(Date.now() / 1000);
+    stmt.run(tokenHash, address.toLowerCase(), chainId, domain, now, expiresAt);
+}
+
+// The unexpired session with this token hash, or undefined
+function getSession(tokenHash, now) {
+    const stmt = db.prepare(`
+        SELECT address, chainId, domain, createdAt, expiresAt FROM Sessions
+        WHERE tokenHash = ? AND expiresAt > ?
+    `);
+    
+    return stmt.get(tokenHash, now);
+}
+
+function deleteSession(tokenHash) {
+    return db.prepare('DELETE FROM Sessions WHERE tokenHash = ?').run(tokenHash).changes > 0;
+}
+
+function pruneSessions(now) {
+    return db.prepare('DELETE FROM Sessions WHERE expiresAt <= ?').run(now).changes;
+}
+
+// Whether the address is the testator of the will or one of its beneficiaries (guardian included)
+function isWillParty(willId, address) {
+    const stmt = db.prepare(`
+        SELECT 1 FROM Wills WHERE willId = ? AND testator = ?
+        UNION ALL
+        SELECT 1 FROM Beneficiaries WHERE willId = ? AND beneficiary = ?
+        LIMIT 1
+    `);
+    
+    return stmt.get(willId.toLowerCase(), address.toLowerCase(), willId.toLowerCase(), address.toLowerCase()) !== undefined;
+}
+
+// Runs fn inside a single SQLite transaction (nested calls become savepoints)
+function runInTransaction(fn) {
+    return db.transaction(fn)();
+}
+
 function getDatabase() {
     return db;
 }
 
-module.exports = {
+// Every exported function is timed for the db_query_duration_seconds metric
+module.exports = timeQueries({
     initializeDatabase,
+    migrateDatabase,
+    getSchemaVersion,
+    makeWillId,
     createWill,
     updateLastCheckIn,
     executeWill,
@@ -373,11 +1514,65 @@ module.exports = {
     addDocument,
     removeDocument,
     getDocuments,
+    getDocumentsByPosition,
     getDocumentByHash,
     getWillsByTestator,
     getWillsByBeneficiary,
     getWillDetails,
     getBeneficiaryWills,
+    getWillsByDeployment,
+    getWillCounts,
+    getValueLocked,
+    getDeploymentStats,
+    getStatsHistory,
+    WILL_SORT_KEYS,
+    DOCUMENT_SORT_KEYS,
+    VAULT_TRANSACTION_SORT_KEYS,
+    decodeCursor,
+    queryWills,
+    queryDocuments,
+    queryVaultTransactions,
+    getPayoutsByBeneficiary,
+    getWillPayouts,
+    getWillExecutedAt,
+    getBeneficiaryAddresses,
     getVaults,
+    getWillsByIds,
+    getBeneficiariesByWillIds,
+    getVaultsByWillIds,
+    getDocumentsByWillIds,
+    getPayoutsByWillIds,
+    getEventsByWillIds,
+    repairWill,
+    recordEvent,
+    applyEventOnce,
+    getWillEvents,
+    saveBlock,
+    getRecentBlocks,
+    getLatestBlockTimestamp,
+    pruneBlocks,
+    rollbackToBlock,
+    rebuildProjections,
+    verifyDatabase,
+    dumpDatabase,
+    getLastIndexedBlock,
+    setLastIndexedBlock,
+    getSyncStates,
+    getLastEventTimes,
+    checkDatabaseWritable,
+    createSubscription,
+    getSubscriptions,
+    getSubscription,
+    deleteSubscription,
+    queueWebhookDelivery,
+    getDueWebhookDeliveries,
+    recordWebhookAttempt,
+    getWebhookDeliveries,
+    createSession,
+    getSession,
+    deleteSession,
+    pruneSessions,
+    isWillParty,
+    runInTransaction,
     getDatabase
-};
+});
@@ -0,0 +1,16 @@
+// Every API error response has the same shape: { success: false, error, code }, plus
+// `details` for validation failures. `error` is meant for people, `code` for programs:
+// VALIDATION_FAILED, INVALID_JSON, BAD_REQUEST, NOT_FOUND, UNAUTHORIZED, FORBIDDEN, CONFLICT,
+// PAYLOAD_TOO_LARGE, RATE_LIMITED, NOT_READY, INTERNAL_ERROR
+function sendError(res, status, code, error, extra = {}) {
+    return res.status(status).json({
+        success: false,
+        error,
+        code,
+        ...extra
+    });
+}
+
+module.exports = {
+    sendError
+};
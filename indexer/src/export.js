@@ -0,0 +1,87 @@
+const { makeWillId, getWillDetails, getWillPayouts, getWillEvents } = require('./db');
+const { withLifecycle } = require('./lifecycle');
+
+// Offline copy of a will as indexed, for GET /will/:id/export: its configuration, beneficiaries,
+// vault balances, documents, execution payouts and full event history
+
+// Will fields holding unix seconds, written as ISO dates in CSV
+const TIME_FIELDS = ['lastCheckIn', 'createdAt', 'updatedAt', 'checkInDeadline', 'disputeEndTime', 'evaluatedAt', 'executedAt'];
+
+// The same fields as GET /will/:id, /will/:id/payouts and /will/:id/events; null if there is no will
+function buildWillExport(deployment, testator) {
+    const willId = makeWillId(deployment, testator);
+    const details = withLifecycle(getWillDetails(willId), deployment.chainId);
+    
+    if (!details) return null;
+    
+    const { beneficiaries, vaults, documents, ...will } = details;
+    
+    return {
+        exportedAt: new Date().toISOString(),
+        will,
+        beneficiaries,
+        vaults,
+        documents,
+        execution: getWillPayouts(willId),
+        events: getWillEvents(willId)
+    };
+}
+
+function isoTime(seconds) {
+    return seconds === null || seconds === undefined ? null : new Date(seconds * 1000).toISOString();
+}
+
+// Spreadsheet apps evaluate cells starting with = + - @ as formulas. File names and document
+// types are whatever the testator put on chain, so such cells are prefixed with a quote.
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// A titled table: the title row, the column names, one row per entry, then a blank line
+function csvSection(title, columns, rows) {
+    return [
+        [title],
+        columns,
+        ...rows.map(row => columns.map(column => row[column])),
+        []
+    ];
+}
+
+function fieldRows(object) {
+    return Object.entries(object).map(([field, value]) => ({
+        field,
+        value: TIME_FIELDS.includes(field) ? isoTime(value) : value
+    }));
+}
+
+// The export as one CSV file of consecutive sections (RFC 4180 line endings)
+function willExportToCsv(willExport) {
+    const { execution } = willExport;
+    const { payouts, ...executionSummary } = execution || {};
+    
+    const sections = [
+        csvSection('Will', ['field', 'value'], fieldRows({ ...willExport.will, exportedAt: willExport.exportedAt })),
+        csvSection('Beneficiaries', ['beneficiary', 'share', 'isGuardian'], willExport.beneficiaries),
+        csvSection('Vaults', ['vaultType', 'balance'], willExport.vaults),
+        csvSection('Documents', ['ipfsHash', 'fileName', 'documentType', 'uploadedAt'],
+            willExport.documents.map(document => ({ ...document, uploadedAt: isoTime(document.uploadedAt) }))),
+        ...(execution ? [
+            csvSection('Execution', ['field', 'value'], fieldRows(executionSummary)),
+            csvSection('Payouts', ['beneficiary', 'share', 'amount'], payouts)
+        ] : []),
+        csvSection('Events', ['blockNumber', 'blockTimestamp', 'txHash', 'logIndex', 'eventName', 'args'],
+            willExport.events.map(event => ({ ...event, blockTimestamp: isoTime(event.blockTimestamp) })))
+    ];
+    
+    return sections.flat().map(row => row.map(csvCell).join(',')).join('\r\n');
+}
+
+module.exports = {
+    buildWillExport,
+    willExportToCsv
+};
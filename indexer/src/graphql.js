@@ -0,0 +1,326 @@
+const DataLoader = require('dataloader');
+const { createHandler } = require('graphql-http/lib/use/express');
+const {
+    GraphQLSchema,
+    GraphQLObjectType,
+    GraphQLScalarType,
+    GraphQLList,
+    GraphQLNonNull,
+    GraphQLString,
+    GraphQLInt,
+    GraphQLBoolean,
+    GraphQLError,
+    Kind
+} = require('graphql');
+const { WILL_STATUSES, getChainTime, getWillLifecycle } = require('./lifecycle');
+const { willAccessError, addressAccessError } = require('./auth');
+const {
+    makeWillId,
+    WILL_SORT_KEYS,
+    decodeCursor,
+    queryWills,
+    getWillsByBeneficiary,
+    getWillsByIds,
+    getBeneficiariesByWillIds,
+    getVaultsByWillIds,
+    getDocumentsByWillIds,
+    getPayoutsByWillIds,
+    getEventsByWillIds
+} = require('./db');
+
+// Page size for the wills query (same settings as the REST listings)
+const DEFAULT_PAGE_SIZE = Number(process.env.DEFAULT_PAGE_SIZE || 50);
+const MAX_PAGE_SIZE = Number(process.env.MAX_PAGE_SIZE || 200);
+
+const nonNull = type => new GraphQLNonNull(type);
+const listOf = type => nonNull(new GraphQLList(nonNull(type)));
+
+// GraphQL Int is 32-bit; timestamps plus long check-in periods can exceed that
+const Long = new GraphQLScalarType({
+    name: 'Long',
+    description: 'Integer that may exceed 32 bits (timestamps and durations in seconds)',
+    serialize: value => Number(value),
+    parseValue: value => Number(value),
+    parseLiteral: ast => (ast.kind === Kind.INT ? Number(ast.value) : undefined)
+});
+
+function assertAddress(address, name) {
+    if (!/^0x[a-fA-F0-9]{40}$/.test(address)) {
+        throw new GraphQLError(`Invalid ${name} address format`);
+    }
+}
+
+// Same access rules as the REST routes (see auth.js); `denied` is null when access is allowed
+function assertAccess(denied) {
+    if (denied) {
+        throw new GraphQLError(denied.message, { extensions: { code: denied.code } });
+    }
+}
+
+// Groups rows of a batched query by will, in the order DataLoader asked for them
+function groupByWill(willIds, rows) {
+    const groups = new Map(willIds.map(willId => [willId, []]));
+    rows.forEach(row => groups.get(row.willId).push(row));
+    return willIds.map(willId => groups.get(willId));
+}
+
+// One set of loaders per request, so every relation is fetched with a single
+// query per level of the GraphQL document instead of one query per will
+function createLoaders() {
+    return {
+        will: new DataLoader(async willIds => {
+            const wills = new Map(getWillsByIds(willIds).map(will => [will.willId, will]));
+            return willIds.map(willId => wills.get(willId) || null);
+        }),
+        beneficiaries: new DataLoader(async willIds => groupByWill(willIds, getBeneficiariesByWillIds(willIds))),
+        vaults: new DataLoader(async willIds => groupByWill(willIds, getVaultsByWillIds(willIds))),
+        documents: new DataLoader(async willIds => groupByWill(willIds, getDocumentsByWillIds(willIds))),
+        payouts: new DataLoader(async willIds => groupByWill(willIds, getPayoutsByWillIds(willIds))),
+        events: new DataLoader(async willIds => groupByWill(willIds, getEventsByWillIds(willIds)))
+    };
+}
+
+// Resolves the will a beneficiary, vault, document or payout row belongs to
+const willField = () => ({
+    type: nonNull(WillType),
+    resolve: (row, args, context) => context.loaders.will.load(row.willId)
+});
+
+const BeneficiaryType = new GraphQLObjectType({
+    name: 'Beneficiary',
+    fields: () => ({
+        address: { type: nonNull(GraphQLString), resolve: beneficiary => beneficiary.beneficiary },
+        share: { type: nonNull(GraphQLInt) },
+        isGuardian: { type: nonNull(GraphQLBoolean), resolve: beneficiary => beneficiary.isGuardian === 1 },
+        will: willField()
+    })
+});
+
+const VaultType = new GraphQLObjectType({
+    name: 'Vault',
+    fields: () => ({
+        vaultType: { type: nonNull(GraphQLString) },
+        balance: { type: nonNull(GraphQLString), description: 'Balance in wei' },
+        will: willField()
+    })
+});
+
+const DocumentType = new GraphQLObjectType({
+    name: 'Document',
+    fields: () => ({
+        ipfsHash: { type: nonNull(GraphQLString) },
+        fileName: { type: nonNull(GraphQLString) },
+        documentType: { type: nonNull(GraphQLString) },
+        uploadedAt: { type: nonNull(Long) },
+        will: willField()
+    })
+});
+
+const PayoutType = new GraphQLObjectType({
+    name: 'Payout',
+    fields: () => ({
+        beneficiary: { type: nonNull(GraphQLString) },
+        share: { type: nonNull(GraphQLInt) },
+        amount: { type: nonNull(GraphQLString), description: 'Amount received at execution in wei' },
+        will: willField()
+    })
+});
+
+const WillEventType = new GraphQLObjectType({
+    name: 'WillEvent',
+    fields: () => ({
+        eventName: { type: nonNull(GraphQLString) },
+        txHash: { type: nonNull(GraphQLString) },
+        logIndex: { type: nonNull(GraphQLInt) },
+        blockNumber: { type: nonNull(Long) },
+        blockHash: { type: nonNull(GraphQLString) },
+        blockTimestamp: { type: Long },
+        args: {
+            type: nonNull(GraphQLString),
+            description: 'Decoded event arguments as a JSON object',
+            resolve: event => JSON.stringify(event.args)
+        }
+    })
+});
+
+// Status and deadlines are evaluated against the chain time captured for the request
+const lifecycleField = (type, key) => ({
+    type: nonNull(type),
+    resolve: (will, args, context) => getWillLifecycle(will, context.now)[key]
+});
+
+const WillType = new GraphQLObjectType({
+    name: 'Will',
+    fields: () => ({
+        id: { type: nonNull(GraphQLString), resolve: will => will.willId },
+        chainId: { type: nonNull(GraphQLInt) },
+        contractAddress: { type: nonNull(GraphQLString) },
+        testator: { type: nonNull(GraphQLString) },
+        guardian: { type: GraphQLString },
+        checkInPeriod: { type: nonNull(Long) },
+        disputePeriod: { type: nonNull(Long) },
+        lastCheckIn: { type: nonNull(Long) },
+        executed: { type: nonNull(GraphQLBoolean), resolve: will => will.executed === 1 },
+        totalValue: { type: nonNull(GraphQLString), description: 'Sum of both vault balances in wei' },
+        createdAt: { type: Long },
+        updatedAt: { type: Long },
+        status: { ...lifecycleField(GraphQLString, 'status'), description: `One of: ${WILL_STATUSES.join(', ')}` },
+        checkInDeadline: lifecycleField(Long, 'checkInDeadline'),
+        disputeEndTime: lifecycleField(Long, 'disputeEndTime'),
+        beneficiaries: {
+            type: listOf(BeneficiaryType),
+            resolve: (will, args, context) => context.loaders.beneficiaries.load(will.willId)
+        },
+        vaults: {
+            type: listOf(VaultType),
+            resolve: (will, args, context) => context.loaders.vaults.load(will.willId)
+        },
+        documents: {
+            type: listOf(DocumentType),
+            args: { documentType: { type: GraphQLString } },
+            resolve: async (will, { documentType }, context) => {
+                const documents = await context.loaders.documents.load(will.willId);
+                return documentType ? documents.filter(document => document.documentType === documentType) : documents;
+            }
+        },
+        payouts: {
+            type: listOf(PayoutType),
+            description: 'Empty until the will is executed',
+            resolve: (will, args, context) => context.loaders.payouts.load(will.willId)
+        },
+        events: {
+            type: listOf(WillEventType),
+            resolve: (will, args, context) => context.loaders.events.load(will.willId)
+        }
+    })
+});
+
+const WillPageType = new GraphQLObjectType({
+    name: 'WillPage',
+    fields: () => ({
+        items: { type: listOf(WillType) },
+        count: { type: nonNull(GraphQLInt) },
+        nextCursor: { type: GraphQLString }
+    })
+});
+
+// Same filters, sorting and cursor pagination as GET /wills
+function resolveWills(root, args, context) {
+    const { testator, beneficiary, status, executed, hasGuardian, documentType, minBalance, sort, order, limit, cursor } = args;
+    
+    if (testator) assertAddress(testator, 'testator');
+    if (beneficiary) assertAddress(beneficiary, 'beneficiary');
+    
+    // The caller's own wills (as testator, else as beneficiary); unfiltered listings are admin-only
+    assertAccess(addressAccessError(context.req, context.deployment, testator || beneficiary));
+    
+    if (status && !status.every(value => WILL_STATUSES.includes(value))) {
+        throw new GraphQLError(`Invalid status filter (expected one of: ${WILL_STATUSES.join(', ')})`);
+    }
+    if (sort && !WILL_SORT_KEYS[sort]) {
+        throw new GraphQLError(`Invalid sort key (expected one of: ${Object.keys(WILL_SORT_KEYS).join(', ')})`);
+    }
+    if (order && order !== 'asc' && order !== 'desc') {
+        throw new GraphQLError('Invalid order (expected asc or desc)');
+    }
+    if (limit !== undefined && limit !== null && (limit < 1 || limit > MAX_PAGE_SIZE)) {
+        throw new GraphQLError(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+    if (minBalance && !/^\d+$/.test(minBalance)) {
+        throw new GraphQLError('minBalance must be a non-negative integer amount in wei');
+    }
+    if (cursor && !decodeCursor(cursor, WILL_SORT_KEYS[sort || 'createdAt'])) {
+        throw new GraphQLError('Invalid cursor');
+    }
+    
+    const page = queryWills(context.deployment, {
+        testator,
+        beneficiary,
+        // An explicit null means "no filter", like an omitted argument
+        executed: executed ?? undefined,
+        hasGuardian: hasGuardian ?? undefined,
+        documentType,
+        minBalance: minBalance ? BigInt(minBalance).toString() : undefined,
+        statuses: status || undefined,
+        now: context.now,
+        sort,
+        order,
+        limit: limit || DEFAULT_PAGE_SIZE,
+        cursor
+    });
+    
+    // Listed wills are already loaded; relations resolved later reuse them
+    page.items.forEach(will => context.loaders.will.prime(will.willId, will));
+    
+    return {
+        items: page.items,
+        count: page.items.length,
+        nextCursor: page.nextCursor
+    };
+}
+
+const QueryType = new GraphQLObjectType({
+    name: 'Query',
+    fields: () => ({
+        will: {
+            type: WillType,
+            args: { testator: { type: nonNull(GraphQLString) } },
+            resolve: (root, { testator }, context) => {
+                assertAddress(testator, 'testator');
+                assertAccess(willAccessError(context.req, context.deployment, testator));
+                return context.loaders.will.load(makeWillId(context.deployment, testator));
+            }
+        },
+        wills: {
+            type: nonNull(WillPageType),
+            args: {
+                testator: { type: GraphQLString },
+                beneficiary: { type: GraphQLString },
+                status: { type: new GraphQLList(nonNull(GraphQLString)) },
+                executed: { type: GraphQLBoolean },
+                hasGuardian: { type: GraphQLBoolean },
+                documentType: { type: GraphQLString },
+                minBalance: { type: GraphQLString },
+                sort: { type: GraphQLString },
+                order: { type: GraphQLString },
+                limit: { type: GraphQLInt },
+                cursor: { type: GraphQLString }
+            },
+            resolve: resolveWills
+        },
+        beneficiaryOf: {
+            type: listOf(BeneficiaryType),
+            description: 'Wills naming the address as a beneficiary, with its share and guardian role',
+            args: { address: { type: nonNull(GraphQLString) } },
+            resolve: (root, { address }, context) => {
+                assertAddress(address, 'beneficiary');
+                assertAccess(addressAccessError(context.req, context.deployment, address));
+                
+                return getWillsByBeneficiary(context.deployment, address).map(({ share, isGuardian, ...will }) => {
+                    context.loaders.will.prime(will.willId, will);
+                    return { willId: will.willId, beneficiary: address.toLowerCase(), share, isGuardian };
+                });
+            }
+        }
+    })
+});
+
+const schema = new GraphQLSchema({ query: QueryType });
+
+// Express handler for POST/GET /graphql; expects req.deployment from the will router
+function createGraphQLHandler() {
+    return createHandler({
+        schema,
+        context: req => ({
+            req: req.raw,
+            deployment: req.raw.deployment,
+            now: getChainTime(req.raw.deployment.chainId),
+            loaders: createLoaders()
+        })
+    });
+}
+
+module.exports = {
+    schema,
+    createGraphQLHandler
+};
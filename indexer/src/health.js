@@ -0,0 +1,90 @@
+const { getConfig } = require('./config');
+const { getChainStatus } = require('./indexer');
+const { getSyncStates, getLastEventTimes, checkDatabaseWritable } = require('./db');
+
+// Blocks a deployment may trail its confirmed chain head before the indexer is reported stale
+const READY_MAX_LAG_BLOCKS = Number(process.env.READY_MAX_LAG_BLOCKS || 10);
+
+function findDeploymentRow(rows, deployment) {
+    return rows.find(row =>
+        row.chainId === deployment.chainId &&
+        row.contractAddress === deployment.contractAddress
+    );
+}
+
+function getDeploymentReadiness(chain, status, deployment, syncStates, lastEvents) {
+    const syncState = findDeploymentRow(syncStates, deployment);
+    const lastEvent = findDeploymentRow(lastEvents, deployment);
+    const lastIndexedBlock = syncState ? syncState.lastIndexedBlock : null;
+    
+    // Lag is measured against the confirmed head, the newest block the indexer may index
+    const lagBlocks = status.headBlock === null
+        ? null
+        : Math.max(status.headBlock - chain.confirmations - (lastIndexedBlock === null ? deployment.startBlock - 1 : lastIndexedBlock), 0);
+    
+    return {
+        contractAddress: deployment.contractAddress,
+        lastIndexedBlock,
+        lagBlocks,
+        stale: !status.connected || lagBlocks === null || lagBlocks > READY_MAX_LAG_BLOCKS,
+        cursorUpdatedAt: syncState ? syncState.updatedAt : null,
+        lastEventAt: lastEvent ? lastEvent.lastEventAt : null,
+        lastEventIndexedAt: lastEvent ? lastEvent.lastEventIndexedAt : null
+    };
+}
+
+// The indexer is ready when every chain is connected, every deployment is within
+// READY_MAX_LAG_BLOCKS of its confirmed head and the database accepts writes.
+// `problems` says why it is not.
+function getReadiness() {
+    const syncStates = getSyncStates();
+    const lastEvents = getLastEventTimes();
+    const database = checkDatabaseWritable();
+    const problems = [];
+    
+    if (!database.writable) {
+        problems.push(`Database is not writable: ${database.error}`);
+    }
+    
+    const chains = getConfig().chains.map(chain => {
+        const status = getChainStatus(chain.chainId);
+        const deployments = chain.deployments.map(deployment =>
+            getDeploymentReadiness(chain, status, deployment, syncStates, lastEvents)
+        );
+        
+        if (!status.connected) {
+            problems.push(`${chain.name} (chainId ${chain.chainId}) is not connected`);
+        } else if (status.headBlock === null) {
+            problems.push(`${chain.name} (chainId ${chain.chainId}) has not reported its head block yet`);
+        }
+        
+        deployments
+            .filter(deployment => deployment.lagBlocks > READY_MAX_LAG_BLOCKS)
+            .forEach(deployment => {
+                problems.push(`${deployment.contractAddress} on ${chain.name} is ${deployment.lagBlocks} blocks behind`);
+            });
+        
+        return {
+            chainId: chain.chainId,
+            name: chain.name,
+            connected: status.connected,
+            mode: status.mode,
+            headBlock: status.headBlock,
+            headUpdatedAt: status.headUpdatedAt,
+            confirmations: chain.confirmations,
+            deployments
+        };
+    });
+    
+    return {
+        ready: problems.length === 0,
+        maxLagBlocks: READY_MAX_LAG_BLOCKS,
+        database,
+        chains,
+        problems
+    };
+}
+
+module.exports = {
+    getReadiness
+};
@@ -1,7 +1,18 @@
 const { ethers } = require('ethers');
-const fs = require('fs');
-const path = require('path');
+const { createConnection } = require('./connection');
+const { getConfig } = require('./config');
+const { publishWillChange } = require('./changes');
+const { logger, withLogContext } = require('./logger');
 const {
+    chainHeadBlock,
+    eventsProcessed,
+    eventHandlerErrors,
+    syncErrors,
+    reorgs,
+    recordSyncProgress
+} = require('./metrics');
+const {
+    makeWillId,
     createWill,
     updateLastCheckIn,
     executeWill,
@@ -10,304 +21,504 @@ const {
     updateBeneficiary,
     updateVaultBalance,
     addDocument,
-    removeDocument
+    removeDocument,
+    applyEventOnce,
+    saveBlock,
+    getRecentBlocks,
+    pruneBlocks,
+    rollbackToBlock,
+    getLastIndexedBlock,
+    setLastIndexedBlock,
+    getBeneficiaryAddresses,
+    runInTransaction
 } = require('./db');
 
-// Configuration - adjust these for your local testnet
-const RPC_URL = 'ws://localhost:8545';
-const CONTRACT_ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
 const CONTRACT_ABI = require('../../contract/out/DecentralizedWillManager.sol/DecentralizedWillManager.json').abi;
+const contractInterface = new ethers.Interface(CONTRACT_ABI);
+
+const indexerLog = logger.child({ module: 'indexer' });
 
-let provider;
-let contract;
+const chainIndexers = [];
 
 async function startIndexer() {
     try {
-        // Connect to blockchain
-        provider = new ethers.WebSocketProvider(RPC_URL);
-        contract = new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, provider);
-        
-        // Test connection
-        const network = await provider.getNetwork();
-        console.log(`📡 Connected to network: ${network.name} (chainId: ${network.chainId})`);
-        console.log(`📋 Contract address: ${CONTRACT_ADDRESS}`);
+        const { chains } = getConfig();
         
-        // Set up event listeners
-        setupEventListeners();
-        
-        // Optionally sync historical events
-        await syncHistoricalEvents();
-
-        // Auto-reconnect
-        // provider._websocket.on('close', () => {
-        //     console.warn('⚠️ WebSocket closed. Reconnecting...');
-        //     setTimeout(startIndexer, 2000);
-        // });
+        // Chains are indexed concurrently, each with its own connection and sync loop
+        for (const chain of chains) {
+            chainIndexers.push(createChainIndexer(chain));
+        }
         
-        console.log('👂 Indexer is listening for events...');
+        await Promise.all(chainIndexers.map(chainIndexer => chainIndexer.start()));
         
     } catch (error) {
-        console.error('❌ Failed to start indexer:', error);
+        indexerLog.error('Failed to start indexer', { error });
         throw error;
     }
 }
 
-function setupEventListeners() {
-    // WillCreated event
-    contract.on('WillCreated', (testator, checkInPeriod, disputePeriod, event) => {
-        try {
-            console.log(`📝 WillCreated: ${testator}`);
-            createWill(testator, Number(checkInPeriod), Number(disputePeriod));
-        } catch (error) {
-            console.error('Error handling WillCreated event:', error);
-        }
-    });
+function stopIndexer() {
+    chainIndexers.forEach(chainIndexer => chainIndexer.stop());
+}
 
-    // CheckIn event
-    contract.on('CheckIn', (testator, timestamp, event) => {
-        try {
-            console.log(`⏰ CheckIn: ${testator} at ${timestamp}`);
-            updateLastCheckIn(testator, Number(timestamp));
-        } catch (error) {
-            console.error('Error handling CheckIn event:', error);
-        }
-    });
+// The live provider of a chain, or null while it is not connected
+function getProvider(chainId) {
+    const chainIndexer = chainIndexers.find(({ chain }) => chain.chainId === Number(chainId));
+    return (chainIndexer && chainIndexer.getProvider()) || null;
+}
 
-    // WillExecuted event
-    contract.on('WillExecuted', (testator, totalDistributed, event) => {
-        try {
-            console.log(`⚖️ WillExecuted: ${testator}, distributed: ${totalDistributed}`);
-            executeWill(testator);
-        } catch (error) {
-            console.error('Error handling WillExecuted event:', error);
-        }
-    });
+// Connection state, latest head block and last sync failure of a chain
+function getChainStatus(chainId) {
+    const chainIndexer = chainIndexers.find(({ chain }) => chain.chainId === Number(chainId));
+    return chainIndexer
+        ? chainIndexer.getStatus()
+        : { connected: false, mode: null, headBlock: null, headUpdatedAt: null, syncError: null };
+}
 
-    // BeneficiaryAdded event
-    contract.on('BeneficiaryAdded', (testator, beneficiary, share, isGuardian, event) => {
-        try {
-            console.log(`👤 BeneficiaryAdded: ${beneficiary} to ${testator}, share: ${share}, guardian: ${isGuardian}`);
-            addBeneficiary(testator, beneficiary, Number(share), isGuardian);
-        } catch (error) {
-            console.error('Error handling BeneficiaryAdded event:', error);
+// Indexes every configured deployment of one chain over a single supervised connection
+function createChainIndexer(chain) {
+    const chainLog = indexerLog.child({ chain: chain.name, chainId: chain.chainId });
+    let connection;
+    let provider;
+    let syncInProgress = false;
+    let syncRequested = false;
+    // Bumped on every (re)connection so a sync stuck on a dead provider is abandoned
+    let syncGeneration = 0;
+    // Latest head reported by the node, and when (unix seconds)
+    let headBlock = null;
+    let headUpdatedAt = null;
+    // Message of the last failed sync, cleared by the next successful one
+    let syncError = null;
+    
+    async function start() {
+        for (const deployment of chain.deployments) {
+            chainLog.info('Indexing contract', { contract: deployment.contractAddress });
         }
-    });
-
-    // BeneficiaryRemoved event
-    contract.on('BeneficiaryRemoved', (testator, beneficiary, event) => {
-        try {
-            console.log(`👤 BeneficiaryRemoved: ${beneficiary} from ${testator}`);
-            removeBeneficiary(testator, beneficiary);
-        } catch (error) {
-            console.error('Error handling BeneficiaryRemoved event:', error);
+        
+        // Connect to blockchain; the supervisor keeps reconnecting if the node goes away
+        connection = createConnection({
+            url: chain.rpcUrl,
+            httpUrl: chain.httpRpcUrl,
+            log: chainLog.child({ module: 'connection' }),
+            onConnect: handleConnect,
+            onBlock: () => {
+                // Every new block is processed through the same cursor-based sync
+                syncToHead();
+            }
+        });
+        
+        await connection.start();
+    }
+    
+    function stop() {
+        if (connection) {
+            connection.stop();
         }
-    });
-
-    // BeneficiaryUpdated event
-    contract.on('BeneficiaryUpdated', (testator, beneficiary, newShare, isGuardian, event) => {
-        try {
-            console.log(`👤 BeneficiaryUpdated: ${beneficiary} in ${testator}, new share: ${newShare}, guardian: ${isGuardian}`);
-            updateBeneficiary(testator, beneficiary, Number(newShare), isGuardian);
-        } catch (error) {
-            console.error('Error handling BeneficiaryUpdated event:', error);
+    }
+    
+    // Runs after every (re)connection: catch up from the persisted cursors, then go live
+    async function handleConnect(newProvider, network) {
+        if (Number(network.chainId) !== chain.chainId) {
+            throw new Error(`RPC for ${chain.name} reports chainId ${network.chainId}, expected ${chain.chainId}`);
         }
-    });
-
-    // DepositLocked event
-    contract.on('DepositLocked', (testator, amount, event) => {
-        try {
-            console.log(`💰 DepositLocked: ${testator}, amount: ${amount}`);
-            updateVaultBalance(testator, 'locked', amount.toString(), true);
-        } catch (error) {
-            console.error('Error handling DepositLocked event:', error);
+        
+        provider = newProvider;
+        syncGeneration += 1;
+        syncInProgress = false;
+        syncRequested = false;
+        
+        await syncToHead();
+        
+        chainLog.info('Indexer is listening for events');
+    }
+    
+    // Runs one sync at a time; blocks arriving mid-sync trigger another pass afterwards
+    async function syncToHead() {
+        if (syncInProgress) {
+            syncRequested = true;
+            return;
         }
-    });
-
-    // DepositFlexible event
-    contract.on('DepositFlexible', (testator, amount, event) => {
+        
+        const generation = syncGeneration;
+        const activeProvider = provider;
+        syncInProgress = true;
+        
         try {
-            console.log(`💰 DepositFlexible: ${testator}, amount: ${amount}`);
-            updateVaultBalance(testator, 'flexible', amount.toString(), true);
+            do {
+                syncRequested = false;
+                await syncChain(activeProvider);
+            } while (syncRequested && generation === syncGeneration);
+            syncError = null;
         } catch (error) {
-            console.error('Error handling DepositFlexible event:', error);
+            if (generation === syncGeneration) {
+                syncError = error.message;
+                syncErrors.inc({ chain_id: chain.chainId });
+                chainLog.warn('Sync failed, will retry on next block', { error: error.message });
+            }
+        } finally {
+            if (generation === syncGeneration) {
+                syncInProgress = false;
+            }
         }
-    });
-
-    // WithdrawFlexible event
-    contract.on('WithdrawFlexible', (testator, amount, event) => {
-        try {
-            console.log(`💰 WithdrawFlexible: ${testator}, amount: ${amount}`);
-            updateVaultBalance(testator, 'flexible', amount.toString(), false);
-        } catch (error) {
-            console.error('Error handling WithdrawFlexible event:', error);
+    }
+    
+    async function syncChain(provider) {
+        headBlock = await provider.getBlockNumber();
+        headUpdatedAt = Math.floor(Date.now() / 1000);
+        chainHeadBlock.set({ chain_id: chain.chainId }, headBlock);
+        
+        const currentBlock = headBlock - chain.confirmations;
+        if (currentBlock < 0) return;
+        
+        await detectReorg(provider);
+        
+        for (const deployment of chain.deployments) {
+            await syncDeployment(provider, deployment, currentBlock);
         }
-    });
-
-    // DisputeStarted event (for logging purposes)
-    contract.on('DisputeStarted', (testator, disputeDeadline, event) => {
-        try {
-            console.log(`⚠️ DisputeStarted: ${testator}, deadline: ${disputeDeadline}`);
-            // Note: This doesn't update database as disputes are not stored in current schema
-            // Add dispute tracking to schema if needed
-        } catch (error) {
-            console.error('Error handling DisputeStarted event:', error);
+    }
+    
+    async function syncDeployment(provider, deployment, currentBlock) {
+        const { contractAddress, startBlock } = deployment;
+        const lastIndexedBlock = getLastIndexedBlock(chain.chainId, contractAddress);
+        let fromBlock = lastIndexedBlock === null ? startBlock : Math.max(lastIndexedBlock + 1, startBlock);
+        if (fromBlock > currentBlock) {
+            if (lastIndexedBlock !== null) {
+                recordSyncProgress(deployment, currentBlock, lastIndexedBlock);
+            }
+            return;
         }
-    });
-
-    // DocumentAdded event
-    contract.on('DocumentAdded', (testator, ipfsHash, fileName, documentType, event) => {
-        try {
-            console.log(`📄 DocumentAdded: ${fileName} (${documentType}) to ${testator}`);
-            console.log(`   IPFS Hash: ${ipfsHash}`);
+        
+        if (currentBlock - fromBlock >= chain.syncChunkSize) {
+            chainLog.info('Backfilling', { contract: contractAddress, fromBlock, toBlock: currentBlock });
+        }
+        
+        while (fromBlock <= currentBlock) {
+            const toBlock = Math.min(fromBlock + chain.syncChunkSize - 1, currentBlock);
             
-            // Get block timestamp for uploadedAt
-            event.getBlock().then(block => {
-                addDocument(testator, ipfsHash, fileName, documentType, block.timestamp);
-            }).catch(err => {
-                console.error('Error getting block timestamp:', err);
-                // Fallback to current timestamp
-                addDocument(testator, ipfsHash, fileName, documentType, Math.floor(Date.now() / 1000));
+            const logs = await provider.getLogs({
+                address: contractAddress,
+                fromBlock,
+                toBlock
             });
-        } catch (error) {
-            console.error('Error handling DocumentAdded event:', error);
+            
+            if (logs.length > 0) {
+                chainLog.info('Processing events', { contract: contractAddress, count: logs.length, fromBlock, toBlock });
+            }
+            
+            for (const [blockNumber, blockLogs] of groupLogsByBlock(logs)) {
+                const block = await provider.getBlock(blockNumber);
+                processBlock(deployment, block, blockLogs);
+            }
+            
+            // Remember the chunk's last block so the next pass can verify it is still canonical,
+            // and move the cursor past any trailing blocks without events
+            const lastBlock = await provider.getBlock(toBlock);
+            runInTransaction(() => {
+                saveBlock(chain.chainId, lastBlock.number, lastBlock.hash, lastBlock.timestamp);
+                pruneBlocks(chain.chainId, toBlock - chain.reorgWindow);
+                setLastIndexedBlock(chain.chainId, contractAddress, toBlock);
+            });
+            recordSyncProgress(deployment, currentBlock, toBlock);
+            
+            fromBlock = toBlock + 1;
         }
-    });
-
-    // DocumentRemoved event
-    contract.on('DocumentRemoved', (testator, ipfsHash, event) => {
-        try {
-            console.log(`📄 DocumentRemoved: ${ipfsHash} from ${testator}`);
-            removeDocument(testator, ipfsHash);
-        } catch (error) {
-            console.error('Error handling DocumentRemoved event:', error);
+    }
+    
+    // Applies every log of a block in order inside one transaction, together with the
+    // block hash and the sync cursor, so a block is either fully indexed or not at all
+    function processBlock(deployment, block, logs) {
+        if (!block || block.hash !== logs[0].blockHash) {
+            // The block was replaced between getLogs and getBlock; the next pass will detect the reorg
+            throw new Error(`Block ${logs[0].blockNumber} changed while syncing`);
         }
-    });
-
-    console.log('✅ Event listeners configured for all contract events');
-}
-
-async function syncHistoricalEvents() {
-    try {
-        console.log('🔄 Syncing historical events...');
         
-        const currentBlock = await provider.getBlockNumber();
-        const fromBlock = Math.max(0, currentBlock - 10000); // Sync last 10k blocks
+        const changedWills = new Map();
+        const appliedEvents = [];
         
-        const filter = {
-            address: CONTRACT_ADDRESS,
-            fromBlock,
-            toBlock: 'latest'
-        };
+        runInTransaction(() => {
+            for (const log of logs) {
+                let parsedLog;
+                try {
+                    parsedLog = contractInterface.parseLog({
+                        topics: log.topics,
+                        data: log.data
+                    });
+                } catch (error) {
+                    eventHandlerErrors.inc({ chain_id: chain.chainId, event: 'unknown' });
+                    chainLog.warn('Could not parse log', {
+                        blockNumber: log.blockNumber,
+                        txHash: log.transactionHash,
+                        logIndex: log.index,
+                        error: error.message
+                    });
+                    continue;
+                }
+                
+                if (processEvent(deployment, parsedLog, log, block.timestamp)) {
+                    trackChange(changedWills, deployment, parsedLog);
+                    appliedEvents.push(parsedLog.name);
+                }
+            }
+            
+            saveBlock(chain.chainId, block.number, block.hash, block.timestamp);
+            setLastIndexedBlock(chain.chainId, deployment.contractAddress, block.number);
+        });
         
-        const logs = await provider.getLogs(filter);
-        console.log(`📚 Found ${logs.length} historical events to process`);
+        appliedEvents.forEach(name => eventsProcessed.inc({ chain_id: chain.chainId, event: name }));
         
-        for (const log of logs) {
-            try {
-                const parsedLog = contract.interface.parseLog({
-                    topics: log.topics,
-                    data: log.data
-                });
-                
-                await processHistoricalEvent(parsedLog, log);
-            } catch (error) {
-                console.warn('⚠️ Could not parse log:', error.message);
+        // Only announce changes once they are committed and visible through the API
+        for (const change of changedWills.values()) {
+            publishWillChange({
+                ...change,
+                addresses: [...new Set([...change.addresses, ...getBeneficiaryAddresses(change.willId)])],
+                blockNumber: block.number,
+                reason: 'events'
+            });
+        }
+    }
+    
+    // Compares stored block hashes with the chain and rolls back to the newest block
+    // that is still canonical
+    async function detectReorg(provider) {
+        const recentBlocks = getRecentBlocks(chain.chainId, chain.reorgWindow);
+        if (recentBlocks.length === 0) return;
+        
+        for (let i = 0; i < recentBlocks.length; i++) {
+            const stored = recentBlocks[i];
+            const block = await provider.getBlock(stored.blockNumber);
+            
+            if (block && block.hash.toLowerCase() === stored.blockHash) {
+                if (i > 0) {
+                    reorgs.inc({ chain_id: chain.chainId });
+                    chainLog.warn('Chain reorganization detected, rolling back', { blockNumber: stored.blockNumber });
+                    publishRollback(rollbackToBlock(chain.chainId, stored.blockNumber, replayEvent), stored.blockNumber);
+                }
+                return;
             }
         }
         
-        console.log('✅ Historical events sync completed');
-    } catch (error) {
-        console.warn('⚠️ Historical sync failed:', error.message);
-        // Continue without historical sync
+        // Reorg deeper than the window (or the node was reset): start over
+        reorgs.inc({ chain_id: chain.chainId });
+        chainLog.warn('No canonical block found in the reorg window, re-indexing from the deployment blocks', { reorgWindow: chain.reorgWindow });
+        publishRollback(rollbackToBlock(chain.chainId, -1, replayEvent), -1);
     }
+    
+    function publishRollback(willIds, blockNumber) {
+        for (const willId of willIds) {
+            const [chainId, contractAddress, testator] = willId.split(':');
+            
+            publishWillChange({
+                chainId: Number(chainId),
+                contractAddress,
+                willId,
+                testator,
+                addresses: [testator, ...getBeneficiaryAddresses(willId)],
+                events: [],
+                blockNumber,
+                reason: 'rollback'
+            });
+        }
+    }
+    
+    return {
+        chain,
+        start,
+        stop,
+        getProvider: () => provider,
+        getStatus: () => ({
+            connected: Boolean(connection && connection.isConnected()),
+            mode: connection ? connection.getMode() : null,
+            headBlock,
+            headUpdatedAt,
+            syncError
+        })
+    };
 }
 
-async function processHistoricalEvent(parsedLog, log) {
+// Collects the wills touched by a block, with the events and addresses involved
+function trackChange(changedWills, deployment, parsedLog) {
     const { name, args } = parsedLog;
+    const willId = makeWillId(deployment, args.testator);
     
-    try {
-        switch (name) {
-            case 'WillCreated':
-                createWill(args.testator, Number(args.checkInPeriod), Number(args.disputePeriod));
-                break;
-                
-            case 'CheckIn':
-                updateLastCheckIn(args.testator, Number(args.timestamp));
-                break;
-                
-            case 'WillExecuted':
-                executeWill(args.testator);
-                break;
-                
-            case 'BeneficiaryAdded':
-                addBeneficiary(args.testator, args.beneficiary, Number(args.share), args.isGuardian);
-                break;
-                
-            case 'BeneficiaryRemoved':
-                removeBeneficiary(args.testator, args.beneficiary);
-                break;
-                
-            case 'BeneficiaryUpdated':
-                updateBeneficiary(args.testator, args.beneficiary, Number(args.newShare), args.isGuardian);
-                break;
-                
-            case 'DepositLocked':
-                updateVaultBalance(args.testator, 'locked', args.amount.toString(), true);
-                break;
-                
-            case 'DepositFlexible':
-                updateVaultBalance(args.testator, 'flexible', args.amount.toString(), true);
-                break;
-                
-            case 'WithdrawFlexible':
-                updateVaultBalance(args.testator, 'flexible', args.amount.toString(), false);
-                break;
-                
-            case 'DisputeStarted':
-                console.log(`⚠️ Historical DisputeStarted: ${args.testator}`);
-                break;
-                
-            case 'DocumentAdded':
-                // Get block to extract timestamp
-                const block = await provider.getBlock(log.blockNumber);
-                addDocument(args.testator, args.ipfsHash, args.fileName, args.documentType, block.timestamp);
-                break;
-                
-            case 'DocumentRemoved':
-                removeDocument(args.testator, args.ipfsHash);
-                break;
-                
-            default:
-                console.log(`❓ Unknown event: ${name}`);
-        }
-    } catch (error) {
-        console.error(`Error processing historical ${name} event:`, error);
+    if (!changedWills.has(willId)) {
+        changedWills.set(willId, {
+            chainId: deployment.chainId,
+            contractAddress: deployment.contractAddress,
+            willId,
+            testator: args.testator.toLowerCase(),
+            addresses: [args.testator.toLowerCase()],
+            events: []
+        });
+    }
+    
+    const change = changedWills.get(willId);
+    change.events.push(name);
+    
+    // A removed beneficiary is no longer on the will but still needs to hear about it
+    if (args.beneficiary) {
+        change.addresses.push(args.beneficiary.toLowerCase());
     }
 }
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-    console.log('🔄 Shutting down indexer...');
-    if (contract) {
-        contract.removeAllListeners();
-    }
-    if (provider && provider._websocket) {
-        provider._websocket.close();
+// Groups logs by block number, each group sorted by log index
+function groupLogsByBlock(logs) {
+    const sorted = [...logs].sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+    const blocks = new Map();
+    
+    for (const log of sorted) {
+        if (!blocks.has(log.blockNumber)) {
+            blocks.set(log.blockNumber, []);
+        }
+        blocks.get(log.blockNumber).push(log);
     }
-    process.exit(0);
-});
+    
+    return blocks;
+}
+
+// Everything logged while an event is applied (here and in db.js) carries its position and testator
+function eventLogContext(event) {
+    return {
+        chainId: event.chainId,
+        contract: event.contractAddress,
+        blockNumber: event.blockNumber,
+        txHash: event.txHash,
+        logIndex: event.logIndex,
+        event: event.eventName,
+        testator: event.args.testator
+    };
+}
 
-process.on('SIGINT', () => {
-    console.log('🔄 Shutting down indexer...');
-    if (contract) {
-        contract.removeAllListeners();
+function processEvent(deployment, parsedLog, log, blockTimestamp) {
+    const { name, args } = parsedLog;
+    
+    try {
+        const event = {
+            chainId: deployment.chainId,
+            contractAddress: deployment.contractAddress,
+            txHash: log.transactionHash,
+            logIndex: log.index,
+            blockNumber: log.blockNumber,
+            blockHash: log.blockHash,
+            blockTimestamp,
+            eventName: name,
+            willId: makeWillId(deployment, args.testator),
+            args: serializeArgs(parsedLog)
+        };
+        
+        return withLogContext(eventLogContext(event), () => {
+            const applied = applyEventOnce(event, () => applyEvent(deployment, event, args));
+        
+            if (applied) {
+                indexerLog.info('Applied event');
+            } else {
+                indexerLog.info('Skipping already processed event');
+            }
+            return applied;
+        });
+    } catch (error) {
+        eventHandlerErrors.inc({ chain_id: deployment.chainId, event: name });
+        indexerLog.error('Error processing event', {
+            chainId: deployment.chainId,
+            contract: deployment.contractAddress,
+            blockNumber: log.blockNumber,
+            txHash: log.transactionHash,
+            logIndex: log.index,
+            event: name,
+            testator: args.testator,
+            error
+        });
+        // Aborts the block's transaction so neither the event nor the cursor is committed
+        // and the block is retried on the next pass, instead of being skipped for good
+        throw error;
     }
-    if (provider && provider._websocket) {
-        provider._websocket.close();
+}
+
+// Updates the projections (Wills, Beneficiaries, Vaults, Documents) for a single event.
+// `event` is the Events row (position on chain, name); `args` its decoded arguments.
+function applyEvent(deployment, event, args) {
+    const { eventName: name, blockTimestamp } = event;
+    
+    switch (name) {
+        case 'WillCreated':
+            createWill(deployment, args.testator, Number(args.checkInPeriod), Number(args.disputePeriod), blockTimestamp);
+            break;
+            
+        case 'CheckIn':
+            updateLastCheckIn(deployment, args.testator, Number(args.timestamp));
+            break;
+            
+        case 'WillExecuted':
+            executeWill(deployment, args.testator, args.totalDistributed.toString(), event);
+            break;
+            
+        case 'BeneficiaryAdded':
+            addBeneficiary(deployment, args.testator, args.beneficiary, Number(args.share), args.isGuardian);
+            break;
+            
+        case 'BeneficiaryRemoved':
+            removeBeneficiary(deployment, args.testator, args.beneficiary);
+            break;
+            
+        case 'BeneficiaryUpdated':
+            updateBeneficiary(deployment, args.testator, args.beneficiary, Number(args.newShare), args.isGuardian);
+            break;
+            
+        case 'DepositLocked':
+            updateVaultBalance(deployment, args.testator, 'locked', args.amount.toString(), true, event);
+            break;
+            
+        case 'DepositFlexible':
+            updateVaultBalance(deployment, args.testator, 'flexible', args.amount.toString(), true, event);
+            break;
+            
+        case 'WithdrawFlexible':
+            updateVaultBalance(deployment, args.testator, 'flexible', args.amount.toString(), false, event);
+            break;
+            
+        case 'DisputeStarted':
+            indexerLog.info('Dispute started', { disputeDeadline: args.disputeDeadline });
+            break;
+            
+        case 'DocumentAdded':
+            addDocument(deployment, args.testator, args.ipfsHash, args.fileName, args.documentType, blockTimestamp);
+            break;
+            
+        case 'DocumentRemoved':
+            removeDocument(deployment, args.testator, args.ipfsHash);
+            break;
+            
+        default:
+            indexerLog.warn('Unknown event', { event: name });
     }
-    process.exit(0);
-});
+}
+
+// Re-applies a stored event from the Events table to the projections
+function replayEvent(event) {
+    const deployment = {
+        chainId: event.chainId,
+        contractAddress: event.contractAddress
+    };
+    
+    withLogContext(eventLogContext(event), () => applyEvent(deployment, event, event.args));
+}
+
+// Converts decoded event args into a JSON-safe object keyed by parameter name
+function serializeArgs(parsedLog) {
+    const result = {};
+    
+    parsedLog.fragment.inputs.forEach((input, index) => {
+        const value = parsedLog.args[index];
+        result[input.name] = typeof value === 'bigint' ? value.toString() : value;
+    });
+    
+    return result;
+}
 
 module.exports = {
-    startIndexer
+    CONTRACT_ABI,
+    startIndexer,
+    stopIndexer,
+    getProvider,
+    getChainStatus,
+    replayEvent
 };
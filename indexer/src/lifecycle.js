@@ -0,0 +1,53 @@
+const { getLatestBlockTimestamp } = require('./db');
+
+// Mirrors the timing rules of DecentralizedWillManager.executeWill:
+// - until lastCheckIn + checkInPeriod the testator is still checking in
+// - then, until the dispute period ends, only the guardian may execute
+// - after that any beneficiary may execute
+const WILL_STATUSES = ['active', 'overdue-guardian-only', 'open-to-beneficiaries', 'executed'];
+
+// Block time is used instead of Date.now() so Anvil time warps are respected;
+// before any block has been indexed the wall clock is the best we have
+function getChainTime(chainId) {
+    return getLatestBlockTimestamp(chainId) || Math.floor(Date.now() / 1000);
+}
+
+function getWillLifecycle(will, now) {
+    const checkInDeadline = will.lastCheckIn + will.checkInPeriod;
+    const disputeEndTime = checkInDeadline + will.disputePeriod;
+    
+    let status;
+    if (will.executed) {
+        status = 'executed';
+    } else if (now <= checkInDeadline) {
+        status = 'active';
+    } else if (now <= disputeEndTime) {
+        status = 'overdue-guardian-only';
+    } else {
+        status = 'open-to-beneficiaries';
+    }
+    
+    return {
+        status,
+        checkInDeadline,
+        disputeEndTime,
+        evaluatedAt: now
+    };
+}
+
+// Adds status and deadlines to a will (or list of wills) read from the database
+function withLifecycle(wills, chainId) {
+    const now = getChainTime(chainId);
+    
+    if (Array.isArray(wills)) {
+        return wills.map(will => ({ ...will, ...getWillLifecycle(will, now) }));
+    }
+    return wills && { ...wills, ...getWillLifecycle(wills, now) };
+}
+
+module.exports = {
+    WILL_STATUSES,
+    getChainTime,
+    getWillLifecycle,
+    withLifecycle
+};
@@ -0,0 +1,83 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// 'silent' writes nothing (used by the tests)
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 50 };
+
+// Lowest level that is written: debug, info, warn, error or silent
+let minLevel = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+// 'json' writes one JSON object per line for log pipelines; anything else is readable text
+const LOG_FORMAT = process.env.LOG_FORMAT || 'text';
+
+// Fields attached to every line logged while handling one request or event
+const logContext = new AsyncLocalStorage();
+
+function serialize(key, value) {
+    if (value instanceof Error) {
+        return { message: value.message, stack: value.stack };
+    }
+    return typeof value === 'bigint' ? value.toString() : value;
+}
+
+function formatText(entry) {
+    const { time, level, module, msg, ...fields } = entry;
+    const pairs = Object.entries(fields)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => {
+            const serialized = serialize(key, value);
+            const text = typeof serialized === 'string' ? serialized : JSON.stringify(serialized, serialize);
+            return `${key}=${/[\s"=]/.test(text) ? JSON.stringify(text) : text}`;
+        });
+    
+    return [time, level.toUpperCase().padEnd(5), module ? `[${module}]` : null, msg, ...pairs]
+        .filter(part => part !== null)
+        .join(' ');
+}
+
+function write(level, bindings, msg, fields) {
+    if (LEVELS[level] < minLevel) return;
+    
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        ...bindings,
+        ...logContext.getStore(),
+        msg,
+        ...fields
+    };
+    
+    const line = LOG_FORMAT === 'json' ? JSON.stringify(entry, serialize) : formatText(entry);
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${line}\n`);
+}
+
+// A logger whose lines all carry `bindings` (e.g. { module: 'db' }); fields passed to a
+// call are added to that line only
+function createLogger(bindings = {}) {
+    return {
+        debug: (msg, fields) => write('debug', bindings, msg, fields),
+        info: (msg, fields) => write('info', bindings, msg, fields),
+        warn: (msg, fields) => write('warn', bindings, msg, fields),
+        error: (msg, fields) => write('error', bindings, msg, fields),
+        child: extra => createLogger({ ...bindings, ...extra })
+    };
+}
+
+// Runs fn with `fields` added to every line logged inside it, including after awaits
+function withLogContext(fields, fn) {
+    return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+function setLogLevel(level) {
+    if (!LEVELS[level]) {
+        throw new Error(`Unknown log level "${level}" (expected one of: ${Object.keys(LEVELS).join(', ')})`);
+    }
+    minLevel = LEVELS[level];
+}
+
+const logger = createLogger();
+
+module.exports = {
+    logger,
+    withLogContext,
+    setLogLevel
+};
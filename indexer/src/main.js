@@ -1,40 +1,83 @@
+// quiet: dotenv would otherwise print its own line to stdout, outside LOG_FORMAT
+require('dotenv').config({ quiet: true });
+
 const { initializeDatabase } = require('./db');
-const { startIndexer } = require('./indexer');
+const { startIndexer, stopIndexer } = require('./indexer');
 const { startAPI } = require('./api');
+const { startWatcher, stopWatcher } = require('./watcher');
+const { startReconciler, stopReconciler } = require('./reconcile');
+const { logger } = require('./logger');
+
+// How long shutdown waits for a webhook delivery or reconciliation in progress (ms)
+const SHUTDOWN_TIMEOUT = Number(process.env.SHUTDOWN_TIMEOUT || 30000);
+
+const log = logger.child({ module: 'main' });
+
+let server = null;
+let shuttingDown = false;
 
 async function main() {
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    
     try {
-        console.log('🏁 Starting Will Management Indexer...');
+        log.info('Starting Will Management Indexer');
         
         // Initialize database
-        console.log('📊 Initializing database...');
+        log.info('Initializing database');
         initializeDatabase();
         
         // Start the blockchain indexer
-        console.log('⛓️ Starting blockchain indexer...');
+        log.info('Starting blockchain indexer');
         await startIndexer();
         
+        // Start the deadline watcher (webhook notifications)
+        log.info('Starting deadline watcher');
+        startWatcher();
+        
+        // Compare indexed state with the contract now and on a schedule
+        log.info('Starting reconciliation job');
+        startReconciler();
+        
         // Start API server
-        console.log('🚀 Starting API server...');
-        startAPI();
+        log.info('Starting API server');
+        server = startAPI();
         
-        console.log('✅ Will Management Indexer is running!');
+        log.info('Will Management Indexer is running');
         
     } catch (error) {
-        console.error('❌ Failed to start indexer:', error);
+        log.error('Failed to start indexer', { error });
         process.exit(1);
     }
 }
 
-// Handle graceful shutdown
-process.on('SIGTERM', () => {
-    console.log('🔄 Received SIGTERM, shutting down gracefully...');
-    process.exit(0);
-});
+// The only shutdown path: stops the indexers and the API, waits for the deadline watcher and
+// the reconciler to finish what they are doing (a webhook delivery, a repair), then exits
+async function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    log.info('Shutting down gracefully', { signal });
 
-process.on('SIGINT', () => {
-    console.log('🔄 Received SIGINT, shutting down gracefully...');
+    setTimeout(() => {
+        log.warn('Shutdown timed out, exiting with work in progress', { timeoutMs: SHUTDOWN_TIMEOUT });
+        process.exit(1);
+    }, SHUTDOWN_TIMEOUT).unref();
+    
+    stopIndexer();
+    // Open event streams keep the server from closing, so this is not waited for
+    if (server) server.close();
+    
+    await Promise.all([stopWatcher(), stopReconciler()]);
+    
+    log.info('Shutdown complete');
     process.exit(0);
-});
+}
+
+// Run directly (npm start) or through the CLI's `start` command
+if (require.main === module) {
+    main();
+}
 
-main();
\ No newline at end of file
+module.exports = {
+    main
+};
@@ -0,0 +1,157 @@
+const client = require('prom-client');
+const { ethers } = require('ethers');
+
+// Prometheus metrics, served by the API at GET /metrics
+const register = new client.Registry();
+const PREFIX = 'dwill_indexer_';
+
+client.collectDefaultMetrics({ register, prefix: PREFIX });
+
+const chainHeadBlock = new client.Gauge({
+    name: `${PREFIX}chain_head_block`,
+    help: 'Latest block number reported by the chain node',
+    labelNames: ['chain_id'],
+    registers: [register]
+});
+
+const lastIndexedBlock = new client.Gauge({
+    name: `${PREFIX}last_indexed_block`,
+    help: 'Last block fully indexed for a deployment',
+    labelNames: ['chain_id', 'contract'],
+    registers: [register]
+});
+
+const syncLagBlocks = new client.Gauge({
+    name: `${PREFIX}sync_lag_blocks`,
+    help: 'Blocks between the confirmed chain head and the last indexed block',
+    labelNames: ['chain_id', 'contract'],
+    registers: [register]
+});
+
+const eventsProcessed = new client.Counter({
+    name: `${PREFIX}events_processed_total`,
+    help: 'Contract events applied to the projections',
+    labelNames: ['chain_id', 'event'],
+    registers: [register]
+});
+
+const eventHandlerErrors = new client.Counter({
+    name: `${PREFIX}event_handler_errors_total`,
+    help: 'Contract events that could not be parsed or applied',
+    labelNames: ['chain_id', 'event'],
+    registers: [register]
+});
+
+const syncErrors = new client.Counter({
+    name: `${PREFIX}sync_errors_total`,
+    help: 'Sync passes that failed and were retried on the next block',
+    labelNames: ['chain_id'],
+    registers: [register]
+});
+
+const reorgs = new client.Counter({
+    name: `${PREFIX}reorgs_total`,
+    help: 'Chain reorganizations that rolled back indexed blocks',
+    labelNames: ['chain_id'],
+    registers: [register]
+});
+
+const httpRequestDuration = new client.Histogram({
+    name: `${PREFIX}http_request_duration_seconds`,
+    help: 'API request latency by route',
+    labelNames: ['method', 'route', 'status_code'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+    registers: [register]
+});
+
+const dbQueryDuration = new client.Histogram({
+    name: `${PREFIX}db_query_duration_seconds`,
+    help: 'Duration of database operations (exported db.js functions)',
+    labelNames: ['operation'],
+    buckets: [0.0001, 0.0005, 0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1],
+    registers: [register]
+});
+
+// Will counts and locked value are read from the database when Prometheus scrapes.
+// db.js is required lazily because it loads this module itself to time its queries.
+new client.Gauge({
+    name: `${PREFIX}wills`,
+    help: 'Indexed wills by state (active or executed)',
+    labelNames: ['chain_id', 'contract', 'state'],
+    registers: [register],
+    collect() {
+        this.reset();
+        require('./db').getWillCounts().forEach(row => {
+            this.set({ chain_id: row.chainId, contract: row.contractAddress, state: row.executed ? 'executed' : 'active' }, row.count);
+        });
+    }
+});
+
+new client.Gauge({
+    name: `${PREFIX}value_locked_ether`,
+    help: 'Total balance held in will vaults, in ether',
+    labelNames: ['chain_id', 'contract', 'vault_type'],
+    registers: [register],
+    collect() {
+        this.reset();
+        require('./db').getValueLocked().forEach(row => {
+            this.set({ chain_id: row.chainId, contract: row.contractAddress, vault_type: row.vaultType }, Number(ethers.formatEther(row.balance)));
+        });
+    }
+});
+
+// Records the deployment's cursor and its distance from the confirmed head
+function recordSyncProgress(deployment, confirmedHead, blockNumber) {
+    const labels = { chain_id: deployment.chainId, contract: deployment.contractAddress };
+    
+    lastIndexedBlock.set(labels, blockNumber);
+    syncLagBlocks.set(labels, Math.max(confirmedHead - blockNumber, 0));
+}
+
+// Wraps every function of a module so each call is timed under its own name
+function timeQueries(functions) {
+    return Object.fromEntries(Object.entries(functions).map(([name, value]) => {
+        if (typeof value !== 'function') {
+            return [name, value];
+        }
+        
+        return [name, (...args) => {
+            const end = dbQueryDuration.startTimer({ operation: name });
+            try {
+                return value(...args);
+            } finally {
+                end();
+            }
+        }];
+    }));
+}
+
+// Express middleware timing every request; routes are labelled by their pattern
+// (e.g. /will/:id) so the label set stays small
+function httpMetrics(req, res, next) {
+    const end = httpRequestDuration.startTimer({ method: req.method });
+    
+    res.on('finish', () => {
+        // Server-Sent Event streams stay open for as long as the client listens
+        if (String(res.getHeader('Content-Type') || '').startsWith('text/event-stream')) return;
+        
+        end({
+            route: req.route ? req.route.path : 'unmatched',
+            status_code: res.statusCode
+        });
+    });
+    
+    next();
+}
+
+module.exports = {
+    register,
+    chainHeadBlock,
+    eventsProcessed,
+    eventHandlerErrors,
+    syncErrors,
+    reorgs,
+    recordSyncProgress,
+    timeQueries,
+    httpMetrics
+};
@@ -0,0 +1,584 @@
+// Numbered schema migrations, applied in order by migrateDatabase (db.js).
+// Databases created before versioning have no schema_version rows and run every
+// migration from the first one, so each step checks what is already there.
+// `context.deployment` is the deployment rows from before multi-deployment support belong to.
+// Schema changes go in a new migration at the end; released ones are never edited.
+
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'db' });
+
+function tableExists(db, table) {
+    return Boolean(db.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?`).get(table));
+}
+
+function hasColumn(db, table, column) {
+    return db.prepare(`PRAGMA table_info("${table}")`).all().some(info => info.name === column);
+}
+
+function tableSql(db, table) {
+    const row = db.prepare(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?`).get(table);
+    return row ? row.sql : '';
+}
+
+// Replaces a table whose constraints changed: create the new shape under a temporary
+// name, copy the rows over, then swap (foreign keys are off while migrations run)
+function rebuildTable(db, table, createSql, copySql, params = []) {
+    db.exec(createSql.replace(`CREATE TABLE ${table} (`, `CREATE TABLE ${table}_new (`));
+    db.prepare(copySql.replace(`INSERT INTO ${table} `, `INSERT INTO ${table}_new `)).run(...params);
+    db.exec(`DROP TABLE ${table}`);
+    db.exec(`ALTER TABLE ${table}_new RENAME TO ${table}`);
+}
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'initial_schema',
+        up(db) {
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS Wills (
+                    willId TEXT PRIMARY KEY,
+                    testator TEXT NOT NULL,
+                    guardian TEXT,
+                    checkInPeriod INTEGER,
+                    disputePeriod INTEGER,
+                    lastCheckIn INTEGER,
+                    executed INTEGER DEFAULT 0,
+                    createdAt INTEGER,
+                    updatedAt INTEGER
+                )
+            `);
+            
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS Beneficiaries (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    willId TEXT NOT NULL,
+                    beneficiary TEXT NOT NULL,
+                    share INTEGER NOT NULL,
+                    UNIQUE (willId, beneficiary),
+                    FOREIGN KEY (willId) REFERENCES Wills(willId)
+                )
+            `);
+            
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS Vaults (
+                    willId TEXT NOT NULL,
+                    vaultType TEXT CHECK(vaultType IN ('locked','flexible')),
+                    balance TEXT NOT NULL,
+                    PRIMARY KEY (willId, vaultType),
+                    FOREIGN KEY (willId) REFERENCES Wills(willId)
+                )
+            `);
+            
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS Documents (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    willId TEXT NOT NULL,
+                    ipfsHash TEXT NOT NULL,
+                    fileName TEXT NOT NULL,
+                    documentType TEXT NOT NULL,
+                    uploadedAt INTEGER NOT NULL,
+                    UNIQUE (willId, ipfsHash),
+                    FOREIGN KEY (willId) REFERENCES Wills(willId)
+                )
+            `);
+        }
+    },
+    {
+        version: 2,
+        name: 'sync_cursor_and_event_log',
+        up(db) {
+            // Databases from before the sync cursor recorded neither the block they had reached
+            // nor the events behind their rows, so there is no cursor to seed: it is left unset
+            // and the first sync starts at the deployment block. Wills and beneficiaries are kept
+            // and overwritten in place as their events are applied again. Vault balances are
+            // sums of deposit events and documents accumulate one row per DocumentAdded, so
+            // applying those events again would count them twice: only these two are rebuilt.
+            if (!tableExists(db, 'SyncState')) {
+                const { count } = db.prepare('SELECT COUNT(*) as count FROM Wills').get();
+                
+                if (count > 0) {
+                    db.prepare(`UPDATE Vaults SET balance = '0'`).run();
+                    db.prepare('DELETE FROM Documents').run();
+                    log.warn('Database predates the sync cursor: vault balances and documents are rebuilt from the deployment block, wills and beneficiaries are kept', { count });
+                }
+            }
+            
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS SyncState (
+                    contractAddress TEXT PRIMARY KEY,
+                    lastIndexedBlock INTEGER NOT NULL,
+                    updatedAt INTEGER
+                )
+            `);
+            
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS Events (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    txHash TEXT NOT NULL,
+                    logIndex INTEGER NOT NULL,
+                    blockNumber INTEGER NOT NULL,
+                    blockHash TEXT NOT NULL,
+                    blockTimestamp INTEGER,
+                    eventName TEXT NOT NULL,
+                    willId TEXT NOT NULL,
+                    args TEXT NOT NULL,
+                    createdAt INTEGER,
+                    UNIQUE (txHash, logIndex)
+                )
+            `);
+            
+            db.exec(`
+                CREATE INDEX IF NOT EXISTS idx_events_will ON Events (willId, blockNumber, logIndex)
+            `);
+            
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS Blocks (
+                    blockNumber INTEGER PRIMARY KEY,
+                    blockHash TEXT NOT NULL,
+                    timestamp INTEGER
+                )
+            `);
+        }
+    },
+    {
+        version: 3,
+        name: 'namespace_by_deployment',
+        up(db, { deployment }) {
+            const { chainId } = deployment;
+            const contractAddress = deployment.contractAddress.toLowerCase();
+            // Will IDs used to be the bare testator address
+            const prefix = `${chainId}:${contractAddress}:`;
+            
+            if (!hasColumn(db, 'Wills', 'chainId')) {
+                rebuildTable(db, 'Wills', `
+                    CREATE TABLE Wills (
+                        willId TEXT PRIMARY KEY,
+                        chainId INTEGER NOT NULL,
+                        contractAddress TEXT NOT NULL,
+                        testator TEXT NOT NULL,
+                        guardian TEXT,
+                        checkInPeriod INTEGER,
+                        disputePeriod INTEGER,
+                        lastCheckIn INTEGER,
+                        executed INTEGER DEFAULT 0,
+                        createdAt INTEGER,
+                        updatedAt INTEGER
+                    )
+                `, `
+                    INSERT INTO Wills (willId, chainId, contractAddress, testator, guardian, checkInPeriod, disputePeriod, lastCheckIn, executed, createdAt, updatedAt)
+                    SELECT ? || willId, ?, ?, testator, guardian, checkInPeriod, disputePeriod, lastCheckIn, executed, createdAt, updatedAt
+                    FROM Wills
+                `, [prefix, chainId, contractAddress]);
+            }
+            
+            for (const table of ['Beneficiaries', 'Vaults', 'Documents']) {
+                db.prepare(`UPDATE ${table} SET willId = ? || willId WHERE willId NOT LIKE '%:%'`).run(prefix);
+            }
+            
+            if (!hasColumn(db, 'Events', 'chainId')) {
+                rebuildTable(db, 'Events', `
+                    CREATE TABLE Events (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        chainId INTEGER NOT NULL,
+                        contractAddress TEXT NOT NULL,
+                        txHash TEXT NOT NULL,
+                        logIndex INTEGER NOT NULL,
+                        blockNumber INTEGER NOT NULL,
+                        blockHash TEXT NOT NULL,
+                        blockTimestamp INTEGER,
+                        eventName TEXT NOT NULL,
+                        willId TEXT NOT NULL,
+                        args TEXT NOT NULL,
+                        createdAt INTEGER,
+                        UNIQUE (chainId, txHash, logIndex)
+                    )
+                `, `
+                    INSERT INTO Events (id, chainId, contractAddress, txHash, logIndex, blockNumber, blockHash, blockTimestamp, eventName, willId, args, createdAt)
+                    SELECT id, ?, ?, txHash, logIndex, blockNumber, blockHash, blockTimestamp, eventName, ? || willId, args, createdAt
+                    FROM Events
+                `, [chainId, contractAddress, prefix]);
+                
+                db.exec(`
+                    CREATE INDEX IF NOT EXISTS idx_events_will ON Events (willId, blockNumber, logIndex)
+                `);
+            }
+            
+            if (!hasColumn(db, 'Blocks', 'chainId')) {
+                rebuildTable(db, 'Blocks', `
+                    CREATE TABLE Blocks (
+                        chainId INTEGER NOT NULL,
+                        blockNumber INTEGER NOT NULL,
+                        blockHash TEXT NOT NULL,
+                        timestamp INTEGER,
+                        PRIMARY KEY (chainId, blockNumber)
+                    )
+                `, `
+                    INSERT INTO Blocks (chainId, blockNumber, blockHash, timestamp)
+                    SELECT ?, blockNumber, blockHash, timestamp FROM Blocks
+                `, [chainId]);
+            }
+            
+            if (!hasColumn(db, 'SyncState', 'chainId')) {
+                rebuildTable(db, 'SyncState', `
+                    CREATE TABLE SyncState (
+                        chainId INTEGER NOT NULL,
+                        contractAddress TEXT NOT NULL,
+                        lastIndexedBlock INTEGER NOT NULL,
+                        updatedAt INTEGER,
+                        PRIMARY KEY (chainId, contractAddress)
+                    )
+                `, `
+                    INSERT INTO SyncState (chainId, contractAddress, lastIndexedBlock, updatedAt)
+                    SELECT ?, lower(contractAddress), lastIndexedBlock, updatedAt FROM SyncState
+                `, [chainId]);
+            }
+            
+            db.exec(`
+                CREATE INDEX IF NOT EXISTS idx_wills_deployment ON Wills (chainId, contractAddress, testator)
+            `);
+        }
+    },
+    {
+        version: 4,
+        name: 'beneficiary_guardian_flag',
+        up(db) {
+            if (hasColumn(db, 'Beneficiaries', 'isGuardian')) return;
+            
+            db.exec('ALTER TABLE Beneficiaries ADD COLUMN isGuardian INTEGER DEFAULT 0');
+            
+            // The guardian used to be stored on the will only
+            db.exec(`
+                UPDATE Beneficiaries SET isGuardian = 1
+                WHERE beneficiary = (
+                    SELECT lower(guardian) FROM Wills
+                    WHERE Wills.willId = Beneficiaries.willId
+                )
+            `);
+        }
+    },
+    {
+        version: 5,
+        name: 'webhook_subscriptions',
+        up(db) {
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS Subscriptions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    chainId INTEGER NOT NULL,
+                    contractAddress TEXT NOT NULL,
+                    url TEXT NOT NULL,
+                    secret TEXT NOT NULL,
+                    events TEXT NOT NULL,
+                    address TEXT,
+                    daysBefore INTEGER NOT NULL,
+                    since INTEGER NOT NULL,
+                    createdAt INTEGER
+                )
+            `);
+            
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS WebhookDeliveries (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    subscriptionId INTEGER NOT NULL,
+                    willId TEXT NOT NULL,
+                    eventType TEXT NOT NULL,
+                    deadline INTEGER NOT NULL,
+                    payload TEXT NOT NULL,
+                    status TEXT CHECK(status IN ('pending','delivered','failed')) DEFAULT 'pending',
+                    attempts INTEGER DEFAULT 0,
+                    responseStatus INTEGER,
+                    lastError TEXT,
+                    nextAttemptAt INTEGER,
+                    createdAt INTEGER,
+                    deliveredAt INTEGER,
+                    UNIQUE (subscriptionId, willId, eventType, deadline),
+                    FOREIGN KEY (subscriptionId) REFERENCES Subscriptions(id)
+                )
+            `);
+            
+            db.exec(`
+                CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON WebhookDeliveries (status, nextAttemptAt)
+            `);
+        }
+    },
+    {
+        version: 6,
+        name: 'will_total_value',
+        up(db) {
+            if (hasColumn(db, 'Wills', 'totalValue')) return;
+            
+            db.exec(`ALTER TABLE Wills ADD COLUMN totalValue TEXT DEFAULT '0'`);
+            
+            // Balances are wei strings, so the sum is done with BigInt rather than in SQL
+            const totals = new Map();
+            db.prepare('SELECT willId, balance FROM Vaults').all().forEach(vault => {
+                totals.set(vault.willId, (totals.get(vault.willId) || 0n) + BigInt(vault.balance));
+            });
+            
+            const stmt = db.prepare('UPDATE Wills SET totalValue = ? WHERE willId = ?');
+            totals.forEach((total, willId) => stmt.run(total.toString(), willId));
+        }
+    },
+    {
+        version: 7,
+        name: 'vault_ledger',
+        up(db) {
+            if (tableExists(db, 'VaultTransactions')) return;
+            
+            db.exec(`
+                CREATE TABLE VaultTransactions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    willId TEXT NOT NULL,
+                    vaultType TEXT CHECK(vaultType IN ('locked','flexible')),
+                    transactionType TEXT CHECK(transactionType IN ('deposit','withdrawal')),
+                    amount TEXT NOT NULL,
+                    balanceAfter TEXT NOT NULL,
+                    blockNumber INTEGER NOT NULL,
+                    blockTimestamp INTEGER,
+                    txHash TEXT NOT NULL,
+                    logIndex INTEGER NOT NULL,
+                    UNIQUE (willId, txHash, logIndex),
+                    FOREIGN KEY (willId) REFERENCES Wills(willId)
+                )
+            `);
+            
+            db.exec(`
+                CREATE INDEX IF NOT EXISTS idx_vault_transactions_will ON VaultTransactions (willId, blockTimestamp)
+            `);
+            
+            // Backfill from the event log, for wills whose whole history is in it
+            // (their WillCreated event was recorded); balances are replayed like updateVaultBalance does
+            const VAULT_EVENTS = {
+                DepositLocked: ['locked', 'deposit'],
+                DepositFlexible: ['flexible', 'deposit'],
+                WithdrawFlexible: ['flexible', 'withdrawal']
+            };
+            
+            const events = db.prepare(`
+                SELECT willId, eventName, args, blockNumber, blockTimestamp, txHash, logIndex FROM Events
+                WHERE eventName IN ('DepositLocked', 'DepositFlexible', 'WithdrawFlexible')
+                AND willId IN (SELECT willId FROM Events WHERE eventName = 'WillCreated')
+                AND willId IN (SELECT willId FROM Wills)
+                ORDER BY willId, blockNumber, logIndex
+            `).all();
+            
+            const stmt = db.prepare(`
+                INSERT OR IGNORE INTO VaultTransactions
+                (willId, vaultType, transactionType, amount, balanceAfter, blockNumber, blockTimestamp, txHash, logIndex)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `);
+            
+            const balances = new Map();
+            for (const event of events) {
+                const [vaultType, transactionType] = VAULT_EVENTS[event.eventName];
+                const key = `${event.willId}|${vaultType}`;
+                const amount = BigInt(JSON.parse(event.args).amount);
+                
+                const balance = (balances.get(key) || 0n) + (transactionType === 'deposit' ? amount : -amount);
+                const balanceAfter = balance < 0n ? 0n : balance;
+                balances.set(key, balanceAfter);
+                
+                stmt.run(event.willId, vaultType, transactionType, amount.toString(), balanceAfter.toString(),
+                    event.blockNumber, event.blockTimestamp, event.txHash, event.logIndex);
+            }
+            
+            if (events.length > 0) {
+                log.info('Backfilled vault transactions from the event log', { count: events.length });
+            }
+        }
+    },
+    {
+        version: 8,
+        name: 'execution_payouts',
+        up(db) {
+            // Execution now writes one 'payout' row per vault for the same event
+            if (!tableSql(db, 'VaultTransactions').includes("'payout'")) {
+                rebuildTable(db, 'VaultTransactions', `
+                    CREATE TABLE VaultTransactions (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        willId TEXT NOT NULL,
+                        vaultType TEXT CHECK(vaultType IN ('locked','flexible')),
+                        transactionType TEXT CHECK(transactionType IN ('deposit','withdrawal','payout')),
+                        amount TEXT NOT NULL,
+                        balanceAfter TEXT NOT NULL,
+                        blockNumber INTEGER NOT NULL,
+                        blockTimestamp INTEGER,
+                        txHash TEXT NOT NULL,
+                        logIndex INTEGER NOT NULL,
+                        UNIQUE (willId, txHash, logIndex, vaultType),
+                        FOREIGN KEY (willId) REFERENCES Wills(willId)
+                    )
+                `, `
+                    INSERT INTO VaultTransactions (id, willId, vaultType, transactionType, amount, balanceAfter, blockNumber, blockTimestamp, txHash, logIndex)
+                    SELECT id, willId, vaultType, transactionType, amount, balanceAfter, blockNumber, blockTimestamp, txHash, logIndex
+                    FROM VaultTransactions
+                `);
+                
+                db.exec(`
+                    CREATE INDEX IF NOT EXISTS idx_vault_transactions_will ON VaultTransactions (willId, blockTimestamp)
+                `);
+            }
+            
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS Payouts (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    willId TEXT NOT NULL,
+                    beneficiary TEXT NOT NULL,
+                    share INTEGER NOT NULL,
+                    amount TEXT NOT NULL,
+                    UNIQUE (willId, beneficiary),
+                    FOREIGN KEY (willId) REFERENCES Wills(willId)
+                )
+            `);
+            
+            db.exec(`
+                CREATE INDEX IF NOT EXISTS idx_payouts_beneficiary ON Payouts (beneficiary)
+            `);
+            
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS WillExecutions (
+                    willId TEXT PRIMARY KEY,
+                    totalFunds TEXT NOT NULL,
+                    distributed TEXT NOT NULL,
+                    undistributed TEXT NOT NULL,
+                    blockNumber INTEGER,
+                    blockTimestamp INTEGER,
+                    txHash TEXT,
+                    FOREIGN KEY (willId) REFERENCES Wills(willId)
+                )
+            `);
+            
+            // Backfill executed wills from their WillExecuted event. Beneficiaries cannot change
+            // after execution, and vaults used to keep their balance, so both are still as they were
+            const executions = db.prepare(`
+                SELECT e.willId, e.args, e.blockNumber, e.blockTimestamp, e.txHash, e.logIndex FROM Events e
+                JOIN Wills w ON w.willId = e.willId
+                WHERE e.eventName = 'WillExecuted'
+                AND e.willId NOT IN (SELECT willId FROM WillExecutions)
+                ORDER BY e.blockNumber, e.logIndex
+            `).all();
+            
+            const payoutStmt = db.prepare(`
+                INSERT OR REPLACE INTO Payouts (willId, beneficiary, share, amount)
+                VALUES (?, ?, ?, ?)
+            `);
+            const executionStmt = db.prepare(`
+                INSERT OR REPLACE INTO WillExecutions
+                (willId, totalFunds, distributed, undistributed, blockNumber, blockTimestamp, txHash)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `);
+            const ledgerStmt = db.prepare(`
+                INSERT OR IGNORE INTO VaultTransactions
+                (willId, vaultType, transactionType, amount, balanceAfter, blockNumber, blockTimestamp, txHash, logIndex)
+                VALUES (?, ?, 'payout', ?, '0', ?, ?, ?, ?)
+            `);
+            
+            for (const execution of executions) {
+                const totalFunds = BigInt(JSON.parse(execution.args).totalDistributed);
+                const beneficiaries = db.prepare('SELECT beneficiary, share FROM Beneficiaries WHERE willId = ?').all(execution.willId);
+                
+                let distributed = 0n;
+                for (const { beneficiary, share } of beneficiaries) {
+                    const amount = totalFunds * BigInt(share) / 100n;
+                    payoutStmt.run(execution.willId, beneficiary, share, amount.toString());
+                    distributed += amount;
+                }
+                
+                executionStmt.run(execution.willId, totalFunds.toString(), distributed.toString(), (totalFunds - distributed).toString(),
+                    execution.blockNumber, execution.blockTimestamp, execution.txHash);
+                
+                const vaults = db.prepare(`SELECT vaultType, balance FROM Vaults WHERE willId = ? AND balance != '0'`).all(execution.willId);
+                for (const vault of vaults) {
+                    ledgerStmt.run(execution.willId, vault.vaultType, vault.balance,
+                        execution.blockNumber, execution.blockTimestamp, execution.txHash, execution.logIndex);
+                }
+                
+                db.prepare(`UPDATE Vaults SET balance = '0' WHERE willId = ?`).run(execution.willId);
+                db.prepare(`UPDATE Wills SET totalValue = '0' WHERE willId = ?`).run(execution.willId);
+            }
+            
+            if (executions.length > 0) {
+                log.info('Backfilled payouts for executed wills', { count: executions.length });
+            }
+        }
+    },
+    {
+        version: 9,
+        name: 'event_time_index',
+        up(db) {
+            // /stats/history counts events of a deployment per day
+            db.exec(`
+                CREATE INDEX IF NOT EXISTS idx_events_deployment_time ON Events (chainId, contractAddress, eventName, blockTimestamp)
+            `);
+        }
+    },
+    {
+        version: 10,
+        name: 'siwe_sessions',
+        up(db) {
+            // Sign-In With Ethereum sessions; only a hash of the bearer token is kept
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS Sessions (
+                    tokenHash TEXT PRIMARY KEY,
+                    address TEXT NOT NULL,
+                    chainId INTEGER NOT NULL,
+                    domain TEXT NOT NULL,
+                    createdAt INTEGER NOT NULL,
+                    expiresAt INTEGER NOT NULL
+                )
+            `);
+            
+            db.exec(`
+                CREATE INDEX IF NOT EXISTS idx_sessions_expires ON Sessions (expiresAt)
+            `);
+        }
+    },
+    {
+        version: 11,
+        name: 'subscription_owner',
+        up(db) {
+            if (hasColumn(db, 'Subscriptions', 'owner')) return;
+            
+            // Signed-in address that created the subscription; older ones (null) are managed
+            // with the admin token only
+            db.exec('ALTER TABLE Subscriptions ADD COLUMN owner TEXT');
+        }
+    },
+    {
+        version: 12,
+        name: 'document_positions',
+        up(db) {
+            if (hasColumn(db, 'Documents', 'position')) return;
+            
+            // The contract keeps documents in an array that may hold the same IPFS hash twice,
+            // so rows are no longer unique per hash; `position` is the index in that array.
+            // Existing rows (one per hash) are numbered in upload order.
+            rebuildTable(db, 'Documents', `
+                CREATE TABLE Documents (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    willId TEXT NOT NULL,
+                    position INTEGER NOT NULL,
+                    ipfsHash TEXT NOT NULL,
+                    fileName TEXT NOT NULL,
+                    documentType TEXT NOT NULL,
+                    uploadedAt INTEGER NOT NULL,
+                    UNIQUE (willId, position),
+                    FOREIGN KEY (willId) REFERENCES Wills(willId)
+                )
+            `, `
+                INSERT INTO Documents (id, willId, position, ipfsHash, fileName, documentType, uploadedAt)
+                SELECT id, willId, ROW_NUMBER() OVER (PARTITION BY willId ORDER BY uploadedAt, id) - 1,
+                    ipfsHash, fileName, documentType, uploadedAt
+                FROM Documents
+            `);
+            
+            db.exec(`
+                CREATE INDEX IF NOT EXISTS idx_documents_hash ON Documents (willId, ipfsHash)
+            `);
+        }
+    }
+];
+
+module.exports = {
+    MIGRATIONS
+};
@@ -0,0 +1,1057 @@
+const Ajv2020 = require('ajv/dist/2020');
+const { version } = require('../package.json');
+const { WILL_STATUSES } = require('./lifecycle');
+const { WEBHOOK_EVENTS } = require('./watcher');
+const { logger } = require('./logger');
+
+// OpenAPI 3.1 description of the REST API, served at /openapi.json and browsable at /docs.
+// Deployment routes exist twice, un-prefixed (default deployment) and under
+// /chains/{chainId}/contracts/{contract}; they are written once below and expanded.
+// With OPENAPI_VALIDATE_RESPONSES=true every JSON response is checked against the document.
+const OPENAPI_VALIDATE_RESPONSES = process.env.OPENAPI_VALIDATE_RESPONSES
+    ? process.env.OPENAPI_VALIDATE_RESPONSES === 'true'
+    : process.env.NODE_ENV === 'development';
+
+const DEPLOYMENT_PREFIX = '/chains/{chainId}/contracts/{contract}';
+
+// Query parameters whose values are replaced before a URL is logged
+const SECRET_QUERY_PARAMETERS = ['access_token'];
+
+const ERROR_CODES = [
+    'VALIDATION_FAILED', 'INVALID_JSON', 'BAD_REQUEST', 'NOT_FOUND', 'UNAUTHORIZED', 'FORBIDDEN',
+    'CONFLICT', 'PAYLOAD_TOO_LARGE', 'RATE_LIMITED', 'NOT_READY', 'INTERNAL_ERROR'
+];
+
+const log = logger.child({ module: 'openapi' });
+
+function ref(name) {
+    return { $ref: `#/components/schemas/${name}` };
+}
+
+function nullable(schema) {
+    return { anyOf: [schema, { type: 'null' }] };
+}
+
+function object(properties, required = Object.keys(properties)) {
+    return { type: 'object', properties, required };
+}
+
+function arrayOf(items) {
+    return { type: 'array', items };
+}
+
+// { success: true, data, ...extra }
+function success(data, extra = {}) {
+    return object({ success: { const: true }, data, ...extra });
+}
+
+function jsonResponse(description, schema) {
+    return { description, content: { 'application/json': { schema } } };
+}
+
+const ERROR_DESCRIPTIONS = {
+    400: 'Invalid request (code VALIDATION_FAILED, INVALID_JSON or BAD_REQUEST)',
+    401: 'Missing or wrong admin token, or not signed in',
+    403: 'Admin routes are disabled, or the signed-in account may not read this',
+    404: 'Not found',
+    409: 'Conflicting request',
+    413: 'Request body too large',
+    429: 'Rate limit exceeded; see Retry-After',
+    500: 'Internal error',
+    503: 'Not ready'
+};
+
+// Every operation may be rate limited or fail internally
+function responses(ok, ...errorStatuses) {
+    const result = { ...ok };
+    for (const status of [...errorStatuses, 429, 500]) {
+        result[status] = { $ref: `#/components/responses/Error${status}` };
+    }
+    return result;
+}
+
+function parameter(name, location, schema, description, required = location === 'path') {
+    return { name, in: location, required, schema, description };
+}
+
+const willIdParameter = name => parameter(name, 'path', ref('Address'), 'Testator address; a will is identified by its testator');
+const addressParameter = (name, description) => parameter(name, 'path', ref('Address'), description);
+
+function pageParameters(sortKeys) {
+    return [
+        parameter('sort', 'query', { enum: sortKeys }, `Sort key (default ${sortKeys[0]})`),
+        parameter('order', 'query', { enum: ['asc', 'desc'] }, 'Sort order (default desc)'),
+        parameter('limit', 'query', { type: 'integer', minimum: 1 }, 'Page size (DEFAULT_PAGE_SIZE, at most MAX_PAGE_SIZE)'),
+        parameter('cursor', 'query', { type: 'string' }, 'nextCursor of the previous page')
+    ];
+}
+
+const willListParameters = [
+    ...pageParameters(['createdAt', 'lastCheckIn', 'totalValue']),
+    parameter('executed', 'query', { type: 'boolean' }, 'Only executed (true) or unexecuted (false) wills'),
+    parameter('hasGuardian', 'query', { type: 'boolean' }, 'Only wills with (true) or without (false) a guardian'),
+    parameter('documentType', 'query', { type: 'string' }, 'Only wills holding a document of this type'),
+    parameter('minBalance', 'query', ref('Amount'), 'Only wills whose vaults hold at least this much (wei)'),
+    parameter('status', 'query', { type: 'string' }, `Comma-separated statuses: ${WILL_STATUSES.join(', ')}`)
+];
+
+// Will data needs the session of its testator or a beneficiary, or the admin token;
+// with AUTH_REQUIRED=false both are optional
+const sessionSecurity = [{ siweSession: [] }, { adminToken: [] }, {}];
+
+const timeParameter = (name, description) => parameter(name, 'query', { type: 'string' }, `${description} (unix seconds or ISO 8601 date, before the year 3000)`);
+
+const willPage = object({
+    success: { const: true },
+    data: arrayOf(ref('WillSummary')),
+    count: { type: 'integer' },
+    nextCursor: nullable({ type: 'string' })
+});
+
+const schemas = {
+    Address: { type: 'string', pattern: '^0x[0-9a-fA-F]{40}$' },
+    Hash: { type: 'string', pattern: '^0x[0-9a-fA-F]{64}$' },
+    Amount: { type: 'string', pattern: '^[0-9]+$', description: 'Token amount in wei, as a decimal string' },
+    WillId: { type: 'string', description: 'chainId:contractAddress:testator' },
+    Timestamp: { type: 'integer', description: 'Unix seconds' },
+    Error: {
+        type: 'object',
+        properties: {
+            success: { const: false },
+            error: { type: 'string', description: 'Human readable message' },
+            code: { enum: ERROR_CODES },
+            details: {
+                description: 'Validation failures (VALIDATION_FAILED) or the internal error message in development',
+                anyOf: [arrayOf(ref('ValidationDetail')), { type: 'string' }]
+            },
+            retryAfter: { type: 'integer', description: 'Seconds until the request may be retried (RATE_LIMITED)' },
+            data: ref('Readiness')
+        },
+        required: ['success', 'error', 'code']
+    },
+    ValidationDetail: object({
+        location: nullable({ enum: ['params', 'query', 'body'] }),
+        field: nullable({ type: 'string' }),
+        message: { type: 'string' }
+    }),
+    Deployment: object({
+        chainId: { type: 'integer' },
+        chainName: { type: 'string' },
+        contractAddress: ref('Address'),
+        startBlock: { type: 'integer' },
+        lastIndexedBlock: nullable({ type: 'integer' })
+    }),
+    Readiness: object({
+        ready: { type: 'boolean' },
+        maxLagBlocks: { type: 'integer' },
+        database: {
+            type: 'object',
+            properties: { writable: { type: 'boolean' }, error: { type: 'string' } },
+            required: ['writable']
+        },
+        chains: arrayOf(object({
+            chainId: { type: 'integer' },
+            name: { type: 'string' },
+            connected: { type: 'boolean' },
+            mode: nullable({ type: 'string' }),
+            headBlock: nullable({ type: 'integer' }),
+            headUpdatedAt: nullable(ref('Timestamp')),
+            confirmations: { type: 'integer' },
+            deployments: arrayOf(object({
+                contractAddress: ref('Address'),
+                lastIndexedBlock: nullable({ type: 'integer' }),
+                lagBlocks: nullable({ type: 'integer' }),
+                stale: { type: 'boolean' },
+                cursorUpdatedAt: nullable(ref('Timestamp')),
+                lastEventAt: nullable(ref('Timestamp')),
+                lastEventIndexedAt: nullable(ref('Timestamp'))
+            }))
+        })),
+        problems: arrayOf({ type: 'string' })
+    }),
+    Will: object({
+        willId: ref('WillId'),
+        chainId: { type: 'integer' },
+        contractAddress: ref('Address'),
+        testator: ref('Address'),
+        guardian: nullable(ref('Address')),
+        checkInPeriod: { type: 'integer', description: 'Seconds between check-ins' },
+        disputePeriod: { type: 'integer', description: 'Seconds the guardian has after a missed check-in' },
+        lastCheckIn: ref('Timestamp'),
+        executed: { enum: [0, 1] },
+        createdAt: ref('Timestamp'),
+        updatedAt: ref('Timestamp'),
+        totalValue: ref('Amount'),
+        status: { enum: WILL_STATUSES },
+        checkInDeadline: ref('Timestamp'),
+        disputeEndTime: ref('Timestamp'),
+        evaluatedAt: { ...ref('Timestamp'), description: 'Chain time the status was evaluated at' }
+    }),
+    // Beneficiary listings add the share of the address asked about
+    WillSummary: {
+        allOf: [ref('Will')],
+        properties: {
+            share: { type: 'integer' },
+            isGuardian: { enum: [0, 1] }
+        }
+    },
+    WillDetails: {
+        allOf: [ref('Will')],
+        properties: {
+            beneficiaries: arrayOf(ref('Beneficiary')),
+            vaults: arrayOf(ref('VaultBalance')),
+            documents: arrayOf(ref('Document'))
+        },
+        required: ['beneficiaries', 'vaults', 'documents']
+    },
+    Beneficiary: object({
+        beneficiary: ref('Address'),
+        share: { type: 'integer', description: 'Percentage of the will' },
+        isGuardian: { enum: [0, 1] }
+    }),
+    VaultBalance: object({
+        vaultType: { enum: ['locked', 'flexible'] },
+        balance: ref('Amount')
+    }),
+    VaultTransaction: object({
+        vaultType: { enum: ['locked', 'flexible'] },
+        transactionType: { enum: ['deposit', 'withdrawal', 'payout'] },
+        amount: ref('Amount'),
+        balanceAfter: ref('Amount'),
+        blockNumber: { type: 'integer' },
+        blockTimestamp: ref('Timestamp'),
+        txHash: ref('Hash'),
+        logIndex: { type: 'integer' }
+    }),
+    Document: object({
+        ipfsHash: { type: 'string' },
+        fileName: { type: 'string' },
+        documentType: { type: 'string' },
+        uploadedAt: ref('Timestamp')
+    }),
+    DocumentDetails: {
+        allOf: [ref('Document')],
+        properties: {
+            id: { type: 'integer' },
+            willId: ref('WillId'),
+            position: { type: 'integer', description: "Index in the contract's documents array; the first copy when the hash was added more than once" }
+        },
+        required: ['id', 'willId', 'position']
+    },
+    Event: object({
+        chainId: { type: 'integer' },
+        contractAddress: ref('Address'),
+        txHash: ref('Hash'),
+        logIndex: { type: 'integer' },
+        blockNumber: { type: 'integer' },
+        blockHash: ref('Hash'),
+        blockTimestamp: ref('Timestamp'),
+        eventName: { type: 'string' },
+        args: { type: 'object', description: 'Decoded event arguments; integers as decimal strings' }
+    }),
+    WillPayouts: {
+        type: 'object',
+        description: 'The execution fields are only present once the will was executed',
+        properties: {
+            willId: ref('WillId'),
+            executed: { type: 'boolean' },
+            totalFunds: ref('Amount'),
+            distributed: ref('Amount'),
+            undistributed: ref('Amount'),
+            blockNumber: { type: 'integer' },
+            executedAt: ref('Timestamp'),
+            txHash: ref('Hash'),
+            payouts: arrayOf(object({
+                beneficiary: ref('Address'),
+                share: { type: 'integer' },
+                amount: ref('Amount')
+            }))
+        },
+        required: ['willId', 'executed', 'payouts']
+    },
+    WillExport: object({
+        exportedAt: { type: 'string' },
+        will: ref('Will'),
+        beneficiaries: arrayOf(ref('Beneficiary')),
+        vaults: arrayOf(ref('VaultBalance')),
+        documents: arrayOf(ref('Document')),
+        execution: nullable({
+            type: 'object',
+            description: 'Execution summary and payouts, null until the will is executed',
+            properties: {
+                totalFunds: ref('Amount'),
+                distributed: ref('Amount'),
+                undistributed: ref('Amount'),
+                blockNumber: { type: 'integer' },
+                executedAt: ref('Timestamp'),
+                txHash: ref('Hash'),
+                payouts: arrayOf(object({
+                    beneficiary: ref('Address'),
+                    share: { type: 'integer' },
+                    amount: ref('Amount')
+                }))
+            },
+            required: ['totalFunds', 'payouts']
+        }),
+        events: arrayOf(ref('Event'))
+    }),
+    Payout: object({
+        willId: ref('WillId'),
+        testator: ref('Address'),
+        share: { type: 'integer' },
+        amount: ref('Amount'),
+        blockNumber: { type: 'integer' },
+        executedAt: ref('Timestamp'),
+        txHash: ref('Hash')
+    }),
+    Stats: object({
+        totalWills: { type: 'integer' },
+        executedWills: { type: 'integer' },
+        activeWills: { type: 'integer' },
+        totalBeneficiaries: { type: 'integer' },
+        totalDocuments: { type: 'integer' },
+        totalVaultValue: object({
+            locked: ref('Amount'),
+            flexible: ref('Amount')
+        }),
+        documentsByType: arrayOf(object({
+            documentType: { type: 'string' },
+            count: { type: 'integer' }
+        }))
+    }),
+    StatsBucket: object({
+        date: { type: 'string', description: 'UTC day, YYYY-MM-DD' },
+        timestamp: { ...ref('Timestamp'), description: 'Start of the day' },
+        willsCreated: { type: 'integer' },
+        checkIns: { type: 'integer' },
+        executions: { type: 'integer' },
+        deposits: object({ count: { type: 'integer' }, amount: ref('Amount') }),
+        withdrawals: object({ count: { type: 'integer' }, amount: ref('Amount') }),
+        valueLocked: {
+            ...object({ locked: ref('Amount'), flexible: ref('Amount') }),
+            description: 'Vault balances at the end of the day'
+        }
+    }),
+    Subscription: object({
+        id: { type: 'integer' },
+        chainId: { type: 'integer' },
+        contractAddress: ref('Address'),
+        url: { type: 'string' },
+        events: arrayOf({ enum: WEBHOOK_EVENTS }),
+        address: nullable(ref('Address')),
+        daysBefore: { type: 'integer' },
+        since: ref('Timestamp'),
+        owner: nullable(ref('Address')),
+        createdAt: ref('Timestamp')
+    }),
+    NewSubscription: {
+        allOf: [ref('Subscription')],
+        properties: {
+            secret: { type: 'string', description: 'HMAC key of the X-Signature header; only returned here' }
+        },
+        required: ['secret']
+    },
+    SubscriptionDetails: {
+        allOf: [ref('Subscription')],
+        properties: {
+            deliveries: arrayOf(object({
+                id: { type: 'integer' },
+                willId: ref('WillId'),
+                eventType: { enum: WEBHOOK_EVENTS },
+                deadline: ref('Timestamp'),
+                payload: { type: 'object', description: 'Body that is (or was) posted' },
+                status: { enum: ['pending', 'delivered', 'failed'] },
+                attempts: { type: 'integer' },
+                responseStatus: nullable({ type: 'integer' }),
+                lastError: nullable({ type: 'string' }),
+                nextAttemptAt: nullable(ref('Timestamp')),
+                createdAt: ref('Timestamp'),
+                deliveredAt: nullable(ref('Timestamp'))
+            }))
+        },
+        required: ['deliveries']
+    },
+    Session: object({
+        address: ref('Address'),
+        chainId: { type: 'integer', description: 'Chain the message was signed for' },
+        expiresAt: ref('Timestamp')
+    }),
+    NewSession: {
+        allOf: [ref('Session')],
+        properties: {
+            token: { type: 'string', description: 'Bearer token for the Authorization header (or ?access_token on /stream)' }
+        },
+        required: ['token']
+    },
+    ReconciliationReport: object({
+        startedAt: ref('Timestamp'),
+        finishedAt: ref('Timestamp'),
+        repair: { type: 'boolean' },
+        warning: nullable({ type: 'string', description: 'Set when repairing: repairs are undone by the next rebuild or chain rollback' }),
+        deployments: arrayOf(object({
+            chainId: { type: 'integer' },
+            contractAddress: ref('Address'),
+            checked: { type: 'integer' },
+            repaired: { type: 'integer' },
+            mismatches: arrayOf({
+                type: 'object',
+                properties: {
+                    willId: ref('WillId'),
+                    testator: ref('Address'),
+                    blockNumber: { type: 'integer' },
+                    field: { type: 'string' },
+                    indexed: {},
+                    onChain: {}
+                },
+                required: ['willId', 'field']
+            }),
+            errors: arrayOf({
+                type: 'object',
+                properties: { willId: ref('WillId'), error: { type: 'string' } },
+                required: ['error']
+            })
+        }))
+    })
+};
+
+// graphql-http answers in the media type the client accepts; plain application/json for */*
+const GRAPHQL_RESULT = {
+    'application/graphql-response+json': { schema: { type: 'object' } },
+    'application/json': { schema: { type: 'object' } }
+};
+
+// Routes of the app itself
+const globalPaths = {
+    '/health': {
+        get: {
+            tags: ['health'],
+            summary: 'Liveness: the API process is up',
+            responses: responses({ 200: { $ref: '#/components/responses/Live' } })
+        }
+    },
+    '/health/live': {
+        get: {
+            tags: ['health'],
+            summary: 'Liveness: the API process is up (same as /health)',
+            responses: responses({ 200: { $ref: '#/components/responses/Live' } })
+        }
+    },
+    '/health/ready': {
+        get: {
+            tags: ['health'],
+            summary: 'Readiness: every chain connected and synced, database writable',
+            responses: responses({ 200: jsonResponse('Ready', success(ref('Readiness'))) }, 503)
+        }
+    },
+    '/metrics': {
+        get: {
+            tags: ['health'],
+            summary: 'Prometheus metrics',
+            responses: responses({
+                200: { description: 'Prometheus text exposition format', content: { 'text/plain': { schema: { type: 'string' } } } }
+            })
+        }
+    },
+    '/deployments': {
+        get: {
+            tags: ['health'],
+            summary: 'Configured chains/contracts with their sync progress',
+            responses: responses({
+                200: jsonResponse('Deployments', success(arrayOf(ref('Deployment')), { count: { type: 'integer' } }))
+            })
+        }
+    },
+    '/openapi.json': {
+        get: {
+            tags: ['health'],
+            summary: 'This document',
+            responses: responses({ 200: jsonResponse('OpenAPI document', { type: 'object' }) })
+        }
+    },
+    '/docs': {
+        get: {
+            tags: ['health'],
+            summary: 'Swagger UI for this document',
+            responses: responses({ 200: { description: 'HTML page', content: { 'text/html': { schema: { type: 'string' } } } } })
+        }
+    },
+    '/auth/nonce': {
+        get: {
+            tags: ['auth'],
+            summary: 'A single-use nonce for a Sign-In With Ethereum message',
+            responses: responses({
+                200: jsonResponse('Nonce', success(object({
+                    nonce: { type: 'string' },
+                    expiresAt: { ...ref('Timestamp'), description: 'The message must be verified before then' }
+                })))
+            })
+        }
+    },
+    '/auth/verify': {
+        post: {
+            tags: ['auth'],
+            summary: 'Exchange a signed Sign-In With Ethereum (EIP-4361) message for a session token',
+            requestBody: {
+                required: true,
+                content: {
+                    'application/json': {
+                        schema: object({
+                            message: { type: 'string', description: 'EIP-4361 message with a nonce from /auth/nonce' },
+                            signature: { type: 'string', description: 'personal_sign signature of the message' }
+                        })
+                    }
+                }
+            },
+            responses: responses({ 200: jsonResponse('Signed in', success(ref('NewSession'))) }, 400, 401, 413)
+        }
+    },
+    '/auth/session': {
+        get: {
+            tags: ['auth'],
+            summary: 'The signed-in account of the session token',
+            security: [{ siweSession: [] }],
+            responses: responses({ 200: jsonResponse('Session', success(ref('Session'))) }, 401)
+        }
+    },
+    '/auth/logout': {
+        post: {
+            tags: ['auth'],
+            summary: 'End the session of the token',
+            security: [{ siweSession: [] }],
+            responses: responses({
+                200: jsonResponse('Signed out', object({ success: { const: true }, message: { type: 'string' } }))
+            })
+        }
+    },
+    '/admin/reconcile': {
+        get: {
+            tags: ['admin'],
+            summary: 'Report of the last reconciliation against on-chain state',
+            security: [{ adminToken: [] }],
+            responses: responses({
+                200: jsonResponse('Last report (null before the first run)', success(nullable(ref('ReconciliationReport')), {
+                    running: { type: 'boolean' }
+                }))
+            }, 401, 403)
+        },
+        post: {
+            tags: ['admin'],
+            summary: 'Compare every indexed will with the contract now',
+            security: [{ adminToken: [] }],
+            parameters: [parameter('repair', 'query', { type: 'boolean' }, 'Overwrite drifted projections with on-chain state. Repairs are not recorded as events, so the next rebuild or chain rollback undoes them')],
+            responses: responses({
+                200: jsonResponse('Report', success(ref('ReconciliationReport')))
+            }, 400, 401, 403, 409)
+        }
+    }
+};
+
+// Routes of the deployment router
+const deploymentPaths = {
+    '/wills': {
+        get: {
+            tags: ['wills'],
+            summary: 'Every will on the deployment',
+            security: sessionSecurity,
+            parameters: willListParameters,
+            responses: responses({ 200: jsonResponse('One page of wills', willPage) }, 400, 401, 403)
+        }
+    },
+    '/wills/{testator}': {
+        get: {
+            tags: ['wills'],
+            summary: 'The will of a testator, as a list',
+            security: sessionSecurity,
+            parameters: [addressParameter('testator', 'Testator address'), ...willListParameters],
+            responses: responses({ 200: jsonResponse('One page of wills', willPage) }, 400, 401, 403)
+        }
+    },
+    '/wills/beneficiary/{beneficiary}': {
+        get: {
+            tags: ['wills', 'beneficiaries'],
+            summary: 'Wills naming an address as beneficiary, with its share',
+            security: sessionSecurity,
+            parameters: [addressParameter('beneficiary', 'Beneficiary address'), ...willListParameters],
+            responses: responses({ 200: jsonResponse('One page of wills', willPage) }, 400, 401, 403)
+        }
+    },
+    '/will/{id}': {
+        get: {
+            tags: ['wills'],
+            summary: 'A will with its beneficiaries, vaults and documents',
+            security: sessionSecurity,
+            parameters: [willIdParameter('id')],
+            responses: responses({ 200: jsonResponse('Will', success(ref('WillDetails'))) }, 400, 401, 403, 404)
+        }
+    },
+    '/will/{id}/events': {
+        get: {
+            tags: ['wills'],
+            summary: 'On-chain event history (audit trail) of a will',
+            security: sessionSecurity,
+            parameters: [willIdParameter('id')],
+            responses: responses({
+                200: jsonResponse('Events, oldest first', success(arrayOf(ref('Event')), { count: { type: 'integer' } }))
+            }, 400, 401, 403)
+        }
+    },
+    '/will/{id}/payouts': {
+        get: {
+            tags: ['wills', 'beneficiaries'],
+            summary: 'What each beneficiary received when the will was executed',
+            security: sessionSecurity,
+            parameters: [willIdParameter('id')],
+            responses: responses({ 200: jsonResponse('Payouts', success(ref('WillPayouts'))) }, 400, 401, 403, 404)
+        }
+    },
+    '/will/{id}/export': {
+        get: {
+            tags: ['wills'],
+            summary: 'Download everything indexed about a will (attachment)',
+            security: sessionSecurity,
+            parameters: [
+                willIdParameter('id'),
+                parameter('format', 'query', { enum: ['json', 'csv'] }, 'File format (default json)')
+            ],
+            responses: responses({
+                200: {
+                    description: 'The export; CSV holds one titled table per section, timestamps as ISO dates',
+                    content: {
+                        'application/json': { schema: ref('WillExport') },
+                        'text/csv': { schema: { type: 'string' } }
+                    }
+                }
+            }, 400, 401, 403, 404)
+        }
+    },
+    '/payouts/{beneficiary}': {
+        get: {
+            tags: ['beneficiaries'],
+            summary: 'Everything an address inherited from executed wills',
+            security: sessionSecurity,
+            parameters: [addressParameter('beneficiary', 'Beneficiary address')],
+            responses: responses({
+                200: jsonResponse('Payouts', success(arrayOf(ref('Payout')), {
+                    count: { type: 'integer' },
+                    totalReceived: ref('Amount')
+                }))
+            }, 400, 401, 403)
+        }
+    },
+    '/beneficiaries/{beneficiary}': {
+        get: {
+            tags: ['beneficiaries'],
+            summary: 'Wills naming an address as beneficiary, with its share',
+            security: sessionSecurity,
+            parameters: [addressParameter('beneficiary', 'Beneficiary address'), ...willListParameters],
+            responses: responses({ 200: jsonResponse('One page of wills', willPage) }, 400, 401, 403)
+        }
+    },
+    '/vaults/{willId}': {
+        get: {
+            tags: ['vaults'],
+            summary: 'Locked and flexible balances of a will',
+            security: sessionSecurity,
+            parameters: [willIdParameter('willId')],
+            responses: responses({
+                200: jsonResponse('Balances', success(object({
+                    willId: ref('WillId'),
+                    vaults: {
+                        type: 'object',
+                        properties: { locked: ref('Amount'), flexible: ref('Amount') }
+                    },
+                    rawData: arrayOf(ref('VaultBalance'))
+                })))
+            }, 400, 401, 403)
+        }
+    },
+    '/vaults/{willId}/history': {
+        get: {
+            tags: ['vaults'],
+            summary: 'Deposits and withdrawals of a will\'s vaults',
+            security: sessionSecurity,
+            parameters: [
+                willIdParameter('willId'),
+                ...pageParameters(['blockNumber']),
+                parameter('vaultType', 'query', { enum: ['locked', 'flexible'] }, 'Only this vault'),
+                timeParameter('from', 'Only transactions at or after'),
+                timeParameter('to', 'Only transactions at or before')
+            ],
+            responses: responses({
+                200: jsonResponse('One page of transactions', success(object({
+                    willId: ref('WillId'),
+                    transactions: arrayOf(ref('VaultTransaction')),
+                    count: { type: 'integer' }
+                }), { nextCursor: nullable({ type: 'string' }) }))
+            }, 400, 401, 403)
+        }
+    },
+    '/documents/{willId}': {
+        get: {
+            tags: ['documents'],
+            summary: 'Documents of a will',
+            security: sessionSecurity,
+            parameters: [
+                willIdParameter('willId'),
+                ...pageParameters(['uploadedAt']),
+                parameter('documentType', 'query', { type: 'string' }, 'Only documents of this type')
+            ],
+            responses: responses({
+                200: jsonResponse('One page of documents', success(object({
+                    willId: ref('WillId'),
+                    documents: arrayOf(ref('Document')),
+                    count: { type: 'integer' }
+                }), { nextCursor: nullable({ type: 'string' }) }))
+            }, 400, 401, 403)
+        }
+    },
+    '/documents/{willId}/{ipfsHash}': {
+        get: {
+            tags: ['documents'],
+            summary: 'A document of a will',
+            security: sessionSecurity,
+            parameters: [
+                willIdParameter('willId'),
+                parameter('ipfsHash', 'path', { type: 'string' }, 'IPFS CID (Qm... or base32 b...)')
+            ],
+            responses: responses({ 200: jsonResponse('Document', success(ref('DocumentDetails'))) }, 400, 401, 403, 404)
+        }
+    },
+    '/stats': {
+        get: {
+            tags: ['stats'],
+            summary: 'Totals of the deployment',
+            responses: responses({ 200: jsonResponse('Statistics', success(ref('Stats'))) })
+        }
+    },
+    '/stats/history': {
+        get: {
+            tags: ['stats'],
+            summary: 'Daily activity and value locked of the deployment',
+            parameters: [
+                timeParameter('from', 'First day (default: `days` days before to)'),
+                timeParameter('to', 'Last day (default: latest indexed block)'),
+                parameter('days', 'query', { type: 'integer', minimum: 1, maximum: 366 }, 'Days covered when from is not given (default STATS_HISTORY_DEFAULT_DAYS)')
+            ],
+            responses: responses({
+                200: jsonResponse('One bucket per UTC day, oldest first', success(arrayOf(ref('StatsBucket')), {
+                    count: { type: 'integer' }
+                }))
+            }, 400)
+        }
+    },
+    '/graphql': {
+        post: {
+            tags: ['graphql'],
+            summary: 'GraphQL endpoint (wills with their beneficiaries, vaults, documents and events)',
+            description: 'Access is checked per field like the REST routes; refusals are errors with extensions.code',
+            security: sessionSecurity,
+            requestBody: {
+                required: true,
+                content: {
+                    'application/json': {
+                        schema: object({
+                            query: { type: 'string' },
+                            variables: { type: 'object' },
+                            operationName: { type: 'string' }
+                        }, ['query'])
+                    }
+                }
+            },
+            responses: responses({
+                200: { description: 'GraphQL result', content: GRAPHQL_RESULT }
+            })
+        },
+        get: {
+            tags: ['graphql'],
+            summary: 'GraphQL queries over GET',
+            security: sessionSecurity,
+            parameters: [parameter('query', 'query', { type: 'string' }, 'GraphQL query', true)],
+            responses: responses({
+                200: { description: 'GraphQL result', content: GRAPHQL_RESULT }
+            })
+        }
+    },
+    '/stream': {
+        get: {
+            tags: ['wills'],
+            summary: 'Server-Sent Events stream of will changes (event will-updated)',
+            security: sessionSecurity,
+            parameters: [
+                parameter('address', 'query', ref('Address'), 'Only changes involving this testator, guardian or beneficiary'),
+                parameter('access_token', 'query', { type: 'string' }, 'Session token, for EventSource clients that cannot set headers')
+            ],
+            responses: responses({
+                200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } }
+            }, 400, 401, 403)
+        }
+    },
+    '/subscriptions': {
+        get: {
+            tags: ['webhooks'],
+            summary: 'Webhook subscriptions created by the signed-in account (every one with the admin token)',
+            security: sessionSecurity,
+            responses: responses({
+                200: jsonResponse('Subscriptions', success(arrayOf(ref('Subscription')), { count: { type: 'integer' } }))
+            }, 401, 403)
+        },
+        post: {
+            tags: ['webhooks'],
+            summary: 'Register a webhook for deadline notifications',
+            description: 'The signed-in account becomes its owner and is the only one, besides the admin token, that can read or delete it',
+            security: sessionSecurity,
+            requestBody: {
+                required: true,
+                content: {
+                    'application/json': {
+                        schema: object({
+                            url: { type: 'string', description: 'http(s) URL notifications are posted to' },
+                            events: { ...arrayOf({ enum: WEBHOOK_EVENTS }), minItems: 1 },
+                            address: ref('Address'),
+                            daysBefore: { type: 'integer', minimum: 0 }
+                        }, ['url'])
+                    }
+                }
+            },
+            responses: responses({ 201: jsonResponse('Created', success(ref('NewSubscription'))) }, 400, 401, 403, 413)
+        }
+    },
+    '/subscriptions/{id}': {
+        get: {
+            tags: ['webhooks'],
+            summary: 'A webhook subscription with its delivery log',
+            security: sessionSecurity,
+            parameters: [parameter('id', 'path', { type: 'integer', minimum: 1 }, 'Subscription id')],
+            responses: responses({ 200: jsonResponse('Subscription', success(ref('SubscriptionDetails'))) }, 400, 401, 403, 404)
+        },
+        delete: {
+            tags: ['webhooks'],
+            summary: 'Remove a webhook subscription and its delivery log',
+            security: sessionSecurity,
+            parameters: [parameter('id', 'path', { type: 'integer', minimum: 1 }, 'Subscription id')],
+            responses: responses({
+                200: jsonResponse('Deleted', object({ success: { const: true }, message: { type: 'string' } }))
+            }, 400, 401, 403, 404)
+        }
+    }
+};
+
+const deploymentParameters = [
+    parameter('chainId', 'path', { type: 'integer' }, 'Chain id of a configured deployment'),
+    parameter('contract', 'path', ref('Address'), 'Contract address of a configured deployment')
+];
+
+// Prefixed copies of the deployment routes, which also 404 on an unknown deployment
+function prefixedPaths() {
+    return Object.fromEntries(Object.entries(deploymentPaths).map(([path, operations]) => [
+        DEPLOYMENT_PREFIX + path,
+        {
+            parameters: deploymentParameters,
+            ...Object.fromEntries(Object.entries(operations).map(([method, operation]) => [
+                method,
+                { ...operation, responses: { ...operation.responses, 404: { $ref: '#/components/responses/Error404' } } }
+            ]))
+        }
+    ]));
+}
+
+function errorResponses() {
+    return Object.fromEntries(Object.entries(ERROR_DESCRIPTIONS).map(([status, description]) => [
+        `Error${status}`,
+        jsonResponse(description, ref('Error'))
+    ]));
+}
+
+const document = {
+    openapi: '3.1.0',
+    info: {
+        title: 'Decentralized Will indexer API',
+        version,
+        description: 'Indexed state of DecentralizedWillManager deployments. Un-prefixed routes use the first ' +
+            `configured deployment; every deployment is also reachable under ${DEPLOYMENT_PREFIX}. ` +
+            'Errors have the shape { success: false, error, code }.'
+    },
+    tags: ['health', 'auth', 'wills', 'beneficiaries', 'vaults', 'documents', 'stats', 'graphql', 'webhooks', 'admin']
+        .map(name => ({ name })),
+    paths: {
+        ...globalPaths,
+        ...deploymentPaths,
+        ...prefixedPaths()
+    },
+    components: {
+        schemas,
+        responses: {
+            Live: jsonResponse('Alive', object({
+                success: { const: true },
+                message: { type: 'string' },
+                uptime: { type: 'integer', description: 'Seconds since the process started' },
+                timestamp: { type: 'string' }
+            })),
+            ...errorResponses()
+        },
+        securitySchemes: {
+            adminToken: { type: 'http', scheme: 'bearer', description: 'ADMIN_TOKEN' },
+            siweSession: { type: 'http', scheme: 'bearer', description: 'Session token from POST /auth/verify' }
+        }
+    }
+};
+
+// Swagger UI page; its assets are served from swagger-ui-dist under /docs
+const DOCS_HTML = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>${document.info.title}</title>
+    <link rel="stylesheet" href="/docs/swagger-ui.css">
+</head>
+<body>
+    <div id="swagger-ui"></div>
+    <script src="/docs/swagger-ui-bundle.js"></script>
+    <script>
+        window.ui = SwaggerUIBundle({ url: '/openapi.json', dom_id: '#swagger-ui' });
+    </script>
+</body>
+</html>
+`;
+
+// Response validation: the document is registered with Ajv as a whole, so its
+// #/components/... references resolve, and each response schema is compiled on first use
+const ajv = new Ajv2020({ strict: false, allErrors: true, validateFormats: false });
+ajv.addSchema(document, 'openapi.json');
+const validators = new Map();
+
+function escapePointer(segment) {
+    return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+// Express route paths (/will/:id) as OpenAPI paths (/will/{id})
+function toOpenApiPath(path) {
+    return path.replace(/:(\w+)/g, '{$1}');
+}
+
+function resolveResponse(response) {
+    return response && response.$ref
+        ? document.components.responses[response.$ref.split('/').pop()]
+        : response;
+}
+
+function getValidator(path, method, status) {
+    const key = `${method} ${path} ${status}`;
+    if (validators.has(key)) return validators.get(key);
+    
+    let validator = null;
+    const operation = document.paths[path] && document.paths[path][method];
+    if (operation) {
+        const response = operation.responses[status];
+        const content = resolveResponse(response);
+        if (content && content.content && content.content['application/json']) {
+            const pointer = response.$ref
+                ? `#/components/responses/${response.$ref.split('/').pop()}`
+                : `#/paths/${escapePointer(path)}/${method}/responses/${status}`;
+            validator = ajv.compile({ $ref: `openapi.json${pointer}/content/application~1json/schema` });
+        } else {
+            validator = () => false;
+            validator.errors = [{ instancePath: '', message: `status ${status} is not documented` }];
+        }
+    }
+    
+    validators.set(key, validator);
+    return validator;
+}
+
+// Error responses sent outside of any route (404 fallthrough, rate limit, body parser)
+const validateError = ajv.compile({ $ref: 'openapi.json#/components/schemas/Error' });
+
+function describeErrors(errors) {
+    return errors.map(error => `${error.instancePath || '/'} ${error.message}`);
+}
+
+// Checks a JSON response of an operation (`path` as written in the document, e.g. /will/{id});
+// returns a list of problems (empty if it conforms)
+function checkOperationResponse(path, method, status, body) {
+    if (!document.paths[path] || !document.paths[path][method]) {
+        return [`${method.toUpperCase()} ${path} is not documented`];
+    }
+    
+    const validator = getValidator(path, method, status);
+    return validator(body) ? [] : describeErrors(validator.errors);
+}
+
+// Checks a JSON body the API is about to send; returns a list of problems (empty if it conforms)
+function checkResponse(req, status, body) {
+    if (!req.route) {
+        return status >= 400 && !validateError(body) ? describeErrors(validateError.errors) : [];
+    }
+    
+    const paths = [].concat(req.route.path).map(toOpenApiPath);
+    const path = paths.find(candidate => document.paths[candidate]) || paths[0];
+    return checkOperationResponse(path, req.method.toLowerCase(), status, body);
+}
+    
+// The request URL with secrets (session tokens on /stream) masked, for the logs
+function redactUrl(url) {
+    const parsed = new URL(url, 'http://localhost');
+    SECRET_QUERY_PARAMETERS.forEach(name => {
+        if (parsed.searchParams.has(name)) parsed.searchParams.set(name, 'REDACTED');
+    });
+    return parsed.pathname + parsed.search;
+}
+
+// Express middleware logging a warning for every JSON response that does not match the document
+function validateResponses(req, res, next) {
+    if (!OPENAPI_VALIDATE_RESPONSES) return next();
+    
+    const json = res.json;
+    res.json = function (body) {
+        const problems = checkResponse(req, res.statusCode, JSON.parse(JSON.stringify(body)));
+        if (problems.length > 0) {
+            log.warn('Response does not match the OpenAPI document', {
+                method: req.method,
+                path: redactUrl(req.originalUrl),
+                status: res.statusCode,
+                problems
+            });
+        }
+        return json.call(this, body);
+    };
+    next();
+}
+
+// Routes registered on `app` (and its deployment router) that the document does not describe
+function findUndocumentedRoutes(app) {
+    const undocumented = [];
+    
+    const visit = (stack, deploymentRoute) => {
+        for (const layer of stack) {
+            if (layer.route) {
+                const methods = Object.keys(layer.route.methods).filter(method => method !== '_all');
+                const documented = [].concat(layer.route.path).every(path => {
+                    const operations = document.paths[toOpenApiPath(path)];
+                    const prefixed = deploymentRoute ? document.paths[DEPLOYMENT_PREFIX + toOpenApiPath(path)] : operations;
+                    return operations && prefixed && (layer.route.methods._all || methods.every(method => operations[method]));
+                });
+                if (!documented) undocumented.push(`${methods.join(',').toUpperCase() || 'ALL'} ${layer.route.path}`);
+            } else if (layer.handle && Array.isArray(layer.handle.stack)) {
+                visit(layer.handle.stack, true);
+            }
+        }
+    };
+    
+    visit(app.router.stack, false);
+    return [...new Set(undocumented)];
+}
+
+function getOpenApiDocument() {
+    return document;
+}
+
+module.exports = {
+    OPENAPI_VALIDATE_RESPONSES,
+    DOCS_HTML,
+    getOpenApiDocument,
+    checkOperationResponse,
+    checkResponse,
+    redactUrl,
+    validateResponses,
+    findUndocumentedRoutes
+};
@@ -0,0 +1,58 @@
+const { sendError } = require('./errors');
+
+// Per-IP token buckets: each client may burst up to RATE_LIMIT_CAPACITY requests, refilled
+// at RATE_LIMIT_REFILL_RATE tokens per second. A capacity of 0 disables rate limiting.
+const RATE_LIMIT_CAPACITY = Number(process.env.RATE_LIMIT_CAPACITY ?? 120);
+const RATE_LIMIT_REFILL_RATE = Number(process.env.RATE_LIMIT_REFILL_RATE || 20);
+// How often buckets that have refilled completely are forgotten (ms)
+const BUCKET_SWEEP_INTERVAL = 60000;
+
+const buckets = new Map();
+
+function refill(bucket, now) {
+    const elapsed = (now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(RATE_LIMIT_CAPACITY, bucket.tokens + elapsed * RATE_LIMIT_REFILL_RATE);
+    bucket.updatedAt = now;
+}
+
+// A full bucket is the same as no bucket, so idle clients do not use memory
+setInterval(() => {
+    const now = Date.now();
+    for (const [ip, bucket] of buckets) {
+        refill(bucket, now);
+        if (bucket.tokens >= RATE_LIMIT_CAPACITY) buckets.delete(ip);
+    }
+}, BUCKET_SWEEP_INTERVAL).unref();
+
+// Express middleware taking `cost` tokens from the caller's bucket. Mounted once for every
+// route with cost 1; expensive routes add their own with a higher cost.
+function rateLimit(cost = 1) {
+    return (req, res, next) => {
+        if (RATE_LIMIT_CAPACITY <= 0) return next();
+        
+        const now = Date.now();
+        let bucket = buckets.get(req.ip);
+        if (!bucket) {
+            bucket = { tokens: RATE_LIMIT_CAPACITY, updatedAt: now };
+            buckets.set(req.ip, bucket);
+        }
+        refill(bucket, now);
+        
+        // A route costing more than a full bucket would otherwise never be allowed
+        const price = Math.min(cost, RATE_LIMIT_CAPACITY);
+        if (bucket.tokens < price) {
+            const retryAfter = Math.ceil((price - bucket.tokens) / RATE_LIMIT_REFILL_RATE);
+            res.set('Retry-After', String(retryAfter));
+            return sendError(res, 429, 'RATE_LIMITED', `Too many requests, retry in ${retryAfter}s`, { retryAfter });
+        }
+        
+        bucket.tokens -= price;
+        res.set('RateLimit-Limit', String(RATE_LIMIT_CAPACITY));
+        res.set('RateLimit-Remaining', String(Math.floor(bucket.tokens)));
+        next();
+    };
+}
+
+module.exports = {
+    rateLimit
+};
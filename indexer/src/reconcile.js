@@ -0,0 +1,276 @@
+const { ethers } = require('ethers');
+const { getDeployments } = require('./config');
+const { CONTRACT_ABI, getProvider } = require('./indexer');
+const { logger } = require('./logger');
+const {
+    getWillsByDeployment,
+    getVaults,
+    getDocumentsByPosition,
+    getBeneficiariesByWillIds,
+    getLastIndexedBlock,
+    repairWill
+} = require('./db');
+
+// How often indexed state is compared with the contract (ms); 0 disables the schedule
+const RECONCILE_INTERVAL = Number(process.env.RECONCILE_INTERVAL || 3600000);
+// Whether startup and scheduled runs overwrite drifted projections with on-chain state
+const RECONCILE_REPAIR = process.env.RECONCILE_REPAIR === 'true';
+
+const log = logger.child({ module: 'reconcile' });
+
+let reconcileTimer = null;
+let currentRun = null;
+let lastReport = null;
+
+// Repairs overwrite projections without adding events, so replaying the event log brings the drift back
+const REPAIR_WARNING = 'Repairs rewrite the indexed projections only: the next rebuild or chain rollback replays the event log and undoes them';
+
+// Storage layout of DecentralizedWillManager, used to read beneficiaries (the public `wills`
+// getter skips arrays and there is no other getter): `wills` is the only state variable,
+// Will.beneficiaries is the struct's second slot, and a Beneficiary
+// { address wallet; uint256 share; bool isGuardian } takes three slots
+const WILLS_SLOT = 0n;
+const BENEFICIARIES_OFFSET = 1n;
+const BENEFICIARY_SLOTS = 3n;
+
+function documentKey(document) {
+    return `${document.ipfsHash}|${document.fileName}|${document.documentType}|${document.uploadedAt}`;
+}
+
+// Indexed state of a will, in the same shape as readOnChainState
+function readIndexedState(will) {
+    const vaults = Object.fromEntries(getVaults(will.willId).map(vault => [vault.vaultType, vault.balance]));
+    const beneficiaries = getBeneficiariesByWillIds([will.willId]).map(row => ({
+        beneficiary: row.beneficiary,
+        share: row.share,
+        isGuardian: Boolean(row.isGuardian)
+    }));
+    
+    return {
+        lockedVault: vaults.locked || '0',
+        flexibleVault: vaults.flexible || '0',
+        lastCheckIn: will.lastCheckIn,
+        checkInPeriod: will.checkInPeriod,
+        disputePeriod: will.disputePeriod,
+        executed: Boolean(will.executed),
+        guardian: will.guardian,
+        beneficiaries,
+        documents: getDocumentsByPosition(will.willId)
+    };
+}
+
+async function readBeneficiaries(provider, contractAddress, testator, blockTag) {
+    const willSlot = BigInt(ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['address', 'uint256'], [testator, WILLS_SLOT])));
+    const arraySlot = willSlot + BENEFICIARIES_OFFSET;
+    const length = BigInt(await provider.getStorage(contractAddress, arraySlot, blockTag));
+    const firstSlot = BigInt(ethers.keccak256(ethers.toBeHex(arraySlot, 32)));
+    
+    const beneficiaries = [];
+    for (let i = 0n; i < length; i++) {
+        const slot = firstSlot + i * BENEFICIARY_SLOTS;
+        const [wallet, share, isGuardian] = await Promise.all([0n, 1n, 2n].map(offset => provider.getStorage(contractAddress, slot + offset, blockTag)));
+        
+        beneficiaries.push({
+            beneficiary: ethers.dataSlice(wallet, 12).toLowerCase(),
+            share: Number(BigInt(share)),
+            isGuardian: BigInt(isGuardian) !== 0n
+        });
+    }
+    return beneficiaries;
+}
+
+async function readOnChainState(provider, contract, testator, blockTag) {
+    const will = await contract.wills(testator, { blockTag });
+    if (will.testator === ethers.ZeroAddress) {
+        return null;
+    }
+    
+    const documents = await contract.getDocuments(testator, { blockTag });
+    const beneficiaries = await readBeneficiaries(provider, await contract.getAddress(), testator, blockTag);
+    const guardian = beneficiaries.find(beneficiary => beneficiary.isGuardian);
+    
+    return {
+        lockedVault: will.lockedVault.toString(),
+        flexibleVault: will.flexibleVault.toString(),
+        lastCheckIn: Number(will.lastCheckIn),
+        checkInPeriod: Number(will.checkInPeriod),
+        disputePeriod: Number(will.disputePeriod),
+        executed: will.executed,
+        guardian: guardian ? guardian.beneficiary : null,
+        beneficiaries,
+        documents: documents.map(document => ({
+            ipfsHash: document.ipfsHash,
+            fileName: document.fileName,
+            documentType: document.documentType,
+            uploadedAt: Number(document.uploadedAt)
+        }))
+    };
+}
+
+function compareStates(indexed, onChain) {
+    const mismatches = [];
+    
+    for (const field of ['lockedVault', 'flexibleVault', 'lastCheckIn', 'checkInPeriod', 'disputePeriod', 'executed', 'guardian']) {
+        if (indexed[field] !== onChain[field]) {
+            mismatches.push({ field, indexed: indexed[field], onChain: onChain[field] });
+        }
+    }
+    
+    const indexedBeneficiaries = new Map(indexed.beneficiaries.map(beneficiary => [beneficiary.beneficiary, beneficiary]));
+    const onChainBeneficiaries = new Map(onChain.beneficiaries.map(beneficiary => [beneficiary.beneficiary, beneficiary]));
+    
+    for (const address of new Set([...indexedBeneficiaries.keys(), ...onChainBeneficiaries.keys()])) {
+        const indexedBeneficiary = indexedBeneficiaries.get(address) || null;
+        const onChainBeneficiary = onChainBeneficiaries.get(address) || null;
+        
+        if (!indexedBeneficiary || !onChainBeneficiary ||
+            indexedBeneficiary.share !== onChainBeneficiary.share ||
+            indexedBeneficiary.isGuardian !== onChainBeneficiary.isGuardian) {
+            mismatches.push({ field: `beneficiaries.${address}`, indexed: indexedBeneficiary, onChain: onChainBeneficiary });
+        }
+    }
+    
+    // Documents are compared slot by slot of the contract's array, which may hold a hash twice
+    for (let position = 0; position < Math.max(indexed.documents.length, onChain.documents.length); position++) {
+        const indexedDocument = indexed.documents[position] || null;
+        const onChainDocument = onChain.documents[position] || null;
+        
+        if (!indexedDocument || !onChainDocument || documentKey(indexedDocument) !== documentKey(onChainDocument)) {
+            mismatches.push({ field: `documents.${position}`, indexed: indexedDocument, onChain: onChainDocument });
+        }
+    }
+    
+    return mismatches;
+}
+
+async function reconcileDeployment(deployment, repair) {
+    const report = {
+        chainId: deployment.chainId,
+        contractAddress: deployment.contractAddress,
+        checked: 0,
+        repaired: 0,
+        mismatches: [],
+        errors: []
+    };
+    
+    const provider = getProvider(deployment.chainId);
+    if (!provider) {
+        report.errors.push({ error: `Chain ${deployment.chainId} is not connected` });
+        return report;
+    }
+    
+    const contract = new ethers.Contract(deployment.contractAddress, CONTRACT_ABI, provider);
+    
+    for (const will of getWillsByDeployment(deployment)) {
+        // Read the projection and the block it reflects together (no await in between), then
+        // query the contract at that block so events still being indexed are not drift
+        const blockNumber = getLastIndexedBlock(deployment.chainId, deployment.contractAddress);
+        const indexed = readIndexedState(will);
+        
+        try {
+            const onChain = await readOnChainState(provider, contract, will.testator, blockNumber);
+            report.checked++;
+            
+            if (!onChain) {
+                report.mismatches.push({ willId: will.willId, testator: will.testator, field: 'exists', indexed: true, onChain: false });
+                continue;
+            }
+            
+            const mismatches = compareStates(indexed, onChain);
+            if (mismatches.length === 0) continue;
+            
+            mismatches.forEach(mismatch => {
+                log.warn('Drift between indexed and on-chain state', {
+                    willId: will.willId,
+                    blockNumber,
+                    field: mismatch.field,
+                    indexed: mismatch.indexed,
+                    onChain: mismatch.onChain
+                });
+                report.mismatches.push({ willId: will.willId, testator: will.testator, blockNumber, ...mismatch });
+            });
+            
+            // Only repair if the indexer has not moved on while the contract was queried
+            if (repair && getLastIndexedBlock(deployment.chainId, deployment.contractAddress) === blockNumber) {
+                repairWill(will.willId, onChain);
+                report.repaired++;
+            }
+        } catch (error) {
+            report.errors.push({ willId: will.willId, error: error.message });
+        }
+    }
+    
+    return report;
+}
+
+async function reconcile(repair) {
+    const startedAt = Math.floor(Date.now() / 1000);
+    const deployments = [];
+    
+    for (const deployment of getDeployments()) {
+        deployments.push(await reconcileDeployment(deployment, repair));
+    }
+    
+    const mismatches = deployments.reduce((total, deployment) => total + deployment.mismatches.length, 0);
+    const repaired = deployments.reduce((total, deployment) => total + deployment.repaired, 0);
+    log.info('Reconciliation finished', {
+        mismatches,
+        repaired: repair ? repaired : undefined
+    });
+    if (repaired > 0) {
+        log.warn(REPAIR_WARNING, { repaired });
+    }
+    
+    lastReport = {
+        startedAt,
+        finishedAt: Math.floor(Date.now() / 1000),
+        repair,
+        warning: repair ? REPAIR_WARNING : null,
+        deployments
+    };
+    return lastReport;
+}
+
+// Compares every indexed will with the contract; concurrent calls share the run in progress
+function runReconciliation({ repair = RECONCILE_REPAIR } = {}) {
+    if (!currentRun) {
+        currentRun = reconcile(repair).finally(() => {
+            currentRun = null;
+        });
+    }
+    return currentRun;
+}
+
+function isReconciling() {
+    return currentRun !== null;
+}
+
+function getLastReconciliation() {
+    return lastReport;
+}
+
+function startReconciler() {
+    runReconciliation().catch(error => log.error('Reconciliation failed', { error }));
+    
+    if (RECONCILE_INTERVAL > 0 && !reconcileTimer) {
+        log.info('Reconciliation scheduled', { intervalMs: RECONCILE_INTERVAL });
+        reconcileTimer = setInterval(() => {
+            runReconciliation().catch(error => log.error('Reconciliation failed', { error }));
+        }, RECONCILE_INTERVAL);
+    }
+}
+
+// Stops scheduling runs; resolves once the run in progress (and its repairs) finished
+function stopReconciler() {
+    clearInterval(reconcileTimer);
+    reconcileTimer = null;
+    return currentRun ? currentRun.then(() => {}, () => {}) : Promise.resolve();
+}
+
+module.exports = {
+    runReconciliation,
+    isReconciling,
+    getLastReconciliation,
+    startReconciler,
+    stopReconciler
+};
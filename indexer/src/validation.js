@@ -0,0 +1,197 @@
+const { sendError } = require('./errors');
+
+// Declarative request validation. A schema lists the accepted fields of each request part
+// (params, query, body) with a rule per field, e.g.
+//   validate({ params: { id: address() }, query: { limit: integer({ min: 1, default: 50 }) } })
+// Invalid requests are rejected with a 400 listing every bad field; otherwise the parsed
+// values are merged into req.validated. Fields not in the schema are ignored.
+
+const LOCATIONS = ['params', 'query', 'body'];
+// 3000-01-01T00:00:00Z, the end of the accepted time() range
+const MAX_TIME_MS = Date.UTC(3000, 0, 1);
+
+// A rule's parse(value) returns { value } or { error }, an error phrased to follow the field
+// name ("must be true or false"). `message` replaces the whole error message, `default`
+// (or `optional`) allows the field to be left out.
+function rule(parse, { optional = false, message, default: defaultValue } = {}) {
+    return {
+        optional: optional || defaultValue !== undefined,
+        defaultValue,
+        message,
+        parse
+    };
+}
+
+function isValidAddress(value) {
+    return /^0x[a-fA-F0-9]{40}$/.test(value);
+}
+
+// CIDv0 (base58 "Qm...") or CIDv1 in base32 ("bafy...", "bafk...", ...)
+function isValidIpfsHash(value) {
+    return /^(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{50,})$/.test(value);
+}
+
+function address(options) {
+    return rule(value => isValidAddress(value)
+        ? { value }
+        : { error: 'must be a 0x-prefixed 20-byte hex address' }, options);
+}
+
+function ipfsHash(options) {
+    return rule(value => isValidIpfsHash(value)
+        ? { value }
+        : { error: 'must be an IPFS CID (Qm... or base32 b...)' }, options);
+}
+
+function string({ maxLength = 256, ...options } = {}) {
+    return rule(value => typeof value === 'string' && value.length <= maxLength
+        ? { value }
+        : { error: `must be a string of at most ${maxLength} characters` }, options);
+}
+
+// Query strings carry "true"/"false"; JSON bodies real booleans
+function boolean(options) {
+    return rule(value => {
+        if (value === true || value === 'true') return { value: true };
+        if (value === false || value === 'false') return { value: false };
+        return { error: 'must be true or false' };
+    }, options);
+}
+
+function integer({ min = -Infinity, max = Infinity, ...options } = {}) {
+    const range = max === Infinity
+        ? (min === 0 ? 'a non-negative integer' : `an integer of at least ${min}`)
+        : `an integer between ${min} and ${max}`;
+    
+    return rule(value => {
+        const number = typeof value === 'string' && /^-?\d+$/.test(value) ? Number(value) : value;
+        return Number.isSafeInteger(number) && number >= min && number <= max
+            ? { value: number }
+            : { error: `must be ${range}` };
+    }, options);
+}
+
+// Token amounts in wei, kept as decimal strings because they exceed Number precision
+function amount(options) {
+    return rule(value => typeof value === 'string' && /^\d+$/.test(value)
+        ? { value: BigInt(value).toString() }
+        : { error: 'must be a non-negative integer amount in wei' }, options);
+}
+
+function oneOf(values, options) {
+    return rule(value => values.includes(value)
+        ? { value }
+        : { error: `must be one of: ${values.join(', ')}` }, options);
+}
+
+// A comma-separated query value, each entry one of `values`
+function listOf(values, options) {
+    return rule(value => {
+        const entries = String(value).split(',').map(entry => entry.trim());
+        return entries.every(entry => values.includes(entry))
+            ? { value: entries }
+            : { error: `must be a comma-separated list of: ${values.join(', ')}` };
+    }, options);
+}
+
+// A non-empty JSON array, each entry one of `values`
+function arrayOf(values, options) {
+    return rule(value => Array.isArray(value) && value.length > 0 && value.every(entry => values.includes(entry))
+        ? { value }
+        : { error: `must be a non-empty list of: ${values.join(', ')}` }, options);
+}
+
+function url({ protocols = ['http:', 'https:'], ...options } = {}) {
+    return rule(value => {
+        try {
+            if (protocols.includes(new URL(value).protocol)) return { value };
+        } catch (error) {
+            // Not a URL at all
+        }
+        return { error: `must be a URL (${protocols.map(protocol => protocol.slice(0, -1)).join(' or ')})` };
+    }, options);
+}
+
+// Unix seconds or an ISO 8601 date between 1970 and the year 3000; parsed to unix seconds.
+// The bound keeps every accepted value convertible back to a Date.
+function time(options) {
+    return rule(value => {
+        const ms = typeof value !== 'string' ? NaN
+            : /^\d+$/.test(value) ? Number(value) * 1000
+                : Date.parse(value);
+        
+        return ms >= 0 && ms < MAX_TIME_MS
+            ? { value: Math.floor(ms / 1000) }
+            : { error: 'must be a unix timestamp (seconds) or ISO 8601 date before the year 3000' };
+    }, options);
+}
+
+function validateField(location, field, fieldRule, source, validated, details) {
+    const raw = source[field];
+    const fail = error => details.push({ location, field, message: fieldRule.message || `${field} ${error}` });
+    
+    if (raw === undefined || raw === null) {
+        if (fieldRule.defaultValue !== undefined) {
+            validated[field] = fieldRule.defaultValue;
+        } else if (!fieldRule.optional) {
+            fail('is required');
+        }
+        return;
+    }
+    
+    // ?a=1&a=2 arrives as an array
+    if (location !== 'body' && Array.isArray(raw)) {
+        return fail('must be given once');
+    }
+    
+    const result = fieldRule.parse(raw);
+    if (result.error) {
+        return fail(result.error);
+    }
+    validated[field] = result.value;
+}
+
+// Express middleware enforcing `schema`. `schema.check(validated)` may add a cross-field
+// check once every field is valid, returning an error message or null.
+function validate(schema) {
+    return (req, res, next) => {
+        const validated = {};
+        const details = [];
+        
+        for (const location of LOCATIONS) {
+            if (!schema[location]) continue;
+            
+            const source = req[location] && typeof req[location] === 'object' ? req[location] : {};
+            for (const [field, fieldRule] of Object.entries(schema[location])) {
+                validateField(location, field, fieldRule, source, validated, details);
+            }
+        }
+        
+        if (details.length === 0 && schema.check) {
+            const message = schema.check(validated, req);
+            if (message) details.push({ location: null, field: null, message });
+        }
+        
+        if (details.length > 0) {
+            return sendError(res, 400, 'VALIDATION_FAILED', details.map(detail => detail.message).join('; '), { details });
+        }
+        
+        req.validated = { ...req.validated, ...validated };
+        next();
+    };
+}
+
+module.exports = {
+    validate,
+    address,
+    ipfsHash,
+    string,
+    boolean,
+    integer,
+    amount,
+    oneOf,
+    listOf,
+    arrayOf,
+    url,
+    time
+};
@@ -0,0 +1,141 @@
+const { getDeployments } = require('./config');
+const { getChainTime, getWillLifecycle } = require('./lifecycle');
+const { processDueDeliveries } = require('./webhooks');
+const { logger } = require('./logger');
+const {
+    getSubscriptions,
+    getWillsByDeployment,
+    getWillsByTestator,
+    getWillsByBeneficiary,
+    getWillExecutedAt,
+    queueWebhookDelivery
+} = require('./db');
+
+// How often every will is evaluated against its deadlines (ms)
+const WATCHER_INTERVAL = Number(process.env.WATCHER_INTERVAL || 60000);
+// Default lead time for check-in reminders
+const WEBHOOK_DAYS_BEFORE = Number(process.env.WEBHOOK_DAYS_BEFORE || 3);
+
+const WEBHOOK_EVENTS = ['deadline.approaching', 'deadline.passed', 'dispute.closed', 'will.executed'];
+
+const log = logger.child({ module: 'watcher' });
+
+let watcherTimer = null;
+// The pass in progress, so shutdown can wait for it
+let currentRun = null;
+
+// Notifications that currently apply to a will, each with the (block) time it became due.
+// The due time doubles as the de-duplication key, so a check-in that moves the deadline
+// produces fresh notifications for the new deadline.
+function getDueNotifications(will, lifecycle, daysBefore) {
+    const { status, checkInDeadline, disputeEndTime, evaluatedAt } = lifecycle;
+    
+    if (status === 'executed') {
+        return [{ eventType: 'will.executed', dueAt: getWillExecutedAt(will.willId) || evaluatedAt }];
+    }
+    
+    const notifications = [];
+    const reminderAt = checkInDeadline - daysBefore * 86400;
+    
+    if (status === 'active' && evaluatedAt >= reminderAt) {
+        notifications.push({ eventType: 'deadline.approaching', dueAt: reminderAt });
+    }
+    if (status === 'overdue-guardian-only' || status === 'open-to-beneficiaries') {
+        notifications.push({ eventType: 'deadline.passed', dueAt: checkInDeadline });
+    }
+    if (status === 'open-to-beneficiaries') {
+        notifications.push({ eventType: 'dispute.closed', dueAt: disputeEndTime });
+    }
+    
+    return notifications;
+}
+
+function getSubscribedWills(deployment, subscription) {
+    if (!subscription.address) {
+        return getWillsByDeployment(deployment);
+    }
+    
+    // A subscription for an address follows the wills it writes and the wills it inherits from
+    const wills = new Map();
+    getWillsByTestator(deployment, subscription.address).forEach(will => wills.set(will.willId, will));
+    getWillsByBeneficiary(deployment, subscription.address).forEach(will => wills.set(will.willId, will));
+    return [...wills.values()];
+}
+
+function evaluateDeployment(deployment) {
+    const now = getChainTime(deployment.chainId);
+    let queued = 0;
+    
+    for (const subscription of getSubscriptions(deployment)) {
+        for (const will of getSubscribedWills(deployment, subscription)) {
+            const lifecycle = getWillLifecycle(will, now);
+            
+            for (const { eventType, dueAt } of getDueNotifications(will, lifecycle, subscription.daysBefore)) {
+                // Only notify about the events a subscription asked for, and only about
+                // deadlines reached after it was created (no backlog of historic notifications)
+                if (!subscription.events.includes(eventType) || dueAt < subscription.since) continue;
+                
+                const payload = {
+                    event: eventType,
+                    chainId: deployment.chainId,
+                    contractAddress: deployment.contractAddress,
+                    willId: will.willId,
+                    testator: will.testator,
+                    ...lifecycle
+                };
+                
+                if (queueWebhookDelivery(subscription.id, will.willId, eventType, dueAt, payload)) {
+                    queued++;
+                }
+            }
+        }
+    }
+    
+    return queued;
+}
+
+async function watch() {
+    try {
+        const queued = getDeployments().reduce((total, deployment) => total + evaluateDeployment(deployment), 0);
+        if (queued > 0) {
+            log.info('Queued webhook notifications', { count: queued });
+        }
+        
+        await processDueDeliveries();
+    } catch (error) {
+        log.error('Deadline watcher failed', { error });
+    }
+}
+
+// Runs one pass; a call while a pass is in progress returns that pass
+function runWatcher() {
+    if (!currentRun) {
+        currentRun = watch().finally(() => {
+            currentRun = null;
+        });
+    }
+    return currentRun;
+}
+
+function startWatcher() {
+    if (watcherTimer) return;
+    
+    log.info('Deadline watcher scheduled', { intervalMs: WATCHER_INTERVAL });
+    watcherTimer = setInterval(runWatcher, WATCHER_INTERVAL);
+    runWatcher();
+}
+
+// Stops scheduling passes; resolves once the pass in progress (and its deliveries) finished
+function stopWatcher() {
+    clearInterval(watcherTimer);
+    watcherTimer = null;
+    return currentRun || Promise.resolve();
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    WEBHOOK_DAYS_BEFORE,
+    startWatcher,
+    stopWatcher,
+    runWatcher
+};
@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const {
+    getDueWebhookDeliveries,
+    recordWebhookAttempt
+} = require('./db');
+const { logger } = require('./logger');
+
+// Delivery attempts before a webhook is marked as failed
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8);
+// Retry backoff bounds (ms)
+const WEBHOOK_RETRY_BASE_DELAY = Number(process.env.WEBHOOK_RETRY_BASE_DELAY || 30000);
+const WEBHOOK_RETRY_MAX_DELAY = Number(process.env.WEBHOOK_RETRY_MAX_DELAY || 3600000);
+// How long a receiver may take to answer (ms)
+const WEBHOOK_TIMEOUT = Number(process.env.WEBHOOK_TIMEOUT || 10000);
+// Allows receivers on loopback and private networks (local development only)
+const WEBHOOK_ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+
+// Addresses a webhook must never reach: this host, the local network and cloud metadata services
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+const log = logger.child({ module: 'webhooks' });
+
+function generateSecret() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+// Receivers verify a delivery by recomputing HMAC-SHA256(secret, `${timestamp}.${body}`)
+// and comparing it with the X-Webhook-Signature header; the timestamp guards against replays
+function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Resolves the host of a webhook URL: { addresses } when every address it resolves to is
+// public, else { error } with the reason it is refused
+async function resolveWebhookTarget(url) {
+    const hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+    let addresses;
+    try {
+        addresses = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+    } catch (error) {
+        return { error: `Cannot resolve webhook host ${hostname}` };
+    }
+    
+    // IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are matched against the IPv4 subnets
+    const blocked = !WEBHOOK_ALLOW_PRIVATE
+        && addresses.find(({ address, family }) => BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+    return blocked
+        ? { error: `Webhook host ${hostname} resolves to a loopback, link-local or private address` }
+        : { addresses };
+}
+
+// null when a webhook URL may be used, else the reason it is refused
+async function checkWebhookTarget(url) {
+    if (WEBHOOK_ALLOW_PRIVATE) return null;
+    
+    const { error } = await resolveWebhookTarget(url);
+    return error || null;
+}
+
+// POSTs to `url` over a connection to one of `addresses`, which were checked by
+// resolveWebhookTarget; the host is not looked up again, so a DNS answer that changes in
+// between (DNS rebinding) cannot point the request somewhere else. Resolves with the status.
+// Redirects are not followed: they could lead anywhere, including the refused addresses.
+function postWebhook(url, addresses, headers, body) {
+    const lookup = (hostname, options, callback) => {
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    };
+    const client = new URL(url).protocol === 'https:' ? https : http;
+    
+    return new Promise((resolve, reject) => {
+        const request = client.request(url, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            lookup,
+            signal: AbortSignal.timeout(WEBHOOK_TIMEOUT)
+        }, response => {
+            response.resume();
+            resolve(response.statusCode);
+        });
+        
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+async function sendDelivery(delivery) {
+    // Checked again on every attempt: the host may have been re-pointed since the subscription was made
+    const { addresses, error } = await resolveWebhookTarget(delivery.url);
+    if (error) throw new Error(error);
+    
+    const body = delivery.payload;
+    const timestamp = Math.floor(Date.now() / 1000);
+    
+    return postWebhook(delivery.url, addresses, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'dwill-indexer-webhooks',
+        'X-Webhook-Id': String(delivery.id),
+        'X-Webhook-Event': delivery.eventType,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signPayload(delivery.secret, timestamp, body)}`
+    }, body);
+}
+
+// Attempts every pending delivery whose retry time has come; failures are rescheduled
+// with exponential backoff until WEBHOOK_MAX_ATTEMPTS is reached
+async function processDueDeliveries() {
+    const now = Math.floor(Date.now() / 1000);
+    const deliveries = getDueWebhookDeliveries(now);
+    
+    for (const delivery of deliveries) {
+        let responseStatus = null;
+        let lastError = null;
+        
+        try {
+            responseStatus = await sendDelivery(delivery);
+            if (responseStatus < 200 || responseStatus >= 300) {
+                lastError = `Receiver responded with HTTP ${responseStatus}`;
+            }
+        } catch (error) {
+            lastError = error.message;
+        }
+        
+        if (!lastError) {
+            recordWebhookAttempt(delivery.id, { status: 'delivered', responseStatus });
+            log.info('Delivered webhook', { deliveryId: delivery.id, eventType: delivery.eventType, willId: delivery.willId });
+            continue;
+        }
+        
+        const attempts = delivery.attempts + 1;
+        
+        if (attempts >= WEBHOOK_MAX_ATTEMPTS) {
+            recordWebhookAttempt(delivery.id, { status: 'failed', responseStatus, lastError });
+            log.error('Giving up on webhook', { deliveryId: delivery.id, attempts, error: lastError });
+            continue;
+        }
+        
+        const delay = Math.min(WEBHOOK_RETRY_BASE_DELAY * 2 ** (attempts - 1), WEBHOOK_RETRY_MAX_DELAY);
+        const nextAttemptAt = Math.floor((Date.now() + delay) / 1000);
+        recordWebhookAttempt(delivery.id, { status: 'pending', responseStatus, lastError, nextAttemptAt });
+        log.warn('Webhook delivery failed, retrying', { deliveryId: delivery.id, attempts, error: lastError, delayMs: delay });
+    }
+}
+
+module.exports = {
+    generateSecret,
+    signPayload,
+    checkWebhookTarget,
+    postWebhook,
+    processDueDeliveries
+};
@@ -0,0 +1,231 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+
+process.env.LOG_LEVEL = 'silent';
+process.env.DATABASE_PATH = ':memory:';
+process.env.POLLING_INTERVAL = '50';
+process.env.RATE_LIMIT_CAPACITY = '0';
+process.env.SIWE_DOMAINS = 'localhost:3000';
+process.env.ADMIN_TOKEN = 'auth-test-admin-token';
+delete process.env.AUTH_REQUIRED;
+
+const { createFakeChain, CHAIN_ID, CONTRACT_ADDRESS } = require('./helpers/fakeChain');
+
+// A second indexed chain, with a deployment at the same address
+const OTHER_CHAIN_ID = 11155111;
+const configPath = path.join(os.tmpdir(), `dwill-auth-${process.pid}.json`);
+
+const testator = ethers.Wallet.createRandom();
+const beneficiary = ethers.Wallet.createRandom();
+const stranger = ethers.Wallet.createRandom();
+
+let chain;
+let indexer;
+let server;
+let baseUrl;
+
+async function request(method, path, { token, body } = {}) {
+    const headers = {};
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (body) headers['Content-Type'] = 'application/json';
+    
+    const response = await fetch(`${baseUrl}${path}`, { method, headers, body: body && JSON.stringify(body) });
+    const contentType = response.headers.get('Content-Type') || '';
+    
+    if (contentType.startsWith('text/event-stream')) {
+        await response.body.cancel();
+        return { status: response.status };
+    }
+    return { status: response.status, body: await response.json() };
+}
+
+async function nonce() {
+    return (await request('GET', '/auth/nonce')).body.data.nonce;
+}
+
+function siweMessage(address, fields) {
+    const { domain = 'localhost:3000', chainId = CHAIN_ID, nonce: messageNonce, expirationTime } = fields;
+    return [
+        `${domain} wants you to sign in with your Ethereum account:`,
+        address,
+        '',
+        'Sign in to read your wills',
+        '',
+        `URI: http://${domain}`,
+        'Version: 1',
+        `Chain ID: ${chainId}`,
+        `Nonce: ${messageNonce}`,
+        `Issued At: ${new Date().toISOString()}`,
+        ...(expirationTime ? [`Expiration Time: ${expirationTime}`] : [])
+    ].join('\n');
+}
+
+// Signs a message for `wallet` (as `signer`, when given) and posts it to /auth/verify
+async function verify(wallet, fields = {}, signer = wallet) {
+    const message = siweMessage(wallet.address, { nonce: await nonce(), ...fields });
+    return request('POST', '/auth/verify', { body: { message, signature: await signer.signMessage(message) } });
+}
+
+async function signIn(wallet) {
+    const { status, body } = await verify(wallet);
+    assert.equal(status, 200, JSON.stringify(body));
+    return body.data.token;
+}
+
+before(async () => {
+    chain = createFakeChain();
+    const rpcUrl = await chain.listen();
+    fs.writeFileSync(configPath, JSON.stringify({
+        chains: [
+            { chainId: CHAIN_ID, rpcUrl, deployments: [{ address: CONTRACT_ADDRESS }] },
+            { chainId: OTHER_CHAIN_ID, rpcUrl: 'http://127.0.0.1:1', deployments: [{ address: CONTRACT_ADDRESS }] }
+        ]
+    }));
+    process.env.INDEXER_CONFIG = configPath;
+    
+    chain.mine([
+        ['WillCreated', [testator.address, 100, 50]],
+        ['BeneficiaryAdded', [testator.address, beneficiary.address, 100, false]]
+    ]);
+    
+    const db = require('../src/db');
+    indexer = require('../src/indexer');
+    const { app } = require('../src/api');
+    db.initializeDatabase();
+    await indexer.startIndexer();
+    
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    indexer.stopIndexer();
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await chain.close();
+    fs.rmSync(configPath, { force: true });
+});
+
+test('a signed sign-in message opens a session for its address', async () => {
+    const { status, body } = await verify(testator);
+    
+    assert.equal(status, 200);
+    assert.equal(body.data.address, testator.address.toLowerCase());
+    assert.equal(body.data.chainId, CHAIN_ID);
+    
+    const session = await request('GET', '/auth/session', { token: body.data.token });
+    assert.equal(session.status, 200);
+    assert.equal(session.body.data.address, testator.address.toLowerCase());
+});
+
+test('sign-in messages that do not check out are refused', async () => {
+    const expired = new Date(Date.now() - 1000).toISOString();
+    const cases = [
+        [{ domain: 'evil.example' }, undefined, 401, /not accepted for domain/],
+        [{ chainId: 1 }, undefined, 401, /Chain 1 is not indexed/],
+        [{ expirationTime: expired }, undefined, 401, /expired/],
+        [{ nonce: 'unknownnonce1234' }, undefined, 401, /Unknown or expired nonce/],
+        [{}, stranger, 401, /does not match the message address/]
+    ];
+    
+    for (const [fields, signer, status, error] of cases) {
+        const response = await verify(testator, fields, signer);
+        assert.equal(response.status, status, JSON.stringify(fields));
+        assert.match(response.body.error, error);
+    }
+    
+    const malformed = await request('POST', '/auth/verify', { body: { message: 'hello', signature: '0x00' } });
+    assert.equal(malformed.status, 400);
+    assert.match(malformed.body.error, /Not a Sign-In With Ethereum message/);
+});
+
+test('a nonce can only be used once', async () => {
+    const message = siweMessage(testator.address, { nonce: await nonce() });
+    const body = { message, signature: await testator.signMessage(message) };
+    
+    assert.equal((await request('POST', '/auth/verify', { body })).status, 200);
+    
+    const replay = await request('POST', '/auth/verify', { body });
+    assert.equal(replay.status, 401);
+    assert.match(replay.body.error, /Unknown or expired nonce/);
+});
+
+test('will data is only served to the testator and beneficiaries by default', async () => {
+    const testatorToken = await signIn(testator);
+    const beneficiaryToken = await signIn(beneficiary);
+    const strangerToken = await signIn(stranger);
+    const willPath = `/will/${testator.address}`;
+    
+    assert.equal((await request('GET', willPath)).status, 401);
+    assert.equal((await request('GET', willPath, { token: testatorToken })).status, 200);
+    assert.equal((await request('GET', willPath, { token: beneficiaryToken })).status, 200);
+    assert.equal((await request('GET', willPath, { token: strangerToken })).status, 403);
+    
+    assert.equal((await request('GET', `/wills/${testator.address}`, { token: testatorToken })).status, 200);
+    assert.equal((await request('GET', `/wills/${testator.address}`, { token: beneficiaryToken })).status, 403);
+    assert.equal((await request('GET', '/wills', { token: testatorToken })).status, 403);
+});
+
+test('the session token is only taken from the query string on /stream', async () => {
+    const token = encodeURIComponent(await signIn(testator));
+    
+    assert.equal((await request('GET', `/stream?address=${testator.address}&access_token=${token}`)).status, 200);
+    assert.equal((await request('GET', `/stream?address=${testator.address}`)).status, 401);
+    assert.equal((await request('GET', `/will/${testator.address}?access_token=${token}`)).status, 401);
+    assert.equal((await request('GET', `/auth/session?access_token=${token}`)).status, 401);
+});
+
+test('a session only opens the deployments of the chain it was signed for', async () => {
+    const { body } = await verify(testator, { chainId: OTHER_CHAIN_ID });
+    const otherChainToken = body.data.token;
+    const testatorToken = await signIn(testator);
+    const onChain = chainId => `/chains/${chainId}/contracts/${CONTRACT_ADDRESS}/will/${testator.address}`;
+    
+    assert.equal(body.data.chainId, OTHER_CHAIN_ID);
+    assert.equal((await request('GET', onChain(CHAIN_ID), { token: testatorToken })).status, 200);
+    
+    const denied = await request('GET', onChain(CHAIN_ID), { token: otherChainToken });
+    assert.equal(denied.status, 403);
+    assert.match(denied.body.error, /Signed in on chain 11155111/);
+    assert.equal((await request('GET', `/wills/${testator.address}`, { token: otherChainToken })).status, 403);
+    assert.equal((await request('GET', '/subscriptions', { token: otherChainToken })).status, 403);
+    
+    assert.equal((await request('GET', onChain(OTHER_CHAIN_ID), { token: testatorToken })).status, 403);
+});
+
+test('webhook subscriptions are only listed, read and deleted by the account that created them', async () => {
+    const testatorToken = await signIn(testator);
+    const strangerToken = await signIn(stranger);
+    const admin = process.env.ADMIN_TOKEN;
+    
+    assert.equal((await request('POST', '/subscriptions', { body: { url: 'https://1.1.1.1/hook', address: testator.address } })).status, 401);
+    assert.equal((await request('POST', '/subscriptions', { token: strangerToken, body: { url: 'https://1.1.1.1/hook', address: testator.address } })).status, 403);
+    
+    const created = await request('POST', '/subscriptions', { token: testatorToken, body: { url: 'https://1.1.1.1/hook', address: testator.address } });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.data.owner, testator.address.toLowerCase());
+    const path = `/subscriptions/${created.body.data.id}`;
+    
+    assert.equal((await request('GET', '/subscriptions')).status, 401);
+    assert.deepEqual((await request('GET', '/subscriptions', { token: testatorToken })).body.data.map(row => row.id), [created.body.data.id]);
+    assert.deepEqual((await request('GET', '/subscriptions', { token: strangerToken })).body.data, []);
+    assert.equal((await request('GET', '/subscriptions', { token: admin })).body.count, 1);
+    
+    assert.equal((await request('GET', path, { token: testatorToken })).status, 200);
+    assert.equal((await request('GET', path, { token: strangerToken })).status, 403);
+    assert.equal((await request('DELETE', path, { token: strangerToken })).status, 403);
+    assert.equal((await request('DELETE', path, { token: testatorToken })).status, 200);
+    assert.equal((await request('GET', path, { token: admin })).status, 404);
+});
+
+test('signing out ends the session', async () => {
+    const token = await signIn(testator);
+    
+    assert.equal((await request('POST', '/auth/logout', { token })).body.message, 'Signed out');
+    assert.equal((await request('GET', '/auth/session', { token })).status, 401);
+});
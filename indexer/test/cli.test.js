@@ -0,0 +1,59 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const { createFakeChain } = require('./helpers/fakeChain');
+
+const CLI = path.join(__dirname, '..', 'src', 'cli.js');
+const TESTATOR = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const BENEFICIARY = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const UNKNOWN_TESTATOR = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+
+let healthyChain;
+let brokenChain;
+
+// Runs the CLI against `rpcUrl` with a throwaway database; resolves with its exit code and output
+function runCli(rpcUrl, args) {
+    const env = {
+        ...process.env,
+        RPC_URL: rpcUrl,
+        DATABASE_PATH: ':memory:',
+        LOG_LEVEL: 'silent',
+        POLLING_INTERVAL: '50'
+    };
+    
+    return new Promise(resolve => {
+        execFile(process.execPath, [CLI, ...args], { env, timeout: 30000 }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+}
+
+before(async () => {
+    healthyChain = createFakeChain();
+    healthyChain.mine([['WillCreated', [TESTATOR, 100, 50]]]);
+    
+    // The beneficiary of a will that was never created breaks a foreign key, so the block cannot be indexed
+    brokenChain = createFakeChain();
+    brokenChain.mine([['BeneficiaryAdded', [UNKNOWN_TESTATOR, BENEFICIARY, 100, false]]]);
+});
+
+after(async () => {
+    await healthyChain.close();
+    await brokenChain.close();
+});
+
+test('reindex exits with 0 once the chain is indexed', async () => {
+    const { code, stderr } = await runCli(await healthyChain.listen(), ['reindex', '--from', '0']);
+    
+    assert.equal(code, 0, stderr);
+});
+
+test('reindex exits with 1 and reports the error when the sync fails', async () => {
+    const { code, stderr } = await runCli(await brokenChain.listen(), ['reindex', '--from', '0']);
+    
+    assert.equal(code, 1);
+    assert.match(stderr, /Sync failed/);
+    assert.match(stderr, /FOREIGN KEY/i);
+});
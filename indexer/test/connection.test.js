@@ -0,0 +1,165 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const net = require('net');
+
+process.env.LOG_LEVEL = 'silent';
+process.env.RECONNECT_BASE_DELAY = '20';
+process.env.RECONNECT_MAX_DELAY = '80';
+process.env.HEARTBEAT_INTERVAL = '50';
+process.env.HEARTBEAT_TIMEOUT = '300';
+process.env.WS_FALLBACK_ATTEMPTS = '2';
+process.env.POLLING_INTERVAL = '50';
+
+const { createFakeChain, waitFor } = require('./helpers/fakeChain');
+const { createConnection } = require('../src/connection');
+
+let chain;
+let chainUrl;
+let relay;
+let relayUrl;
+let relayDown = false;
+
+// Records what the supervisor logs instead of printing it
+function captureLog() {
+    const entries = [];
+    const record = level => (message, fields = {}) => entries.push({ level, message, ...fields });
+    return { entries, info: record('info'), warn: record('warn'), error: record('error'), debug: record('debug') };
+}
+
+// A port nothing listens on, for a WebSocket endpoint that is down
+async function closedPort() {
+    const server = net.createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    await new Promise(resolve => server.close(resolve));
+    return port;
+}
+
+before(async () => {
+    chain = createFakeChain();
+    chainUrl = await chain.listen();
+    
+    // Forwards JSON-RPC to the fake chain, or drops every connection while the node is "down"
+    relay = http.createServer(async (req, res) => {
+        if (relayDown) {
+            req.socket.destroy();
+            return;
+        }
+        let body = '';
+        for await (const chunk of req) body += chunk;
+        const response = await fetch(chainUrl, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body });
+        res.setHeader('Content-Type', 'application/json');
+        res.end(await response.text());
+    });
+    await new Promise(resolve => relay.listen(0, '127.0.0.1', resolve));
+    relayUrl = `http://127.0.0.1:${relay.address().port}`;
+});
+
+after(async () => {
+    relay.closeAllConnections();
+    relay.close();
+    await chain.close();
+});
+
+test('falls back to HTTP polling when the WebSocket endpoint is unreachable, with growing backoff', async () => {
+    const log = captureLog();
+    const connected = [];
+    const connection = createConnection({
+        url: `ws://127.0.0.1:${await closedPort()}`,
+        httpUrl: chainUrl,
+        log,
+        onConnect: async (provider, network) => connected.push(Number(network.chainId)),
+        onBlock: () => {}
+    });
+    
+    try {
+        await connection.start();
+        await waitFor(() => connection.isConnected());
+        
+        assert.equal(connection.getMode(), 'polling');
+        assert.deepEqual(connected, [31337]);
+        
+        const retries = log.entries.filter(entry => entry.message === 'Connection lost, reconnecting');
+        assert.deepEqual(retries.map(entry => [entry.via, entry.delayMs]), [
+            ['WebSocket', 20],
+            ['HTTP polling', 40]
+        ]);
+    } finally {
+        connection.stop();
+    }
+});
+
+test('new blocks are delivered while polling', async () => {
+    const blocks = [];
+    const connection = createConnection({
+        url: chainUrl,
+        log: captureLog(),
+        onConnect: async () => {},
+        onBlock: number => blocks.push(number)
+    });
+    
+    try {
+        await connection.start();
+        // ethers reports only blocks mined after its first poll, and caches the block number for 250ms
+        await new Promise(resolve => setTimeout(resolve, 300));
+        const number = chain.mine();
+        
+        await waitFor(() => blocks.includes(number));
+        assert.equal(connection.getMode(), 'polling');
+    } finally {
+        connection.stop();
+    }
+});
+
+test('a node that stops answering is detected by the heartbeat and reconnected to once it is back', async () => {
+    const log = captureLog();
+    let connects = 0;
+    const connection = createConnection({
+        url: relayUrl,
+        log,
+        onConnect: async () => {
+            connects += 1;
+        },
+        onBlock: () => {}
+    });
+    
+    try {
+        await connection.start();
+        assert.equal(connects, 1);
+        
+        relayDown = true;
+        await waitFor(() => !connection.isConnected());
+        assert.ok(log.entries.some(entry => entry.message === 'Connection lost, reconnecting'));
+        
+        relayDown = false;
+        await waitFor(() => connects === 2);
+        assert.ok(connection.isConnected());
+    } finally {
+        relayDown = false;
+        connection.stop();
+    }
+});
+
+test('a stopped connection does not reconnect', async () => {
+    const log = captureLog();
+    let connects = 0;
+    const connection = createConnection({
+        url: relayUrl,
+        log,
+        onConnect: async () => {
+            connects += 1;
+        },
+        onBlock: () => {}
+    });
+    
+    await connection.start();
+    connection.stop();
+    relayDown = true;
+    await new Promise(resolve => setTimeout(resolve, 300));
+    relayDown = false;
+    
+    assert.equal(connects, 1);
+    assert.equal(connection.isConnected(), false);
+    assert.equal(connection.getProvider(), null);
+});
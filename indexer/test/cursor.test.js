@@ -0,0 +1,70 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'silent';
+process.env.DATABASE_PATH = ':memory:';
+process.env.POLLING_INTERVAL = '50';
+process.env.SYNC_CHUNK_SIZE = '2';
+
+const { createFakeChain, waitFor, CHAIN_ID, CONTRACT_ADDRESS } = require('./helpers/fakeChain');
+
+const INDEXED_TESTATOR = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const TESTATOR = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const deployment = { chainId: CHAIN_ID, contractAddress: CONTRACT_ADDRESS };
+
+let chain;
+let db;
+let indexer;
+
+// Block ranges of every eth_getLogs call, as [fromBlock, toBlock]
+function logRanges() {
+    return chain.requests
+        .filter(request => request.method === 'eth_getLogs')
+        .map(({ params: [filter] }) => [Number(filter.fromBlock), Number(filter.toBlock)]);
+}
+
+function balances(testator) {
+    const willId = db.makeWillId(deployment, testator);
+    return Object.fromEntries(db.getVaults(willId).map(vault => [vault.vaultType, vault.balance]));
+}
+
+before(async () => {
+    chain = createFakeChain();
+    process.env.RPC_URL = await chain.listen();
+    
+    // Blocks 1 and 2 were indexed by a previous run, which left the cursor at block 2
+    chain.mine([['WillCreated', [INDEXED_TESTATOR, 100, 50]]]);
+    chain.mine([['DepositLocked', [INDEXED_TESTATOR, 5n]]]);
+    chain.mine([['WillCreated', [TESTATOR, 100, 50]]]);
+    chain.mine();
+    chain.mine([['DepositLocked', [TESTATOR, 10n]]]);
+    chain.mine();
+    chain.mine([['DepositFlexible', [TESTATOR, 1n]]]);
+    
+    db = require('../src/db');
+    indexer = require('../src/indexer');
+    db.initializeDatabase();
+    db.setLastIndexedBlock(CHAIN_ID, CONTRACT_ADDRESS, 2);
+    await indexer.startIndexer();
+});
+
+after(async () => {
+    indexer.stopIndexer();
+    await chain.close();
+});
+
+test('a restart resumes after the persisted cursor and backfills in chunks', () => {
+    assert.deepEqual(logRanges(), [[3, 4], [5, 6], [7, 7]]);
+    assert.equal(db.getLastIndexedBlock(CHAIN_ID, CONTRACT_ADDRESS), 7);
+    
+    assert.equal(db.getWillDetails(db.makeWillId(deployment, INDEXED_TESTATOR)), null);
+    assert.deepEqual(balances(TESTATOR), { locked: '10', flexible: '1' });
+});
+
+test('new blocks are fetched from the cursor onwards only', async () => {
+    const number = chain.mine([['DepositFlexible', [TESTATOR, 2n]]]);
+    await waitFor(() => db.getLastIndexedBlock(CHAIN_ID, CONTRACT_ADDRESS) === number);
+    
+    assert.deepEqual(logRanges().slice(3), [[8, 8]]);
+    assert.deepEqual(balances(TESTATOR), { locked: '10', flexible: '3' });
+});
@@ -0,0 +1,74 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'silent';
+process.env.DATABASE_PATH = ':memory:';
+process.env.POLLING_INTERVAL = '50';
+
+const { createFakeChain, waitFor, CHAIN_ID, CONTRACT_ADDRESS } = require('./helpers/fakeChain');
+
+const TESTATOR = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const DEED = 'QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG';
+const POLICY = 'QmT5NvUtoM5nWFfrQdVrFtvGfKFmG7AHE8P34isapyhCxX';
+const deployment = { chainId: CHAIN_ID, contractAddress: CONTRACT_ADDRESS };
+
+let chain;
+let db;
+let indexer;
+let willId;
+
+function documents() {
+    return db.getDocumentsByPosition(willId).map(document => [document.ipfsHash, document.fileName]);
+}
+
+// Mines a block and resolves once the indexer has committed it
+async function mineIndexed(events) {
+    const number = chain.mine(events);
+    await waitFor(() => db.getLastIndexedBlock(CHAIN_ID, CONTRACT_ADDRESS) === number);
+}
+
+before(async () => {
+    chain = createFakeChain();
+    process.env.RPC_URL = await chain.listen();
+    
+    chain.mine([
+        ['WillCreated', [TESTATOR, 100, 50]],
+        ['DocumentAdded', [TESTATOR, DEED, 'deed.pdf', 'property']],
+        ['DocumentAdded', [TESTATOR, POLICY, 'policy.pdf', 'insurance']],
+        ['DocumentAdded', [TESTATOR, DEED, 'deed-copy.pdf', 'property']]
+    ]);
+    
+    db = require('../src/db');
+    indexer = require('../src/indexer');
+    db.initializeDatabase();
+    willId = db.makeWillId(deployment, TESTATOR);
+    await indexer.startIndexer();
+});
+
+after(async () => {
+    indexer.stopIndexer();
+    await chain.close();
+});
+
+test('a hash added twice is kept twice, in the order of the contract array', () => {
+    assert.deepEqual(documents(), [
+        [DEED, 'deed.pdf'],
+        [POLICY, 'policy.pdf'],
+        [DEED, 'deed-copy.pdf']
+    ]);
+    assert.equal(db.getDocumentByHash(willId, DEED).fileName, 'deed.pdf');
+});
+
+test('a removal takes out one copy and moves the last document into its slot, like the contract', async () => {
+    await mineIndexed([['DocumentRemoved', [TESTATOR, DEED]]]);
+    
+    assert.deepEqual(documents(), [
+        [DEED, 'deed-copy.pdf'],
+        [POLICY, 'policy.pdf']
+    ]);
+    
+    await mineIndexed([['DocumentRemoved', [TESTATOR, DEED]]]);
+    
+    assert.deepEqual(documents(), [[POLICY, 'policy.pdf']]);
+    assert.equal(db.getDocumentByHash(willId, DEED), undefined);
+});
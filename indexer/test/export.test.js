@@ -0,0 +1,126 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'silent';
+process.env.DATABASE_PATH = ':memory:';
+process.env.POLLING_INTERVAL = '50';
+process.env.AUTH_REQUIRED = 'false';
+
+const { createFakeChain, CHAIN_ID } = require('./helpers/fakeChain');
+
+const TESTATOR = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const PENDING_TESTATOR = '0x15d34AAf54267DB7D7c367839AAf71A00a2C6A65';
+const GUARDIAN = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const BENEFICIARY = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+const DEED = 'QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG';
+const CREATED_AT = 1800000000;
+
+let chain;
+let indexer;
+let server;
+let baseUrl;
+
+function exportOf(testator, format) {
+    return fetch(`${baseUrl}/will/${testator}/export${format ? `?format=${format}` : ''}`);
+}
+
+// The rows of one titled CSV section, without its title and column rows
+function csvSection(csv, title) {
+    const lines = csv.split('\r\n');
+    const start = lines.indexOf(title);
+    const end = lines.indexOf('', start);
+    return lines.slice(start + 2, end);
+}
+
+before(async () => {
+    chain = createFakeChain();
+    process.env.RPC_URL = await chain.listen();
+    
+    chain.mine([
+        ['WillCreated', [TESTATOR, 100, 50]],
+        ['BeneficiaryAdded', [TESTATOR, GUARDIAN, 60, true]],
+        ['BeneficiaryAdded', [TESTATOR, BENEFICIARY, 40, false]],
+        ['DepositLocked', [TESTATOR, 1000n]],
+        ['DocumentAdded', [TESTATOR, DEED, 'deed, signed.pdf', 'property']],
+        ['DocumentAdded', [TESTATOR, DEED, '=HYPERLINK("http://evil.example")', 'other']],
+        ['WillCreated', [PENDING_TESTATOR, 100, 50]]
+    ], CREATED_AT);
+    chain.mine([['WillExecuted', [TESTATOR, 1000n]]], CREATED_AT + 200);
+    
+    const db = require('../src/db');
+    indexer = require('../src/indexer');
+    const { app } = require('../src/api');
+    db.initializeDatabase();
+    await indexer.startIndexer();
+    
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    indexer.stopIndexer();
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await chain.close();
+});
+
+test('the JSON export is a download holding the whole will as indexed', async () => {
+    const response = await exportOf(TESTATOR);
+    
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^application\/json/);
+    assert.equal(response.headers.get('content-disposition'), `attachment; filename="will-${CHAIN_ID}-${TESTATOR.toLowerCase()}.json"`);
+    
+    const willExport = await response.json();
+    assert.ok(!Number.isNaN(Date.parse(willExport.exportedAt)));
+    assert.equal(willExport.will.testator, TESTATOR.toLowerCase());
+    assert.equal(willExport.will.guardian, GUARDIAN.toLowerCase());
+    assert.equal(willExport.will.status, 'executed');
+    assert.deepEqual(willExport.beneficiaries.map(row => [row.beneficiary, row.share, row.isGuardian]), [
+        [GUARDIAN.toLowerCase(), 60, 1],
+        [BENEFICIARY.toLowerCase(), 40, 0]
+    ]);
+    assert.deepEqual(willExport.vaults.map(vault => vault.balance), ['0', '0']);
+    assert.equal(willExport.documents.length, 2);
+    assert.equal(willExport.execution.totalFunds, '1000');
+    assert.deepEqual(willExport.execution.payouts.map(payout => payout.amount), ['600', '400']);
+    assert.deepEqual(willExport.events.map(event => event.eventName), [
+        'WillCreated', 'BeneficiaryAdded', 'BeneficiaryAdded', 'DepositLocked', 'DocumentAdded', 'DocumentAdded', 'WillExecuted'
+    ]);
+});
+
+test('the CSV export has one section per part, with dates in ISO 8601', async () => {
+    const response = await exportOf(TESTATOR, 'csv');
+    
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/csv/);
+    assert.match(response.headers.get('content-disposition'), /filename="will-31337-0x[0-9a-f]{40}\.csv"/);
+    
+    const csv = await response.text();
+    assert.deepEqual(csv.split('\r\n').filter(line => /^[A-Z][a-z]+$/.test(line)), ['Will', 'Beneficiaries', 'Vaults', 'Documents', 'Execution', 'Payouts', 'Events']);
+    assert.ok(csvSection(csv, 'Will').includes(`lastCheckIn,${new Date(CREATED_AT * 1000).toISOString()}`));
+    assert.deepEqual(csvSection(csv, 'Beneficiaries'), [`${GUARDIAN.toLowerCase()},60,1`, `${BENEFICIARY.toLowerCase()},40,0`]);
+    assert.deepEqual(csvSection(csv, 'Payouts'), [`${GUARDIAN.toLowerCase()},60,600`, `${BENEFICIARY.toLowerCase()},40,400`]);
+    assert.equal(csvSection(csv, 'Events').length, 7);
+});
+
+test('CSV cells are quoted when needed and on-chain text cannot become a spreadsheet formula', async () => {
+    const csv = await (await exportOf(TESTATOR, 'csv')).text();
+    const documents = csvSection(csv, 'Documents');
+    
+    assert.ok(documents.some(row => row.startsWith(`${DEED},"deed, signed.pdf",property,`)));
+    assert.ok(documents.some(row => row.startsWith(`${DEED},"'=HYPERLINK(""http://evil.example"")",other,`)));
+});
+
+test('a will that was not executed has no execution sections; unknown wills and formats are rejected', async () => {
+    const csv = await (await exportOf(PENDING_TESTATOR, 'csv')).text();
+    assert.ok(!csv.split('\r\n').includes('Execution'));
+    assert.ok(!csv.split('\r\n').includes('Payouts'));
+    
+    const json = await (await exportOf(PENDING_TESTATOR, 'json')).json();
+    assert.equal(json.execution, null);
+    
+    assert.equal((await exportOf(GUARDIAN)).status, 404);
+    assert.equal((await exportOf(TESTATOR, 'xml')).status, 400);
+});
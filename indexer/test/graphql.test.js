@@ -0,0 +1,140 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'silent';
+process.env.DATABASE_PATH = ':memory:';
+process.env.POLLING_INTERVAL = '50';
+process.env.AUTH_REQUIRED = 'false';
+
+const { createFakeChain, CHAIN_ID, CONTRACT_ADDRESS } = require('./helpers/fakeChain');
+
+const TESTATOR = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const OTHER_TESTATOR = '0x15d34AAf54267DB7D7c367839AAf71A00a2C6A65';
+const GUARDIAN = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const BENEFICIARY = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+const DEED = 'QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG';
+
+let chain;
+let indexer;
+let server;
+let baseUrl;
+
+async function graphql(query, variables) {
+    const response = await fetch(`${baseUrl}/graphql`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ query, variables })
+    });
+    return response.json();
+}
+
+before(async () => {
+    chain = createFakeChain();
+    process.env.RPC_URL = await chain.listen();
+    
+    chain.mine([
+        ['WillCreated', [TESTATOR, 100, 50]],
+        ['BeneficiaryAdded', [TESTATOR, GUARDIAN, 60, true]],
+        ['BeneficiaryAdded', [TESTATOR, BENEFICIARY, 40, false]],
+        ['DepositLocked', [TESTATOR, 1000n]],
+        ['DocumentAdded', [TESTATOR, DEED, 'deed.pdf', 'property']]
+    ]);
+    chain.mine([
+        ['WillCreated', [OTHER_TESTATOR, 100, 50]],
+        ['BeneficiaryAdded', [OTHER_TESTATOR, BENEFICIARY, 100, false]]
+    ]);
+    
+    const db = require('../src/db');
+    indexer = require('../src/indexer');
+    const { app } = require('../src/api');
+    db.initializeDatabase();
+    await indexer.startIndexer();
+    
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    indexer.stopIndexer();
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await chain.close();
+});
+
+test('a will is returned with its relations in one query', async () => {
+    const { data, errors } = await graphql(`
+        query ($testator: String!) {
+            will(testator: $testator) {
+                id
+                testator
+                guardian
+                executed
+                totalValue
+                status
+                beneficiaries { address share isGuardian }
+                vaults { vaultType balance }
+                documents { ipfsHash fileName documentType }
+                events { eventName blockNumber logIndex }
+            }
+        }
+    `, { testator: TESTATOR });
+    
+    assert.equal(errors, undefined);
+    const { vaults, ...will } = data.will;
+    assert.deepEqual(vaults.map(vault => [vault.vaultType, vault.balance]).sort(), [['flexible', '0'], ['locked', '1000']]);
+    assert.deepEqual(will, {
+        id: `${CHAIN_ID}:${CONTRACT_ADDRESS}:${TESTATOR.toLowerCase()}`,
+        testator: TESTATOR.toLowerCase(),
+        guardian: GUARDIAN.toLowerCase(),
+        executed: false,
+        totalValue: '1000',
+        status: 'active',
+        beneficiaries: [
+            { address: GUARDIAN.toLowerCase(), share: 60, isGuardian: true },
+            { address: BENEFICIARY.toLowerCase(), share: 40, isGuardian: false }
+        ],
+        documents: [{ ipfsHash: DEED, fileName: 'deed.pdf', documentType: 'property' }],
+        events: ['WillCreated', 'BeneficiaryAdded', 'BeneficiaryAdded', 'DepositLocked', 'DocumentAdded']
+            .map((eventName, logIndex) => ({ eventName, blockNumber: 1, logIndex }))
+    });
+});
+
+test('an unknown will resolves to null', async () => {
+    const { data, errors } = await graphql(`{ will(testator: "${GUARDIAN}") { id } }`);
+    
+    assert.equal(errors, undefined);
+    assert.equal(data.will, null);
+});
+
+test('beneficiaryOf lists the wills of a beneficiary, back to each will', async () => {
+    const { data } = await graphql(`{
+        beneficiaryOf(address: "${BENEFICIARY}") { share isGuardian will { testator beneficiaries { address } } }
+    }`);
+    
+    const byTestator = Object.fromEntries(data.beneficiaryOf.map(entry => [entry.will.testator, entry]));
+    assert.deepEqual(Object.keys(byTestator).sort(), [TESTATOR, OTHER_TESTATOR].map(address => address.toLowerCase()).sort());
+    assert.equal(byTestator[TESTATOR.toLowerCase()].share, 40);
+    assert.equal(byTestator[TESTATOR.toLowerCase()].will.beneficiaries.length, 2);
+    assert.equal(byTestator[OTHER_TESTATOR.toLowerCase()].share, 100);
+});
+
+test('wills can be filtered and paged like the REST listing', async () => {
+    const withGuardian = await graphql('{ wills(hasGuardian: true) { count items { testator } } }');
+    assert.deepEqual(withGuardian.data.wills.items, [{ testator: TESTATOR.toLowerCase() }]);
+    
+    const firstPage = await graphql('{ wills(limit: 1, sort: "createdAt", order: "asc") { items { testator } nextCursor } }');
+    assert.deepEqual(firstPage.data.wills.items, [{ testator: TESTATOR.toLowerCase() }]);
+    
+    const secondPage = await graphql(`{ wills(limit: 1, sort: "createdAt", order: "asc", cursor: "${firstPage.data.wills.nextCursor}") { items { testator } nextCursor } }`);
+    assert.deepEqual(secondPage.data.wills.items, [{ testator: OTHER_TESTATOR.toLowerCase() }]);
+    assert.equal(secondPage.data.wills.nextCursor, null);
+});
+
+test('invalid arguments are reported as GraphQL errors', async () => {
+    const badAddress = await graphql('{ will(testator: "0x123") { id } }');
+    assert.match(badAddress.errors[0].message, /Invalid testator address format/);
+    
+    const badStatus = await graphql('{ wills(status: ["expired"]) { count } }');
+    assert.match(badStatus.errors[0].message, /Invalid status filter/);
+});
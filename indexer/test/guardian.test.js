@@ -0,0 +1,79 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'silent';
+process.env.DATABASE_PATH = ':memory:';
+process.env.POLLING_INTERVAL = '50';
+
+const { createFakeChain, waitFor, CHAIN_ID, CONTRACT_ADDRESS } = require('./helpers/fakeChain');
+
+const TESTATOR = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const ALICE = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const BOB = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+const deployment = { chainId: CHAIN_ID, contractAddress: CONTRACT_ADDRESS };
+
+let chain;
+let db;
+let indexer;
+let willId;
+
+// Mines a block and resolves once the indexer has committed it
+async function mineIndexed(events) {
+    const number = chain.mine(events);
+    await waitFor(() => db.getLastIndexedBlock(CHAIN_ID, CONTRACT_ADDRESS) === number);
+}
+
+function guardianFlags() {
+    return Object.fromEntries(db.getWillDetails(willId).beneficiaries.map(row => [row.beneficiary, row.isGuardian]));
+}
+
+before(async () => {
+    chain = createFakeChain();
+    process.env.RPC_URL = await chain.listen();
+    
+    chain.mine([
+        ['WillCreated', [TESTATOR, 100, 50]],
+        ['BeneficiaryAdded', [TESTATOR, ALICE, 60, true]],
+        ['BeneficiaryAdded', [TESTATOR, BOB, 40, false]]
+    ]);
+    
+    db = require('../src/db');
+    indexer = require('../src/indexer');
+    db.initializeDatabase();
+    willId = db.makeWillId(deployment, TESTATOR);
+    await indexer.startIndexer();
+});
+
+after(async () => {
+    indexer.stopIndexer();
+    await chain.close();
+});
+
+test('each beneficiary carries its own guardian flag and the will names the guardian', () => {
+    assert.equal(db.getWillDetails(willId).guardian, ALICE.toLowerCase());
+    assert.deepEqual(guardianFlags(), { [ALICE.toLowerCase()]: 1, [BOB.toLowerCase()]: 0 });
+    
+    assert.equal(db.getWillsByBeneficiary(deployment, ALICE)[0].isGuardian, 1);
+    assert.equal(db.getBeneficiaryWills(deployment, BOB)[0].isGuardian, 0);
+});
+
+test('an update that drops the guardian flag clears the will guardian', async () => {
+    await mineIndexed([['BeneficiaryUpdated', [TESTATOR, ALICE, 60, false]]]);
+    
+    assert.equal(db.getWillDetails(willId).guardian, null);
+    assert.deepEqual(guardianFlags(), { [ALICE.toLowerCase()]: 0, [BOB.toLowerCase()]: 0 });
+    assert.equal(db.getBeneficiaryWills(deployment, ALICE)[0].isGuardian, 0);
+});
+
+test('the guardian follows the flag to another beneficiary and is cleared when they are removed', async () => {
+    await mineIndexed([['BeneficiaryUpdated', [TESTATOR, BOB, 40, true]]]);
+    
+    assert.equal(db.getWillDetails(willId).guardian, BOB.toLowerCase());
+    assert.equal(db.getWillsByBeneficiary(deployment, BOB)[0].isGuardian, 1);
+    
+    await mineIndexed([['BeneficiaryRemoved', [TESTATOR, BOB]]]);
+    
+    assert.equal(db.getWillDetails(willId).guardian, null);
+    assert.deepEqual(guardianFlags(), { [ALICE.toLowerCase()]: 0 });
+    assert.deepEqual(db.verifyDatabase(), []);
+});
@@ -0,0 +1,100 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'silent';
+process.env.DATABASE_PATH = ':memory:';
+process.env.POLLING_INTERVAL = '50';
+process.env.READY_MAX_LAG_BLOCKS = '2';
+
+const { createFakeChain, waitFor, CHAIN_ID, CONTRACT_ADDRESS } = require('./helpers/fakeChain');
+
+const TESTATOR = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const BENEFICIARY = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const UNKNOWN_TESTATOR = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+const CREATED_AT = 1800000000;
+
+let chain;
+let indexer;
+let server;
+let baseUrl;
+
+async function get(path) {
+    const response = await fetch(`${baseUrl}${path}`);
+    return { status: response.status, body: await response.json() };
+}
+
+before(async () => {
+    chain = createFakeChain();
+    process.env.RPC_URL = await chain.listen();
+    
+    chain.mine([['WillCreated', [TESTATOR, 100, 50]]], CREATED_AT);
+    chain.mine();
+    
+    const db = require('../src/db');
+    indexer = require('../src/indexer');
+    const { app } = require('../src/api');
+    db.initializeDatabase();
+    
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    indexer.stopIndexer();
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await chain.close();
+});
+
+test('the API is live but not ready before the chain is connected', async () => {
+    for (const path of ['/health', '/health/live']) {
+        const { status, body } = await get(path);
+        assert.equal(status, 200, path);
+        assert.equal(body.success, true, path);
+    }
+    
+    const { status, body } = await get('/health/ready');
+    assert.equal(status, 503);
+    assert.equal(body.code, 'NOT_READY');
+    assert.equal(body.data.ready, false);
+    assert.match(body.data.problems[0], /chainId 31337\) is not connected/);
+    assert.equal(body.data.chains[0].deployments[0].stale, true);
+});
+
+test('a connected indexer at the head is ready and reports its sync state', async () => {
+    await indexer.startIndexer();
+    
+    const { status, body } = await get('/health/ready');
+    assert.equal(status, 200);
+    assert.equal(body.data.ready, true);
+    assert.deepEqual(body.data.database, { writable: true });
+    assert.deepEqual(body.data.problems, []);
+    
+    const [chainStatus] = body.data.chains;
+    assert.equal(chainStatus.chainId, CHAIN_ID);
+    assert.equal(chainStatus.connected, true);
+    assert.equal(chainStatus.headBlock, 2);
+    
+    const [deployment] = chainStatus.deployments;
+    assert.equal(deployment.contractAddress, CONTRACT_ADDRESS);
+    assert.equal(deployment.lastIndexedBlock, 2);
+    assert.equal(deployment.lagBlocks, 0);
+    assert.equal(deployment.stale, false);
+    assert.equal(deployment.lastEventAt, CREATED_AT);
+});
+
+test('an indexer stuck more blocks behind the head than allowed is not ready', async () => {
+    // The beneficiary of a will that does not exist cannot be applied, so the cursor stays at block 2
+    chain.mine([['BeneficiaryAdded', [UNKNOWN_TESTATOR, BENEFICIARY, 100, false]]]);
+    chain.mine();
+    chain.mine();
+    await waitFor(() => indexer.getChainStatus(CHAIN_ID).headBlock === 5);
+    
+    const { status, body } = await get('/health/ready');
+    assert.equal(status, 503);
+    assert.equal(body.data.chains[0].connected, true);
+    assert.equal(body.data.chains[0].deployments[0].lagBlocks, 3);
+    assert.equal(body.data.chains[0].deployments[0].stale, true);
+    assert.deepEqual(body.data.problems, [`${CONTRACT_ADDRESS} on anvil is 3 blocks behind`]);
+});
@@ -0,0 +1,176 @@
+const http = require('http');
+const { ethers } = require('ethers');
+const { CONTRACT_ABI } = require('../../src/indexer');
+
+// Minimal in-memory chain answering the JSON-RPC calls the indexer makes over HTTP
+// (eth_chainId, eth_blockNumber, eth_getBlockByNumber, eth_getLogs). Blocks are mined
+// by hand with the contract events they should contain.
+
+const CHAIN_ID = 31337;
+const CONTRACT_ADDRESS = '0x5fbdb2315678afecb367f032d93f642f64180aa3';
+const GENESIS_TIMESTAMP = 1700000000;
+const BLOCK_TIME = 12;
+
+const contractInterface = new ethers.Interface(CONTRACT_ABI);
+
+// `reverseLogs` returns eth_getLogs results newest first, as nodes do not promise any order
+function createFakeChain({ chainId = CHAIN_ID, reverseLogs = false } = {}) {
+    let blocks = [];
+    // Changes every block hash when a reorg replaces blocks
+    let fork = 0;
+    // Every JSON-RPC request received, in order
+    const requests = [];
+    
+    function mine(events = [], timestamp) {
+        const number = blocks.length;
+        const hash = ethers.id(`${fork}:${number}`);
+        const parent = blocks[number - 1];
+        
+        // Events are [name, args] or [name, args, contract address]
+        const logs = events.map(([name, args, address = CONTRACT_ADDRESS], index) => {
+            const { topics, data } = contractInterface.encodeEventLog(name, args);
+            return {
+                address,
+                topics,
+                data,
+                blockNumber: ethers.toQuantity(number),
+                blockHash: hash,
+                transactionHash: ethers.id(`${hash}:${index}`),
+                transactionIndex: '0x0',
+                logIndex: ethers.toQuantity(index),
+                removed: false
+            };
+        });
+        
+        blocks.push({
+            number,
+            hash,
+            parentHash: parent ? parent.hash : ethers.ZeroHash,
+            timestamp: timestamp || (parent ? parent.timestamp + BLOCK_TIME : GENESIS_TIMESTAMP),
+            logs
+        });
+        return number;
+    }
+    
+    // Replaces the last `depth` blocks with blocks holding `replacements` (one event list per block)
+    function reorg(depth, replacements) {
+        fork += 1;
+        blocks = blocks.slice(0, blocks.length - depth);
+        replacements.forEach(events => mine(events));
+    }
+    
+    function header(block) {
+        return {
+            number: ethers.toQuantity(block.number),
+            hash: block.hash,
+            parentHash: block.parentHash,
+            timestamp: ethers.toQuantity(block.timestamp),
+            nonce: '0x0000000000000000',
+            difficulty: '0x0',
+            gasLimit: '0x1c9c380',
+            gasUsed: '0x0',
+            miner: ethers.ZeroAddress,
+            extraData: '0x',
+            transactions: [],
+            baseFeePerGas: '0x1',
+            stateRoot: ethers.ZeroHash,
+            receiptsRoot: ethers.ZeroHash,
+            logsBloom: `0x${'0'.repeat(512)}`,
+            mixHash: ethers.ZeroHash
+        };
+    }
+    
+    function blockNumber(tag) {
+        return tag === 'latest' || tag === undefined ? blocks.length - 1 : Number(tag);
+    }
+    
+    function call(method, params) {
+        requests.push({ method, params });
+        
+        switch (method) {
+            case 'eth_chainId':
+                return ethers.toQuantity(chainId);
+            case 'net_version':
+                return String(chainId);
+            case 'eth_blockNumber':
+                return ethers.toQuantity(blocks.length - 1);
+            case 'eth_getBlockByNumber': {
+                const block = blocks[blockNumber(params[0])];
+                return block ? header(block) : null;
+            }
+            case 'eth_getLogs': {
+                const { address, fromBlock, toBlock } = params[0];
+                const addresses = [address || []].flat().map(entry => entry.toLowerCase());
+                const logs = blocks
+                    .slice(blockNumber(fromBlock), blockNumber(toBlock) + 1)
+                    .flatMap(block => block.logs)
+                    .filter(log => addresses.length === 0 || addresses.includes(log.address.toLowerCase()));
+                return reverseLogs ? logs.reverse() : logs;
+            }
+            default:
+                throw new Error(`Unsupported method ${method}`);
+        }
+    }
+    
+    function reply(request) {
+        try {
+            return { jsonrpc: '2.0', id: request.id, result: call(request.method, request.params || []) };
+        } catch (error) {
+            return { jsonrpc: '2.0', id: request.id, error: { code: -32000, message: error.message } };
+        }
+    }
+    
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            const request = JSON.parse(body);
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify(Array.isArray(request) ? request.map(reply) : reply(request)));
+        });
+    });
+    
+    // Resolves with the HTTP URL of the chain
+    function listen() {
+        return new Promise(resolve => {
+            server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+        });
+    }
+    
+    function close() {
+        server.closeAllConnections();
+        return new Promise(resolve => server.close(resolve));
+    }
+    
+    mine();
+    
+    return {
+        mine,
+        reorg,
+        listen,
+        close,
+        requests,
+        head: () => blocks[blocks.length - 1]
+    };
+}
+
+// Polls `condition` until it returns something truthy (or fails after `timeout` ms)
+async function waitFor(condition, timeout = 5000) {
+    const deadline = Date.now() + timeout;
+    
+    for (;;) {
+        const result = condition();
+        if (result) return result;
+        if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+module.exports = {
+    CHAIN_ID,
+    CONTRACT_ADDRESS,
+    createFakeChain,
+    waitFor
+};
@@ -0,0 +1,56 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'silent';
+process.env.DATABASE_PATH = ':memory:';
+process.env.POLLING_INTERVAL = '50';
+
+const { createFakeChain, waitFor, CHAIN_ID, CONTRACT_ADDRESS } = require('./helpers/fakeChain');
+
+const TESTATOR = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const BENEFICIARY = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const UNKNOWN_TESTATOR = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+const deployment = { chainId: CHAIN_ID, contractAddress: CONTRACT_ADDRESS };
+
+let chain;
+let db;
+let indexer;
+
+before(async () => {
+    chain = createFakeChain();
+    process.env.RPC_URL = await chain.listen();
+    
+    chain.mine([['WillCreated', [TESTATOR, 100, 50]]]);
+    // A beneficiary of a will that was never created breaks the Beneficiaries foreign key,
+    // so applying this block throws
+    chain.mine([
+        ['DepositLocked', [TESTATOR, 1000n]],
+        ['BeneficiaryAdded', [UNKNOWN_TESTATOR, BENEFICIARY, 100, false]]
+    ]);
+    
+    db = require('../src/db');
+    indexer = require('../src/indexer');
+    db.initializeDatabase();
+    await indexer.startIndexer();
+});
+
+after(async () => {
+    indexer.stopIndexer();
+    await chain.close();
+});
+
+test('a block whose event handler throws is not committed', () => {
+    assert.equal(db.getLastIndexedBlock(CHAIN_ID, CONTRACT_ADDRESS), 1);
+    
+    const willId = db.makeWillId(deployment, TESTATOR);
+    assert.deepEqual(db.getWillEvents(willId).map(event => event.eventName), ['WillCreated']);
+    assert.equal(db.getVaults(willId).find(vault => vault.vaultType === 'locked').balance, '0');
+});
+
+test('the failed block is retried on the next pass', async () => {
+    chain.mine();
+    await waitFor(() => indexer.getChainStatus(CHAIN_ID).headBlock === 3);
+    await new Promise(resolve => setTimeout(resolve, 200));
+    
+    assert.equal(db.getLastIndexedBlock(CHAIN_ID, CONTRACT_ADDRESS), 1);
+});
@@ -0,0 +1,132 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dwill-legacy-'));
+const databasePath = path.join(tempDir, 'wills.db');
+
+process.env.LOG_LEVEL = 'silent';
+process.env.DATABASE_PATH = databasePath;
+process.env.POLLING_INTERVAL = '50';
+
+const { createFakeChain, waitFor, CHAIN_ID, CONTRACT_ADDRESS } = require('./helpers/fakeChain');
+
+const TESTATOR = '0x70997970c51812dc3a010c7d01b50e0d17dc79c8';
+const GUARDIAN = '0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc';
+const BENEFICIARY = '0x90f79bf6eb2c4f870365e785982e1f101e93b906';
+const IPFS_HASH = 'QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG';
+const WILL_ID = `${CHAIN_ID}:${CONTRACT_ADDRESS}:${TESTATOR}`;
+
+let chain;
+let db;
+let indexer;
+
+// Schema and rows of the original indexer, which kept no sync cursor or event log.
+// It replayed the last 10,000 blocks on every start, so its deposit of 1000 was counted twice.
+function createBaselineDatabase() {
+    const baseline = new Database(databasePath);
+    baseline.exec(`
+        CREATE TABLE Wills (
+            willId TEXT PRIMARY KEY,
+            testator TEXT NOT NULL,
+            guardian TEXT,
+            checkInPeriod INTEGER,
+            disputePeriod INTEGER,
+            lastCheckIn INTEGER,
+            executed INTEGER DEFAULT 0,
+            createdAt INTEGER,
+            updatedAt INTEGER
+        );
+        CREATE TABLE Beneficiaries (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            willId TEXT NOT NULL,
+            beneficiary TEXT NOT NULL,
+            share INTEGER NOT NULL,
+            UNIQUE (willId, beneficiary),
+            FOREIGN KEY (willId) REFERENCES Wills(willId)
+        );
+        CREATE TABLE Vaults (
+            willId TEXT NOT NULL,
+            vaultType TEXT CHECK(vaultType IN ('locked','flexible')),
+            balance TEXT NOT NULL,
+            PRIMARY KEY (willId, vaultType),
+            FOREIGN KEY (willId) REFERENCES Wills(willId)
+        );
+        CREATE TABLE Documents (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            willId TEXT NOT NULL,
+            ipfsHash TEXT NOT NULL,
+            fileName TEXT NOT NULL,
+            documentType TEXT NOT NULL,
+            uploadedAt INTEGER NOT NULL,
+            UNIQUE (willId, ipfsHash),
+            FOREIGN KEY (willId) REFERENCES Wills(willId)
+        );
+    `);
+    
+    baseline.prepare('INSERT INTO Wills VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)')
+        .run(TESTATOR, TESTATOR, GUARDIAN, 100, 50, 1700000000, 0, 1700000000, 1700000000);
+    baseline.prepare('INSERT INTO Beneficiaries (willId, beneficiary, share) VALUES (?, ?, ?)').run(TESTATOR, GUARDIAN, 60);
+    baseline.prepare('INSERT INTO Beneficiaries (willId, beneficiary, share) VALUES (?, ?, ?)').run(TESTATOR, BENEFICIARY, 40);
+    baseline.prepare('INSERT INTO Vaults VALUES (?, ?, ?)').run(TESTATOR, 'locked', '2000');
+    baseline.prepare('INSERT INTO Vaults VALUES (?, ?, ?)').run(TESTATOR, 'flexible', '0');
+    baseline.prepare('INSERT INTO Documents (willId, ipfsHash, fileName, documentType, uploadedAt) VALUES (?, ?, ?, ?, ?)')
+        .run(TESTATOR, IPFS_HASH, 'deed.pdf', 'property', 1700000012);
+    baseline.close();
+}
+
+before(async () => {
+    chain = createFakeChain();
+    process.env.RPC_URL = await chain.listen();
+    
+    chain.mine([
+        ['WillCreated', [TESTATOR, 100, 50]],
+        ['BeneficiaryAdded', [TESTATOR, GUARDIAN, 60, true]],
+        ['BeneficiaryAdded', [TESTATOR, BENEFICIARY, 40, false]]
+    ]);
+    chain.mine([
+        ['DepositLocked', [TESTATOR, 1000n]],
+        ['DocumentAdded', [TESTATOR, IPFS_HASH, 'deed.pdf', 'property']]
+    ]);
+    
+    createBaselineDatabase();
+    db = require('../src/db');
+    indexer = require('../src/indexer');
+});
+
+after(async () => {
+    indexer.stopIndexer();
+    await chain.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('a database from before the sync cursor keeps its wills and beneficiaries', () => {
+    db.initializeDatabase();
+    
+    const will = db.getWillDetails(WILL_ID);
+    assert.equal(will.testator, TESTATOR);
+    assert.equal(will.guardian, GUARDIAN);
+    assert.deepEqual(will.beneficiaries.map(row => [row.beneficiary, row.share]).sort(), [
+        [GUARDIAN, 60],
+        [BENEFICIARY, 40]
+    ].sort());
+    
+    // Only the projections its events would count twice wait for the first sync
+    assert.equal(db.getLastIndexedBlock(CHAIN_ID, CONTRACT_ADDRESS), null);
+    assert.deepEqual(db.getVaults(WILL_ID).map(vault => vault.balance), ['0', '0']);
+    assert.deepEqual(db.getDocuments(WILL_ID), []);
+});
+
+test('the first sync rebuilds its vault balances and documents without counting events twice', async () => {
+    await indexer.startIndexer();
+    await waitFor(() => db.getLastIndexedBlock(CHAIN_ID, CONTRACT_ADDRESS) === 2);
+    
+    const balances = Object.fromEntries(db.getVaults(WILL_ID).map(vault => [vault.vaultType, vault.balance]));
+    assert.deepEqual(balances, { locked: '1000', flexible: '0' });
+    assert.deepEqual(db.getDocuments(WILL_ID).map(document => document.ipfsHash), [IPFS_HASH]);
+    assert.equal(db.getWillDetails(WILL_ID).beneficiaries.length, 2);
+    assert.deepEqual(db.verifyDatabase(), []);
+});
@@ -0,0 +1,107 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'silent';
+process.env.DATABASE_PATH = ':memory:';
+process.env.POLLING_INTERVAL = '50';
+process.env.AUTH_REQUIRED = 'false';
+
+const { createFakeChain, waitFor, CHAIN_ID, CONTRACT_ADDRESS } = require('./helpers/fakeChain');
+
+const OVERDUE = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const ACTIVE = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const EXECUTED = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+const CREATED_AT = 1800000000;
+
+let chain;
+let db;
+let indexer;
+let server;
+let baseUrl;
+
+async function get(path) {
+    const response = await fetch(`${baseUrl}${path}`);
+    return { status: response.status, body: await response.json() };
+}
+
+// Mines an empty block at `timestamp` and resolves once the indexer has committed it
+async function mineAt(timestamp, events = []) {
+    const number = chain.mine(events, timestamp);
+    await waitFor(() => db.getLastIndexedBlock(CHAIN_ID, CONTRACT_ADDRESS) === number);
+}
+
+async function statuses(query = '') {
+    const { body } = await get(`/wills${query}`);
+    return Object.fromEntries(body.data.map(will => [will.testator, will.status]));
+}
+
+before(async () => {
+    chain = createFakeChain();
+    process.env.RPC_URL = await chain.listen();
+    
+    chain.mine([
+        ['WillCreated', [OVERDUE, 100, 50]],
+        ['WillCreated', [ACTIVE, 1000, 50]],
+        ['WillCreated', [EXECUTED, 100, 50]],
+        ['WillExecuted', [EXECUTED, 0n]]
+    ], CREATED_AT);
+    
+    db = require('../src/db');
+    indexer = require('../src/indexer');
+    const { app } = require('../src/api');
+    db.initializeDatabase();
+    await indexer.startIndexer();
+    
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    indexer.stopIndexer();
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await chain.close();
+});
+
+test('deadlines are computed from the last check-in and the will periods', async () => {
+    const { body } = await get(`/will/${OVERDUE}`);
+    
+    assert.equal(body.data.checkInDeadline, CREATED_AT + 100);
+    assert.equal(body.data.disputeEndTime, CREATED_AT + 150);
+    // Evaluated at the latest block, not the wall clock
+    assert.equal(body.data.evaluatedAt, CREATED_AT);
+    assert.equal(body.data.status, 'active');
+});
+
+test('the status follows block time through the check-in and dispute windows', async () => {
+    const overdue = OVERDUE.toLowerCase();
+    const active = ACTIVE.toLowerCase();
+    const executed = EXECUTED.toLowerCase();
+    
+    await mineAt(CREATED_AT + 100);
+    assert.deepEqual(await statuses(), { [overdue]: 'active', [active]: 'active', [executed]: 'executed' });
+    
+    await mineAt(CREATED_AT + 101);
+    assert.equal((await statuses())[overdue], 'overdue-guardian-only');
+    
+    await mineAt(CREATED_AT + 151);
+    assert.equal((await statuses())[overdue], 'open-to-beneficiaries');
+    assert.equal((await statuses())[active], 'active');
+});
+
+test('lists can be filtered by status', async () => {
+    assert.deepEqual(Object.keys(await statuses('?status=open-to-beneficiaries')), [OVERDUE.toLowerCase()]);
+    assert.deepEqual(Object.keys(await statuses('?status=executed')), [EXECUTED.toLowerCase()]);
+    assert.deepEqual(Object.keys(await statuses('?status=overdue-guardian-only')), []);
+    assert.deepEqual(Object.keys(await statuses('?status=active,executed')).sort(), [ACTIVE, EXECUTED].map(address => address.toLowerCase()).sort());
+    
+    const invalid = await get('/wills?status=expired');
+    assert.equal(invalid.status, 400);
+});
+
+test('a check-in restarts the clock', async () => {
+    await mineAt(CREATED_AT + 160, [['CheckIn', [OVERDUE, CREATED_AT + 160]]]);
+    
+    assert.equal((await statuses())[OVERDUE.toLowerCase()], 'active');
+});
@@ -0,0 +1,144 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const path = require('path');
+
+process.env.LOG_LEVEL = 'debug';
+process.env.LOG_FORMAT = 'json';
+process.env.DATABASE_PATH = ':memory:';
+process.env.AUTH_REQUIRED = 'false';
+
+const { logger, withLogContext, setLogLevel } = require('../src/logger');
+
+// Runs fn and returns what it wrote to stdout and stderr, one parsed JSON object per line
+// (a promise of it when fn is async)
+function capture(fn) {
+    const lines = { stdout: [], stderr: [] };
+    const writes = { stdout: process.stdout.write, stderr: process.stderr.write };
+    
+    for (const name of ['stdout', 'stderr']) {
+        process[name].write = (chunk, ...args) => {
+            // The test runner reports on stdout too while an async fn is running
+            if (!String(chunk).startsWith('{')) return writes[name].call(process[name], chunk, ...args);
+            
+            lines[name].push(...String(chunk).trim().split('\n').map(line => JSON.parse(line)));
+            return true;
+        };
+    }
+    
+    const restore = () => {
+        process.stdout.write = writes.stdout;
+        process.stderr.write = writes.stderr;
+        return lines;
+    };
+    
+    let result;
+    try {
+        result = fn();
+    } catch (error) {
+        restore();
+        throw error;
+    }
+    return result instanceof Promise ? result.finally(restore).then(() => lines) : restore();
+}
+
+afterEach(() => setLogLevel('debug'));
+
+test('lines carry the level, the logger bindings and the call fields', () => {
+    const { stdout } = capture(() => logger.child({ module: 'indexer' }).child({ chainId: 31337 }).info('Applied event', { blockNumber: 7 }));
+    
+    assert.equal(stdout.length, 1);
+    const { time, ...entry } = stdout[0];
+    assert.ok(!Number.isNaN(Date.parse(time)));
+    assert.deepEqual(entry, { level: 'info', module: 'indexer', chainId: 31337, msg: 'Applied event', blockNumber: 7 });
+});
+
+test('warnings and errors go to stderr, errors with their message and stack, big integers as strings', () => {
+    const { stdout, stderr } = capture(() => {
+        logger.debug('debug line');
+        logger.warn('warn line', { amount: 10n ** 20n });
+        logger.error('error line', { error: new Error('boom') });
+    });
+    
+    assert.deepEqual(stdout.map(entry => entry.level), ['debug']);
+    assert.deepEqual(stderr.map(entry => entry.level), ['warn', 'error']);
+    assert.equal(stderr[0].amount, '100000000000000000000');
+    assert.equal(stderr[1].error.message, 'boom');
+    assert.match(stderr[1].error.stack, /^Error: boom/);
+});
+
+test('lines below the configured level are dropped', () => {
+    setLogLevel('warn');
+    const { stdout, stderr } = capture(() => {
+        logger.debug('hidden');
+        logger.info('hidden');
+        logger.warn('shown');
+    });
+    
+    assert.deepEqual(stdout, []);
+    assert.deepEqual(stderr.map(entry => entry.msg), ['shown']);
+    
+    setLogLevel('silent');
+    assert.deepEqual(capture(() => logger.error('hidden')), { stdout: [], stderr: [] });
+    
+    assert.throws(() => setLogLevel('verbose'), /Unknown log level "verbose"/);
+});
+
+test('context fields reach every line logged inside, across awaits and nested contexts', async () => {
+    const lines = [];
+    const log = logger.child({ module: 'api' });
+    
+    await withLogContext({ requestId: 'r1' }, async () => {
+        lines.push(...capture(() => log.info('before')).stdout);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        lines.push(...capture(() => log.info('after')).stdout);
+        withLogContext({ testator: '0xabc' }, () => {
+            lines.push(...capture(() => log.info('nested')).stdout);
+        });
+    });
+    lines.push(...capture(() => log.info('outside')).stdout);
+    
+    assert.deepEqual(lines.map(({ msg, requestId, testator }) => ({ msg, requestId, testator })), [
+        { msg: 'before', requestId: 'r1', testator: undefined },
+        { msg: 'after', requestId: 'r1', testator: undefined },
+        { msg: 'nested', requestId: 'r1', testator: '0xabc' },
+        { msg: 'outside', requestId: undefined, testator: undefined }
+    ]);
+});
+
+test('the text format is one readable line with quoted values where needed', () => {
+    const output = execFileSync(process.execPath, ['-e', `
+        const { logger } = require(${JSON.stringify(path.join(__dirname, '../src/logger'))});
+        logger.child({ module: 'db' }).info('Added beneficiary', { share: 40, note: 'two words', missing: undefined });
+    `], { env: { ...process.env, LOG_LEVEL: 'info', LOG_FORMAT: 'text' }, encoding: 'utf8' });
+    
+    assert.match(output, /^\d{4}-\d{2}-\d{2}T\S+Z INFO {2}\[db\] Added beneficiary share=40 note="two words"\n$/);
+});
+
+test('API requests are logged with the request id of the caller, or a generated one', async () => {
+    const { app } = require('../src/api');
+    const server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    const url = `http://127.0.0.1:${server.address().port}/health/live`;
+    
+    try {
+        const responses = [];
+        const { stdout } = await capture(async () => {
+            responses.push(await fetch(url, { headers: { 'X-Request-Id': 'trace-1' } }));
+            responses.push(await fetch(url, { headers: { 'X-Request-Id': 'not a valid id' } }));
+        });
+        
+        const generated = responses[1].headers.get('x-request-id');
+        assert.equal(responses[0].headers.get('x-request-id'), 'trace-1');
+        assert.match(generated, /^[0-9a-f-]{36}$/);
+        
+        const requests = stdout.filter(entry => entry.msg === 'Request');
+        assert.deepEqual(requests.map(({ module, requestId, method, path }) => ({ module, requestId, method, path })), [
+            { module: 'api', requestId: 'trace-1', method: 'GET', path: '/health/live' },
+            { module: 'api', requestId: generated, method: 'GET', path: '/health/live' }
+        ]);
+    } finally {
+        server.closeAllConnections();
+        server.close();
+    }
+});
@@ -0,0 +1,86 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const Database = require('better-sqlite3');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dwill-main-'));
+const databasePath = path.join(tempDir, 'wills.db');
+
+process.env.LOG_LEVEL = 'silent';
+process.env.DATABASE_PATH = databasePath;
+
+const { createFakeChain, CHAIN_ID, CONTRACT_ADDRESS } = require('./helpers/fakeChain');
+
+const MAIN = path.join(__dirname, '..', 'src', 'main.js');
+
+let chain;
+let receiver;
+let receiverUrl;
+
+before(async () => {
+    chain = createFakeChain();
+    
+    receiver = http.createServer();
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+    
+    // A webhook delivery that is due as soon as the indexer starts
+    const db = require('../src/db');
+    db.initializeDatabase();
+    const deployment = { chainId: CHAIN_ID, contractAddress: CONTRACT_ADDRESS };
+    const subscription = db.createSubscription(deployment, {
+        url: receiverUrl,
+        secret: 'secret',
+        events: ['deadline.passed'],
+        address: null,
+        daysBefore: 3,
+        since: 0
+    });
+    db.queueWebhookDelivery(subscription.id, `${CHAIN_ID}:${CONTRACT_ADDRESS}:0x00`, 'deadline.passed', 1, { event: 'deadline.passed' });
+    db.getDatabase().close();
+});
+
+after(async () => {
+    receiver.closeAllConnections();
+    receiver.close();
+    await chain.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('SIGTERM lets a webhook delivery in progress finish before exiting', async () => {
+    const child = spawn(process.execPath, [MAIN], {
+        env: {
+            ...process.env,
+            RPC_URL: await chain.listen(),
+            DATABASE_PATH: databasePath,
+            PORT: '0',
+            POLLING_INTERVAL: '50',
+            RECONCILE_INTERVAL: '0',
+            WEBHOOK_ALLOW_PRIVATE: 'true'
+        },
+        stdio: 'ignore'
+    });
+    const exited = new Promise(resolve => child.on('exit', code => resolve(code)));
+    
+    // The receiver answers only after the indexer was asked to stop
+    receiver.on('request', (req, res) => {
+        req.resume();
+        child.kill('SIGTERM');
+        setTimeout(() => res.end(), 300);
+    });
+    
+    assert.equal(await exited, 0);
+    
+    const file = new Database(databasePath, { readonly: true });
+    try {
+        assert.deepEqual(file.prepare('SELECT status, responseStatus FROM WebhookDeliveries').all(), [
+            { status: 'delivered', responseStatus: 200 }
+        ]);
+    } finally {
+        file.close();
+    }
+});
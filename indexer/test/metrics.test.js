@@ -0,0 +1,103 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'silent';
+process.env.DATABASE_PATH = ':memory:';
+process.env.POLLING_INTERVAL = '50';
+process.env.AUTH_REQUIRED = 'false';
+
+const { createFakeChain, CHAIN_ID, CONTRACT_ADDRESS } = require('./helpers/fakeChain');
+
+const TESTATOR = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const EXECUTED_TESTATOR = '0x15d34AAf54267DB7D7c367839AAf71A00a2C6A65';
+const ONE_AND_A_HALF_ETHER = 1500000000000000000n;
+
+let chain;
+let indexer;
+let server;
+let baseUrl;
+
+async function scrape() {
+    const response = await fetch(`${baseUrl}/metrics`);
+    assert.match(response.headers.get('content-type'), /^text\/plain/);
+    return response.text();
+}
+
+// Value of the sample of `name` whose labels include every entry of `labels`, or undefined
+function sample(text, name, labels = {}) {
+    for (const line of text.split('\n')) {
+        const match = line.match(/^(\w+)(?:\{(.*)\})? (\S+)$/);
+        if (!match || match[1] !== name) continue;
+        
+        const sampleLabels = Object.fromEntries([...(match[2] || '').matchAll(/(\w+)="([^"]*)"/g)].map(([, key, value]) => [key, value]));
+        if (Object.entries(labels).every(([key, value]) => sampleLabels[key] === String(value))) {
+            return Number(match[3]);
+        }
+    }
+    return undefined;
+}
+
+before(async () => {
+    chain = createFakeChain();
+    process.env.RPC_URL = await chain.listen();
+    
+    chain.mine([
+        ['WillCreated', [TESTATOR, 100, 50]],
+        ['DepositLocked', [TESTATOR, ONE_AND_A_HALF_ETHER]],
+        ['WillCreated', [EXECUTED_TESTATOR, 100, 50]]
+    ]);
+    chain.mine([['WillExecuted', [EXECUTED_TESTATOR, 0n]]]);
+    chain.mine();
+    
+    const db = require('../src/db');
+    indexer = require('../src/indexer');
+    const { app } = require('../src/api');
+    db.initializeDatabase();
+    await indexer.startIndexer();
+    
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    indexer.stopIndexer();
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await chain.close();
+});
+
+test('sync progress is reported per chain and deployment', async () => {
+    const text = await scrape();
+    const deployment = { chain_id: CHAIN_ID, contract: CONTRACT_ADDRESS };
+    
+    assert.equal(sample(text, 'dwill_indexer_chain_head_block', { chain_id: CHAIN_ID }), 3);
+    assert.equal(sample(text, 'dwill_indexer_last_indexed_block', deployment), 3);
+    assert.equal(sample(text, 'dwill_indexer_sync_lag_blocks', deployment), 0);
+});
+
+test('applied events are counted by name', async () => {
+    const text = await scrape();
+    
+    assert.equal(sample(text, 'dwill_indexer_events_processed_total', { chain_id: CHAIN_ID, event: 'WillCreated' }), 2);
+    assert.equal(sample(text, 'dwill_indexer_events_processed_total', { chain_id: CHAIN_ID, event: 'WillExecuted' }), 1);
+});
+
+test('wills and value locked are read from the database at scrape time', async () => {
+    const text = await scrape();
+    const deployment = { chain_id: CHAIN_ID, contract: CONTRACT_ADDRESS };
+    
+    assert.equal(sample(text, 'dwill_indexer_wills', { ...deployment, state: 'active' }), 1);
+    assert.equal(sample(text, 'dwill_indexer_wills', { ...deployment, state: 'executed' }), 1);
+    assert.equal(sample(text, 'dwill_indexer_value_locked_ether', { ...deployment, vault_type: 'locked' }), 1.5);
+});
+
+test('requests are timed by route pattern and database calls by function', async () => {
+    await fetch(`${baseUrl}/will/${TESTATOR}`);
+    await fetch(`${baseUrl}/will/${EXECUTED_TESTATOR}`);
+    const text = await scrape();
+    
+    assert.equal(sample(text, 'dwill_indexer_http_request_duration_seconds_count', { method: 'GET', route: '/will/:id', status_code: 200 }), 2);
+    assert.ok(sample(text, 'dwill_indexer_db_query_duration_seconds_count', { operation: 'getWillDetails' }) >= 2);
+    assert.ok(sample(text, 'dwill_indexer_process_cpu_seconds_total') >= 0);
+});
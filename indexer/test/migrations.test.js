@@ -0,0 +1,190 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dwill-migrations-'));
+const databasePath = path.join(tempDir, 'wills.db');
+
+process.env.LOG_LEVEL = 'silent';
+process.env.DATABASE_PATH = databasePath;
+process.env.CHAIN_ID = '31337';
+process.env.CONTRACT_ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+
+const { MIGRATIONS } = require('../src/migrations');
+const db = require('../src/db');
+
+const TESTATOR = '0x70997970c51812dc3a010c7d01b50e0d17dc79c8';
+const GUARDIAN = '0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc';
+const BENEFICIARY = '0x90f79bf6eb2c4f870365e785982e1f101e93b906';
+const CONTRACT = '0x5fbdb2315678afecb367f032d93f642f64180aa3';
+const WILL_ID = `31337:${CONTRACT}:${TESTATOR}`;
+const BLOCK_HASH = `0x${'ab'.repeat(32)}`;
+const LOCKED = '10000000000000000000000';
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Schema and rows of an indexer from before schema versioning (and before multi-deployment
+// support): will IDs were the bare testator, and the guardian was stored on the will only
+function createLegacyDatabase() {
+    const legacy = new Database(databasePath);
+    legacy.exec(`
+        CREATE TABLE Wills (
+            willId TEXT PRIMARY KEY,
+            testator TEXT NOT NULL,
+            guardian TEXT,
+            checkInPeriod INTEGER,
+            disputePeriod INTEGER,
+            lastCheckIn INTEGER,
+            executed INTEGER DEFAULT 0,
+            createdAt INTEGER,
+            updatedAt INTEGER
+        );
+        CREATE TABLE Beneficiaries (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            willId TEXT NOT NULL,
+            beneficiary TEXT NOT NULL,
+            share INTEGER NOT NULL,
+            UNIQUE (willId, beneficiary),
+            FOREIGN KEY (willId) REFERENCES Wills(willId)
+        );
+        CREATE TABLE Vaults (
+            willId TEXT NOT NULL,
+            vaultType TEXT CHECK(vaultType IN ('locked','flexible')),
+            balance TEXT NOT NULL,
+            PRIMARY KEY (willId, vaultType),
+            FOREIGN KEY (willId) REFERENCES Wills(willId)
+        );
+        CREATE TABLE Documents (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            willId TEXT NOT NULL,
+            ipfsHash TEXT NOT NULL,
+            fileName TEXT NOT NULL,
+            documentType TEXT NOT NULL,
+            uploadedAt INTEGER NOT NULL,
+            UNIQUE (willId, ipfsHash),
+            FOREIGN KEY (willId) REFERENCES Wills(willId)
+        );
+        CREATE TABLE Events (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            txHash TEXT NOT NULL,
+            logIndex INTEGER NOT NULL,
+            blockNumber INTEGER NOT NULL,
+            blockHash TEXT NOT NULL,
+            blockTimestamp INTEGER,
+            eventName TEXT NOT NULL,
+            willId TEXT NOT NULL,
+            args TEXT NOT NULL,
+            createdAt INTEGER,
+            UNIQUE (txHash, logIndex)
+        );
+        CREATE TABLE Blocks (
+            blockNumber INTEGER PRIMARY KEY,
+            blockHash TEXT NOT NULL,
+            timestamp INTEGER
+        );
+        CREATE TABLE SyncState (
+            contractAddress TEXT PRIMARY KEY,
+            lastIndexedBlock INTEGER NOT NULL,
+            updatedAt INTEGER
+        );
+    `);
+    
+    const event = legacy.prepare(`
+        INSERT INTO Events (txHash, logIndex, blockNumber, blockHash, blockTimestamp, eventName, willId, args, createdAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    event.run('0x01', 0, 10, BLOCK_HASH, 1700000000, 'WillCreated', TESTATOR,
+        JSON.stringify({ testator: TESTATOR, checkInPeriod: '100', disputePeriod: '50' }), 1700000000);
+    // More wei than a SQLite integer holds, so totals have to be summed exactly
+    event.run('0x02', 0, 12, BLOCK_HASH, 1700000024, 'DepositLocked', TESTATOR,
+        JSON.stringify({ testator: TESTATOR, amount: LOCKED }), 1700000024);
+    event.run('0x02', 1, 12, BLOCK_HASH, 1700000024, 'DepositFlexible', TESTATOR,
+        JSON.stringify({ testator: TESTATOR, amount: '5' }), 1700000024);
+    
+    legacy.prepare('INSERT INTO Blocks VALUES (?, ?, ?)').run(12, BLOCK_HASH, 1700000024);
+    legacy.prepare('INSERT INTO SyncState VALUES (?, ?, ?)').run(process.env.CONTRACT_ADDRESS, 12, 1700000024);
+    
+    legacy.prepare('INSERT INTO Wills VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)')
+        .run(TESTATOR, TESTATOR, GUARDIAN, 100, 50, 1700000000, 0, 1700000000, 1700000000);
+    legacy.prepare('INSERT INTO Beneficiaries (willId, beneficiary, share) VALUES (?, ?, ?)').run(TESTATOR, GUARDIAN, 60);
+    legacy.prepare('INSERT INTO Beneficiaries (willId, beneficiary, share) VALUES (?, ?, ?)').run(TESTATOR, BENEFICIARY, 40);
+    legacy.prepare('INSERT INTO Vaults VALUES (?, ?, ?)').run(TESTATOR, 'locked', LOCKED);
+    legacy.prepare('INSERT INTO Vaults VALUES (?, ?, ?)').run(TESTATOR, 'flexible', '5');
+    legacy.prepare('INSERT INTO Documents (willId, ipfsHash, fileName, documentType, uploadedAt) VALUES (?, ?, ?, ?, ?)')
+        .run(TESTATOR, 'QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG', 'deed.pdf', 'property', 1700000100);
+    legacy.close();
+}
+
+// Rows of a table, read straight from the file
+function readRows(sql) {
+    const file = new Database(databasePath, { readonly: true });
+    try {
+        return file.prepare(sql).all();
+    } finally {
+        file.close();
+    }
+}
+
+before(() => {
+    createLegacyDatabase();
+});
+
+after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('a dry run of the migrations leaves the database untouched', () => {
+    db.initializeDatabase({ dryRun: true });
+    
+    assert.deepEqual(readRows('SELECT willId FROM Wills'), [{ willId: TESTATOR }]);
+    assert.deepEqual(readRows(`SELECT name FROM sqlite_master WHERE name = 'schema_version'`), []);
+});
+
+test('a pre-versioning database is migrated to the latest schema with its rows', () => {
+    db.initializeDatabase();
+    assert.equal(db.getSchemaVersion(), LATEST_VERSION);
+    assert.deepEqual(readRows('SELECT version FROM schema_version ORDER BY version').map(row => row.version),
+        MIGRATIONS.map(migration => migration.version));
+    
+    const will = db.getWillDetails(WILL_ID);
+    assert.equal(will.chainId, 31337);
+    assert.equal(will.contractAddress, CONTRACT);
+    assert.equal(will.testator, TESTATOR);
+    assert.equal(will.guardian, GUARDIAN);
+    assert.equal(will.totalValue, '10000000000000000000005');
+    assert.deepEqual(
+        will.beneficiaries.map(({ beneficiary, share, isGuardian }) => ({ beneficiary, share, isGuardian })),
+        [
+            { beneficiary: GUARDIAN, share: 60, isGuardian: 1 },
+            { beneficiary: BENEFICIARY, share: 40, isGuardian: 0 }
+        ]
+    );
+    
+    const balances = Object.fromEntries(db.getVaults(WILL_ID).map(vault => [vault.vaultType, vault.balance]));
+    assert.deepEqual(balances, { locked: LOCKED, flexible: '5' });
+    assert.deepEqual(db.getDocuments(WILL_ID).map(document => document.fileName), ['deed.pdf']);
+    
+    // The event log, block hashes and sync cursor are scoped to the deployment
+    assert.deepEqual(db.getWillEvents(WILL_ID).map(event => event.eventName), ['WillCreated', 'DepositLocked', 'DepositFlexible']);
+    assert.deepEqual(db.getRecentBlocks(31337, 1).map(block => block.blockHash), [BLOCK_HASH]);
+    assert.equal(db.getLastIndexedBlock(31337, CONTRACT), 12);
+    
+    // The vault ledger is backfilled from the recorded deposits
+    const ledger = db.queryVaultTransactions(WILL_ID, { order: 'asc', limit: 10 }).items;
+    assert.deepEqual(ledger.map(entry => [entry.vaultType, entry.transactionType, entry.amount, entry.balanceAfter]), [
+        ['locked', 'deposit', LOCKED, LOCKED],
+        ['flexible', 'deposit', '5', '5']
+    ]);
+    
+    assert.deepEqual(db.verifyDatabase(), []);
+});
+
+test('migrating an up-to-date database does nothing', () => {
+    db.initializeDatabase();
+    
+    assert.equal(db.getSchemaVersion(), LATEST_VERSION);
+    assert.equal(readRows('SELECT COUNT(*) AS count FROM schema_version')[0].count, MIGRATIONS.length);
+    assert.equal(db.getWillDetails(WILL_ID).guardian, GUARDIAN);
+});
@@ -0,0 +1,113 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_LEVEL = 'silent';
+process.env.DATABASE_PATH = ':memory:';
+process.env.POLLING_INTERVAL = '50';
+process.env.AUTH_REQUIRED = 'false';
+
+const { createFakeChain, CHAIN_ID, CONTRACT_ADDRESS } = require('./helpers/fakeChain');
+
+const OTHER_CHAIN_ID = 10;
+const OTHER_CONTRACT = '0xe7f1725e7734ce288f8367e1bb143e90bb3f0512';
+const TESTATOR = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+let chain;
+let otherChain;
+let configDir;
+let db;
+let indexer;
+let server;
+let baseUrl;
+
+async function get(path) {
+    const response = await fetch(`${baseUrl}${path}`);
+    return { status: response.status, body: await response.json() };
+}
+
+function lockedBalance(deployment) {
+    const willId = db.makeWillId(deployment, TESTATOR);
+    return db.getVaults(willId).find(vault => vault.vaultType === 'locked').balance;
+}
+
+before(async () => {
+    chain = createFakeChain();
+    otherChain = createFakeChain({ chainId: OTHER_CHAIN_ID });
+    
+    // The same testator has a will on two contracts of one chain and on the same address of another chain
+    chain.mine([
+        ['WillCreated', [TESTATOR, 100, 50]],
+        ['DepositLocked', [TESTATOR, 1n]],
+        ['WillCreated', [TESTATOR, 200, 50], OTHER_CONTRACT],
+        ['DepositLocked', [TESTATOR, 2n], OTHER_CONTRACT]
+    ]);
+    otherChain.mine([
+        ['WillCreated', [TESTATOR, 300, 50]],
+        ['DepositLocked', [TESTATOR, 3n]]
+    ]);
+    otherChain.mine();
+    
+    configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'indexer-multichain-'));
+    process.env.INDEXER_CONFIG = path.join(configDir, 'config.json');
+    fs.writeFileSync(process.env.INDEXER_CONFIG, JSON.stringify({
+        chains: [
+            { chainId: CHAIN_ID, name: 'local', rpcUrl: await chain.listen(), deployments: [{ address: CONTRACT_ADDRESS }, { address: OTHER_CONTRACT }] },
+            { chainId: OTHER_CHAIN_ID, name: 'other', rpcUrl: await otherChain.listen(), deployments: [{ address: CONTRACT_ADDRESS }] }
+        ]
+    }));
+    
+    db = require('../src/db');
+    indexer = require('../src/indexer');
+    const { app } = require('../src/api');
+    db.initializeDatabase();
+    await indexer.startIndexer();
+    
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    indexer.stopIndexer();
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await chain.close();
+    await otherChain.close();
+    fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+test('each deployment keeps its own wills and sync cursor', () => {
+    assert.equal(lockedBalance({ chainId: CHAIN_ID, contractAddress: CONTRACT_ADDRESS }), '1');
+    assert.equal(lockedBalance({ chainId: CHAIN_ID, contractAddress: OTHER_CONTRACT }), '2');
+    assert.equal(lockedBalance({ chainId: OTHER_CHAIN_ID, contractAddress: CONTRACT_ADDRESS }), '3');
+    
+    assert.equal(db.getLastIndexedBlock(CHAIN_ID, CONTRACT_ADDRESS), 1);
+    assert.equal(db.getLastIndexedBlock(CHAIN_ID, OTHER_CONTRACT), 1);
+    assert.equal(db.getLastIndexedBlock(OTHER_CHAIN_ID, CONTRACT_ADDRESS), 2);
+});
+
+test('prefixed routes are scoped to their deployment and un-prefixed ones to the first', async () => {
+    const checkInPeriod = async prefix => (await get(`${prefix}/wills/${TESTATOR}`)).body.data.map(will => will.checkInPeriod);
+    
+    assert.deepEqual(await checkInPeriod(''), [100]);
+    assert.deepEqual(await checkInPeriod(`/chains/${CHAIN_ID}/contracts/${CONTRACT_ADDRESS}`), [100]);
+    assert.deepEqual(await checkInPeriod(`/chains/${CHAIN_ID}/contracts/${OTHER_CONTRACT}`), [200]);
+    assert.deepEqual(await checkInPeriod(`/chains/${OTHER_CHAIN_ID}/contracts/${CONTRACT_ADDRESS}`), [300]);
+    
+    const unknown = await get(`/chains/${OTHER_CHAIN_ID}/contracts/${OTHER_CONTRACT}/wills/${TESTATOR}`);
+    assert.equal(unknown.status, 404);
+    assert.equal(unknown.body.code, 'NOT_FOUND');
+});
+
+test('the deployments listing reports every configured contract with its progress', async () => {
+    const { body } = await get('/deployments');
+    
+    assert.deepEqual(body.data.map(deployment => [deployment.chainName, deployment.contractAddress, deployment.lastIndexedBlock]), [
+        ['local', CONTRACT_ADDRESS, 1],
+        ['local', OTHER_CONTRACT, 1],
+        ['other', CONTRACT_ADDRESS, 2]
+    ]);
+});
@@ -0,0 +1,181 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'silent';
+process.env.DATABASE_PATH = ':memory:';
+process.env.POLLING_INTERVAL = '50';
+process.env.AUTH_REQUIRED = 'true';
+process.env.ADMIN_TOKEN = 'conformance-admin-token';
+process.env.RATE_LIMIT_CAPACITY = '0';
+
+const { createFakeChain, CHAIN_ID, CONTRACT_ADDRESS } = require('./helpers/fakeChain');
+
+const TESTATOR = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const GUARDIAN = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const BENEFICIARY = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+const EXECUTED_TESTATOR = '0x15d34AAf54267DB7D7c367839AAf71A00a2C6A65';
+const IPFS_HASH = 'QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG';
+const ETHER = 10n ** 18n;
+
+// Requests are sent in this order, so /subscriptions/{id} exists when it is read and deleted
+const METHOD_ORDER = ['post', 'get', 'delete'];
+
+// Request bodies and query strings of the operations that need them
+const BODIES = {
+    'post /auth/verify': { message: 'not a sign-in message', signature: '0x00' },
+    'post /graphql': { query: '{ wills(limit: 5) { count items { testator beneficiaries { beneficiary } } } }' },
+    'post /subscriptions': { url: 'https://1.1.1.1/hook', address: TESTATOR }
+};
+const QUERIES = {
+    '/graphql': '?query=%7B%20stats%20%7B%20totalWills%20%7D%20%7D',
+    '/stream': `?address=${TESTATOR}`,
+    '/vaults/{willId}/history': '?vaultType=locked&limit=1',
+    '/stats/history': '?days=3'
+};
+
+let chain;
+let indexer;
+let openapi;
+let server;
+let baseUrl;
+let subscriptionId = 1;
+
+// Fills in the path parameters of a documented path
+function resolvePath(path) {
+    const values = {
+        chainId: CHAIN_ID,
+        contract: CONTRACT_ADDRESS,
+        testator: TESTATOR,
+        willId: TESTATOR,
+        beneficiary: GUARDIAN,
+        ipfsHash: IPFS_HASH,
+        id: path.includes('/subscriptions/') ? subscriptionId : path.endsWith('/payouts') ? EXECUTED_TESTATOR : TESTATOR
+    };
+    return path.replace(/\{(\w+)\}/g, (match, name) => values[name]);
+}
+
+function operationKey(method, path) {
+    return `${method} ${path.replace(/^\/chains\/\{chainId\}\/contracts\/\{contract\}/, '')}`;
+}
+
+// Calls one documented operation and returns the problems found with its response
+async function checkOperation(document, path, method) {
+    const unprefixed = path.replace(/^\/chains\/\{chainId\}\/contracts\/\{contract\}/, '');
+    const body = BODIES[operationKey(method, path)];
+    const url = `${baseUrl}${resolvePath(path)}${QUERIES[unprefixed] || ''}`;
+    const controller = new AbortController();
+    
+    const response = await fetch(url, {
+        method: method.toUpperCase(),
+        headers: {
+            Authorization: `Bearer ${process.env.ADMIN_TOKEN}`,
+            ...(body ? { 'Content-Type': 'application/json' } : {})
+        },
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller.signal
+    });
+    
+    const contentType = (response.headers.get('Content-Type') || '').split(';')[0];
+    const documented = document.paths[path][method].responses[response.status];
+    const content = documented && documented.$ref
+        ? document.components.responses[documented.$ref.split('/').pop()].content
+        : documented && documented.content;
+    
+    if (contentType === 'text/event-stream') {
+        controller.abort();
+    }
+    if (response.status >= 500) {
+        return [`status ${response.status}: ${await response.text()}`];
+    }
+    if (!documented) {
+        return [`status ${response.status} is not documented`];
+    }
+    if (content && !content[contentType]) {
+        return [`content type ${contentType} is not documented for status ${response.status}`];
+    }
+    if (contentType === 'text/event-stream') {
+        return [];
+    }
+    
+    if (contentType !== 'application/json') {
+        await response.arrayBuffer();
+        return [];
+    }
+    
+    const json = await response.json();
+    if (operationKey(method, path) === 'post /subscriptions' && response.status === 201) {
+        subscriptionId = json.data.id;
+    }
+    return openapi.checkOperationResponse(path, method, response.status, json);
+}
+
+before(async () => {
+    chain = createFakeChain();
+    process.env.RPC_URL = await chain.listen();
+    
+    chain.mine([
+        ['WillCreated', [TESTATOR, 3600, 600]],
+        ['BeneficiaryAdded', [TESTATOR, GUARDIAN, 60, true]],
+        ['BeneficiaryAdded', [TESTATOR, BENEFICIARY, 40, false]]
+    ]);
+    chain.mine([
+        ['DepositLocked', [TESTATOR, 2n * ETHER]],
+        ['DepositFlexible', [TESTATOR, ETHER]],
+        ['WithdrawFlexible', [TESTATOR, ETHER / 2n]],
+        ['DocumentAdded', [TESTATOR, IPFS_HASH, 'deed.pdf', 'property']],
+        ['CheckIn', [TESTATOR, 1700000100]]
+    ]);
+    chain.mine([
+        ['WillCreated', [EXECUTED_TESTATOR, 100, 50]],
+        ['BeneficiaryAdded', [EXECUTED_TESTATOR, GUARDIAN, 100, false]],
+        ['DepositLocked', [EXECUTED_TESTATOR, 3n * ETHER]]
+    ]);
+    chain.mine([['WillExecuted', [EXECUTED_TESTATOR, 3n * ETHER]]]);
+    
+    const db = require('../src/db');
+    indexer = require('../src/indexer');
+    openapi = require('../src/openapi');
+    const { app } = require('../src/api');
+    db.initializeDatabase();
+    await indexer.startIndexer();
+    
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    indexer.stopIndexer();
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await chain.close();
+});
+
+test('every documented operation answers as the OpenAPI document says', async () => {
+    const document = openapi.getOpenApiDocument();
+    const operations = Object.entries(document.paths)
+        .flatMap(([path, item]) => METHOD_ORDER.filter(method => item[method]).map(method => ({ path, method })))
+        .sort((a, b) => METHOD_ORDER.indexOf(a.method) - METHOD_ORDER.indexOf(b.method));
+    
+    const failures = [];
+    for (const { path, method } of operations) {
+        const problems = await checkOperation(document, path, method);
+        problems.forEach(problem => failures.push(`${method.toUpperCase()} ${path}: ${problem}`));
+    }
+    
+    assert.deepEqual(failures, []);
+});
+
+test('every route of the app is documented', () => {
+    const { app } = require('../src/api');
+    
+    assert.deepEqual(openapi.findUndocumentedRoutes(app), []);
+});
+
+test('session tokens are masked in logged URLs', () => {
+    assert.equal(
+        openapi.redactUrl('/stream?address=0xabc&access_token=secret-session-token'),
+        '/stream?address=0xabc&access_token=REDACTED'
+    );
+    assert.equal(openapi.redactUrl('/wills?limit=5'), '/wills?limit=5');
+});
@@ -0,0 +1,69 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'silent';
+process.env.DATABASE_PATH = ':memory:';
+process.env.POLLING_INTERVAL = '50';
+
+const { createFakeChain, CHAIN_ID, CONTRACT_ADDRESS } = require('./helpers/fakeChain');
+
+const TESTATOR = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const BENEFICIARY = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const DEED = 'QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG';
+const deployment = { chainId: CHAIN_ID, contractAddress: CONTRACT_ADDRESS };
+
+let chain;
+let db;
+let indexer;
+let willId;
+
+before(async () => {
+    chain = createFakeChain({ reverseLogs: true });
+    process.env.RPC_URL = await chain.listen();
+    
+    // The beneficiary and the deposit need the will created earlier in the same block
+    chain.mine([
+        ['WillCreated', [TESTATOR, 100, 50]],
+        ['BeneficiaryAdded', [TESTATOR, BENEFICIARY, 100, true]],
+        ['DepositFlexible', [TESTATOR, 10n]],
+        ['WithdrawFlexible', [TESTATOR, 4n]]
+    ]);
+    chain.mine([['DocumentAdded', [TESTATOR, DEED, 'deed.pdf', 'property']]]);
+    chain.mine([['DocumentRemoved', [TESTATOR, DEED]]]);
+    
+    db = require('../src/db');
+    indexer = require('../src/indexer');
+    db.initializeDatabase();
+    willId = db.makeWillId(deployment, TESTATOR);
+    await indexer.startIndexer();
+});
+
+after(async () => {
+    indexer.stopIndexer();
+    await chain.close();
+});
+
+test('logs are applied in block and log index order whatever order the node returns them in', () => {
+    assert.deepEqual(db.getWillEvents(willId).map(event => [event.blockNumber, event.logIndex, event.eventName]), [
+        [1, 0, 'WillCreated'],
+        [1, 1, 'BeneficiaryAdded'],
+        [1, 2, 'DepositFlexible'],
+        [1, 3, 'WithdrawFlexible'],
+        [2, 0, 'DocumentAdded'],
+        [3, 0, 'DocumentRemoved']
+    ]);
+    
+    const will = db.getWillDetails(willId);
+    assert.equal(will.guardian, BENEFICIARY.toLowerCase());
+    assert.equal(db.getVaults(willId).find(vault => vault.vaultType === 'flexible').balance, '6');
+    // A removal in a later block never runs before the addition it undoes
+    assert.deepEqual(db.getDocuments(willId), []);
+});
+
+test('every block with events is committed together with its hash and the cursor', () => {
+    assert.equal(db.getLastIndexedBlock(CHAIN_ID, CONTRACT_ADDRESS), 3);
+    
+    const stored = db.getRecentBlocks(CHAIN_ID, 10);
+    assert.deepEqual(stored.map(block => block.blockNumber).sort(), [1, 2, 3]);
+    assert.equal(stored.find(block => block.blockNumber === 3).blockHash, chain.head().hash);
+});
@@ -0,0 +1,138 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'silent';
+process.env.DATABASE_PATH = ':memory:';
+process.env.POLLING_INTERVAL = '50';
+process.env.AUTH_REQUIRED = 'false';
+
+const { createFakeChain } = require('./helpers/fakeChain');
+
+const TESTATORS = [
+    '0x70997970C51812dc3A010C7d01b50e0d17dc79C8',
+    '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC',
+    '0x90F79bf6EB2c4f870365E785982E1f101E93b906',
+    '0x15d34AAf54267DB7D7c367839AAf71A00a2C6A65',
+    '0x9965507D1a55bcC2695C58ba16FB37d819B0A4dc'
+];
+
+let chain;
+let indexer;
+let server;
+let baseUrl;
+
+function cursorOf(values) {
+    return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+async function get(path) {
+    const response = await fetch(`${baseUrl}${path}`);
+    return { status: response.status, body: await response.json() };
+}
+
+async function graphql(query) {
+    const response = await fetch(`${baseUrl}/graphql`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ query })
+    });
+    return response.json();
+}
+
+before(async () => {
+    chain = createFakeChain();
+    process.env.RPC_URL = await chain.listen();
+    
+    // One will per block, so createdAt increases with the testator's position
+    TESTATORS.forEach(testator => chain.mine([['WillCreated', [testator, 100, 50]]]));
+    
+    const db = require('../src/db');
+    indexer = require('../src/indexer');
+    const { app } = require('../src/api');
+    db.initializeDatabase();
+    await indexer.startIndexer();
+    
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    indexer.stopIndexer();
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await chain.close();
+});
+
+test('following nextCursor lists every will once, in order', async () => {
+    const testators = [];
+    let path = '/wills?sort=createdAt&order=asc&limit=2';
+    
+    for (;;) {
+        const { status, body } = await get(path);
+        assert.equal(status, 200);
+        assert.ok(body.count <= 2);
+        testators.push(...body.data.map(will => will.testator));
+        
+        if (!body.nextCursor) break;
+        path = `/wills?sort=createdAt&order=asc&limit=2&cursor=${body.nextCursor}`;
+    }
+    
+    assert.deepEqual(testators, TESTATORS.map(testator => testator.toLowerCase()));
+});
+
+test('a cursor continues the listing it came from, in both directions', async () => {
+    const first = await get('/wills?order=desc&limit=3');
+    const rest = await get(`/wills?order=desc&limit=3&cursor=${first.body.nextCursor}`);
+    
+    assert.deepEqual(
+        [...first.body.data, ...rest.body.data].map(will => will.testator),
+        TESTATORS.map(testator => testator.toLowerCase()).reverse()
+    );
+    assert.equal(rest.body.nextCursor, null);
+});
+
+test('malformed cursors are rejected with 400', async () => {
+    const cursors = [
+        'not-base64-json',
+        cursorOf({ createdAt: 1 }),
+        cursorOf([1]),
+        cursorOf([{}, 'x']),
+        cursorOf([1, {}]),
+        cursorOf([null, 'x']),
+        cursorOf(['1', 'x']),
+        cursorOf([1, 'x', 'extra'])
+    ];
+    
+    for (const cursor of cursors) {
+        const { status, body } = await get(`/wills?cursor=${cursor}`);
+        assert.equal(status, 400, cursor);
+        assert.equal(body.code, 'VALIDATION_FAILED');
+        assert.match(body.error, /Invalid cursor/);
+    }
+});
+
+test('a cursor must match the sort key it is used with', async () => {
+    const { body } = await get('/wills?sort=createdAt&limit=1');
+    const { status } = await get(`/wills?sort=totalValue&cursor=${body.nextCursor}`);
+    
+    assert.equal(status, 400);
+});
+
+test('the GraphQL wills query rejects malformed cursors', async () => {
+    const result = await graphql(`{ wills(cursor: "${cursorOf([{}, 'x'])}") { count } }`);
+    
+    assert.equal(result.data, null);
+    assert.equal(result.errors[0].message, 'Invalid cursor');
+});
+
+test('the GraphQL wills query pages like the REST listing', async () => {
+    const first = await graphql('{ wills(order: "asc", limit: 4) { items { testator } nextCursor } }');
+    const rest = await graphql(`{ wills(order: "asc", limit: 4, cursor: "${first.data.wills.nextCursor}") { items { testator } nextCursor } }`);
+    
+    assert.deepEqual(
+        [...first.data.wills.items, ...rest.data.wills.items].map(will => will.testator),
+        TESTATORS.map(testator => testator.toLowerCase())
+    );
+    assert.equal(rest.data.wills.nextCursor, null);
+});
@@ -0,0 +1,113 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'silent';
+process.env.DATABASE_PATH = ':memory:';
+process.env.POLLING_INTERVAL = '50';
+process.env.AUTH_REQUIRED = 'false';
+
+const { createFakeChain } = require('./helpers/fakeChain');
+
+const TESTATOR = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const OTHER_TESTATOR = '0x15d34AAf54267DB7D7c367839AAf71A00a2C6A65';
+const PENDING_TESTATOR = '0x9965507D1a55bcC2695C58ba16FB37d819B0A4dc';
+const ALICE = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const BOB = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+const CAROL = '0x976EA74026E726554dB657fA54763abd0C3a0aa9';
+
+let chain;
+let indexer;
+let server;
+let baseUrl;
+
+async function get(path) {
+    const response = await fetch(`${baseUrl}${path}`);
+    return { status: response.status, body: await response.json() };
+}
+
+before(async () => {
+    chain = createFakeChain();
+    process.env.RPC_URL = await chain.listen();
+    
+    chain.mine([
+        ['WillCreated', [TESTATOR, 100, 50]],
+        ['BeneficiaryAdded', [TESTATOR, ALICE, 33, true]],
+        ['BeneficiaryAdded', [TESTATOR, BOB, 33, false]],
+        ['BeneficiaryAdded', [TESTATOR, CAROL, 34, false]],
+        ['DepositLocked', [TESTATOR, 1000n]],
+        ['DepositFlexible', [TESTATOR, 1n]],
+        ['WillCreated', [OTHER_TESTATOR, 100, 50]],
+        ['BeneficiaryAdded', [OTHER_TESTATOR, ALICE, 100, false]],
+        ['DepositLocked', [OTHER_TESTATOR, 500n]],
+        ['WillCreated', [PENDING_TESTATOR, 100, 50]],
+        ['BeneficiaryAdded', [PENDING_TESTATOR, ALICE, 100, false]]
+    ]);
+    chain.mine([['WillExecuted', [TESTATOR, 1001n]]]);
+    chain.mine([['WillExecuted', [OTHER_TESTATOR, 500n]]]);
+    
+    const db = require('../src/db');
+    indexer = require('../src/indexer');
+    const { app } = require('../src/api');
+    db.initializeDatabase();
+    await indexer.startIndexer();
+    
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    indexer.stopIndexer();
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await chain.close();
+});
+
+test('execution splits the funds by share, rounding down like the contract, and keeps the dust', async () => {
+    const { body } = await get(`/will/${TESTATOR}/payouts`);
+    
+    assert.equal(body.data.executed, true);
+    assert.equal(body.data.totalFunds, '1001');
+    assert.equal(body.data.distributed, '1000');
+    assert.equal(body.data.undistributed, '1');
+    assert.equal(body.data.blockNumber, 2);
+    assert.deepEqual(body.data.payouts.map(payout => [payout.beneficiary, payout.share, payout.amount]), [
+        [CAROL.toLowerCase(), 34, '340'],
+        [ALICE.toLowerCase(), 33, '330'],
+        [BOB.toLowerCase(), 33, '330']
+    ]);
+});
+
+test('execution empties both vaults and records the payouts in the vault ledger', async () => {
+    const vaults = await get(`/vaults/${TESTATOR}`);
+    assert.deepEqual(vaults.body.data.vaults, { locked: '0', flexible: '0' });
+    
+    const { body } = await get(`/vaults/${TESTATOR}/history?order=asc`);
+    const payouts = body.data.transactions.filter(entry => entry.transactionType === 'payout');
+    assert.deepEqual(payouts.map(entry => [entry.vaultType, entry.amount, entry.balanceAfter, entry.blockNumber]).sort(), [
+        ['flexible', '1', '0', 2],
+        ['locked', '1000', '0', 2]
+    ]);
+});
+
+test('a beneficiary sees what they received from every executed will', async () => {
+    const { body } = await get(`/payouts/${ALICE}`);
+    
+    assert.equal(body.count, 2);
+    assert.equal(body.totalReceived, '830');
+    // Newest execution first
+    assert.deepEqual(body.data.map(payout => [payout.testator, payout.amount, payout.blockNumber]), [
+        [OTHER_TESTATOR.toLowerCase(), '500', 3],
+        [TESTATOR.toLowerCase(), '330', 2]
+    ]);
+});
+
+test('a will that was not executed has no payouts', async () => {
+    const { body } = await get(`/will/${PENDING_TESTATOR}/payouts`);
+    
+    assert.equal(body.data.executed, false);
+    assert.deepEqual(body.data.payouts, []);
+    
+    const unknown = await get(`/will/${CAROL}/payouts`);
+    assert.equal(unknown.status, 404);
+});
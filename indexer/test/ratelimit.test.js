@@ -0,0 +1,81 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'silent';
+process.env.DATABASE_PATH = ':memory:';
+process.env.AUTH_REQUIRED = 'false';
+process.env.RATE_LIMIT_CAPACITY = '6';
+// Slow enough that no token comes back while the tests run
+process.env.RATE_LIMIT_REFILL_RATE = '0.01';
+process.env.BODY_SIZE_LIMIT = '1kb';
+
+const TESTATOR = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+let server;
+let baseUrl;
+
+function post(path, body) {
+    return fetch(`${baseUrl}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body
+    });
+}
+
+before(async () => {
+    const db = require('../src/db');
+    const { app } = require('../src/api');
+    db.initializeDatabase();
+    
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+});
+
+test('invalid parameters, malformed JSON and oversized bodies get the same error shape', async () => {
+    const invalid = await fetch(`${baseUrl}/wills/0x123`);
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(await invalid.json(), {
+        success: false,
+        error: 'Invalid testator address format',
+        code: 'VALIDATION_FAILED',
+        details: [{ location: 'params', field: 'testator', message: 'Invalid testator address format' }]
+    });
+    
+    const malformed = await post('/subscriptions', '{"url":');
+    assert.equal(malformed.status, 400);
+    assert.deepEqual(await malformed.json(), { success: false, error: 'Request body is not valid JSON', code: 'INVALID_JSON' });
+    
+    const oversized = await post('/subscriptions', JSON.stringify({ url: `https://example.com/${'a'.repeat(2048)}`, address: TESTATOR }));
+    assert.equal(oversized.status, 413);
+    assert.deepEqual(await oversized.json(), { success: false, error: 'Request body exceeds 1kb', code: 'PAYLOAD_TOO_LARGE' });
+});
+
+test('each client gets a bucket of requests, then 429 with Retry-After; probes are never limited', async () => {
+    // The three requests above already took half of the bucket
+    for (let i = 0; i < 5; i++) {
+        assert.equal((await fetch(`${baseUrl}/health/live`)).status, 200);
+    }
+    
+    const remaining = [];
+    for (let i = 0; i < 3; i++) {
+        const response = await fetch(`${baseUrl}/wills/${TESTATOR}`);
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('ratelimit-limit'), '6');
+        remaining.push(response.headers.get('ratelimit-remaining'));
+    }
+    assert.deepEqual(remaining, ['2', '1', '0']);
+    
+    const limited = await fetch(`${baseUrl}/wills/${TESTATOR}`);
+    assert.equal(limited.status, 429);
+    assert.equal(limited.headers.get('retry-after'), '100');
+    assert.deepEqual(await limited.json(), { success: false, error: 'Too many requests, retry in 100s', code: 'RATE_LIMITED', retryAfter: 100 });
+    
+    assert.notEqual((await fetch(`${baseUrl}/health/ready`)).status, 429);
+    assert.equal((await fetch(`${baseUrl}/metrics`)).status, 200);
+});
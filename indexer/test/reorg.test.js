@@ -0,0 +1,92 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'silent';
+process.env.DATABASE_PATH = ':memory:';
+process.env.POLLING_INTERVAL = '50';
+
+const { createFakeChain, waitFor, CHAIN_ID, CONTRACT_ADDRESS } = require('./helpers/fakeChain');
+
+const TESTATOR = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const GUARDIAN = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const BENEFICIARY = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+const deployment = { chainId: CHAIN_ID, contractAddress: CONTRACT_ADDRESS };
+
+let chain;
+let db;
+let indexer;
+let willId;
+
+function balances() {
+    return Object.fromEntries(db.getVaults(willId).map(vault => [vault.vaultType, vault.balance]));
+}
+
+function eventNames() {
+    return db.getWillEvents(willId).map(event => event.eventName);
+}
+
+// Resolves once the indexer has committed the current head of the fake chain
+function indexedHead() {
+    return waitFor(() => {
+        const [latest] = db.getRecentBlocks(CHAIN_ID, 1);
+        return latest && latest.blockHash === chain.head().hash;
+    });
+}
+
+before(async () => {
+    chain = createFakeChain();
+    process.env.RPC_URL = await chain.listen();
+    
+    chain.mine([['WillCreated', [TESTATOR, 100, 50]]]);
+    chain.mine([
+        ['DepositLocked', [TESTATOR, 1000n]],
+        ['BeneficiaryAdded', [TESTATOR, GUARDIAN, 60, true]]
+    ]);
+    chain.mine([
+        ['DepositLocked', [TESTATOR, 5n]],
+        ['BeneficiaryAdded', [TESTATOR, BENEFICIARY, 40, false]]
+    ]);
+    
+    db = require('../src/db');
+    indexer = require('../src/indexer');
+    db.initializeDatabase();
+    willId = db.makeWillId(deployment, TESTATOR);
+    await indexer.startIndexer();
+});
+
+after(async () => {
+    indexer.stopIndexer();
+    await chain.close();
+});
+
+test('events are applied to the projections in block order', () => {
+    assert.equal(db.getLastIndexedBlock(CHAIN_ID, CONTRACT_ADDRESS), 3);
+    assert.deepEqual(eventNames(), ['WillCreated', 'DepositLocked', 'BeneficiaryAdded', 'DepositLocked', 'BeneficiaryAdded']);
+    assert.deepEqual(balances(), { locked: '1005', flexible: '0' });
+    
+    const will = db.getWillDetails(willId);
+    assert.equal(will.guardian, GUARDIAN.toLowerCase());
+    assert.deepEqual(will.beneficiaries.map(row => [row.beneficiary, row.share]).sort(), [
+        [GUARDIAN.toLowerCase(), 60],
+        [BENEFICIARY.toLowerCase(), 40]
+    ].sort());
+});
+
+test('a reorg rolls back the replaced blocks and applies the new ones', async () => {
+    // ethers answers a repeated request from its cache for 250ms; let the block hashes
+    // fetched by the first sync expire, as they would between two real blocks
+    await new Promise(resolve => setTimeout(resolve, 300));
+    chain.reorg(2, [[['DepositFlexible', [TESTATOR, 7n]]], [], []]);
+    await indexedHead();
+    
+    assert.equal(db.getLastIndexedBlock(CHAIN_ID, CONTRACT_ADDRESS), 4);
+    assert.deepEqual(eventNames(), ['WillCreated', 'DepositFlexible']);
+    assert.deepEqual(balances(), { locked: '0', flexible: '7' });
+    
+    const will = db.getWillDetails(willId);
+    assert.equal(will.guardian, null);
+    assert.deepEqual(will.beneficiaries, []);
+    
+    const ledger = db.queryVaultTransactions(willId, { limit: 10 }).items;
+    assert.deepEqual(ledger.map(entry => [entry.vaultType, entry.amount, entry.blockNumber]), [['flexible', '7', 2]]);
+});
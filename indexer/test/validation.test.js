@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validate, address, ipfsHash, integer, boolean, amount, listOf, url, time } = require('../src/validation');
+
+const { parse } = time();
+
+// Runs the validate() middleware on a fake request; resolves with the validated values or the error response
+function runValidate(schema, req) {
+    return new Promise(resolve => {
+        const res = {
+            status(code) {
+                this.statusCode = code;
+                return this;
+            },
+            json: body => resolve({ status: res.statusCode, body })
+        };
+        validate(schema)(req, res, () => resolve({ validated: req.validated }));
+    });
+}
+
+test('time() parses unix seconds and ISO 8601 dates to unix seconds', () => {
+    assert.deepEqual(parse('0'), { value: 0 });
+    assert.deepEqual(parse('1700000000'), { value: 1700000000 });
+    assert.deepEqual(parse('2024-01-02T03:04:05Z'), { value: 1704164645 });
+    assert.deepEqual(parse('2999-12-31T23:59:59Z'), { value: 32503679999 });
+});
+
+test('time() rejects values a Date cannot hold or past the year 3000', () => {
+    for (const value of ['99999999999999999999', '32503680000', '3000-01-01T00:00:00Z', '+275760-09-13T00:00:01Z', '1969-12-31T23:59:59Z', 'yesterday', '']) {
+        assert.ok(parse(value).error, `${value} was accepted`);
+    }
+});
+
+test('addresses must be 20-byte hex and IPFS hashes CIDv0 or base32 CIDv1', () => {
+    assert.deepEqual(address().parse('0x70997970C51812dc3A010C7d01b50e0d17dc79C8'), { value: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8' });
+    assert.ok(address().parse('0x7099').error);
+    
+    for (const cid of [
+        'QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG',
+        'bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi',
+        'bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku'
+    ]) {
+        assert.deepEqual(ipfsHash().parse(cid), { value: cid });
+    }
+    assert.ok(ipfsHash().parse('QmShort').error);
+    assert.ok(ipfsHash().parse('../../etc/passwd').error);
+});
+
+test('query strings are parsed to the types the routes use', () => {
+    assert.deepEqual(integer({ min: 1, max: 200 }).parse('50'), { value: 50 });
+    assert.match(integer({ min: 1, max: 200 }).parse('201').error, /between 1 and 200/);
+    assert.ok(integer().parse('1.5').error);
+    assert.deepEqual(boolean().parse('false'), { value: false });
+    assert.deepEqual(amount().parse('000100000000000000000000'), { value: '100000000000000000000' });
+    assert.deepEqual(listOf(['active', 'executed']).parse('active, executed'), { value: ['active', 'executed'] });
+    assert.ok(url().parse('ftp://example.com').error);
+});
+
+test('validate() applies defaults and merges the parsed values into req.validated', async () => {
+    const result = await runValidate(
+        { params: { id: address() }, query: { limit: integer({ min: 1, default: 50 }), executed: boolean({ optional: true }) } },
+        { params: { id: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8' }, query: { unknown: 'ignored' }, validated: { earlier: true } }
+    );
+    
+    assert.deepEqual(result.validated, { earlier: true, id: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8', limit: 50 });
+});
+
+test('validate() rejects every bad field at once with a 400 listing them', async () => {
+    const result = await runValidate(
+        { params: { id: address({ message: 'Invalid address format' }) }, query: { limit: integer({ min: 1 }), sort: listOf(['createdAt']) } },
+        { params: { id: '0x1' }, query: { limit: ['1', '2'] } }
+    );
+    
+    assert.equal(result.status, 400);
+    assert.deepEqual(result.body, {
+        success: false,
+        error: 'Invalid address format; limit must be given once; sort is required',
+        code: 'VALIDATION_FAILED',
+        details: [
+            { location: 'params', field: 'id', message: 'Invalid address format' },
+            { location: 'query', field: 'limit', message: 'limit must be given once' },
+            { location: 'query', field: 'sort', message: 'sort is required' }
+        ]
+    });
+});
+
+test('validate() runs the cross-field check once every field is valid', async () => {
+    const schema = {
+        query: { from: time(), to: time() },
+        check: ({ from, to }) => (from > to ? 'from must not be after to' : null)
+    };
+    
+    const result = await runValidate(schema, { query: { from: '200', to: '100' } });
+    assert.equal(result.status, 400);
+    assert.deepEqual(result.body.details, [{ location: null, field: null, message: 'from must not be after to' }]);
+    
+    assert.deepEqual((await runValidate(schema, { query: { from: '100', to: '200' } })).validated, { from: 100, to: 200 });
+});
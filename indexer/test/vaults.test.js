@@ -0,0 +1,98 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'silent';
+process.env.DATABASE_PATH = ':memory:';
+process.env.POLLING_INTERVAL = '50';
+process.env.AUTH_REQUIRED = 'false';
+
+const { createFakeChain } = require('./helpers/fakeChain');
+
+const TESTATOR = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const DAY = 86400;
+const JAN_1 = Date.UTC(2030, 0, 1) / 1000;
+
+let chain;
+let indexer;
+let server;
+let baseUrl;
+
+async function get(path) {
+    const response = await fetch(`${baseUrl}${path}`);
+    return { status: response.status, body: await response.json() };
+}
+
+async function history(query = '') {
+    const { body } = await get(`/vaults/${TESTATOR}/history?order=asc${query}`);
+    return body.data.transactions.map(entry => [entry.vaultType, entry.transactionType, entry.amount, entry.balanceAfter]);
+}
+
+before(async () => {
+    chain = createFakeChain();
+    process.env.RPC_URL = await chain.listen();
+    
+    chain.mine([
+        ['WillCreated', [TESTATOR, 100, 50]],
+        ['DepositLocked', [TESTATOR, 1000n]],
+        ['DepositFlexible', [TESTATOR, 300n]]
+    ], JAN_1);
+    chain.mine([['WithdrawFlexible', [TESTATOR, 100n]]], JAN_1 + DAY);
+    chain.mine([['DepositFlexible', [TESTATOR, 50n]]], JAN_1 + 2 * DAY);
+    
+    const db = require('../src/db');
+    indexer = require('../src/indexer');
+    const { app } = require('../src/api');
+    db.initializeDatabase();
+    await indexer.startIndexer();
+    
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    indexer.stopIndexer();
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await chain.close();
+});
+
+test('every deposit and withdrawal is recorded with its block, time and transaction', async () => {
+    const { body } = await get(`/vaults/${TESTATOR}/history?order=asc`);
+    const [first] = body.data.transactions;
+    
+    assert.equal(body.data.count, 4);
+    assert.equal(first.blockNumber, 1);
+    assert.equal(first.blockTimestamp, JAN_1);
+    assert.match(first.txHash, /^0x[0-9a-f]{64}$/);
+    
+    assert.deepEqual(await history(), [
+        ['locked', 'deposit', '1000', '1000'],
+        ['flexible', 'deposit', '300', '300'],
+        ['flexible', 'withdrawal', '100', '200'],
+        ['flexible', 'deposit', '50', '250']
+    ]);
+});
+
+test('the ledger matches the vault balances', async () => {
+    const { body } = await get(`/vaults/${TESTATOR}`);
+    
+    assert.deepEqual(body.data.vaults, { locked: '1000', flexible: '250' });
+});
+
+test('history can be filtered by vault and by date range', async () => {
+    assert.deepEqual((await history('&vaultType=locked')).map(entry => entry[2]), ['1000']);
+    
+    assert.deepEqual((await history(`&from=${JAN_1 + DAY}`)).map(entry => entry[2]), ['100', '50']);
+    assert.deepEqual((await history(`&to=${JAN_1 + DAY}`)).map(entry => entry[2]), ['1000', '300', '100']);
+    assert.deepEqual((await history('&from=2030-01-02T00:00:00Z&to=2030-01-02T23:59:59Z')).map(entry => entry[2]), ['100']);
+    assert.deepEqual(await history(`&from=${JAN_1 + DAY}&to=${JAN_1}`), []);
+});
+
+test('invalid filters are rejected', async () => {
+    for (const query of ['vaultType=savings', 'from=yesterday', 'to=3000-01-01']) {
+        const { status, body } = await get(`/vaults/${TESTATOR}/history?${query}`);
+        assert.equal(status, 400, query);
+        assert.equal(body.success, false, query);
+    }
+});
@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+process.env.LOG_LEVEL = 'silent';
+process.env.DATABASE_PATH = ':memory:';
+
+const { checkWebhookTarget, postWebhook } = require('../src/webhooks');
+
+test('webhooks cannot target this host, the local network or metadata services', async () => {
+    for (const url of [
+        'http://localhost:3001/hook',
+        'http://127.0.0.1/hook',
+        'http://0.0.0.0/hook',
+        'http://10.0.0.5/hook',
+        'http://172.20.1.1/hook',
+        'http://192.168.1.10/hook',
+        'http://169.254.169.254/latest/meta-data',
+        'http://[::1]/hook',
+        'http://[fd00::1]/hook',
+        'http://[fe80::1]/hook',
+        'http://[::ffff:127.0.0.1]/hook'
+    ]) {
+        assert.match(await checkWebhookTarget(url), /loopback, link-local or private/, url);
+    }
+});
+
+test('webhooks can target public addresses', async () => {
+    assert.equal(await checkWebhookTarget('https://1.1.1.1/hook'), null);
+    assert.equal(await checkWebhookTarget('http://[2606:4700:4700::1111]/hook'), null);
+});
+
+test('deliveries connect to the checked addresses without looking the host up again', async () => {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        received.push(req.headers.host);
+        req.resume();
+        res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    
+    try {
+        // rebind.invalid never resolves, so the request can only reach the server through the given address
+        const status = await postWebhook(`http://rebind.invalid:${port}/hook`, [{ address: '127.0.0.1', family: 4 }],
+            { 'Content-Type': 'application/json' }, '{}');
+        
+        assert.equal(status, 200);
+        assert.deepEqual(received, [`rebind.invalid:${port}`]);
+    } finally {
+        server.close();
+    }
+});